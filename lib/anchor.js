@@ -0,0 +1,107 @@
+// lib/anchor.js
+// Document anchoring: many document hashes aggregated into one Merkle root,
+// committed on-chain in a single OP_RETURN:
+//   "BBFA" <version 0x01> <32-byte root>
+// Leaves and nodes are domain-separated (RFC 6962 style) so a leaf can never
+// pass for an inner node:
+//   leaf = sha256(0x00 || document_hash)   node = sha256(0x01 || left || right)
+// An odd node at the end of a level moves up unchanged.
+
+const crypto = require('crypto');
+
+const ANCHOR_MAGIC = Buffer.from('BBFA');
+const ANCHOR_VERSION = 1;
+const MAX_BATCH_DOCUMENTS = 10000;
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+
+function leafHash(documentHash) {
+  return sha256(Buffer.concat([Buffer.from([0]), documentHash]));
+}
+
+function nodeHash(left, right) {
+  return sha256(Buffer.concat([Buffer.from([1]), left, right]));
+}
+
+// { id, content } (UTF-8), { id, content_base64 } or { id, hash } (hex sha256)
+// -> { id, hash } with the document's sha256 as hex
+function hashDocument(doc) {
+  if (typeof doc === 'string') doc = { hash: doc };
+  if (!doc || typeof doc !== 'object') throw new Error('Each document needs content, content_base64 or hash');
+  let hash;
+  if (doc.hash !== undefined) {
+    if (!/^[0-9a-fA-F]{64}$/.test(String(doc.hash))) throw new Error('hash must be a 32-byte hex sha256');
+    hash = String(doc.hash).toLowerCase();
+  } else if (typeof doc.content === 'string') {
+    hash = sha256(Buffer.from(doc.content, 'utf8')).toString('hex');
+  } else if (typeof doc.content_base64 === 'string') {
+    hash = sha256(Buffer.from(doc.content_base64, 'base64')).toString('hex');
+  } else {
+    throw new Error('Each document needs content, content_base64 or hash');
+  }
+  return { id: doc.id !== undefined ? String(doc.id) : null, hash };
+}
+
+// Root plus an inclusion proof per leaf: [{ position: 'left' | 'right', hash }]
+// listing the siblings from the leaf upwards
+function buildMerkleTree(documentHashes) {
+  if (!documentHashes.length) throw new Error('At least one document required');
+  let level = documentHashes.map((hash) => leafHash(Buffer.from(hash, 'hex')));
+  // Index of each leaf's ancestor within the current level
+  const positions = level.map((_, i) => i);
+  const proofs = level.map(() => []);
+
+  while (level.length > 1) {
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? nodeHash(level[i], level[i + 1]) : level[i]);
+    }
+    positions.forEach((pos, leaf) => {
+      const sibling = pos ^ 1;
+      if (sibling < level.length) {
+        proofs[leaf].push({ position: sibling < pos ? 'left' : 'right', hash: level[sibling].toString('hex') });
+      }
+      positions[leaf] = pos >> 1;
+    });
+    level = next;
+  }
+  return { root: level[0].toString('hex'), proofs };
+}
+
+// Root implied by a document hash and its proof
+function rootFromProof(documentHash, proof) {
+  if (!Array.isArray(proof)) throw new Error('proof must be an array of { position, hash }');
+  return proof
+    .reduce((node, step) => {
+      if (!step || !/^[0-9a-fA-F]{64}$/.test(String(step.hash)) || !['left', 'right'].includes(step.position)) {
+        throw new Error('proof steps are { position: "left" | "right", hash: <32-byte hex> }');
+      }
+      const sibling = Buffer.from(step.hash, 'hex');
+      return step.position === 'left' ? nodeHash(sibling, node) : nodeHash(node, sibling);
+    }, leafHash(Buffer.from(documentHash, 'hex')))
+    .toString('hex');
+}
+
+function anchorPayload(root) {
+  return Buffer.concat([ANCHOR_MAGIC, Buffer.from([ANCHOR_VERSION]), Buffer.from(root, 'hex')]);
+}
+
+// { version, root } from an OP_RETURN payload, or null if it isn't an anchor
+function parseAnchorPayload(payload) {
+  if (payload.length !== ANCHOR_MAGIC.length + 33 || !payload.subarray(0, ANCHOR_MAGIC.length).equals(ANCHOR_MAGIC)) {
+    return null;
+  }
+  const version = payload[ANCHOR_MAGIC.length];
+  return { version, root: payload.subarray(ANCHOR_MAGIC.length + 1).toString('hex') };
+}
+
+module.exports = {
+  ANCHOR_MAGIC,
+  ANCHOR_VERSION,
+  MAX_BATCH_DOCUMENTS,
+  hashDocument,
+  buildMerkleTree,
+  rootFromProof,
+  anchorPayload,
+  parseAnchorPayload,
+};
@@ -0,0 +1,380 @@
+// lib/backends/bitcoind.js
+// BitcoindBackend: Bitcoin Core JSON-RPC. Core has no address index, so:
+//  - confirmed UTXOs come from `scantxoutset` (the full UTXO set, no wallet needed)
+//  - mempool activity comes from one shared, incrementally refreshed
+//    snapshot of `getrawmempool` (see mempoolSnapshot)
+//  - concurrent lookups share one `scantxoutset` (see scanAddress)
+//  - address stats are derived from those two (net sums, not lifetime totals)
+// Confirmed tx lookups for arbitrary txids need `txindex=1`.
+
+const axios = require('axios');
+const bitcoin = require('bitcoinjs-lib');
+const { FEE_TARGETS, ChainBackend, BackendError } = require('./chain-backend');
+const { formatTransaction, formatOutput } = require('./tx-format');
+
+const MEMPOOL_BATCH_SIZE = 500; // getrawtransaction calls per JSON-RPC batch
+const MAX_SCANNED_ADDRESSES = 10000; // scan results kept for spend detection
+
+class BitcoindBackend extends ChainBackend {
+  constructor(network, options = {}) {
+    super(network, options);
+    this.type = 'bitcoind';
+    if (!options.url) {
+      throw new BackendError(`No bitcoind RPC URL configured for ${network}`, { status: 500, backend: this.type });
+    }
+    this.url = options.url;
+    this.auth = options.username ? { username: options.username, password: options.password || '' } : undefined;
+    this.timeout = options.timeout || 30000;
+    this.net = options.bitcoinNetwork;
+    this.rpcId = 0;
+    this.mempoolTtl = options.mempoolTtl ?? 5000;
+    // Decoded mempool: txid -> tx, output address -> Set of txids,
+    // spent outpoint -> spending txid
+    this.mempool = { txs: new Map(), byAddress: new Map(), spends: new Map(), fetched_at: 0, refresh: null };
+    this.scans = { pending: [], running: null };
+    this.scanned = new Map(); // address -> outpoint -> output, from its last scan
+  }
+
+  async rpc(method, params = []) {
+    let response;
+    try {
+      response = await axios.post(
+        this.url,
+        { jsonrpc: '1.0', id: ++this.rpcId, method, params },
+        { auth: this.auth, timeout: this.timeout, validateStatus: () => true }
+      );
+    } catch (err) {
+      throw new BackendError(`bitcoind unreachable: ${err.message}`, { backend: this.type, cause: err });
+    }
+
+    const body = response.data || {};
+    if (body.error) {
+      // -5: no such tx/address, -8: invalid parameter, -25/-26: rejected tx
+      const code = body.error.code;
+      const status = code === -5 ? 404 : code === -8 || code === -25 || code === -26 ? 400 : 502;
+      throw new BackendError(body.error.message, { status, backend: this.type });
+    }
+    if (response.status >= 400) {
+      throw new BackendError(`bitcoind HTTP ${response.status}`, { backend: this.type });
+    }
+    return body.result;
+  }
+
+  async blockStatus(blockhash) {
+    if (!blockhash) return { confirmed: false };
+    const header = await this.rpc('getblockheader', [blockhash]);
+    return {
+      confirmed: true,
+      block_height: header.height,
+      block_hash: blockhash,
+      block_time: header.time,
+    };
+  }
+
+  async decodeWithPrevouts(hex, status) {
+    const tx = bitcoin.Transaction.fromHex(hex);
+    const prevouts = await Promise.all(
+      tx.ins.map(async (input) => {
+        if (tx.isCoinbase()) return null;
+        const prevTxid = Buffer.from(input.hash).reverse().toString('hex');
+        try {
+          const prevHex = await this.rpc('getrawtransaction', [prevTxid, false]);
+          return bitcoin.Transaction.fromHex(prevHex).outs[input.index];
+        } catch (e) {
+          return null; // prevout unknown without txindex
+        }
+      })
+    );
+    return formatTransaction(tx, { network: this.net, prevouts, status });
+  }
+
+  // JSON-RPC batch: one HTTP round trip for many calls. Results come back in
+  // call order; a failed call yields an Error in its slot.
+  async rpcBatch(calls) {
+    if (!calls.length) return [];
+    const first = this.rpcId + 1;
+    this.rpcId += calls.length;
+    let response;
+    try {
+      response = await axios.post(
+        this.url,
+        calls.map(([method, params = []], i) => ({ jsonrpc: '1.0', id: first + i, method, params })),
+        { auth: this.auth, timeout: this.timeout, validateStatus: () => true }
+      );
+    } catch (err) {
+      throw new BackendError(`bitcoind unreachable: ${err.message}`, { backend: this.type, cause: err });
+    }
+    if (!Array.isArray(response.data)) {
+      throw new BackendError(`bitcoind HTTP ${response.status}`, { backend: this.type });
+    }
+    const byId = new Map(response.data.map((reply) => [reply.id, reply]));
+    return calls.map((call, i) => {
+      const reply = byId.get(first + i) || {};
+      return reply.error || reply.result === undefined ? new Error((reply.error && reply.error.message) || 'no reply') : reply.result;
+    });
+  }
+
+  // One decoded view of the mempool shared by every address query. A refresh
+  // costs one getrawmempool plus batched getrawtransaction calls for the txs
+  // that arrived since the last one, and the view is reused for `mempoolTtl`
+  // ms. Prevouts are not looked up here: mempoolTxsFor fills them in for the
+  // few txs that touch a queried address.
+  async mempoolSnapshot() {
+    const mempool = this.mempool;
+    if (Date.now() - mempool.fetched_at < this.mempoolTtl) return mempool;
+    if (!mempool.refresh) {
+      mempool.refresh = this.refreshMempool().finally(() => (mempool.refresh = null));
+    }
+    await mempool.refresh;
+    return mempool;
+  }
+
+  async refreshMempool() {
+    const { txs, byAddress, spends } = this.mempool;
+    const index = (tx, add) => {
+      tx.vout.forEach((out) => {
+        const address = out.scriptpubkey_address;
+        if (!address) return;
+        const set = byAddress.get(address) || new Set();
+        if (add) set.add(tx.txid);
+        else set.delete(tx.txid);
+        if (set.size) byAddress.set(address, set);
+        else byAddress.delete(address);
+      });
+      tx.vin.forEach((input) => {
+        if (add) spends.set(`${input.txid}:${input.vout}`, tx.txid);
+        else spends.delete(`${input.txid}:${input.vout}`);
+      });
+    };
+
+    const live = new Set(await this.rpc('getrawmempool', [false]));
+    for (const [txid, tx] of txs) {
+      if (live.has(txid)) continue;
+      index(tx, false);
+      txs.delete(txid);
+    }
+    const added = [...live].filter((txid) => !txs.has(txid));
+    for (let i = 0; i < added.length; i += MEMPOOL_BATCH_SIZE) {
+      const chunk = added.slice(i, i + MEMPOOL_BATCH_SIZE);
+      const hexes = await this.rpcBatch(chunk.map((txid) => ['getrawtransaction', [txid, false]]));
+      hexes.forEach((hex) => {
+        if (hex instanceof Error) return; // evicted/mined between calls
+        const tx = formatTransaction(bitcoin.Transaction.fromHex(hex), { network: this.net });
+        txs.set(tx.txid, tx);
+        index(tx, true);
+      });
+    }
+    this.mempool.fetched_at = Date.now();
+  }
+
+  // Mempool txs paying `address` or spending its outputs. Spent outputs are
+  // known from the address's last scantxoutset and from its mempool outputs,
+  // so outgoing spends of confirmed coins show once getAddressUtxos has run.
+  // Returned txs get their prevouts (from the mempool or that scan) and, when
+  // some stay unknown, their fee from getmempoolentry.
+  async mempoolTxsFor(address) {
+    const { txs, byAddress, spends } = await this.mempoolSnapshot();
+    const ours = new Set(byAddress.get(address) || []);
+    const outputs = new Map(this.scanned.get(address) || []);
+    ours.forEach((txid) =>
+      txs.get(txid).vout.forEach((out, vout) => {
+        if (out.scriptpubkey_address === address) outputs.set(`${txid}:${vout}`, out);
+      })
+    );
+    outputs.forEach((out, outpoint) => spends.has(outpoint) && ours.add(spends.get(outpoint)));
+
+    const result = [...ours].map((txid) => txs.get(txid));
+    for (const tx of result) {
+      tx.vin.forEach((input) => {
+        if (input.prevout) return;
+        const parent = txs.get(input.txid);
+        input.prevout = (parent && parent.vout[input.vout]) || outputs.get(`${input.txid}:${input.vout}`) || null;
+      });
+      if (tx.fee === null && tx.vin.every((input) => input.prevout)) {
+        tx.fee = tx.vin.reduce((sum, input) => sum + input.prevout.value, 0) - tx.vout.reduce((sum, out) => sum + out.value, 0);
+      }
+      if (tx.fee === null) {
+        try {
+          const entry = await this.rpc('getmempoolentry', [tx.txid]);
+          tx.fee = Math.round(entry.fees.base * 1e8);
+        } catch (e) {
+          // left the mempool since the refresh
+        }
+      }
+    }
+    return result;
+  }
+
+  // scantxoutset runs one scan at a time per node ("Scan already in
+  // progress"). Lookups that arrive during a scan queue up and share the
+  // next one, which covers all of their addresses.
+  scanAddress(address) {
+    let script;
+    try {
+      script = bitcoin.address.toOutputScript(address, this.net);
+    } catch (e) {
+      return Promise.reject(new BackendError(`Invalid address: ${address}`, { status: 400, backend: this.type }));
+    }
+    return new Promise((resolve, reject) => {
+      this.scans.pending.push({ address, script, resolve, reject });
+      this.runScan();
+    });
+  }
+
+  runScan() {
+    const scans = this.scans;
+    if (scans.running || !scans.pending.length) return;
+    const batch = scans.pending.splice(0);
+    const addresses = [...new Set(batch.map((entry) => entry.address))];
+    scans.running = this.rpc('scantxoutset', ['start', addresses.map((address) => `addr(${address})`)])
+      .then((scan) => {
+        const byScript = new Map(batch.map((entry) => [entry.script.toString('hex'), []]));
+        (scan.unspents || []).forEach((unspent) => {
+          const list = byScript.get(unspent.scriptPubKey);
+          if (list) list.push(unspent);
+        });
+        batch.forEach(({ address, script, resolve }) => {
+          const unspents = byScript.get(script.toString('hex'));
+          const outputs = unspents.map((u) => [`${u.txid}:${u.vout}`, formatOutput({ script, value: Math.round(u.amount * 1e8) }, this.net)]);
+          this.scanned.delete(address); // re-insert: the oldest entry goes first
+          this.scanned.set(address, new Map(outputs));
+          if (this.scanned.size > MAX_SCANNED_ADDRESSES) this.scanned.delete(this.scanned.keys().next().value);
+          resolve(unspents);
+        });
+      })
+      .catch((e) => batch.forEach((entry) => entry.reject(e)))
+      .finally(() => {
+        scans.running = null;
+        this.runScan();
+      });
+  }
+
+  // Confirmed UTXOs from the scan plus unspent mempool outputs
+  async addressView(address) {
+    const unspents = await this.scanAddress(address);
+    const mempoolTxs = await this.mempoolTxsFor(address);
+
+    const spentInMempool = new Set();
+    mempoolTxs.forEach((tx) => tx.vin.forEach((input) => spentInMempool.add(`${input.txid}:${input.vout}`)));
+
+    const headers = {};
+    const utxos = [];
+    for (const unspent of unspents) {
+      if (spentInMempool.has(`${unspent.txid}:${unspent.vout}`)) continue;
+      if (!headers[unspent.height]) {
+        const hash = await this.rpc('getblockhash', [unspent.height]);
+        headers[unspent.height] = await this.blockStatus(hash);
+      }
+      utxos.push({
+        txid: unspent.txid,
+        vout: unspent.vout,
+        value: Math.round(unspent.amount * 1e8),
+        status: headers[unspent.height],
+      });
+    }
+
+    mempoolTxs.forEach((tx) => {
+      tx.vout.forEach((out, vout) => {
+        if (out.scriptpubkey_address === address && !spentInMempool.has(`${tx.txid}:${vout}`)) {
+          utxos.push({ txid: tx.txid, vout, value: out.value, status: { confirmed: false } });
+        }
+      });
+    });
+
+    return { utxos, mempoolTxs };
+  }
+
+  async getAddressUtxos(address) {
+    return (await this.addressView(address)).utxos;
+  }
+
+  async getAddressStats(address) {
+    const { utxos, mempoolTxs } = await this.addressView(address);
+
+    const confirmed = utxos.filter((u) => u.status.confirmed);
+    let mempoolFunded = 0;
+    let mempoolSpent = 0;
+    mempoolTxs.forEach((tx) => {
+      tx.vout.forEach((out) => {
+        if (out.scriptpubkey_address === address) mempoolFunded += out.value;
+      });
+      tx.vin.forEach((input) => {
+        if (input.prevout && input.prevout.scriptpubkey_address === address) mempoolSpent += input.prevout.value;
+      });
+    });
+
+    return {
+      address,
+      chain_stats: {
+        funded_txo_count: confirmed.length,
+        funded_txo_sum: confirmed.reduce((sum, u) => sum + u.value, 0),
+        spent_txo_count: 0,
+        spent_txo_sum: 0,
+        tx_count: new Set(confirmed.map((u) => u.txid)).size,
+      },
+      mempool_stats: {
+        funded_txo_sum: mempoolFunded,
+        spent_txo_sum: mempoolSpent,
+        tx_count: mempoolTxs.length,
+      },
+    };
+  }
+
+  async getAddressMempoolTxs(address) {
+    return this.mempoolTxsFor(address);
+  }
+
+  async getTransaction(txid) {
+    const verbose = await this.rpc('getrawtransaction', [txid, true]);
+    const status = await this.blockStatus(verbose.confirmations > 0 ? verbose.blockhash : null);
+    return this.decodeWithPrevouts(verbose.hex, status);
+  }
+
+  async getTransactionHex(txid) {
+    return this.rpc('getrawtransaction', [txid, false]);
+  }
+
+  // Core names mempool spenders only (gettxspendingprevout, v24+). An output
+  // gone from the UTXO set was spent in a block by a tx we can't look up.
+  async getOutspend(txid, vout) {
+    const [spending] = await this.rpc('gettxspendingprevout', [[{ txid, vout }]]);
+    if (spending && spending.spendingtxid) {
+      return { spent: true, txid: spending.spendingtxid, status: { confirmed: false } };
+    }
+    const utxo = await this.rpc('gettxout', [txid, vout, true]);
+    return utxo ? { spent: false } : { spent: true, status: { confirmed: true } };
+  }
+
+  async broadcast(hex) {
+    return this.rpc('sendrawtransaction', [hex]);
+  }
+
+  async getFeeEstimates() {
+    const estimates = {};
+    for (const target of FEE_TARGETS) {
+      try {
+        const result = await this.rpc('estimatesmartfee', [target]);
+        if (typeof result.feerate === 'number') {
+          estimates[target] = result.feerate * 1e5; // BTC/kvB -> sat/vB
+        }
+      } catch (e) {
+        // Not enough data for this target yet
+      }
+    }
+    return estimates;
+  }
+
+  async getTipHeight() {
+    return this.rpc('getblockcount');
+  }
+
+  async getBlockHash(height) {
+    return this.rpc('getblockhash', [height]);
+  }
+
+  async getBlockRaw(hash) {
+    return Buffer.from(await this.rpc('getblock', [hash, 0]), 'hex');
+  }
+}
+
+module.exports = BitcoindBackend;
@@ -0,0 +1,102 @@
+// lib/backends/chain-backend.js
+// ChainBackend: the interface every chain data source implements.
+// All results are normalized to Esplora-shaped objects so routes and the
+// wallet engine never need to know which backend is answering.
+
+// Confirmation targets (blocks) that backends without a fee histogram ask
+// estimates for, and lib/fees fills in
+const FEE_TARGETS = [1, 2, 3, 6, 12, 25, 144, 504, 1008];
+
+class BackendError extends Error {
+  constructor(message, { status = 502, backend = null, cause = null } = {}) {
+    super(message);
+    this.name = 'BackendError';
+    this.status = status;
+    this.backend = backend;
+    if (cause) this.cause = cause;
+  }
+}
+
+class ChainBackend {
+  constructor(network, options = {}) {
+    this.network = network;
+    this.options = options;
+    this.type = 'abstract';
+  }
+
+  // Whether `method` is implemented here rather than left to the 501 stub
+  supports(method) {
+    return typeof this[method] === 'function' && this[method] !== ChainBackend.prototype[method];
+  }
+
+  notImplemented(method) {
+    return Promise.reject(
+      new BackendError(`${this.type} backend does not implement ${method}`, {
+        status: 501,
+        backend: this.type,
+      })
+    );
+  }
+
+  // [{ txid, vout, value, status: { confirmed, block_height, block_hash, block_time } }]
+  async getAddressUtxos(address) {
+    return this.notImplemented('getAddressUtxos');
+  }
+
+  // { address, chain_stats: {...}, mempool_stats: {...} }
+  async getAddressStats(address) {
+    return this.notImplemented('getAddressStats');
+  }
+
+  // [tx] for unconfirmed transactions touching the address
+  async getAddressMempoolTxs(address) {
+    return this.notImplemented('getAddressMempoolTxs');
+  }
+
+  // Esplora tx object (vin with prevouts, vout, fee, vsize, weight, status)
+  async getTransaction(txid) {
+    return this.notImplemented('getTransaction');
+  }
+
+  async getTransactionHex(txid) {
+    return this.notImplemented('getTransactionHex');
+  }
+
+  // Who spends output txid:vout: { spent: false } or { spent: true, txid, vin, status }
+  async getOutspend(txid, vout) {
+    return this.notImplemented('getOutspend');
+  }
+
+  // Returns the txid accepted by the backend
+  async broadcast(hex) {
+    return this.notImplemented('broadcast');
+  }
+
+  // { '<target blocks>': sat/vB }, same shape as Esplora /fee-estimates
+  async getFeeEstimates() {
+    return this.notImplemented('getFeeEstimates');
+  }
+
+  async getTipHeight() {
+    return this.notImplemented('getTipHeight');
+  }
+
+  // Hash of the best-chain block at `height`
+  async getBlockHash(height) {
+    return this.notImplemented('getBlockHash');
+  }
+
+  // Serialized block (Buffer), for parsing with bitcoin.Block.fromBuffer
+  async getBlockRaw(hash) {
+    return this.notImplemented('getBlockRaw');
+  }
+
+  // mempool.space-compatible push socket, or null when the backend has none
+  getWebSocketUrl() {
+    return null;
+  }
+
+  close() {}
+}
+
+module.exports = { FEE_TARGETS, ChainBackend, BackendError };
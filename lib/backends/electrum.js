@@ -0,0 +1,269 @@
+// lib/backends/electrum.js
+// ElectrumBackend: Electrum protocol (electrs, Fulcrum, ElectrumX) over TCP
+// or TLS. Addresses are queried by scripthash; transactions arrive as hex and
+// are decoded locally.
+
+const net = require('net');
+const tls = require('tls');
+const bitcoin = require('bitcoinjs-lib');
+const { FEE_TARGETS, ChainBackend, BackendError } = require('./chain-backend');
+const { formatTransaction, parseBlockHeader, scriptToScripthash, addressToScripthash } = require('./tx-format');
+
+const PROTOCOL_VERSION = '1.4';
+const HEADER_CACHE_DEPTH = 6; // shallower headers may still be reorged away
+
+class ElectrumBackend extends ChainBackend {
+  constructor(network, options = {}) {
+    super(network, options);
+    this.type = 'electrum';
+    if (!options.host || !options.port) {
+      throw new BackendError(`No Electrum server configured for ${network}`, { status: 500, backend: this.type });
+    }
+    this.host = options.host;
+    this.port = Number(options.port);
+    this.useTls = Boolean(options.tls);
+    this.rejectUnauthorized = options.rejectUnauthorized !== false;
+    this.timeout = options.timeout || 15000;
+    this.net = options.bitcoinNetwork;
+
+    this.socket = null;
+    this.connecting = null;
+    this.buffer = '';
+    this.pending = new Map();
+    this.rpcId = 0;
+    this.headerCache = {};
+    this.tipHeight = null;
+  }
+
+  connect() {
+    if (this.socket) return Promise.resolve();
+    if (this.connecting) return this.connecting;
+
+    this.connecting = new Promise((resolve, reject) => {
+      const onConnect = () => {
+        this.socket = socket;
+        this.connecting = null;
+        this.call('server.version', ['bitcoin-beast', PROTOCOL_VERSION]).then(() => resolve(), reject);
+      };
+      const socket = this.useTls
+        ? tls.connect({ host: this.host, port: this.port, servername: this.host, rejectUnauthorized: this.rejectUnauthorized }, onConnect)
+        : net.connect({ host: this.host, port: this.port }, onConnect);
+
+      socket.setEncoding('utf8');
+      socket.setKeepAlive(true);
+      socket.on('data', (chunk) => this.onData(chunk));
+      socket.on('error', (err) => {
+        this.connecting = null;
+        this.failPending(err);
+        reject(new BackendError(`electrum connection failed: ${err.message}`, { backend: this.type, cause: err }));
+      });
+      socket.on('close', () => {
+        this.socket = null;
+        this.connecting = null;
+        this.failPending(new Error('electrum connection closed'));
+      });
+    });
+    return this.connecting;
+  }
+
+  onData(chunk) {
+    this.buffer += chunk;
+    let newline;
+    while ((newline = this.buffer.indexOf('\n')) !== -1) {
+      const line = this.buffer.slice(0, newline);
+      this.buffer = this.buffer.slice(newline + 1);
+      if (!line.trim()) continue;
+      let msg;
+      try {
+        msg = JSON.parse(line);
+      } catch (e) {
+        continue;
+      }
+      const entry = this.pending.get(msg.id);
+      if (!entry) continue; // subscription notification
+      this.pending.delete(msg.id);
+      clearTimeout(entry.timer);
+      if (msg.error) {
+        const message = typeof msg.error === 'string' ? msg.error : msg.error.message;
+        entry.reject(new BackendError(message, { status: /not found|no such/i.test(message) ? 404 : 400, backend: this.type }));
+      } else {
+        entry.resolve(msg.result);
+      }
+    }
+  }
+
+  failPending(err) {
+    for (const [id, entry] of this.pending) {
+      clearTimeout(entry.timer);
+      entry.reject(new BackendError(err.message, { backend: this.type, cause: err }));
+      this.pending.delete(id);
+    }
+  }
+
+  call(method, params = []) {
+    return new Promise((resolve, reject) => {
+      const id = ++this.rpcId;
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new BackendError(`electrum ${method} timed out`, { status: 504, backend: this.type }));
+      }, this.timeout);
+      this.pending.set(id, { resolve, reject, timer });
+      this.socket.write(`${JSON.stringify({ jsonrpc: '2.0', id, method, params })}\n`);
+    });
+  }
+
+  async request(method, params) {
+    await this.connect();
+    return this.call(method, params);
+  }
+
+  scripthash(address) {
+    try {
+      return addressToScripthash(address, this.net);
+    } catch (e) {
+      throw new BackendError('Invalid address for network', { status: 400, backend: this.type });
+    }
+  }
+
+  // Headers are cached once HEADER_CACHE_DEPTH deep under the last tip seen
+  async blockStatus(height) {
+    if (!height || height <= 0) return { confirmed: false };
+    if (this.headerCache[height]) return this.headerCache[height];
+    const header = parseBlockHeader(await this.request('blockchain.block.header', [height]));
+    const status = {
+      confirmed: true,
+      block_height: height,
+      block_hash: header.hash,
+      block_time: header.time,
+    };
+    if (this.tipHeight !== null && height <= this.tipHeight - HEADER_CACHE_DEPTH) this.headerCache[height] = status;
+    return status;
+  }
+
+  async decodeWithPrevouts(hex, status) {
+    const tx = bitcoin.Transaction.fromHex(hex);
+    const prevouts = await Promise.all(
+      tx.ins.map(async (input) => {
+        if (tx.isCoinbase()) return null;
+        const prevTxid = Buffer.from(input.hash).reverse().toString('hex');
+        const prevHex = await this.request('blockchain.transaction.get', [prevTxid, false]);
+        return bitcoin.Transaction.fromHex(prevHex).outs[input.index];
+      })
+    );
+    return formatTransaction(tx, { network: this.net, prevouts, status });
+  }
+
+  async getAddressUtxos(address) {
+    const unspent = await this.request('blockchain.scripthash.listunspent', [this.scripthash(address)]);
+    const utxos = [];
+    for (const u of unspent) {
+      utxos.push({ txid: u.tx_hash, vout: u.tx_pos, value: u.value, status: await this.blockStatus(u.height) });
+    }
+    return utxos;
+  }
+
+  async getAddressStats(address) {
+    const scripthash = this.scripthash(address);
+    const balance = await this.request('blockchain.scripthash.get_balance', [scripthash]);
+    const history = await this.request('blockchain.scripthash.get_history', [scripthash]);
+    const chainTxs = history.filter((h) => h.height > 0).length;
+
+    // Electrum reports balances, not funded/spent totals; expose them as net sums.
+    return {
+      address,
+      chain_stats: {
+        funded_txo_sum: balance.confirmed,
+        spent_txo_sum: 0,
+        tx_count: chainTxs,
+      },
+      mempool_stats: {
+        funded_txo_sum: Math.max(balance.unconfirmed, 0),
+        spent_txo_sum: Math.max(-balance.unconfirmed, 0),
+        tx_count: history.length - chainTxs,
+      },
+    };
+  }
+
+  async getAddressMempoolTxs(address) {
+    const mempool = await this.request('blockchain.scripthash.get_mempool', [this.scripthash(address)]);
+    const txs = [];
+    for (const entry of mempool) {
+      const hex = await this.request('blockchain.transaction.get', [entry.tx_hash, false]);
+      txs.push(await this.decodeWithPrevouts(hex, { confirmed: false }));
+    }
+    return txs;
+  }
+
+  async getTransaction(txid) {
+    const hex = await this.request('blockchain.transaction.get', [txid, false]);
+    const tx = await this.decodeWithPrevouts(hex, { confirmed: false });
+
+    // Locate the block through the history of the first output's script.
+    const firstOut = tx.vout.find((out) => out.scriptpubkey_address);
+    if (firstOut) {
+      const history = await this.request('blockchain.scripthash.get_history', [
+        this.scripthash(firstOut.scriptpubkey_address),
+      ]);
+      const entry = history.find((h) => h.tx_hash === txid);
+      if (entry) tx.status = await this.blockStatus(entry.height);
+    }
+    return tx;
+  }
+
+  async getTransactionHex(txid) {
+    return this.request('blockchain.transaction.get', [txid, false]);
+  }
+
+  // Electrum has no spend index: the spender is in the history of the
+  // output's script, newest entries first being the likeliest.
+  async getOutspend(txid, vout) {
+    const prev = bitcoin.Transaction.fromHex(await this.request('blockchain.transaction.get', [txid, false]));
+    const out = prev.outs[vout];
+    if (!out) throw new BackendError(`Transaction ${txid} has no output ${vout}`, { status: 404, backend: this.type });
+
+    const history = await this.request('blockchain.scripthash.get_history', [scriptToScripthash(out.script)]);
+    for (const entry of [...history].reverse()) {
+      if (entry.tx_hash === txid) continue;
+      const tx = bitcoin.Transaction.fromHex(await this.request('blockchain.transaction.get', [entry.tx_hash, false]));
+      const vin = tx.ins.findIndex((input) => input.index === vout && Buffer.from(input.hash).reverse().toString('hex') === txid);
+      if (vin !== -1) return { spent: true, txid: entry.tx_hash, vin, status: await this.blockStatus(entry.height) };
+    }
+    return { spent: false };
+  }
+
+  async broadcast(hex) {
+    return this.request('blockchain.transaction.broadcast', [hex]);
+  }
+
+  async getFeeEstimates() {
+    const estimates = {};
+    for (const target of FEE_TARGETS) {
+      const btcPerKb = await this.request('blockchain.estimatefee', [target]);
+      if (typeof btcPerKb === 'number' && btcPerKb > 0) {
+        estimates[target] = btcPerKb * 1e5; // BTC/kB -> sat/vB
+      }
+    }
+    return estimates;
+  }
+
+  async getTipHeight() {
+    const tip = await this.request('blockchain.headers.subscribe', []);
+    this.tipHeight = tip.height;
+    return tip.height;
+  }
+
+  // Always asks the server: a cached header may belong to an orphaned block
+  async getBlockHash(height) {
+    delete this.headerCache[height];
+    return (await this.blockStatus(height)).block_hash;
+  }
+
+  close() {
+    if (this.socket) {
+      this.socket.end();
+      this.socket = null;
+    }
+  }
+}
+
+module.exports = ElectrumBackend;
@@ -0,0 +1,99 @@
+// lib/backends/esplora.js
+// EsploraBackend: Esplora REST API (blockstream/electrs, mempool.space, or a
+// self-hosted instance). Responses are already Esplora-shaped.
+
+const axios = require('axios');
+const { ChainBackend, BackendError } = require('./chain-backend');
+const { normalizeEsploraTx } = require('./tx-format');
+
+class EsploraBackend extends ChainBackend {
+  constructor(network, options = {}) {
+    super(network, options);
+    this.type = 'esplora';
+    if (!options.url) {
+      throw new BackendError(`No Esplora URL configured for ${network}`, { status: 500, backend: this.type });
+    }
+    this.baseUrl = options.url.replace(/\/+$/, '');
+    this.wsUrl = options.wsUrl || null;
+    this.timeout = options.timeout || 10000;
+  }
+
+  async request(method, path, data, responseType) {
+    try {
+      const response = await axios({
+        method,
+        url: `${this.baseUrl}${path}`,
+        data,
+        headers: data !== undefined ? { 'Content-Type': 'text/plain' } : undefined,
+        timeout: this.timeout,
+        responseType,
+      });
+      return response.data;
+    } catch (err) {
+      const status = err.response?.status;
+      const detail = typeof err.response?.data === 'string' ? err.response.data : err.message;
+      throw new BackendError(detail || 'Upstream error', {
+        status: status === 404 || status === 400 ? status : 502,
+        backend: this.type,
+        cause: err,
+      });
+    }
+  }
+
+  get(path) {
+    return this.request('get', path);
+  }
+
+  async getAddressUtxos(address) {
+    const utxos = await this.get(`/address/${encodeURIComponent(address)}/utxo`);
+    return Array.isArray(utxos) ? utxos : [];
+  }
+
+  async getAddressStats(address) {
+    return this.get(`/address/${encodeURIComponent(address)}`);
+  }
+
+  async getAddressMempoolTxs(address) {
+    const txs = await this.get(`/address/${encodeURIComponent(address)}/txs/mempool`);
+    return Array.isArray(txs) ? txs.map(normalizeEsploraTx) : [];
+  }
+
+  async getTransaction(txid) {
+    return normalizeEsploraTx(await this.get(`/tx/${txid}`));
+  }
+
+  async getTransactionHex(txid) {
+    return this.get(`/tx/${txid}/hex`);
+  }
+
+  async getOutspend(txid, vout) {
+    return this.get(`/tx/${txid}/outspend/${vout}`);
+  }
+
+  async broadcast(hex) {
+    const txid = await this.request('post', '/tx', hex);
+    return String(txid).trim();
+  }
+
+  async getFeeEstimates() {
+    return this.get('/fee-estimates');
+  }
+
+  async getTipHeight() {
+    return Number(await this.get('/blocks/tip/height'));
+  }
+
+  async getBlockHash(height) {
+    return String(await this.get(`/block-height/${height}`)).trim();
+  }
+
+  async getBlockRaw(hash) {
+    return Buffer.from(await this.request('get', `/block/${hash}/raw`, undefined, 'arraybuffer'));
+  }
+
+  getWebSocketUrl() {
+    return this.wsUrl;
+  }
+}
+
+module.exports = EsploraBackend;
@@ -0,0 +1,121 @@
+// lib/backends/index.js
+// Chain backend selection. Configure through the environment:
+//   CHAIN_BACKEND            esplora (default) | bitcoind | electrum
+//   ESPLORA_URL, ESPLORA_WS_URL
+//   BITCOIND_RPC_URL, BITCOIND_RPC_USER, BITCOIND_RPC_PASSWORD, BITCOIND_MEMPOOL_TTL_MS
+//   ELECTRUM_HOST, ELECTRUM_PORT, ELECTRUM_TLS
+// Each variable may be suffixed with the network (e.g. ESPLORA_URL_MAINNET,
+// CHAIN_BACKEND_REGTEST, ESPLORA_URL_SIGNET) to override it for that network only.
+
+const { NETWORKS } = require('../networks');
+const { FEE_TARGETS, ChainBackend, BackendError } = require('./chain-backend');
+const EsploraBackend = require('./esplora');
+const BitcoindBackend = require('./bitcoind');
+const ElectrumBackend = require('./electrum');
+
+const DEFAULTS = {
+  testnet: {
+    esplora: 'https://mempool.space/testnet/api',
+    esploraWs: 'wss://mempool.space/testnet/v1/ws',
+    bitcoind: 'http://127.0.0.1:18332',
+  },
+  mainnet: {
+    esplora: 'https://mempool.space/api',
+    esploraWs: 'wss://mempool.space/v1/ws',
+    bitcoind: 'http://127.0.0.1:8332',
+  },
+  // Default signet; point ESPLORA_URL_SIGNET / BITCOIND_RPC_URL_SIGNET at a
+  // custom signet's infrastructure to use that instead.
+  signet: {
+    esplora: 'https://mempool.space/signet/api',
+    esploraWs: 'wss://mempool.space/signet/v1/ws',
+    bitcoind: 'http://127.0.0.1:38332',
+  },
+  // Local electrs (esplora HTTP on 3002) / bitcoind -regtest
+  regtest: {
+    esplora: 'http://127.0.0.1:3002',
+    esploraWs: null,
+    bitcoind: 'http://127.0.0.1:18443',
+  },
+};
+
+const BACKEND_TYPES = {
+  esplora: EsploraBackend,
+  bitcoind: BitcoindBackend,
+  electrum: ElectrumBackend,
+};
+
+const backends = {};
+
+function envFor(name, network) {
+  const scoped = process.env[`${name}_${network.toUpperCase()}`];
+  return scoped !== undefined ? scoped : process.env[name];
+}
+
+function backendConfig(network) {
+  const defaults = DEFAULTS[network] || {};
+  return {
+    type: envFor('CHAIN_BACKEND', network) || 'esplora',
+    esplora: {
+      url: envFor('ESPLORA_URL', network) || defaults.esplora,
+      wsUrl: envFor('ESPLORA_WS_URL', network) || defaults.esploraWs,
+    },
+    bitcoind: {
+      url: envFor('BITCOIND_RPC_URL', network) || defaults.bitcoind,
+      username: envFor('BITCOIND_RPC_USER', network),
+      password: envFor('BITCOIND_RPC_PASSWORD', network),
+      mempoolTtl: Number(envFor('BITCOIND_MEMPOOL_TTL_MS', network)) || undefined,
+    },
+    electrum: {
+      host: envFor('ELECTRUM_HOST', network),
+      port: envFor('ELECTRUM_PORT', network),
+      tls: envFor('ELECTRUM_TLS', network) === 'true',
+    },
+  };
+}
+
+// Build a backend from explicit options: { type, ...typeOptions }
+function createBackend(network, options) {
+  if (!NETWORKS[network]) {
+    throw new BackendError(`Unsupported network: ${network}`, { status: 400 });
+  }
+  const config = options || backendConfig(network);
+  const Backend = BACKEND_TYPES[config.type];
+  if (!Backend) {
+    throw new BackendError(`Unknown chain backend: ${config.type}`, { status: 500 });
+  }
+  const typeOptions = options ? options : config[config.type];
+  return new Backend(network, { ...typeOptions, bitcoinNetwork: NETWORKS[network] });
+}
+
+// Shared, lazily created backend per network
+function getBackend(network) {
+  if (!backends[network]) {
+    backends[network] = createBackend(network);
+  }
+  return backends[network];
+}
+
+// Swap the backend for a network (tests, custom setups)
+function setBackend(network, backend) {
+  if (backends[network] && backends[network] !== backend) {
+    backends[network].close();
+  }
+  if (backend) backends[network] = backend;
+  else delete backends[network];
+}
+
+module.exports = {
+  FEE_TARGETS,
+  ChainBackend,
+  BackendError,
+  EsploraBackend,
+  BitcoindBackend,
+  ElectrumBackend,
+  BACKEND_TYPES,
+  envFor,
+  backendConfig,
+  createBackend,
+  getBackend,
+  setBackend,
+};
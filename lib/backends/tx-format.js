@@ -0,0 +1,148 @@
+// lib/backends/tx-format.js
+// Helpers that turn raw transactions into Esplora-shaped JSON, for backends
+// (Bitcoin Core, Electrum) that only hand us hex.
+
+const bitcoin = require('bitcoinjs-lib');
+
+const SEQUENCE_RBF_MAX = 0xfffffffd;
+
+// Esplora's `scriptpubkey_type` names where they differ from classifyScript's
+const ESPLORA_TYPES = {
+  p2wpkh: 'v0_p2wpkh',
+  p2wsh: 'v0_p2wsh',
+  p2tr: 'v1_p2tr',
+  anchor: 'unknown',
+  witness_unknown: 'unknown',
+  nonstandard: 'unknown',
+};
+
+// Output script type: op_return, p2pkh, p2sh, p2wpkh, p2wsh, p2tr, anchor,
+// witness_unknown, p2pk, multisig or nonstandard
+function classifyScript(script) {
+  const len = script.length;
+  if (len > 0 && script[0] === bitcoin.opcodes.OP_RETURN) return 'op_return';
+  if (len === 25 && script[0] === 0x76 && script[1] === 0xa9 && script[2] === 0x14 && script[23] === 0x88 && script[24] === 0xac) {
+    return 'p2pkh';
+  }
+  if (len === 23 && script[0] === 0xa9 && script[1] === 0x14 && script[22] === 0x87) return 'p2sh';
+  if (len === 22 && script[0] === 0x00 && script[1] === 0x14) return 'p2wpkh';
+  if (len === 34 && script[0] === 0x00 && script[1] === 0x20) return 'p2wsh';
+  if (len === 34 && script[0] === bitcoin.opcodes.OP_1 && script[1] === 0x20) return 'p2tr';
+  if (len === 4 && script.toString('hex') === '51024e73') return 'anchor'; // pay-to-anchor
+  if (len >= 4 && len <= 42 && script[1] === len - 2 && script[0] >= bitcoin.opcodes.OP_1 && script[0] <= bitcoin.opcodes.OP_16) {
+    return 'witness_unknown';
+  }
+  if ((len === 35 || len === 67) && script[0] === len - 2 && script[len - 1] === bitcoin.opcodes.OP_CHECKSIG) return 'p2pk';
+  try {
+    bitcoin.payments.p2ms({ output: script });
+    return 'multisig';
+  } catch (e) {
+    return 'nonstandard';
+  }
+}
+
+// Esplora-style name, as in `scriptpubkey_type`
+function scriptType(script) {
+  const type = classifyScript(script);
+  return ESPLORA_TYPES[type] || type;
+}
+
+function scriptAddress(script, network) {
+  try {
+    return bitcoin.address.fromOutputScript(script, network);
+  } catch (e) {
+    return null;
+  }
+}
+
+function formatOutput(out, network) {
+  return {
+    scriptpubkey: out.script.toString('hex'),
+    scriptpubkey_type: scriptType(out.script),
+    scriptpubkey_address: scriptAddress(out.script, network) || undefined,
+    value: out.value,
+  };
+}
+
+// prevouts: array aligned with tx.ins of { script: Buffer, value } or null
+function formatTransaction(tx, { network, prevouts = [], status = { confirmed: false } } = {}) {
+  const vin = tx.ins.map((input, idx) => {
+    const isCoinbase = tx.isCoinbase();
+    const prev = prevouts[idx];
+    return {
+      txid: Buffer.from(input.hash).reverse().toString('hex'),
+      vout: input.index,
+      prevout: prev ? formatOutput(prev, network) : null,
+      scriptsig: input.script.toString('hex'),
+      witness: input.witness.length ? input.witness.map((w) => w.toString('hex')) : undefined,
+      is_coinbase: isCoinbase,
+      sequence: input.sequence,
+    };
+  });
+
+  const vout = tx.outs.map((out) => formatOutput(out, network));
+  const inputSum = vin.every((v) => v.prevout)
+    ? vin.reduce((sum, v) => sum + v.prevout.value, 0)
+    : null;
+  const outputSum = vout.reduce((sum, v) => sum + v.value, 0);
+
+  return {
+    txid: tx.getId(),
+    version: tx.version,
+    locktime: tx.locktime,
+    vin,
+    vout,
+    size: tx.byteLength(),
+    weight: tx.weight(),
+    vsize: tx.virtualSize(),
+    fee: inputSum !== null && !tx.isCoinbase() ? inputSum - outputSum : null,
+    rbf: signalsRbf(vin),
+    status,
+  };
+}
+
+function signalsRbf(vin) {
+  return vin.some((input) => input.sequence <= SEQUENCE_RBF_MAX);
+}
+
+// Esplora itself omits vsize/rbf (mempool.space adds them); fill them in.
+function normalizeEsploraTx(tx) {
+  if (!tx || typeof tx !== 'object') return tx;
+  if (typeof tx.vsize !== 'number' && typeof tx.weight === 'number') {
+    tx.vsize = Math.ceil(tx.weight / 4);
+  }
+  if (typeof tx.rbf === 'undefined' && Array.isArray(tx.vin)) {
+    tx.rbf = signalsRbf(tx.vin);
+  }
+  return tx;
+}
+
+// Electrum/Core identify the block by height; headers give hash + time.
+function parseBlockHeader(hex) {
+  const header = Buffer.from(hex, 'hex');
+  return {
+    hash: bitcoin.crypto.hash256(header).reverse().toString('hex'),
+    time: header.readUInt32LE(68),
+  };
+}
+
+function scriptToScripthash(script) {
+  return bitcoin.crypto.sha256(script).reverse().toString('hex');
+}
+
+function addressToScripthash(address, network) {
+  return scriptToScripthash(bitcoin.address.toOutputScript(address, network));
+}
+
+module.exports = {
+  classifyScript,
+  scriptType,
+  scriptAddress,
+  formatOutput,
+  formatTransaction,
+  normalizeEsploraTx,
+  parseBlockHeader,
+  scriptToScripthash,
+  addressToScripthash,
+  signalsRbf,
+};
@@ -0,0 +1,88 @@
+// lib/batch.js
+// Batched payouts: many recipients in one transaction with one change
+// output. Rows come from JSON or CSV ("address,value[,id]", values in sats,
+// optional header line). Each row gets a status:
+//   included         paid by its own output
+//   merged           same address as an earlier row; amounts share one output
+//   duplicate        same id (or same address and value when there is no id)
+//                    as an earlier row; not paid again
+//   deferred         over the max-outputs cap; send it in the next batch
+//   invalid_address / invalid_amount / dust
+
+const bitcoin = require('bitcoinjs-lib');
+const { NETWORKS, validateAddress } = require('./networks');
+const { INPUT_WEIGHT, TX_OVERHEAD_WEIGHT, inputWeight, outputWeight, dustThreshold, feeFor } = require('./coin-selection');
+
+const DEFAULT_MAX_OUTPUTS = 100;
+
+// [{ line, address, value, id }] from CSV text. Commas, semicolons or tabs
+// separate fields; blank lines and # comments are skipped.
+function parseBatchCsv(text) {
+  const rows = [];
+  String(text)
+    .split(/\r?\n/)
+    .forEach((raw, i) => {
+      const line = raw.trim();
+      if (!line || line.startsWith('#')) return;
+      const [address = '', value = '', id] = line.split(/[,;\t]/).map((f) => f.trim().replace(/^"(.*)"$/, '$1'));
+      if (rows.length === 0 && /^address$/i.test(address)) return; // header
+      rows.push({ line: i + 1, address, value, ...(id ? { id } : {}) });
+    });
+  return rows;
+}
+
+// Validates and dedupes rows into recipients (one per address, in first-seen
+// order, at most maxOutputs). Returns { recipients: [{ address, value, rows }],
+// results } with one result per row.
+function prepareBatch(rows, { network = 'testnet', maxOutputs = DEFAULT_MAX_OUTPUTS } = {}) {
+  const net = NETWORKS[network];
+  const recipients = [];
+  const byAddress = new Map();
+  const seen = new Set();
+
+  const results = rows.map((row, index) => {
+    const address = String(row.address || '').trim();
+    const value = Number(row.value);
+    const result = { row: index, ...(row.line ? { line: row.line } : {}), address, value: row.value, ...(row.id !== undefined ? { id: row.id } : {}) };
+
+    if (!validateAddress(address, net)) return { ...result, status: 'invalid_address' };
+    if (!Number.isInteger(value) || value <= 0) return { ...result, status: 'invalid_amount' };
+    const script = bitcoin.address.toOutputScript(address, net);
+    result.value = value;
+
+    const key = row.id !== undefined ? `id:${row.id}` : `${script.toString('hex')}:${value}`;
+    if (seen.has(key)) return { ...result, status: 'duplicate' };
+
+    const existing = byAddress.get(script.toString('hex'));
+    if (existing) {
+      seen.add(key);
+      existing.value += value;
+      existing.rows.push(index);
+      return { ...result, status: 'merged', merged_into: existing.rows[0] };
+    }
+    if (value < dustThreshold(script)) return { ...result, status: 'dust' };
+    if (recipients.length >= maxOutputs) return { ...result, status: 'deferred' };
+
+    seen.add(key);
+    const recipient = { address, script, value, rows: [index] };
+    recipients.push(recipient);
+    byAddress.set(script.toString('hex'), recipient);
+    return { ...result, status: 'included' };
+  });
+
+  return { recipients, results };
+}
+
+// Fee the same payouts would cost sent one by one, each spending one input
+// of the batch's average input weight and returning change
+function individualFees(recipients, { inputs, changeScript, feeRate }) {
+  const averageWeight = inputs.length
+    ? Math.ceil(inputs.reduce((w, u) => w + inputWeight(u), 0) / inputs.length)
+    : INPUT_WEIGHT.p2wpkh;
+  return recipients.reduce(
+    (sum, r) => sum + feeFor(TX_OVERHEAD_WEIGHT + averageWeight + outputWeight(r.script) + outputWeight(changeScript), feeRate),
+    0
+  );
+}
+
+module.exports = { DEFAULT_MAX_OUTPUTS, parseBatchCsv, prepareBatch, individualFees };
@@ -0,0 +1,278 @@
+// lib/coin-selection.js
+// Transaction size estimates and coin selection. Amounts are satoshis, sizes
+// are weight units (vbytes = weight / 4) and fee rates are sat/vB.
+//
+// Selection order:
+//   1. branch-and-bound: an input set whose effective value lands within the
+//      cost of a change output above the target, so no change is needed
+//   2. knapsack: Bitcoin Core's randomized subset approximation (seeded PRNG,
+//      so results are reproducible), with change
+//   3. largest-first as the last resort
+
+const bitcoin = require('bitcoinjs-lib');
+
+// Weight of a spend (outpoint + sequence + scriptSig + witness) by input type
+const INPUT_WEIGHT = {
+  p2wpkh: 272, // 68 vB
+  'p2sh-p2wpkh': 364, // 91 vB
+  p2tr: 230, // 57.5 vB, key path
+  p2pkh: 592, // 148 vB
+};
+
+// version + locktime + in/out counts, plus the segwit marker and flag
+const TX_OVERHEAD_WEIGHT = 4 * (4 + 4 + 1 + 1) + 2;
+
+const DUST_RELAY_FEE = 3; // sat/vB, Bitcoin Core's -dustrelayfee
+const SIGNATURE_SIZE = 73; // DER signature (at most 72 bytes) plus sighash byte
+const BNB_MAX_TRIES = 100000;
+const KNAPSACK_ITERATIONS = 1000;
+
+function varIntSize(n) {
+  return n < 0xfd ? 1 : n <= 0xffff ? 3 : n <= 0xffffffff ? 5 : 9;
+}
+
+function outputWeight(script) {
+  return 4 * (8 + varIntSize(script.length) + script.length);
+}
+
+function isWitnessProgram(script) {
+  const version = script[0];
+  return (
+    script.length >= 4 &&
+    script.length <= 42 &&
+    (version === 0 || (version >= bitcoin.opcodes.OP_1 && version <= bitcoin.opcodes.OP_16)) &&
+    script[1] === script.length - 2
+  );
+}
+
+// Bitcoin Core's GetDustThreshold at the default dust relay fee
+function dustThreshold(script) {
+  if (script.length > 0 && script[0] === bitcoin.opcodes.OP_RETURN) return 0;
+  const outputSize = outputWeight(script) / 4;
+  const spendSize = isWitnessProgram(script) ? 32 + 4 + 1 + 107 / 4 + 4 : 32 + 4 + 1 + 107 + 4;
+  return Math.floor((outputSize + spendSize) * DUST_RELAY_FEE);
+}
+
+// Fees are charged on whole vbytes, as Bitcoin Core does
+function feeFor(weight, feeRate) {
+  return Math.ceil(Math.ceil(weight / 4) * feeRate);
+}
+
+// Script-dependent spends (multisig) carry their own `input_weight`
+function inputWeight(utxo) {
+  return utxo.input_weight || INPUT_WEIGHT[utxo.script_type];
+}
+
+// Value left after paying for its own input at `feeRate`
+function effectiveValue(utxo, feeRate) {
+  return utxo.value - feeFor(inputWeight(utxo), feeRate);
+}
+
+function sum(list, key) {
+  return list.reduce((total, item) => total + item[key], 0);
+}
+
+// Deterministic PRNG (mulberry32) for the knapsack passes
+function prng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// ========== Branch and bound ==========
+// Depth-first search over inputs sorted by effective value. Among matches in
+// [target, target + costOfChange] it keeps the least excess, then fewest inputs.
+function branchAndBound(pool, target, costOfChange, maxTries = BNB_MAX_TRIES) {
+  const sorted = pool.filter((u) => u.effective_value > 0).sort((a, b) => b.effective_value - a.effective_value);
+  const available = sum(sorted, 'effective_value');
+  if (available < target) return null;
+
+  let tries = 0;
+  let best = null;
+  let bestExcess = Infinity;
+  const selected = [];
+
+  const search = (i, value, remaining) => {
+    if (++tries > maxTries || bestExcess === 0) return;
+    if (value > target + costOfChange) return;
+    if (value >= target) {
+      const excess = value - target;
+      if (excess < bestExcess || (excess === bestExcess && selected.length < best.length)) {
+        best = [...selected];
+        bestExcess = excess;
+      }
+      return;
+    }
+    if (i >= sorted.length || value + remaining < target) return;
+
+    const utxo = sorted[i];
+    // Including an input equal to one just excluded explores the same sets
+    const duplicate = i > 0 && sorted[i - 1].effective_value === utxo.effective_value && selected[selected.length - 1] !== sorted[i - 1];
+    if (!duplicate) {
+      selected.push(utxo);
+      search(i + 1, value + utxo.effective_value, remaining - utxo.effective_value);
+      selected.pop();
+    }
+    search(i + 1, value, remaining - utxo.effective_value);
+  };
+
+  search(0, 0, available);
+  return best;
+}
+
+// ========== Knapsack ==========
+function approximateBestSubset(values, total, target, random) {
+  let best = values.map(() => true);
+  let bestValue = total;
+
+  for (let rep = 0; rep < KNAPSACK_ITERATIONS && bestValue !== target; rep++) {
+    const included = values.map(() => false);
+    let value = 0;
+    let reached = false;
+    for (let pass = 0; pass < 2 && !reached; pass++) {
+      for (let i = 0; i < values.length; i++) {
+        if (pass === 0 ? random() < 0.5 : !included[i]) {
+          value += values[i];
+          included[i] = true;
+          if (value >= target) {
+            reached = true;
+            if (value < bestValue) {
+              bestValue = value;
+              best = [...included];
+            }
+            value -= values[i];
+            included[i] = false;
+          }
+        }
+      }
+    }
+  }
+  return { best, bestValue };
+}
+
+function knapsack(pool, target, minChange, seed = 0x5eed) {
+  const random = prng(seed);
+  const candidates = pool.filter((u) => u.effective_value > 0);
+
+  const exact = candidates.find((u) => u.effective_value === target);
+  if (exact) return [exact];
+
+  const smaller = [];
+  let lowestLarger = null;
+  candidates.forEach((u) => {
+    if (u.effective_value < target + minChange) smaller.push(u);
+    else if (!lowestLarger || u.effective_value < lowestLarger.effective_value) lowestLarger = u;
+  });
+
+  const totalLower = sum(smaller, 'effective_value');
+  if (totalLower === target) return smaller;
+  if (totalLower < target) return lowestLarger ? [lowestLarger] : null;
+
+  smaller.sort((a, b) => b.effective_value - a.effective_value);
+  const values = smaller.map((u) => u.effective_value);
+  let { best, bestValue } = approximateBestSubset(values, totalLower, target, random);
+  if (bestValue !== target && totalLower >= target + minChange) {
+    ({ best, bestValue } = approximateBestSubset(values, totalLower, target + minChange, random));
+  }
+
+  if (lowestLarger && ((bestValue !== target && bestValue < target + minChange) || lowestLarger.effective_value <= bestValue)) {
+    return [lowestLarger];
+  }
+  return smaller.filter((u, i) => best[i]);
+}
+
+// ========== Largest first ==========
+function largestFirst(pool, target) {
+  const sorted = pool.filter((u) => u.effective_value > 0).sort((a, b) => b.effective_value - a.effective_value);
+  const selected = [];
+  let value = 0;
+  for (const utxo of sorted) {
+    if (value >= target) break;
+    selected.push(utxo);
+    value += utxo.effective_value;
+  }
+  return value >= target ? selected : null;
+}
+
+// ========== Selection ==========
+// utxos: [{ txid, vout, value, script_type, input_weight? }]
+// outputs: [{ script, value }] recipients (change excluded)
+// changeScript: output script for change
+function selectCoins({ utxos, outputs, feeRate, changeScript, seed }) {
+  const pool = utxos
+    .filter((u) => inputWeight(u))
+    .map((u) => ({ ...u, effective_value: effectiveValue(u, feeRate) }));
+
+  const amount = sum(outputs, 'value');
+  const fixedWeight = TX_OVERHEAD_WEIGHT + outputs.reduce((w, o) => w + outputWeight(o.script), 0);
+  const target = amount + feeFor(fixedWeight, feeRate);
+
+  const changeWeight = outputWeight(changeScript);
+  const changeFee = feeFor(changeWeight, feeRate);
+  const changeDust = dustThreshold(changeScript);
+  // Creating change now plus spending it later
+  const costOfChange = changeFee + feeFor(INPUT_WEIGHT.p2wpkh, feeRate);
+
+  let algorithm = 'bnb';
+  let selected = branchAndBound(pool, target, costOfChange);
+  if (!selected) {
+    algorithm = 'knapsack';
+    selected = knapsack(pool, target + changeFee, changeDust, seed);
+  }
+  if (!selected) {
+    algorithm = 'largest_first';
+    selected = largestFirst(pool, target);
+  }
+  if (!selected) {
+    const available = sum(pool, 'value');
+    const err = new Error(`Insufficient funds: need ${target} sat plus input fees, have ${available} sat`);
+    err.code = 'INSUFFICIENT_FUNDS';
+    throw err;
+  }
+
+  const selectedWeight = selected.reduce((w, u) => w + inputWeight(u), 0);
+  const totalIn = sum(selected, 'value');
+  const weightNoChange = fixedWeight + selectedWeight;
+  const feeWithChange = feeFor(weightNoChange + changeWeight, feeRate);
+  let change = totalIn - amount - feeWithChange;
+  // BnB matches need no change; anything under the dust limit goes to the fee
+  if (algorithm === 'bnb' || change < changeDust) change = 0;
+
+  const weight = weightNoChange + (change > 0 ? changeWeight : 0);
+  const vsize = Math.ceil(weight / 4);
+  const fee = totalIn - amount - change;
+  return {
+    algorithm,
+    inputs: selected.map(({ effective_value, ...utxo }) => utxo),
+    change,
+    change_dropped_to_fee: change > 0 ? 0 : fee - feeFor(weight, feeRate),
+    fee,
+    total_in: totalIn,
+    amount,
+    weight,
+    vsize,
+    fee_rate: fee / vsize,
+  };
+}
+
+module.exports = {
+  INPUT_WEIGHT,
+  TX_OVERHEAD_WEIGHT,
+  SIGNATURE_SIZE,
+  varIntSize,
+  inputWeight,
+  outputWeight,
+  dustThreshold,
+  feeFor,
+  inputWeight,
+  effectiveValue,
+  branchAndBound,
+  knapsack,
+  largestFirst,
+  selectCoins,
+};
@@ -0,0 +1,11 @@
+// lib/confirmations.js
+// Confirmation depth from an Esplora-style status object and the chain tip.
+
+// status: { confirmed, block_height }; tipHeight may be null if unknown yet
+function confirmationsFor(status, tipHeight) {
+  if (!status || !status.confirmed) return 0;
+  if (typeof status.block_height !== 'number' || typeof tipHeight !== 'number') return 1;
+  return Math.max(tipHeight - status.block_height + 1, 1);
+}
+
+module.exports = { confirmationsFor };
@@ -0,0 +1,198 @@
+// lib/cpfp.js
+// Child-pays-for-parent: a child spending our output of an unconfirmed
+// parent, paying enough that the whole package (the parent, its unconfirmed
+// ancestors and the child) reaches the target fee rate. Miners select by
+// ancestor fee rate, and Bitcoin Core's mempool refuses a child with more
+// than 25 unconfirmed ancestors (itself included) or 101 kvB of them, or one
+// that would give any of those ancestors more than 25 unconfirmed descendants
+// (the ancestor included) or 101 kvB of them.
+
+const bitcoin = require('bitcoinjs-lib');
+const { NETWORKS } = require('./networks');
+const { annotateInput } = require('./psbt');
+const { INPUT_WEIGHT, TX_OVERHEAD_WEIGHT, outputWeight, dustThreshold, feeFor } = require('./coin-selection');
+const { RBF_SEQUENCE, inputExtras } = require('./tx-builder');
+const { scriptAddress } = require('./backends/tx-format');
+const { unconfirmedDescendants } = require('./rbf');
+
+const DEFAULT_ANCESTOR_LIMIT = 25; // Bitcoin Core -limitancestorcount
+const DEFAULT_ANCESTOR_SIZE_LIMIT = 101000; // vB, -limitancestorsize
+const DEFAULT_DESCENDANT_LIMIT = 25; // -limitdescendantcount
+const DEFAULT_DESCENDANT_SIZE_LIMIT = 101000; // vB, -limitdescendantsize
+
+function cpfpError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// Unconfirmed transactions in `txid`'s ancestry, itself first, as
+// [{ txid, fee, vsize }]. Stops once more than `limit` are found (the
+// package is over the limit anyway). Ancestors the backend doesn't know
+// are assumed confirmed.
+async function unconfirmedAncestors(backend, txid, limit = DEFAULT_ANCESTOR_LIMIT) {
+  const found = [];
+  const seen = new Set();
+  const queue = [txid];
+  while (queue.length && found.length <= limit) {
+    const id = queue.shift();
+    if (seen.has(id)) continue;
+    seen.add(id);
+    let tx;
+    try {
+      tx = await backend.getTransaction(id);
+    } catch (e) {
+      if (e.status === 404 && id !== txid) continue;
+      throw e;
+    }
+    if (tx.status && tx.status.confirmed) {
+      if (id === txid) throw cpfpError(`Transaction ${txid} is already confirmed`, 'ALREADY_CONFIRMED');
+      continue;
+    }
+    if (typeof tx.fee !== 'number') throw cpfpError(`Fee of unconfirmed ancestor ${id} is unknown`, 'MISSING_PREVOUT');
+    found.push({ txid: id, fee: tx.fee, vsize: tx.vsize || Math.ceil(tx.weight / 4) });
+    (tx.vin || []).forEach((input) => {
+      if (!input.is_coinbase) queue.push(input.txid);
+    });
+  }
+  return found;
+}
+
+// unconfirmedDescendants() of each ancestor, keyed by its txid
+async function ancestorDescendants(backend, ancestors, limit = DEFAULT_DESCENDANT_LIMIT) {
+  const descendants = {};
+  for (const ancestor of ancestors) {
+    descendants[ancestor.txid] = await unconfirmedDescendants(backend, ancestor.txid, limit);
+  }
+  return descendants;
+}
+
+// parentOutput: normalized UTXO (lib/tx-builder normalizeUtxo) for our
+// output of the parent. ancestors: unconfirmedAncestors() of the parent.
+// descendants: ancestorDescendants() of those, when the backend can list them.
+// extraUtxos: confirmed UTXOs added only if the output can't cover the fee.
+function buildCpfpChild({
+  parentOutput,
+  ancestors,
+  descendants = {},
+  feeRate,
+  destinationScript,
+  extraUtxos = [],
+  network = 'testnet',
+  minRelayFee = 1,
+  ancestorLimit = DEFAULT_ANCESTOR_LIMIT,
+  ancestorSizeLimit = DEFAULT_ANCESTOR_SIZE_LIMIT,
+  descendantLimit = DEFAULT_DESCENDANT_LIMIT,
+  descendantSizeLimit = DEFAULT_DESCENDANT_SIZE_LIMIT,
+}) {
+  const net = NETWORKS[network];
+  if (!INPUT_WEIGHT[parentOutput.script_type]) {
+    throw cpfpError('Parent output is not a p2wpkh, p2sh-p2wpkh or p2tr output', 'UNSUPPORTED_INPUT');
+  }
+
+  const packageFee = ancestors.reduce((sum, a) => sum + a.fee, 0);
+  const packageVsize = ancestors.reduce((sum, a) => sum + a.vsize, 0);
+  const packageRate = packageFee / packageVsize;
+  if (ancestors.length + 1 > ancestorLimit) {
+    throw cpfpError(`Package would exceed ${ancestorLimit} unconfirmed ancestors`, 'TOO_MANY_ANCESTORS');
+  }
+  // Each ancestor's descendants, itself and the new child
+  const descendantsOf = (a) => descendants[a.txid] || [];
+  const crowded = ancestors.find((a) => descendantsOf(a).length + 2 > descendantLimit);
+  if (crowded) {
+    throw cpfpError(`${crowded.txid} would exceed ${descendantLimit} unconfirmed descendants`, 'TOO_MANY_DESCENDANTS');
+  }
+  if (packageRate >= feeRate) {
+    throw cpfpError(
+      `Package already pays ${packageRate.toFixed(2)} sat/vB, at or above ${feeRate} sat/vB`,
+      'ALREADY_AT_TARGET'
+    );
+  }
+
+  // Child fee that lifts the package to feeRate; the child alone must still
+  // meet min relay
+  const childFee = (weight) => {
+    const vsize = Math.ceil(weight / 4);
+    return Math.max(Math.ceil(feeRate * (packageVsize + vsize)) - packageFee, feeFor(weight, minRelayFee));
+  };
+
+  const usable = extraUtxos.filter((u) => u.txid !== parentOutput.txid && INPUT_WEIGHT[u.script_type]);
+  const unknown = usable.find((u) => !Number.isInteger(u.confirmations));
+  if (unknown) {
+    throw cpfpError(
+      `UTXO ${unknown.txid}:${unknown.vout} needs a confirmations count; only confirmed inputs can be added`,
+      'MISSING_CONFIRMATIONS'
+    );
+  }
+  const candidates = usable.filter((u) => u.confirmations >= 1).sort((a, b) => b.value - a.value);
+  const selected = [parentOutput];
+  let weight;
+  let fee;
+  let value;
+  for (;;) {
+    const totalIn = selected.reduce((sum, u) => sum + u.value, 0);
+    weight = TX_OVERHEAD_WEIGHT + selected.reduce((w, u) => w + INPUT_WEIGHT[u.script_type], 0) + outputWeight(destinationScript);
+    fee = childFee(weight);
+    value = totalIn - fee;
+    if (value >= dustThreshold(destinationScript)) break;
+    const next = candidates.shift();
+    if (!next) {
+      throw cpfpError(
+        `Output ${parentOutput.value} sat can't pay the ${fee} sat child fee; provide confirmed UTXOs to add`,
+        'INSUFFICIENT_FUNDS'
+      );
+    }
+    selected.push(next);
+  }
+
+  const vsize = Math.ceil(weight / 4);
+  if (packageVsize + vsize > ancestorSizeLimit) {
+    throw cpfpError(`Package would exceed ${ancestorSizeLimit} vB of unconfirmed ancestors`, 'PACKAGE_TOO_LARGE');
+  }
+  const heavy = ancestors.find((a) => a.vsize + descendantsOf(a).reduce((sum, d) => sum + d.vsize, 0) + vsize > descendantSizeLimit);
+  if (heavy) {
+    throw cpfpError(`${heavy.txid} would exceed ${descendantSizeLimit} vB of unconfirmed descendants`, 'DESCENDANTS_TOO_LARGE');
+  }
+
+  const psbt = new bitcoin.Psbt({ network: net });
+  selected.forEach((utxo, i) => {
+    psbt.addInput({
+      hash: utxo.txid,
+      index: utxo.vout,
+      sequence: RBF_SEQUENCE,
+      witnessUtxo: { script: utxo.script, value: utxo.value },
+      ...inputExtras(utxo),
+    });
+    if (utxo.derivations) annotateInput(psbt, i, utxo.script_type, utxo.derivations, network);
+  });
+  psbt.addOutput({ script: destinationScript, value });
+
+  return {
+    psbt,
+    fee,
+    vsize,
+    weight,
+    fee_rate: Number((fee / vsize).toFixed(2)),
+    inputs: selected,
+    added_inputs: selected.slice(1),
+    output: { address: scriptAddress(destinationScript, net), value },
+    package: {
+      count: ancestors.length + 1,
+      ancestors: ancestors.map((a) => a.txid),
+      vsize: packageVsize + vsize,
+      fee: packageFee + fee,
+      fee_rate_before: Number(packageRate.toFixed(2)),
+      fee_rate: Number(((packageFee + fee) / (packageVsize + vsize)).toFixed(2)),
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_ANCESTOR_LIMIT,
+  DEFAULT_ANCESTOR_SIZE_LIMIT,
+  DEFAULT_DESCENDANT_LIMIT,
+  DEFAULT_DESCENDANT_SIZE_LIMIT,
+  unconfirmedAncestors,
+  ancestorDescendants,
+  buildCpfpChild,
+};
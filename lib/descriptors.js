@@ -0,0 +1,391 @@
+// lib/descriptors.js
+// Output script descriptors (BIP380-386): checksums, building descriptors with
+// key origins, parsing and address derivation. Supported forms:
+//   pkh(KEY)  wpkh(KEY)  sh(wpkh(KEY))  tr(KEY)  addr(ADDR)
+//   sh(multi|sortedmulti)  wsh(multi|sortedmulti)  sh(wsh(multi|sortedmulti))
+// KEY is a hex pubkey or an xpub/tpub with an optional [fingerprint/origin]
+// prefix, child path, `/*` wildcard and one `<a;b>` multipath step.
+// Descriptors are watch-only here: private keys (WIF/xprv) are rejected.
+
+const bitcoin = require('bitcoinjs-lib');
+const { NETWORKS } = require('./networks');
+const { parseXpub } = require('./xpub');
+
+const INPUT_CHARSET =
+  '0123456789()[],\'/*abcdefgh@:$%{}' +
+  'IJKLMNOPQRSTUVWXYZ&+-.;<=>?!^_|~' +
+  'ijklmnopqrstuvwxyzABCDEFGH`#"\\ ';
+const CHECKSUM_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const GENERATORS = [0xf5dee51989n, 0xa9fdca3312n, 0x1bab10e32dn, 0x3706b1677an, 0x644d626ffdn];
+
+const MAX_MULTISIG_KEYS = 20;
+
+function polymod(c, val) {
+  const c0 = c >> 35n;
+  c = ((c & 0x7ffffffffn) << 5n) ^ BigInt(val);
+  GENERATORS.forEach((gen, i) => {
+    if ((c0 >> BigInt(i)) & 1n) c ^= gen;
+  });
+  return c;
+}
+
+// ========== Checksums ==========
+function descriptorChecksum(desc) {
+  let c = 1n;
+  let cls = 0;
+  let clscount = 0;
+  for (const ch of desc) {
+    const pos = INPUT_CHARSET.indexOf(ch);
+    if (pos === -1) throw new Error(`Invalid character in descriptor: ${ch}`);
+    c = polymod(c, pos & 31);
+    cls = cls * 3 + (pos >> 5);
+    if (++clscount === 3) {
+      c = polymod(c, cls);
+      cls = 0;
+      clscount = 0;
+    }
+  }
+  if (clscount > 0) c = polymod(c, cls);
+  for (let i = 0; i < 8; i++) c = polymod(c, 0);
+  c ^= 1n;
+
+  let checksum = '';
+  for (let j = 0; j < 8; j++) {
+    checksum += CHECKSUM_CHARSET[Number((c >> BigInt(5 * (7 - j))) & 31n)];
+  }
+  return checksum;
+}
+
+function splitChecksum(descriptor) {
+  const [desc, checksum, ...rest] = String(descriptor).trim().split('#');
+  if (rest.length) throw new Error('Multiple # in descriptor');
+  return { desc, checksum: checksum === undefined ? null : checksum };
+}
+
+// Append (or replace) the checksum
+function addChecksum(descriptor) {
+  const { desc } = splitChecksum(descriptor);
+  return `${desc}#${descriptorChecksum(desc)}`;
+}
+
+// ========== Building ==========
+// [fingerprint/origin/path]key/child/path
+function keyExpression({ fingerprint, originPath, key, childPath }) {
+  const origin = fingerprint
+    ? `[${Buffer.from(fingerprint).toString('hex')}${originPath ? originPath.replace(/^m/, '') : ''}]`
+    : '';
+  return `${origin}${key}${childPath ? `/${childPath.replace(/^\//, '')}` : ''}`;
+}
+
+function buildDescriptor(scriptType, keys, { threshold, sorted = true } = {}) {
+  const list = Array.isArray(keys) ? keys : [keys];
+  let desc;
+  switch (scriptType) {
+    case 'p2pkh':
+      desc = `pkh(${list[0]})`;
+      break;
+    case 'p2wpkh':
+      desc = `wpkh(${list[0]})`;
+      break;
+    case 'p2sh-p2wpkh':
+      desc = `sh(wpkh(${list[0]}))`;
+      break;
+    case 'p2tr':
+      desc = `tr(${list[0]})`;
+      break;
+    case 'p2sh':
+    case 'p2wsh':
+    case 'p2sh-p2wsh': {
+      const multi = `${sorted ? 'sortedmulti' : 'multi'}(${threshold},${list.join(',')})`;
+      desc = scriptType === 'p2sh' ? `sh(${multi})` : scriptType === 'p2wsh' ? `wsh(${multi})` : `sh(wsh(${multi}))`;
+      break;
+    }
+    default:
+      throw new Error(`Unsupported script type: ${scriptType}`);
+  }
+  return addChecksum(desc);
+}
+
+// ========== Parsing ==========
+// Split on top-level commas only
+function splitArgs(str) {
+  const args = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str[i];
+    if (ch === '(' || ch === '[' || ch === '{') depth++;
+    else if (ch === ')' || ch === ']' || ch === '}') depth--;
+    else if (ch === ',' && depth === 0) {
+      args.push(str.slice(start, i));
+      start = i + 1;
+    }
+  }
+  args.push(str.slice(start));
+  return args;
+}
+
+function parseCall(expr) {
+  const match = /^([a-z]+)\((.*)\)$/.exec(expr);
+  if (!match) throw new Error(`Invalid descriptor expression: ${expr}`);
+  return { fn: match[1], args: splitArgs(match[2]) };
+}
+
+function parseStep(step) {
+  const match = /^(\d+)(['h]?)$/.exec(step);
+  if (!match) throw new Error(`Invalid derivation step: ${step}`);
+  const index = Number(match[1]);
+  if (index >= 0x80000000) throw new Error(`Derivation step out of range: ${step}`);
+  return { index, hardened: Boolean(match[2]) };
+}
+
+// "d34db33f/84'/1'/0'" (brackets optional) -> { fingerprint, path: "m/84'/1'/0'" }
+function parseOrigin(str) {
+  const [fingerprint, ...path] = str.replace(/^\[|\]$/g, '').split('/');
+  if (!/^[0-9a-fA-F]{8}$/.test(fingerprint)) throw new Error('Key origin fingerprint must be 8 hex chars');
+  const steps = path.map((step) => {
+    const { index, hardened } = parseStep(step);
+    return hardened ? `${index}'` : String(index);
+  });
+  return { fingerprint: fingerprint.toLowerCase(), path: ['m', ...steps].join('/') };
+}
+
+function parseKey(expr, network, { xonly = false } = {}) {
+  let rest = expr;
+  let origin = null;
+  if (rest.startsWith('[')) {
+    const end = rest.indexOf(']');
+    if (end === -1) throw new Error('Unterminated key origin');
+    origin = parseOrigin(rest.slice(1, end));
+    rest = rest.slice(end + 1);
+  }
+
+  const [key, ...steps] = rest.split('/');
+
+  if (/^[0-9a-fA-F]+$/.test(key)) {
+    if (steps.length) throw new Error('Hex keys cannot have a derivation path');
+    const pubkey = Buffer.from(key, 'hex');
+    const ok = xonly ? pubkey.length === 32 || pubkey.length === 33 : pubkey.length === 33;
+    if (!ok || (pubkey.length === 33 && pubkey[0] !== 2 && pubkey[0] !== 3)) {
+      throw new Error(`Invalid public key: ${key}`);
+    }
+    return { expression: expr, origin, kind: 'pubkey', pubkey, ranged: false, multipath: null };
+  }
+
+  if (/^[1-9A-HJ-NP-Za-km-z]{51,52}$/.test(key)) {
+    throw new Error('Private keys are not accepted in descriptors; use public keys');
+  }
+  if (/^[a-z]prv/.test(key)) {
+    throw new Error('Private extended keys are not accepted; pass the xpub');
+  }
+
+  const { node } = parseXpub(key, network);
+  let ranged = false;
+  let multipath = null;
+  const path = steps.map((step, i) => {
+    if (step === '*' || step === "*'" || step === '*h') {
+      if (i !== steps.length - 1) throw new Error('Wildcard must be the last step');
+      if (step !== '*') throw new Error('Hardened wildcards need the private key');
+      ranged = true;
+      return { wildcard: true };
+    }
+    const multi = /^<(.+)>$/.exec(step);
+    if (multi) {
+      if (multipath) throw new Error('Only one multipath step is allowed');
+      multipath = multi[1].split(';').map((s) => parseStep(s).index);
+      if (multipath.length < 2) throw new Error('Multipath step needs at least two indexes');
+      return { multipath: true };
+    }
+    const parsed = parseStep(step);
+    if (parsed.hardened) throw new Error('Hardened steps after an xpub need the private key');
+    return parsed;
+  });
+
+  return { expression: expr, origin, kind: 'xpub', node, path, ranged, multipath };
+}
+
+function parseMulti(call, network) {
+  const [k, ...keyArgs] = call.args;
+  const threshold = Number(k);
+  if (!Number.isInteger(threshold) || threshold < 1 || threshold > keyArgs.length) {
+    throw new Error(`Invalid multisig threshold: ${k}`);
+  }
+  if (keyArgs.length > MAX_MULTISIG_KEYS) throw new Error(`At most ${MAX_MULTISIG_KEYS} multisig keys`);
+  return {
+    threshold,
+    sorted: call.fn === 'sortedmulti',
+    keys: keyArgs.map((arg) => parseKey(arg, network)),
+  };
+}
+
+function parseDescriptor(descriptor, network = 'testnet', { requireChecksum = false } = {}) {
+  if (!NETWORKS[network]) throw new Error(`Unsupported network: ${network}`);
+  const { desc, checksum } = splitChecksum(descriptor);
+  const expected = descriptorChecksum(desc);
+  if (checksum !== null && checksum !== expected) {
+    throw new Error(`Invalid descriptor checksum (expected ${expected})`);
+  }
+  if (checksum === null && requireChecksum) throw new Error('Descriptor checksum required');
+
+  const top = parseCall(desc);
+  const parsed = { descriptor: `${desc}#${expected}`, checksum: expected, network };
+
+  const single = (call) => {
+    if (call.args.length !== 1) throw new Error(`${call.fn}() takes one key`);
+    return [parseKey(call.args[0], network)];
+  };
+  const multiInside = (call) => {
+    if (call.fn !== 'multi' && call.fn !== 'sortedmulti') return null;
+    return parseMulti(call, network);
+  };
+
+  switch (top.fn) {
+    case 'pkh':
+      Object.assign(parsed, { type: 'p2pkh', keys: single(top) });
+      break;
+    case 'wpkh':
+      Object.assign(parsed, { type: 'p2wpkh', keys: single(top) });
+      break;
+    case 'tr':
+      if (top.args.length !== 1) throw new Error('tr() script trees are not supported; key path only');
+      Object.assign(parsed, { type: 'p2tr', keys: [parseKey(top.args[0], network, { xonly: true })] });
+      break;
+    case 'addr':
+      bitcoin.address.toOutputScript(top.args[0], NETWORKS[network]);
+      Object.assign(parsed, { type: 'addr', address: top.args[0], keys: [] });
+      break;
+    case 'sh': {
+      const inner = parseCall(top.args[0]);
+      if (inner.fn === 'wpkh') {
+        Object.assign(parsed, { type: 'p2sh-p2wpkh', keys: single(inner) });
+      } else if (inner.fn === 'wsh') {
+        const multi = multiInside(parseCall(inner.args[0]));
+        if (!multi) throw new Error('sh(wsh()) only supports multi/sortedmulti');
+        Object.assign(parsed, { type: 'p2sh-p2wsh', ...multi });
+      } else {
+        const multi = multiInside(inner);
+        if (!multi) throw new Error(`Unsupported sh() content: ${inner.fn}`);
+        Object.assign(parsed, { type: 'p2sh', ...multi });
+      }
+      break;
+    }
+    case 'wsh': {
+      const multi = multiInside(parseCall(top.args[0]));
+      if (!multi) throw new Error('wsh() only supports multi/sortedmulti');
+      Object.assign(parsed, { type: 'p2wsh', ...multi });
+      break;
+    }
+    default:
+      throw new Error(`Unsupported descriptor: ${top.fn}()`);
+  }
+
+  parsed.ranged = parsed.keys.some((key) => key.ranged);
+  const multipaths = parsed.keys.map((key) => key.multipath).filter(Boolean);
+  if (multipaths.some((m) => m.length !== multipaths[0].length)) {
+    throw new Error('All multipath steps must have the same length');
+  }
+  parsed.multipath = multipaths.length ? multipaths[0].length : 0;
+  return parsed;
+}
+
+// ========== Derivation ==========
+function deriveKey(key, index, pathIndex) {
+  if (key.kind === 'pubkey') return key.pubkey;
+  let node = key.node;
+  key.path.forEach((step) => {
+    if (step.wildcard) node = node.derive(index);
+    else if (step.multipath) node = node.derive(key.multipath[pathIndex]);
+    else node = node.derive(step.index);
+  });
+  return Buffer.from(node.publicKey);
+}
+
+// Master fingerprint and full path of a derived key, as PSBT signers expect.
+// Extended keys without an origin are treated as their own root; bare
+// pubkeys without one have no derivation (null).
+function keyDerivation(key, index = 0, pathIndex = 0) {
+  const pubkey = deriveKey(key, index, pathIndex);
+  if (key.kind === 'pubkey') {
+    return key.origin ? { fingerprint: key.origin.fingerprint, path: key.origin.path, pubkey } : null;
+  }
+  const origin = key.origin || { fingerprint: Buffer.from(key.node.fingerprint).toString('hex'), path: 'm' };
+  const steps = key.path.map((step) => {
+    if (step.wildcard) return index;
+    if (step.multipath) return key.multipath[pathIndex];
+    return step.index;
+  });
+  return { fingerprint: origin.fingerprint, path: [origin.path, ...steps].join('/'), pubkey };
+}
+
+function payment(parsed, pubkeys) {
+  const net = NETWORKS[parsed.network];
+  switch (parsed.type) {
+    case 'p2pkh':
+      return bitcoin.payments.p2pkh({ pubkey: pubkeys[0], network: net });
+    case 'p2wpkh':
+      return bitcoin.payments.p2wpkh({ pubkey: pubkeys[0], network: net });
+    case 'p2sh-p2wpkh':
+      return bitcoin.payments.p2sh({ redeem: bitcoin.payments.p2wpkh({ pubkey: pubkeys[0], network: net }), network: net });
+    case 'p2tr': {
+      const key = pubkeys[0];
+      return bitcoin.payments.p2tr({ internalPubkey: key.length === 33 ? key.subarray(1, 33) : key, network: net });
+    }
+    default: {
+      const keys = parsed.sorted ? [...pubkeys].sort(Buffer.compare) : pubkeys;
+      const p2ms = bitcoin.payments.p2ms({ m: parsed.threshold, pubkeys: keys, network: net });
+      if (parsed.type === 'p2sh') return bitcoin.payments.p2sh({ redeem: p2ms, network: net });
+      const p2wsh = bitcoin.payments.p2wsh({ redeem: p2ms, network: net });
+      if (parsed.type === 'p2wsh') return p2wsh;
+      return bitcoin.payments.p2sh({ redeem: p2wsh, network: net });
+    }
+  }
+}
+
+// Address and script at `index` (ignored for non-ranged descriptors). For
+// multipath descriptors, `pathIndex` picks the branch (0 = first, e.g. receive).
+function deriveDescriptor(parsedOrString, index = 0, { network = 'testnet', pathIndex = 0 } = {}) {
+  const parsed = typeof parsedOrString === 'string' ? parseDescriptor(parsedOrString, network) : parsedOrString;
+  if (parsed.type === 'addr') {
+    return {
+      index,
+      address: parsed.address,
+      script_pubkey: bitcoin.address.toOutputScript(parsed.address, NETWORKS[parsed.network]).toString('hex'),
+    };
+  }
+  if (parsed.multipath && pathIndex >= parsed.multipath) throw new Error('Multipath index out of range');
+  const pubkeys = parsed.keys.map((key) => deriveKey(key, index, pathIndex));
+  const p = payment(parsed, pubkeys);
+  const result = { index, address: p.address, script_pubkey: p.output.toString('hex') };
+  if (p.redeem && p.redeem.output) {
+    const witnessScript = parsed.type === 'p2wsh' || parsed.type === 'p2sh-p2wsh';
+    if (parsed.type === 'p2sh-p2wsh') {
+      result.redeem_script = p.redeem.output.toString('hex');
+      result.witness_script = p.redeem.redeem.output.toString('hex');
+    } else if (witnessScript) {
+      result.witness_script = p.redeem.output.toString('hex');
+    } else {
+      result.redeem_script = p.redeem.output.toString('hex');
+    }
+  }
+  return result;
+}
+
+function deriveRange(descriptor, network, start, end, { pathIndex = 0 } = {}) {
+  const parsed = typeof descriptor === 'string' ? parseDescriptor(descriptor, network) : descriptor;
+  if (!parsed.ranged) return [deriveDescriptor(parsed, 0, { pathIndex })];
+  const out = [];
+  for (let i = start; i <= end; i++) out.push(deriveDescriptor(parsed, i, { pathIndex }));
+  return out;
+}
+
+module.exports = {
+  descriptorChecksum,
+  addChecksum,
+  keyExpression,
+  buildDescriptor,
+  parseOrigin,
+  parseDescriptor,
+  keyDerivation,
+  deriveDescriptor,
+  deriveRange,
+};
@@ -0,0 +1,22 @@
+// lib/ecc.js
+// Single place that wires tiny-secp256k1 into bitcoinjs-lib v6, ecpair and bip32.
+
+const bitcoin = require('bitcoinjs-lib');
+const ecc = require('tiny-secp256k1');
+const { BIP32Factory } = require('bip32');
+
+// Required for bitcoinjs-lib v6+ (taproot address handling)
+if (bitcoin.initEccLib) {
+  bitcoin.initEccLib(ecc);
+}
+
+// CommonJS-safe import for ecpair (handles default and named exports)
+const ecpairPackage = require('ecpair');
+const ECPairFactory = ecpairPackage && (ecpairPackage.ECPairFactory || ecpairPackage.default || ecpairPackage);
+const ECPair = typeof ECPairFactory === 'function'
+  ? ECPairFactory(ecc)
+  : (() => { throw new Error('ECPairFactory not found in ecpair package — inspect require("ecpair")'); })();
+
+const bip32 = BIP32Factory(ecc);
+
+module.exports = { ecc, ECPair, bip32 };
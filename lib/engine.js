@@ -0,0 +1,16 @@
+// lib/engine.js
+// The process-wide wallet engine shared by the engine-backed routers
+// (wallet, timelock, webhooks, stream). Loading this module starts nothing:
+// server.js starts polling when it starts listening.
+
+const BitcoinWalletEngine = require('../wallet-engine');
+const { watchEngine } = require('./fees');
+
+const walletEngine = new BitcoinWalletEngine('testnet', {
+  paymentConfirmations: Number(process.env.PAYMENT_CONFIRMATIONS) || undefined,
+});
+// Without a listener, EventEmitter would throw on every 'error' event
+walletEngine.on('error', (e) => console.error(`[WalletEngine] ${e.type}:`, e.error));
+watchEngine(walletEngine); // observed mempool txs feed the local fee estimator
+
+module.exports = { walletEngine };
@@ -0,0 +1,208 @@
+// lib/event-stream.js
+// Push feed of wallet engine activity for browser clients (SSE and
+// WebSocket, see routes/stream.js). Engine events become stream events:
+//   tx.detected             a transaction touching the address was first seen
+//   balance.changed         any calculateBalances() figure moved
+//   confirmations.changed   UTXO confirmation depths moved with the tip
+//   ws.disconnected         the engine lost its upstream WebSocket (polling continues)
+//   ws.connected            ... and got it back
+//   payment.conflict        another tx spends an incoming payment's inputs
+//   payment.dropped         an incoming payment was replaced or evicted
+//
+// Events carry an increasing id and the last `bufferSize` are kept in memory,
+// so a reconnecting client can pass its last id and receive what it missed.
+// Ids restart with the process; a client that is too far behind, or holds an
+// id from before a restart, gets `stream.resync` and should refetch state.
+
+const EventEmitter = require('events');
+
+const EVENT_TYPES = [
+  'tx.detected',
+  'balance.changed',
+  'confirmations.changed',
+  'ws.disconnected',
+  'ws.connected',
+  'payment.conflict',
+  'payment.dropped',
+];
+const BALANCE_FIELDS = ['total_balance', 'spendable_balance', 'safe_balance', 'pending_balance', 'unspendable_balance'];
+
+// Last-Event-ID as an integer, or null when absent or malformed
+function parseEventId(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const id = Number(value);
+  return Number.isSafeInteger(id) && id >= 0 ? id : null;
+}
+
+class EventStream extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.config = {
+      buffer_size: options.bufferSize || 1000,
+      heartbeat_interval: options.heartbeatInterval || 15000,
+      max_clients: options.maxClients || 1000,
+    };
+    this.engine = null;
+    this.seq = 0;
+    this.buffer = []; // recent events, oldest first
+    this.clients = new Set();
+    this.heartbeat = null;
+
+    // Engine watch state
+    this.seen = {}; // address -> Set of txids already reported
+    this.balances = {}; // address -> last published balance figures
+  }
+
+  // ========== Clients ==========
+  // A client is { addresses: Set, wallets: Set, send(event), heartbeat(), close() }
+  addClient(client) {
+    if (this.clients.size >= this.config.max_clients) return false;
+    this.clients.add(client);
+    if (!this.heartbeat) {
+      this.heartbeat = setInterval(() => this.clients.forEach((c) => c.heartbeat()), this.config.heartbeat_interval);
+      this.heartbeat.unref();
+    }
+    return true;
+  }
+
+  removeClient(client) {
+    this.clients.delete(client);
+    if (!this.clients.size && this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+
+  // Following `address` directly or through its HD wallet
+  matches(client, address) {
+    if (client.addresses.has(address)) return true;
+    const owner = this.engine && this.engine.xpub_addresses[address];
+    return Boolean(owner && client.wallets.has(owner.xpub));
+  }
+
+  // Buffered events after `lastEventId` that the client follows. Returns
+  // { resync } instead when the gap can't be filled from the buffer.
+  replay(client, lastEventId) {
+    const id = parseEventId(lastEventId);
+    if (id === null) return { events: [] };
+    if (id > this.seq) return { resync: 'unknown_event_id' };
+    const oldest = this.buffer.length ? this.buffer[0].id : this.seq + 1;
+    if (id < oldest - 1) return { resync: 'events_expired' };
+    return { events: this.buffer.filter((e) => e.id > id && this.matches(client, e.address)) };
+  }
+
+  close() {
+    [...this.clients].forEach((client) => client.close());
+    this.clients.clear();
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+  }
+
+  // ========== Publishing ==========
+  publish(type, address, data) {
+    const event = { id: ++this.seq, type, address, time: new Date().toISOString(), data };
+    this.buffer.push(event);
+    if (this.buffer.length > this.config.buffer_size) this.buffer.shift();
+    this.clients.forEach((client) => {
+      if (this.matches(client, address)) client.send(event);
+    });
+    this.emit('event', event);
+    return event;
+  }
+
+  // ========== Wallet engine ==========
+  // Translate engine events into stream events for watched addresses
+  watch(engine) {
+    this.engine = engine;
+    const network = engine.network;
+    const watched = (address) => engine.addresses.includes(address);
+
+    // Report txids not seen before. Confirmed ones found on the first look
+    // at an address are history, not news.
+    const observe = (address, txs, source) => {
+      const first = !this.seen[address];
+      const known = (this.seen[address] = this.seen[address] || new Set());
+      txs.forEach((tx) => {
+        if (known.has(tx.txid)) return;
+        known.add(tx.txid);
+        if (first && tx.confirmations > 0) return;
+        this.publish('tx.detected', address, { network, source, ...tx });
+      });
+      // Forget txids the engine no longer holds; they can't come back
+      const current = new Set([
+        ...(engine.utxos[address] || []).map((u) => u.txid),
+        ...Object.keys(engine.mempool_txs[address] || {}),
+      ]);
+      known.forEach((txid) => {
+        if (!current.has(txid)) known.delete(txid);
+      });
+    };
+
+    const trackBalance = (address, reason) => {
+      const balance = engine.calculateBalances(address);
+      const current = {};
+      BALANCE_FIELDS.forEach((field) => (current[field] = balance[field]));
+      const previous = this.balances[address] || null;
+      this.balances[address] = current;
+      if (previous ? BALANCE_FIELDS.every((f) => previous[f] === current[f]) : !current.total_balance) return;
+      this.publish('balance.changed', address, { network, reason, previous, current, tip_height: engine.tip_height });
+    };
+
+    engine.on('utxos:updated', ({ address, utxos }) => {
+      if (!watched(address)) return;
+      const byTxid = {};
+      utxos.forEach((u) => {
+        byTxid[u.txid] = byTxid[u.txid] || { txid: u.txid, amount: 0, confirmations: u.confirmations, block_height: u.block_height };
+        byTxid[u.txid].amount += u.value;
+      });
+      observe(address, Object.values(byTxid), 'utxos');
+      trackBalance(address, 'utxos');
+    });
+
+    engine.on('mempool:updated', ({ address }) => {
+      if (!watched(address)) return;
+      const txs = Object.values(engine.mempool_txs[address] || {}).map((tx) => ({
+        txid: tx.txid,
+        amount: tx.amount,
+        confirmations: 0,
+        is_incoming: tx.is_incoming,
+        fee_rate: tx.fee_rate,
+      }));
+      observe(address, txs, 'mempool');
+      trackBalance(address, 'mempool');
+    });
+
+    // Pushed by the upstream WebSocket before the mempool refetch
+    engine.on('tx:detected', ({ address, txid }) => {
+      if (!watched(address) || !this.seen[address] || this.seen[address].has(txid)) return;
+      this.seen[address].add(txid);
+      this.publish('tx.detected', address, { network, source: 'websocket', txid, confirmations: 0 });
+    });
+
+    engine.on('confirmations:updated', ({ address, tip_height, utxos }) => {
+      this.publish('confirmations.changed', address, {
+        network,
+        tip_height,
+        utxos: utxos.map((u) => ({ txid: u.txid, vout: u.vout, value: u.value, confirmations: u.confirmations, block_height: u.block_height })),
+      });
+      trackBalance(address, 'confirmations');
+    });
+
+    engine.on('balance:changed', ({ address, reason }) => trackBalance(address, reason));
+    engine.on('ws:disconnected', (address) => this.publish('ws.disconnected', address, { network }));
+    engine.on('ws:connected', (address) => this.publish('ws.connected', address, { network }));
+    engine.on('payment:conflict', ({ address, ...data }) => this.publish('payment.conflict', address, { network, ...data }));
+    engine.on('payment:dropped', ({ address, ...data }) => this.publish('payment.dropped', address, { network, ...data }));
+
+    engine.on('address:removed', (address) => {
+      delete this.seen[address];
+      delete this.balances[address];
+    });
+  }
+}
+
+module.exports = {
+  EVENT_TYPES,
+  EventStream,
+  parseEventId,
+};
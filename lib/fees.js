@@ -0,0 +1,257 @@
+// lib/fees.js
+// Fee estimation with pluggable sources, tried in order until one answers:
+//   backend   the configured chain backend (Esplora fee-estimates, Core
+//             estimatesmartfee or Electrum estimatefee, per CHAIN_BACKEND)
+//   esplora   an Esplora instance (ESPLORA_URL), whatever CHAIN_BACKEND is
+//   bitcoind  Bitcoin Core estimatesmartfee (BITCOIND_RPC_URL)
+//   local     estimates learned from mempool txs the wallet engine saw confirm
+// Configure through the environment (network suffixes work as for backends):
+//   FEE_SOURCES      comma list, default "backend,local"
+//   FEE_CACHE_TTL    ms a result is reused, default 60000
+//   MIN_RELAY_FEE    sat/vB floor applied to every estimate, default 1
+// All estimates are { target_blocks: sat/vB }.
+
+const { FEE_TARGETS, envFor, getBackend, createBackend, backendConfig } = require('./backends');
+
+const DEFAULT_SOURCES = 'backend,local';
+const DEFAULT_CACHE_TTL = 60000;
+const DEFAULT_MIN_RELAY_FEE = 1;
+const MAX_FEE_RATE = 5000; // sat/vB; anything above is almost certainly a unit mistake
+
+function minRelayFee(network) {
+  const value = Number(envFor('MIN_RELAY_FEE', network));
+  return value > 0 ? value : DEFAULT_MIN_RELAY_FEE;
+}
+
+// Fee for a confirmation target from an estimate map, using the closest
+// target at or below the requested one.
+function feeForTarget(estimates, target) {
+  const targets = Object.keys(estimates).map(Number).sort((a, b) => a - b);
+  if (targets.length === 0) return null;
+  const eligible = targets.filter((t) => t <= target);
+  return estimates[eligible.length ? eligible[eligible.length - 1] : targets[0]];
+}
+
+// Floor every rate at min relay and make longer targets never cost more
+// than shorter ones
+function normalizeEstimates(raw, floor) {
+  const estimates = {};
+  let ceiling = Infinity;
+  Object.keys(raw)
+    .map(Number)
+    .filter((t) => Number.isInteger(t) && t > 0 && Number(raw[t]) > 0)
+    .sort((a, b) => a - b)
+    .forEach((target) => {
+      ceiling = Math.min(ceiling, Number(raw[target]));
+      estimates[target] = Number(Math.max(ceiling, floor).toFixed(3));
+    });
+  return estimates;
+}
+
+// ========== Local estimator ==========
+// Records the height at which the engine first saw each mempool tx and how
+// many blocks it took to confirm. For each target, the estimate is the
+// lowest fee rate at which SUCCESS_RATIO of observed txs paying at least that
+// much confirmed within the target.
+const SUCCESS_RATIO = 0.85;
+const MIN_SAMPLES = 3;
+const MAX_SAMPLES = 1000;
+const SAMPLE_MAX_AGE = 1008; // blocks
+
+class LocalFeeEstimator {
+  constructor() {
+    this.pending = {}; // txid: { fee_rate, seen_height }
+    this.samples = []; // { fee_rate, blocks, height }
+    this.tip_height = null;
+  }
+
+  observeMempoolTx(txid, feeRate, height) {
+    if (this.pending[txid] || !(feeRate > 0) || typeof height !== 'number') return;
+    this.pending[txid] = { fee_rate: feeRate, seen_height: height };
+  }
+
+  observeConfirmation(txid, blockHeight) {
+    const seen = this.pending[txid];
+    if (!seen || typeof blockHeight !== 'number') return;
+    delete this.pending[txid];
+    this.samples.push({ fee_rate: seen.fee_rate, blocks: Math.max(1, blockHeight - seen.seen_height), height: blockHeight });
+    if (this.samples.length > MAX_SAMPLES) this.samples.splice(0, this.samples.length - MAX_SAMPLES);
+  }
+
+  observeBlock(height) {
+    this.tip_height = height;
+    this.samples = this.samples.filter((s) => height - s.height <= SAMPLE_MAX_AGE);
+  }
+
+  estimates() {
+    const estimates = {};
+    const rates = [...new Set(this.samples.map((s) => s.fee_rate))].sort((a, b) => a - b);
+    FEE_TARGETS.forEach((target) => {
+      const rate = rates.find((r) => {
+        const paying = this.samples.filter((s) => s.fee_rate >= r);
+        const ok = paying.filter((s) => s.blocks <= target).length;
+        return paying.length >= MIN_SAMPLES && ok / paying.length >= SUCCESS_RATIO;
+      });
+      if (rate !== undefined) estimates[target] = rate;
+    });
+    return estimates;
+  }
+}
+
+const localEstimators = {};
+
+function getLocalEstimator(network) {
+  if (!localEstimators[network]) localEstimators[network] = new LocalFeeEstimator();
+  return localEstimators[network];
+}
+
+// Feed a wallet engine's mempool and confirmation observations into the
+// local estimator of whatever network it is on
+function watchEngine(engine) {
+  engine.on('block:new', ({ height }) => getLocalEstimator(engine.network).observeBlock(height));
+  engine.on('mempool:updated', ({ address }) => {
+    Object.values(engine.mempool_txs[address] || {}).forEach((tx) => {
+      getLocalEstimator(engine.network).observeMempoolTx(tx.txid, tx.fee_rate, engine.tip_height);
+    });
+  });
+  engine.on('utxos:updated', ({ utxos }) => {
+    utxos.filter((u) => u.is_confirmed).forEach((u) => {
+      getLocalEstimator(engine.network).observeConfirmation(u.txid, u.block_height);
+    });
+  });
+}
+
+// ========== Sources ==========
+function typedBackend(network, type) {
+  const shared = getBackend(network);
+  if (shared.type === type) return shared;
+  return createBackend(network, { type, ...backendConfig(network)[type] });
+}
+
+const sourceBackends = {};
+
+const SOURCES = {
+  backend: (network) => getBackend(network).getFeeEstimates(),
+  esplora: (network) => {
+    const key = `esplora:${network}`;
+    sourceBackends[key] = sourceBackends[key] || typedBackend(network, 'esplora');
+    return sourceBackends[key].getFeeEstimates();
+  },
+  bitcoind: (network) => {
+    const key = `bitcoind:${network}`;
+    sourceBackends[key] = sourceBackends[key] || typedBackend(network, 'bitcoind');
+    return sourceBackends[key].getFeeEstimates();
+  },
+  local: async (network) => getLocalEstimator(network).estimates(),
+};
+
+function configuredSources(network) {
+  return (envFor('FEE_SOURCES', network) || DEFAULT_SOURCES)
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+// ========== Estimates ==========
+const cache = {};
+
+function cacheTtl(network) {
+  const ttl = Number(envFor('FEE_CACHE_TTL', network));
+  return Number.isFinite(ttl) && ttl >= 0 ? ttl : DEFAULT_CACHE_TTL;
+}
+
+// { network, source, estimates, min_relay_fee, fetched_at, cached, stale, errors }
+// When every source fails, the last good result is returned marked stale,
+// and with nothing cached the min-relay floor is used for every target.
+async function getFeeEstimates(network, { sources, refresh = false } = {}) {
+  const floor = minRelayFee(network);
+  const entry = cache[network];
+  if (!refresh && !sources && entry && Date.now() - entry.fetched_at < cacheTtl(network)) {
+    return { ...entry.result, cached: true };
+  }
+
+  const errors = [];
+  for (const name of sources || configuredSources(network)) {
+    const source = SOURCES[name];
+    if (!source) {
+      errors.push({ source: name, error: 'Unknown fee source' });
+      continue;
+    }
+    try {
+      const estimates = normalizeEstimates(await source(network), floor);
+      if (!Object.keys(estimates).length) throw new Error('No estimates available');
+      const result = {
+        network,
+        source: name,
+        estimates,
+        min_relay_fee: floor,
+        fetched_at: new Date().toISOString(),
+        cached: false,
+        stale: false,
+        errors,
+      };
+      cache[network] = { result, fetched_at: Date.now() };
+      return result;
+    } catch (e) {
+      errors.push({ source: name, error: e.message });
+    }
+  }
+
+  if (entry) return { ...entry.result, cached: true, stale: true, errors };
+  const estimates = {};
+  FEE_TARGETS.forEach((t) => {
+    estimates[t] = floor;
+  });
+  return {
+    network,
+    source: 'min_relay_fee',
+    estimates,
+    min_relay_fee: floor,
+    fetched_at: new Date().toISOString(),
+    cached: false,
+    stale: true,
+    errors,
+  };
+}
+
+// sat/vB to confirm within `target` blocks
+async function feeRateForTarget(network, target, options) {
+  const { estimates } = await getFeeEstimates(network, options);
+  return feeForTarget(estimates, target);
+}
+
+// Explicit `fee_rate` (sat/vB), or the estimate for `conf_target` blocks
+async function resolveFeeRate({ fee_rate, conf_target }, network) {
+  if (fee_rate === undefined && conf_target !== undefined) {
+    const target = Number(conf_target);
+    if (!Number.isInteger(target) || target < 1 || target > 1008) {
+      throw new Error('conf_target must be a block count between 1 and 1008');
+    }
+    return feeRateForTarget(network, target);
+  }
+  const feeRate = Number(fee_rate);
+  if (!(feeRate > 0) || feeRate > MAX_FEE_RATE) {
+    throw new Error(`fee_rate must be a sat/vB value between 0 and ${MAX_FEE_RATE} (or pass conf_target)`);
+  }
+  return feeRate;
+}
+
+function clearFeeCache(network) {
+  if (network) delete cache[network];
+  else Object.keys(cache).forEach((n) => delete cache[n]);
+}
+
+module.exports = {
+  MAX_FEE_RATE,
+  SOURCES,
+  LocalFeeEstimator,
+  feeForTarget,
+  normalizeEstimates,
+  minRelayFee,
+  getLocalEstimator,
+  watchEngine,
+  getFeeEstimates,
+  feeRateForTarget,
+  resolveFeeRate,
+  clearFeeCache,
+};
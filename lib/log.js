@@ -0,0 +1,10 @@
+// lib/log.js
+// Per-request console logging for the server and routes. Quiet under
+// NODE_ENV=test, like morgan in server.js: chatter on stdout can corrupt the
+// node:test child-process protocol.
+
+function log(...args) {
+  if (process.env.NODE_ENV !== 'test') console.log(...args);
+}
+
+module.exports = { log };
@@ -0,0 +1,112 @@
+// lib/mnemonic.js
+// BIP39 mnemonics (English wordlist, checksum, PBKDF2-HMAC-SHA512 seed with
+// optional passphrase) and BIP44/49/84/86 account derivation.
+
+const bip39 = require('bip39');
+const { bip32 } = require('./ecc');
+const { NETWORKS, COIN_TYPES } = require('./networks');
+const { addressFromPubkey } = require('./xpub');
+const { keyExpression, buildDescriptor } = require('./descriptors');
+
+const WORDLIST = bip39.wordlists.english;
+const WORD_COUNTS = [12, 15, 18, 21, 24];
+
+// BIP purpose -> script type of the account
+const PURPOSES = {
+  44: 'p2pkh',
+  49: 'p2sh-p2wpkh',
+  84: 'p2wpkh',
+  86: 'p2tr',
+};
+
+function normalizeMnemonic(mnemonic) {
+  return String(mnemonic).normalize('NFKD').trim().toLowerCase().split(/\s+/).join(' ');
+}
+
+// 12 words = 128 bits of entropy, +32 bits per 3 extra words
+function generateMnemonic(wordCount = 12) {
+  if (!WORD_COUNTS.includes(Number(wordCount))) {
+    throw new Error(`word count must be one of ${WORD_COUNTS.join(', ')}`);
+  }
+  return bip39.generateMnemonic((Number(wordCount) / 3) * 32, undefined, WORDLIST);
+}
+
+function validateMnemonic(mnemonic) {
+  const words = normalizeMnemonic(mnemonic).split(' ');
+  const result = { valid: false, word_count: words.length, invalid_words: [] };
+
+  if (!WORD_COUNTS.includes(words.length)) {
+    return { ...result, error: `Mnemonic must have ${WORD_COUNTS.join(', ')} words` };
+  }
+  result.invalid_words = words.filter((word) => !WORDLIST.includes(word));
+  if (result.invalid_words.length) {
+    return { ...result, error: 'Words not in the BIP39 English wordlist' };
+  }
+  try {
+    bip39.mnemonicToEntropy(words.join(' '), WORDLIST);
+  } catch (e) {
+    return { ...result, error: 'Invalid mnemonic checksum' };
+  }
+  return { ...result, valid: true };
+}
+
+function mnemonicToSeed(mnemonic, passphrase = '') {
+  const check = validateMnemonic(mnemonic);
+  if (!check.valid) throw new Error(check.error);
+  return bip39.mnemonicToSeedSync(normalizeMnemonic(mnemonic), passphrase);
+}
+
+// m / purpose' / coin_type' / account'
+function accountPath(purpose, network = 'testnet', account = 0) {
+  if (!PURPOSES[purpose]) throw new Error(`Unsupported purpose: ${purpose}`);
+  if (!Number.isInteger(Number(account)) || account < 0) throw new Error('account must be a non-negative integer');
+  return `m/${purpose}'/${COIN_TYPES[network]}'/${account}'`;
+}
+
+// Script type implied by a path's purpose (p2wpkh for non-standard paths)
+function scriptTypeForPath(path) {
+  const match = /^m\/(\d+)['h]/.exec(path);
+  return (match && PURPOSES[match[1]]) || 'p2wpkh';
+}
+
+// Account-level watch-only data: xpub, receive/change descriptors, first addresses
+function deriveAccount(seed, { purpose = 84, network = 'testnet', account = 0, count = 5 } = {}) {
+  const root = bip32.fromSeed(seed, NETWORKS[network]);
+  const path = accountPath(purpose, network, account);
+  const node = root.derivePath(path).neutered();
+  const scriptType = PURPOSES[purpose];
+  const xpub = node.toBase58();
+  const descriptor = (chain) =>
+    buildDescriptor(scriptType, keyExpression({ fingerprint: root.fingerprint, originPath: path, key: xpub, childPath: `${chain}/*` }));
+
+  const addresses = [];
+  for (let i = 0; i < count; i++) {
+    addresses.push({
+      path: `${path}/0/${i}`,
+      address: addressFromPubkey(Buffer.from(node.derive(0).derive(i).publicKey), scriptType, network),
+    });
+  }
+
+  return {
+    purpose,
+    path,
+    script_type: scriptType,
+    master_fingerprint: Buffer.from(root.fingerprint).toString('hex'),
+    xpub,
+    receive_descriptor: descriptor(0),
+    change_descriptor: descriptor(1),
+    addresses,
+  };
+}
+
+module.exports = {
+  WORD_COUNTS,
+  PURPOSES,
+  normalizeMnemonic,
+  generateMnemonic,
+  validateMnemonic,
+  mnemonicToSeed,
+  accountPath,
+  scriptTypeForPath,
+  deriveAccount,
+};
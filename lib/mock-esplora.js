@@ -0,0 +1,438 @@
+// lib/mock-esplora.js
+// MockEsplora: in-process fake Esplora HTTP + mempool.space-style WebSocket
+// server backed by a scriptable in-memory chain. Used by the test suite and
+// handy for offline development:
+//
+//   const mock = new MockEsplora();
+//   const { url, wsUrl } = await mock.start();
+//   const txid = mock.fund('tb1q...', 50000);  // mempool tx paying the address
+//   mock.mineBlock();                          // confirm everything in the mempool
+//   mock.replaceTransaction(txid, { outputs: [...] });
+//   mock.reorg(1);                             // orphan the tip block
+//   await mock.stop();
+
+const http = require('http');
+const crypto = require('crypto');
+const bitcoin = require('bitcoinjs-lib');
+const WebSocket = require('ws');
+const { formatTransaction, scriptAddress } = require('./backends/tx-format');
+
+const DUMMY_WITNESS = [Buffer.alloc(72, 1), Buffer.alloc(33, 2)];
+const GENESIS_PREV = '0'.repeat(64);
+
+class MockEsplora {
+  constructor({ network = bitcoin.networks.testnet, startHeight = 100, blockTime = 1700000000 } = {}) {
+    this.network = network;
+    this.blocks = []; // main chain, index = height
+    this.orphaned = []; // blocks removed by reorg()
+    this.nextBlockTime = blockTime;
+    this.txs = new Map(); // txid -> { tx, hex, prevouts }
+    this.mempool = new Set(); // txids
+    this.blockOf = new Map(); // txid -> block hash (main chain only)
+    this.feeEstimates = { 1: 20, 2: 15, 3: 12, 6: 8, 12: 5, 25: 3, 144: 1.5, 504: 1.1, 1008: 1 };
+    this.server = null;
+    this.wss = null;
+    this.clients = new Set();
+    this.requests = []; // request log, for assertions
+
+    // Empty chain from genesis up to startHeight
+    for (let height = 0; height <= startHeight; height++) {
+      this.mineBlock([]);
+    }
+  }
+
+  // ========== Lifecycle ==========
+  start(port = 0) {
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    this.wss = new WebSocket.Server({ server: this.server, path: '/v1/ws' });
+    this.wss.on('connection', (ws) => this.onWsConnection(ws));
+
+    return new Promise((resolve) => {
+      this.server.listen(port, '127.0.0.1', () => {
+        const { port: bound } = this.server.address();
+        this.url = `http://127.0.0.1:${bound}`;
+        this.wsUrl = `ws://127.0.0.1:${bound}/v1/ws`;
+        resolve({ url: this.url, wsUrl: this.wsUrl });
+      });
+    });
+  }
+
+  stop() {
+    if (!this.server) return Promise.resolve();
+    this.clients.forEach((ws) => ws.terminate());
+    this.clients.clear();
+    return new Promise((resolve) => {
+      this.wss.close(() => {
+        this.server.close(() => resolve());
+        this.server = null;
+      });
+    });
+  }
+
+  // ========== Chain scripting ==========
+  get tip() {
+    return this.blocks[this.blocks.length - 1];
+  }
+
+  get tipHeight() {
+    return this.tip.height;
+  }
+
+  // spec: { inputs: [{ txid, vout, value? }], outputs: [{ address | script, value }], fee, rbf, locktime }
+  // Inputs without a known prevout are synthetic funding (value = outputs + fee).
+  addTransaction(spec) {
+    const { outputs = [], fee = 1000, rbf = true, locktime = 0 } = spec;
+    const tx = new bitcoin.Transaction();
+    tx.version = 2;
+    tx.locktime = locktime;
+    const sequence = rbf ? 0xfffffffd : 0xffffffff;
+    const outputSum = outputs.reduce((sum, o) => sum + o.value, 0);
+
+    const inputs = spec.inputs && spec.inputs.length
+      ? spec.inputs
+      : [{ txid: crypto.randomBytes(32).toString('hex'), vout: 0, value: outputSum + fee }];
+
+    const prevouts = inputs.map((input) => {
+      tx.addInput(Buffer.from(input.txid, 'hex').reverse(), input.vout, input.sequence ?? sequence);
+      const known = this.txs.get(input.txid);
+      if (known) return known.tx.outs[input.vout];
+      return { script: Buffer.alloc(0), value: input.value ?? outputSum + fee };
+    });
+    tx.ins.forEach((input, idx) => tx.setWitness(idx, DUMMY_WITNESS));
+
+    outputs.forEach((o) => {
+      const script = o.script ? Buffer.from(o.script, 'hex') : bitcoin.address.toOutputScript(o.address, this.network);
+      tx.addOutput(script, o.value);
+    });
+
+    return this.acceptTransaction(tx, prevouts);
+  }
+
+  // Mempool tx paying `value` sats to `address`
+  fund(address, value, options = {}) {
+    return this.addTransaction({ ...options, outputs: [{ address, value }] });
+  }
+
+  acceptTransaction(tx, prevouts) {
+    const txid = tx.getId();
+    this.txs.set(txid, { tx, hex: tx.toHex(), prevouts, first_seen: Date.now() });
+    this.mempool.add(txid);
+    this.notifyTransaction(txid);
+    return txid;
+  }
+
+  // Replace a mempool tx (and its descendants) with one spending the same inputs
+  replaceTransaction(txid, spec = {}) {
+    const original = this.txs.get(txid);
+    if (!original || !this.mempool.has(txid)) throw new Error(`tx ${txid} not in mempool`);
+    const inputs = original.tx.ins.map((input, idx) => ({
+      txid: Buffer.from(input.hash).reverse().toString('hex'),
+      vout: input.index,
+      value: original.prevouts[idx].value,
+    }));
+    const outputs = spec.outputs || original.tx.outs.map((out) => ({ script: out.script.toString('hex'), value: out.value }));
+    this.evict(txid);
+    return this.addTransaction({ fee: 2000, ...spec, inputs, outputs });
+  }
+
+  // Drop a tx and everything spending it from the mempool
+  evict(txid) {
+    if (!this.mempool.delete(txid)) return;
+    for (const other of [...this.mempool]) {
+      const spendsIt = this.txs.get(other).tx.ins.some((input) => Buffer.from(input.hash).reverse().toString('hex') === txid);
+      if (spendsIt) this.evict(other);
+    }
+  }
+
+  // Mine the given mempool txids (default: whole mempool) into a new tip block
+  mineBlock(txids) {
+    const included = (txids || [...this.mempool]).filter((txid) => this.mempool.has(txid));
+    const prev = this.blocks.length ? this.tip : null;
+    const height = prev ? prev.height + 1 : 0;
+    const time = this.nextBlockTime;
+    this.nextBlockTime += 600;
+    const hash = crypto
+      .createHash('sha256')
+      .update(`${prev ? prev.hash : GENESIS_PREV}:${height}:${included.join(',')}:${crypto.randomBytes(8).toString('hex')}`)
+      .digest('hex');
+
+    const block = { hash, height, time, prev_hash: prev ? prev.hash : GENESIS_PREV, txids: included };
+    this.blocks.push(block);
+    included.forEach((txid) => {
+      this.mempool.delete(txid);
+      this.blockOf.set(txid, hash);
+    });
+    this.notifyBlock(block);
+    return block;
+  }
+
+  // Orphan the top `depth` blocks. Their txs go back to the mempool unless
+  // listed in `drop`; then `replacement` new blocks are mined (default depth + 1).
+  reorg(depth = 1, { drop = [], replacement = depth + 1, include = [] } = {}) {
+    const orphaned = this.blocks.splice(this.blocks.length - depth, depth);
+    this.orphaned.push(...orphaned);
+    orphaned.forEach((block) => {
+      block.txids.forEach((txid) => {
+        this.blockOf.delete(txid);
+        if (!drop.includes(txid)) this.mempool.add(txid);
+      });
+    });
+    const mined = [];
+    for (let i = 0; i < replacement; i++) {
+      mined.push(this.mineBlock(i === 0 ? include : []));
+    }
+    return { orphaned, mined };
+  }
+
+  setFeeEstimates(estimates) {
+    this.feeEstimates = estimates;
+  }
+
+  // ========== Esplora views ==========
+  txStatus(txid) {
+    const blockHash = this.blockOf.get(txid);
+    if (!blockHash) return { confirmed: false };
+    const block = this.blocks.find((b) => b.hash === blockHash);
+    return { confirmed: true, block_height: block.height, block_hash: block.hash, block_time: block.time };
+  }
+
+  isKnown(txid) {
+    return this.mempool.has(txid) || this.blockOf.has(txid);
+  }
+
+  txJson(txid) {
+    const entry = this.txs.get(txid);
+    return formatTransaction(entry.tx, { network: this.network, prevouts: entry.prevouts, status: this.txStatus(txid) });
+  }
+
+  liveTxids() {
+    const chain = this.blocks.flatMap((b) => b.txids);
+    return [...chain, ...this.mempool];
+  }
+
+  spentBy(txid, vout) {
+    for (const other of this.liveTxids()) {
+      const { tx } = this.txs.get(other);
+      const idx = tx.ins.findIndex((input) => input.index === vout && Buffer.from(input.hash).reverse().toString('hex') === txid);
+      if (idx !== -1) return { txid: other, vin: idx };
+    }
+    return null;
+  }
+
+  outspend(txid, vout) {
+    const spend = this.spentBy(txid, vout);
+    return spend ? { spent: true, txid: spend.txid, vin: spend.vin, status: this.txStatus(spend.txid) } : { spent: false };
+  }
+
+  addressTxids(address) {
+    return this.liveTxids().filter((txid) => {
+      const { tx, prevouts } = this.txs.get(txid);
+      return (
+        tx.outs.some((out) => scriptAddress(out.script, this.network) === address) ||
+        prevouts.some((prev) => prev.script.length && scriptAddress(prev.script, this.network) === address)
+      );
+    });
+  }
+
+  addressUtxos(address) {
+    const utxos = [];
+    this.liveTxids().forEach((txid) => {
+      this.txs.get(txid).tx.outs.forEach((out, vout) => {
+        if (scriptAddress(out.script, this.network) === address && !this.spentBy(txid, vout)) {
+          utxos.push({ txid, vout, value: out.value, status: this.txStatus(txid) });
+        }
+      });
+    });
+    return utxos;
+  }
+
+  addressStats(address) {
+    const blank = () => ({ funded_txo_count: 0, funded_txo_sum: 0, spent_txo_count: 0, spent_txo_sum: 0, tx_count: 0 });
+    const stats = { address, chain_stats: blank(), mempool_stats: blank() };
+    this.addressTxids(address).forEach((txid) => {
+      const bucket = this.blockOf.has(txid) ? stats.chain_stats : stats.mempool_stats;
+      const { tx, prevouts } = this.txs.get(txid);
+      bucket.tx_count += 1;
+      tx.outs.forEach((out) => {
+        if (scriptAddress(out.script, this.network) === address) {
+          bucket.funded_txo_count += 1;
+          bucket.funded_txo_sum += out.value;
+        }
+      });
+      prevouts.forEach((prev) => {
+        if (prev.script.length && scriptAddress(prev.script, this.network) === address) {
+          bucket.spent_txo_count += 1;
+          bucket.spent_txo_sum += prev.value;
+        }
+      });
+    });
+    return stats;
+  }
+
+  blockJson(block) {
+    return {
+      id: block.hash,
+      height: block.height,
+      timestamp: block.time,
+      tx_count: block.txids.length,
+      previousblockhash: block.prev_hash,
+    };
+  }
+
+  // Serialized block; the header is illustrative (mock hashes aren't header hashes)
+  rawBlock(block) {
+    const raw = new bitcoin.Block();
+    raw.version = 0x20000000;
+    raw.prevHash = Buffer.from(block.prev_hash, 'hex').reverse();
+    raw.transactions = block.txids.map((txid) => this.txs.get(txid).tx);
+    raw.merkleRoot = raw.transactions.length ? bitcoin.Block.calculateMerkleRoot(raw.transactions) : Buffer.alloc(32);
+    raw.timestamp = block.time;
+    raw.bits = 0x207fffff;
+    raw.nonce = 0;
+    return raw.toBuffer();
+  }
+
+  // ========== HTTP ==========
+  handle(req, res) {
+    const path = req.url.split('?')[0];
+    this.requests.push({ method: req.method, path });
+
+    if (req.method === 'POST' && path === '/tx') {
+      let body = '';
+      req.on('data', (chunk) => (body += chunk));
+      req.on('end', () => {
+        try {
+          const tx = bitcoin.Transaction.fromHex(body.trim());
+          const prevouts = tx.ins.map((input) => {
+            const prev = this.txs.get(Buffer.from(input.hash).reverse().toString('hex'));
+            return prev ? prev.tx.outs[input.index] : { script: Buffer.alloc(0), value: 0 };
+          });
+          this.send(res, 200, this.acceptTransaction(tx, prevouts));
+        } catch (e) {
+          this.send(res, 400, `sendrawtransaction RPC error: ${e.message}`);
+        }
+      });
+      return;
+    }
+
+    const route = this.route(path);
+    if (route === undefined) return this.send(res, 404, 'Not found');
+    this.send(res, 200, route);
+  }
+
+  route(path) {
+    let m;
+    if (path === '/blocks/tip/height') return this.tip.height;
+    if (path === '/blocks/tip/hash') return this.tip.hash;
+    if (path === '/fee-estimates') return this.feeEstimates;
+    if (path === '/mempool/txids') return [...this.mempool];
+    if ((m = path.match(/^\/block-height\/(\d+)$/))) {
+      const block = this.blocks.find((b) => b.height === Number(m[1]));
+      return block ? block.hash : undefined;
+    }
+    if ((m = path.match(/^\/blocks(?:\/(\d+))?$/))) {
+      const start = m[1] !== undefined ? Number(m[1]) : this.tip.height;
+      return this.blocks.filter((b) => b.height <= start).slice(-10).reverse().map((b) => this.blockJson(b));
+    }
+    if ((m = path.match(/^\/block\/([0-9a-f]{64})(\/.*)?$/))) {
+      const block = this.blocks.find((b) => b.hash === m[1]) || this.orphaned.find((b) => b.hash === m[1]);
+      if (!block) return undefined;
+      const sub = m[2] || '';
+      if (sub === '') return this.blockJson(block);
+      if (sub === '/txids') return block.txids;
+      if (sub === '/raw') return this.rawBlock(block);
+      if (sub === '/status') return { in_best_chain: this.blocks.includes(block), height: block.height };
+      const page = sub.match(/^\/txs(?:\/(\d+))?$/);
+      if (page) return block.txids.slice(Number(page[1] || 0), Number(page[1] || 0) + 25).map((t) => this.txJson(t));
+      return undefined;
+    }
+    if ((m = path.match(/^\/tx\/([0-9a-f]{64})(\/.*)?$/))) {
+      if (!this.isKnown(m[1])) return undefined;
+      const sub = m[2] || '';
+      if (sub === '') return this.txJson(m[1]);
+      if (sub === '/hex') return this.txs.get(m[1]).hex;
+      if (sub === '/status') return this.txStatus(m[1]);
+      if (sub === '/outspends') {
+        return this.txs.get(m[1]).tx.outs.map((out, vout) => this.outspend(m[1], vout));
+      }
+      const outspend = sub.match(/^\/outspend\/(\d+)$/);
+      if (outspend) return this.outspend(m[1], Number(outspend[1]));
+      return undefined;
+    }
+    if ((m = path.match(/^\/address\/([^/]+)(\/.*)?$/))) {
+      const address = decodeURIComponent(m[1]);
+      try {
+        bitcoin.address.toOutputScript(address, this.network);
+      } catch (e) {
+        return undefined;
+      }
+      const sub = m[2] || '';
+      if (sub === '') return this.addressStats(address);
+      if (sub === '/utxo') return this.addressUtxos(address);
+      const txids = this.addressTxids(address);
+      if (sub === '/txs/mempool') return txids.filter((t) => this.mempool.has(t)).map((t) => this.txJson(t));
+      if (sub === '/txs/chain') return txids.filter((t) => this.blockOf.has(t)).reverse().map((t) => this.txJson(t));
+      if (sub === '/txs') return txids.reverse().map((t) => this.txJson(t));
+      return undefined;
+    }
+    return undefined;
+  }
+
+  send(res, status, body) {
+    if (Buffer.isBuffer(body)) {
+      res.writeHead(status, { 'Content-Type': 'application/octet-stream' });
+      return res.end(body);
+    }
+    const isText = typeof body === 'string' || typeof body === 'number';
+    res.writeHead(status, { 'Content-Type': isText ? 'text/plain' : 'application/json' });
+    res.end(isText ? String(body) : JSON.stringify(body));
+  }
+
+  // ========== WebSocket (mempool.space v1 protocol subset) ==========
+  onWsConnection(ws) {
+    ws.tracked = new Set();
+    ws.wantsBlocks = false;
+    this.clients.add(ws);
+    ws.on('close', () => this.clients.delete(ws));
+    ws.on('message', (data) => {
+      let msg;
+      try {
+        msg = JSON.parse(data);
+      } catch (e) {
+        return;
+      }
+      if (msg.track || msg['track-address']) ws.tracked.add(msg.track || msg['track-address']);
+      if (msg.action === 'want' && Array.isArray(msg.data)) ws.wantsBlocks = msg.data.includes('blocks');
+    });
+  }
+
+  notifyTransaction(txid) {
+    if (!this.clients.size) return;
+    const json = this.txJson(txid);
+    const touched = new Set([
+      ...json.vout.map((o) => o.scriptpubkey_address),
+      ...json.vin.map((i) => i.prevout && i.prevout.scriptpubkey_address),
+    ]);
+    this.clients.forEach((ws) => {
+      const hits = [...ws.tracked].filter((address) => touched.has(address));
+      if (hits.length && ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify({ 'address-transactions': [json] }));
+      }
+    });
+  }
+
+  notifyBlock(block) {
+    this.clients.forEach((ws) => {
+      if (ws.readyState !== WebSocket.OPEN) return;
+      if (ws.wantsBlocks) ws.send(JSON.stringify({ block: this.blockJson(block) }));
+      const confirmed = block.txids.filter((txid) =>
+        this.txJson(txid).vout.some((o) => ws.tracked.has(o.scriptpubkey_address))
+      );
+      if (confirmed.length) {
+        ws.send(JSON.stringify({ 'block-transactions': confirmed.map((txid) => this.txJson(txid)) }));
+      }
+    });
+  }
+}
+
+module.exports = MockEsplora;
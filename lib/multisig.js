@@ -0,0 +1,189 @@
+// lib/multisig.js
+// m-of-n sortedmulti wallets (P2WSH or P2SH-P2WSH) built from cosigner
+// xpubs, the input data their spends need, and per-input signing progress
+// for PSBTs that cosigners sign in turn.
+
+const bitcoin = require('bitcoinjs-lib');
+const { NETWORKS } = require('./networks');
+const { parseXpub } = require('./xpub');
+const { keyExpression, buildDescriptor, parseOrigin } = require('./descriptors');
+const { isFinalized } = require('./psbt');
+const { SIGNATURE_SIZE, varIntSize } = require('./coin-selection');
+
+const MULTISIG_TYPES = ['p2wsh', 'p2sh-p2wsh'];
+const MAX_COSIGNERS = 15;
+
+// Weight of spending an m-of-n multisig input: outpoint, sequence and
+// scriptSig (the P2WSH program for P2SH-P2WSH), plus a witness of the
+// CHECKMULTISIG dummy, m signatures and the witness script
+function multisigInputWeight(m, n, scriptType) {
+  const witnessScript = 34 * n + 3;
+  const witness = 1 + 1 + m * (1 + SIGNATURE_SIZE) + varIntSize(witnessScript) + witnessScript;
+  const scriptSig = scriptType === 'p2sh-p2wsh' ? 1 + 35 : 1;
+  return 4 * (32 + 4 + 4 + scriptSig) + witness;
+}
+
+// Spend data for `script` (an output script) paying to `witnessScript`, or
+// null if the witness script isn't a multisig committed to by the output
+function multisigSpend(script, witnessScript, network = 'testnet') {
+  const net = NETWORKS[network];
+  let p2ms;
+  try {
+    p2ms = bitcoin.payments.p2ms({ output: witnessScript, network: net });
+  } catch (e) {
+    return null;
+  }
+  const p2wsh = bitcoin.payments.p2wsh({ redeem: { output: witnessScript }, network: net });
+  let scriptType = null;
+  let redeemScript = null;
+  if (script.equals(p2wsh.output)) {
+    scriptType = 'p2wsh';
+  } else if (script.equals(bitcoin.payments.p2sh({ redeem: p2wsh, network: net }).output)) {
+    scriptType = 'p2sh-p2wsh';
+    redeemScript = p2wsh.output;
+  } else {
+    return null;
+  }
+  return {
+    script_type: scriptType,
+    witness_script: witnessScript.toString('hex'),
+    redeem_script: redeemScript ? redeemScript.toString('hex') : null,
+    threshold: p2ms.m,
+    key_count: p2ms.n,
+    input_weight: multisigInputWeight(p2ms.m, p2ms.n, scriptType),
+  };
+}
+
+// "[fingerprint/48'/1'/0'/2']tpub..." or { xpub, master_fingerprint, path }
+function parseCosigner(cosigner, network) {
+  let xpub = cosigner;
+  let origin = null;
+  if (typeof cosigner === 'string') {
+    const match = /^(?:\[([^\]]+)\])?(.+)$/.exec(cosigner.trim());
+    origin = match[1] ? parseOrigin(match[1]) : null;
+    xpub = match[2];
+  } else if (cosigner && typeof cosigner === 'object') {
+    xpub = cosigner.xpub;
+    if (cosigner.master_fingerprint) {
+      const path = String(cosigner.path || '').replace(/^m\/?/, '');
+      origin = parseOrigin(path ? `${cosigner.master_fingerprint}/${path}` : cosigner.master_fingerprint);
+    }
+  }
+  if (typeof xpub !== 'string') throw new Error('Each cosigner needs an xpub');
+  const { node } = parseXpub(xpub, network);
+  return { node, origin };
+}
+
+// Descriptors for an m-of-n sortedmulti wallet over the cosigners' account
+// xpubs: one <0;1>/* multipath descriptor, plus separate receive (/0/*) and
+// change (/1/*) descriptors for wallets that don't take multipath
+function createMultisig({ threshold, cosigners, scriptType = 'p2wsh', network = 'testnet' }) {
+  if (!MULTISIG_TYPES.includes(scriptType)) {
+    throw new Error(`script_type must be one of ${MULTISIG_TYPES.join(', ')}`);
+  }
+  if (!Array.isArray(cosigners) || cosigners.length < 2 || cosigners.length > MAX_COSIGNERS) {
+    throw new Error(`Between 2 and ${MAX_COSIGNERS} cosigners required`);
+  }
+  const m = Number(threshold);
+  if (!Number.isInteger(m) || m < 1 || m > cosigners.length) {
+    throw new Error(`threshold must be between 1 and ${cosigners.length}`);
+  }
+
+  const keys = cosigners.map((c, i) => {
+    try {
+      return parseCosigner(c, network);
+    } catch (e) {
+      throw new Error(`Cosigner ${i}: ${e.message}`);
+    }
+  });
+  const distinct = new Set(keys.map((k) => Buffer.from(k.node.publicKey).toString('hex')));
+  if (distinct.size !== keys.length) throw new Error('Cosigner xpubs must be distinct');
+
+  const descriptorFor = (childPath) =>
+    buildDescriptor(
+      scriptType,
+      keys.map(({ node, origin }) =>
+        keyExpression({
+          fingerprint: origin ? Buffer.from(origin.fingerprint, 'hex') : null,
+          originPath: origin ? origin.path : null,
+          key: node.toBase58(),
+          childPath,
+        })
+      ),
+      { threshold: m, sorted: true }
+    );
+
+  return {
+    policy: `${m}-of-${keys.length}`,
+    threshold: m,
+    script_type: scriptType,
+    descriptor: descriptorFor('<0;1>/*'),
+    receive_descriptor: descriptorFor('0/*'),
+    change_descriptor: descriptorFor('1/*'),
+    cosigners: keys.map(({ node, origin }) => ({
+      xpub: node.toBase58(),
+      master_fingerprint: origin ? origin.fingerprint : null,
+      path: origin ? origin.path : null,
+    })),
+  };
+}
+
+// Who has signed which input. Cosigners are named by master fingerprint
+// where the PSBT carries BIP32 derivations, otherwise by pubkey.
+function signingProgress(psbt) {
+  const cosigners = {};
+  const inputs = psbt.data.inputs.map((input, index) => {
+    const finalized = isFinalized(input);
+    let threshold = 1;
+    let pubkeys = (input.bip32Derivation || []).map((d) => d.pubkey);
+    try {
+      const p2ms = bitcoin.payments.p2ms({ output: input.witnessScript || input.redeemScript });
+      threshold = p2ms.m;
+      pubkeys = p2ms.pubkeys;
+    } catch (e) {
+      // single-key input, or the script isn't known yet
+    }
+    const nameOf = (pubkey) => {
+      const d = (input.bip32Derivation || []).find((entry) => entry.pubkey.equals(pubkey));
+      return d ? d.masterFingerprint.toString('hex') : pubkey.toString('hex');
+    };
+    const signed = pubkeys.filter((pk) => (input.partialSig || []).some((s) => s.pubkey.equals(pk))).map(nameOf);
+    const complete = finalized || signed.length >= threshold;
+    const missing = complete ? [] : pubkeys.map(nameOf).filter((name) => !signed.includes(name));
+
+    pubkeys.map(nameOf).forEach((name) => {
+      cosigners[name] = cosigners[name] || { cosigner: name, signed_inputs: 0, pending_inputs: 0 };
+      if (signed.includes(name)) cosigners[name].signed_inputs += 1;
+      else if (!complete) cosigners[name].pending_inputs += 1;
+    });
+
+    return {
+      index,
+      threshold,
+      keys: pubkeys.length,
+      signatures: finalized ? threshold : signed.length,
+      signed_by: signed,
+      missing_signatures: complete ? 0 : threshold - signed.length,
+      can_sign: missing,
+      complete,
+      finalized,
+    };
+  });
+
+  return {
+    complete: inputs.every((i) => i.complete),
+    inputs_complete: inputs.filter((i) => i.complete).length,
+    inputs_total: inputs.length,
+    inputs,
+    cosigners: Object.values(cosigners),
+  };
+}
+
+module.exports = {
+  MULTISIG_TYPES,
+  MAX_COSIGNERS,
+  multisigInputWeight,
+  multisigSpend,
+  createMultisig,
+  signingProgress,
+};
@@ -0,0 +1,38 @@
+// lib/networks.js
+// Supported networks, shared by every route and the wallet engine.
+// Signet (default or custom) shares testnet's address/key version bytes.
+
+const bitcoin = require('bitcoinjs-lib');
+
+const NETWORKS = {
+  testnet: bitcoin.networks.testnet,
+  mainnet: bitcoin.networks.bitcoin,
+  regtest: bitcoin.networks.regtest,
+  signet: bitcoin.networks.testnet,
+};
+
+const NETWORK_NAMES = Object.keys(NETWORKS);
+
+// SLIP-44 coin type: 0 for mainnet, 1 for every test network
+const COIN_TYPES = {
+  mainnet: 0,
+  testnet: 1,
+  regtest: 1,
+  signet: 1,
+};
+
+function isSupportedNetwork(network) {
+  return Object.prototype.hasOwnProperty.call(NETWORKS, network);
+}
+
+// True if `address` decodes to an output script on `net`
+function validateAddress(address, net) {
+  try {
+    bitcoin.address.toOutputScript(address, net);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+module.exports = { NETWORKS, NETWORK_NAMES, COIN_TYPES, isSupportedNetwork, validateAddress };
@@ -0,0 +1,268 @@
+// lib/opreturn-indexer.js
+// OpReturnIndexer: walks best-chain blocks through the chain backend and
+// keeps every OP_RETURN payload that passes the configured filters, with its
+// height/txid/vout. Progress and records persist through lib/storage, so a
+// restart resumes where it stopped; a reorg rewinds to the fork and drops
+// the orphaned records.
+//
+// Needs a backend that serves raw blocks (Esplora or Bitcoin Core). The
+// Electrum protocol has no block download, so on Electrum syncing fails with
+// a 501 and polling doesn't start.
+
+const EventEmitter = require('events');
+const bitcoin = require('bitcoinjs-lib');
+const { getBackend, BackendError } = require('./backends');
+const { getStorage } = require('./storage');
+const { decodeOpReturn } = require('./opreturn');
+
+const MAX_PATTERN_LENGTH = 200;
+
+// { prefixes: [hex], textPrefix, pattern } -> predicate over records.
+// The pattern is tried against the UTF-8 text (when valid) and the hex. It
+// runs on the backtracking RegExp engine, so only the operator's
+// OPRETURN_INDEX_PATTERN gets here, never a search query.
+function compileFilter({ prefixes = [], textPrefix = null, pattern = null } = {}) {
+  const hexPrefixes = prefixes.map((p) => String(p).toLowerCase());
+  if (hexPrefixes.some((p) => !/^([0-9a-f]{2})+$/.test(p))) throw new Error('prefix must be hex bytes');
+  let regex = null;
+  if (pattern) {
+    if (String(pattern).length > MAX_PATTERN_LENGTH) throw new Error(`pattern is limited to ${MAX_PATTERN_LENGTH} characters`);
+    try {
+      regex = new RegExp(pattern);
+    } catch (e) {
+      throw new Error(`Invalid pattern: ${e.message}`);
+    }
+  }
+  return (record) =>
+    (!hexPrefixes.length || hexPrefixes.some((p) => record.hex.startsWith(p))) &&
+    (!textPrefix || (record.utf8 !== null && record.utf8.startsWith(textPrefix))) &&
+    (!regex || (record.utf8 !== null && regex.test(record.utf8)) || regex.test(record.hex));
+}
+
+class OpReturnIndexer extends EventEmitter {
+  constructor(network = 'testnet', options = {}) {
+    super();
+    this.network = network;
+    this.backendOverride = options.backend || null;
+    // Pass `storage: null` to keep the index in memory only
+    this.storage = options.storage !== undefined ? options.storage : getStorage();
+
+    this.config = {
+      start_height: options.startHeight ?? null, // null: start at the tip
+      prefixes: options.prefixes || [],
+      pattern: options.pattern || null,
+      max_records: options.maxRecords || 50000,
+      blocks_per_sync: options.blocksPerSync || 100,
+      polling_interval: options.pollingInterval || 60000,
+      reorg_window: 12,
+    };
+    this.matches = compileFilter({ prefixes: this.config.prefixes, pattern: this.config.pattern });
+
+    this.next_height = null;
+    this.block_window = []; // [{ height, hash }] of recently indexed blocks
+    this.records = []; // ascending by height
+    this.tip_height = null;
+    this.last_synced_at = null;
+    this.last_error = null;
+    this.syncing = null;
+    this.polling_interval = null;
+
+    this.loadState();
+  }
+
+  get backend() {
+    return this.backendOverride || getBackend(this.network);
+  }
+
+  checkBackend() {
+    const backend = this.backend;
+    if (!backend.supports('getBlockRaw')) {
+      throw new BackendError(
+        `The OP_RETURN index needs raw blocks, which the ${backend.type} backend can't serve; use esplora or bitcoind for ${this.network}`,
+        { status: 501, backend: backend.type }
+      );
+    }
+  }
+
+  // ========== Persistence ==========
+  get storageKey() {
+    return `opreturn-index:${this.network}`;
+  }
+
+  loadState() {
+    if (!this.storage) return;
+    const state = this.storage.get(this.storageKey);
+    if (!state) return;
+    this.next_height = state.next_height ?? null;
+    this.block_window = state.block_window || [];
+    this.records = state.records || [];
+  }
+
+  saveState() {
+    if (!this.storage) return;
+    try {
+      this.storage.set(this.storageKey, {
+        next_height: this.next_height,
+        block_window: this.block_window,
+        records: this.records,
+      });
+    } catch (error) {
+      this.emit('error', { type: 'persist', error: error.message });
+    }
+  }
+
+  // ========== Indexing ==========
+  sync() {
+    if (!this.syncing) {
+      this.syncing = this._sync().finally(() => {
+        this.syncing = null;
+      });
+    }
+    return this.syncing;
+  }
+
+  async _sync() {
+    this.checkBackend();
+    const tip = await this.backend.getTipHeight();
+    this.tip_height = tip;
+    await this.rewindOrphaned(tip);
+
+    if (this.next_height === null) {
+      this.next_height = this.config.start_height !== null ? this.config.start_height : tip;
+    }
+    const from = this.next_height;
+    const to = Math.min(tip, from + this.config.blocks_per_sync - 1);
+    let found = 0;
+    for (let height = from; height <= to; height++) {
+      const hash = await this.backend.getBlockHash(height);
+      found += this.indexBlock(height, hash, bitcoin.Block.fromBuffer(await this.backend.getBlockRaw(hash)));
+      this.block_window = [...this.block_window, { height, hash }].slice(-this.config.reorg_window);
+      this.next_height = height + 1;
+    }
+
+    if (this.records.length > this.config.max_records) {
+      this.records = this.records.slice(-this.config.max_records);
+    }
+    this.last_synced_at = new Date().toISOString();
+    this.saveState();
+    return { from, to, tip_height: tip, found, behind: Math.max(0, tip - this.next_height + 1) };
+  }
+
+  indexBlock(height, hash, block) {
+    let found = 0;
+    (block.transactions || []).forEach((tx) => {
+      const txid = tx.getId();
+      tx.outs.forEach((out, vout) => {
+        const decoded = decodeOpReturn(out.script);
+        if (!decoded) return;
+        const record = {
+          height,
+          block_hash: hash,
+          block_time: block.timestamp,
+          txid,
+          vout,
+          value: out.value,
+          hex: decoded.hex,
+          utf8: decoded.utf8,
+          bytes: decoded.bytes,
+          protocol: decoded.protocol ? decoded.protocol.name : null,
+        };
+        if (!this.matches(record)) return;
+        this.records.push(record);
+        found++;
+        this.emit('opreturn:found', { network: this.network, ...record });
+      });
+    });
+    return found;
+  }
+
+  // Drop blocks (and their records) that left the best chain
+  async rewindOrphaned(tip) {
+    const orphaned = [];
+    while (this.block_window.length) {
+      const entry = this.block_window[this.block_window.length - 1];
+      const hash = entry.height <= tip ? await this.backend.getBlockHash(entry.height) : null;
+      if (hash === entry.hash) break;
+      orphaned.push(this.block_window.pop());
+    }
+    if (!orphaned.length) return;
+
+    const forkHeight = orphaned[orphaned.length - 1].height - 1;
+    const orphanedHashes = new Set(orphaned.map((b) => b.hash));
+    const before = this.records.length;
+    this.records = this.records.filter((r) => !orphanedHashes.has(r.block_hash));
+    this.next_height = forkHeight + 1;
+    this.emit('reorg:detected', { network: this.network, fork_height: forkHeight, orphaned_blocks: orphaned, removed: before - this.records.length });
+  }
+
+  // ========== Queries ==========
+  // Newest first. filters: { prefix, text_prefix, protocol, txid, from_height, to_height }
+  search({ prefix, text_prefix, protocol, txid, from_height, to_height } = {}, { limit = 50, offset = 0 } = {}) {
+    const matches = compileFilter({ prefixes: prefix ? [prefix] : [], textPrefix: text_prefix || null });
+    const results = this.records.filter(
+      (r) =>
+        matches(r) &&
+        (!protocol || r.protocol === protocol) &&
+        (!txid || r.txid === String(txid).toLowerCase()) &&
+        (from_height === undefined || r.height >= from_height) &&
+        (to_height === undefined || r.height <= to_height)
+    );
+    return {
+      total: results.length,
+      offset,
+      limit,
+      results: results.reverse().slice(offset, offset + limit),
+    };
+  }
+
+  getStatus() {
+    return {
+      network: this.network,
+      polling: Boolean(this.polling_interval),
+      start_height: this.config.start_height,
+      next_height: this.next_height,
+      tip_height: this.tip_height,
+      behind: this.tip_height !== null && this.next_height !== null ? Math.max(0, this.tip_height - this.next_height + 1) : null,
+      records: this.records.length,
+      filters: { prefixes: this.config.prefixes, pattern: this.config.pattern },
+      last_synced_at: this.last_synced_at,
+      last_error: this.last_error,
+    };
+  }
+
+  // ========== Continuous polling ==========
+  // Each tick indexes up to blocks_per_sync blocks; while behind it keeps going
+  startPolling() {
+    if (this.polling_interval) return;
+    try {
+      this.checkBackend();
+    } catch (error) {
+      this.last_error = error.message;
+      this.emit('error', { type: 'unsupported', error: error.message });
+      return;
+    }
+    const tick = async () => {
+      try {
+        const result = await this.sync();
+        this.last_error = null;
+        if (result.behind > 0 && this.polling_interval) setImmediate(tick);
+      } catch (error) {
+        this.last_error = error.message;
+        this.emit('error', { type: 'sync', error: error.message });
+      }
+    };
+    this.polling_interval = setInterval(tick, this.config.polling_interval);
+    setImmediate(tick);
+    this.emit('polling:started');
+  }
+
+  stopPolling() {
+    if (this.polling_interval) {
+      clearInterval(this.polling_interval);
+      this.polling_interval = null;
+      this.emit('polling:stopped');
+    }
+  }
+}
+
+module.exports = { OpReturnIndexer, compileFilter };
@@ -0,0 +1,144 @@
+// lib/opreturn.js
+// OP_RETURN output parsing: each push decoded separately (hex, UTF-8 when
+// valid, base64) and the payload matched against known protocol prefixes.
+
+const bitcoin = require('bitcoinjs-lib');
+const { ANCHOR_MAGIC, parseAnchorPayload } = require('./anchor');
+
+const utf8 = new TextDecoder('utf-8', { fatal: true });
+
+const OMNI_TX_TYPES = {
+  0: 'simple_send',
+  3: 'send_to_owners',
+  4: 'send_all',
+  50: 'create_property_fixed',
+  51: 'create_property_crowdsale',
+  54: 'create_property_managed',
+  55: 'grant_property_tokens',
+  56: 'revoke_property_tokens',
+};
+
+// First-push prefixes; `decode` adds protocol fields from the payload
+const PROTOCOLS = [
+  { name: 'omni', prefix: Buffer.from('omni'), decode: decodeOmni },
+  { name: 'anchor', prefix: ANCHOR_MAGIC, decode: (payload) => parseAnchorPayload(payload) || {} }, // /api/anchor roots
+  { name: 'proof_of_existence', prefix: Buffer.from('DOCPROOF') },
+  { name: 'eternity_wall', prefix: Buffer.from('EW ') },
+  { name: 'stacks', prefix: Buffer.from('X2') },
+];
+
+const HASH_SIZES = { 20: 'ripemd160', 32: 'sha256' };
+
+function describePush(data) {
+  let text = null;
+  try {
+    text = utf8.decode(data);
+  } catch (e) {
+    // not valid UTF-8
+  }
+  return { hex: data.toString('hex'), utf8: text, base64: data.toString('base64'), bytes: data.length };
+}
+
+// Omni Layer class C: "omni" <version u16> <type u16> [fields]
+function decodeOmni(payload) {
+  const body = payload.subarray(4);
+  if (body.length < 4) return {};
+  const type = body.readUInt16BE(2);
+  const fields = { version: body.readUInt16BE(0), tx_type: type, tx_type_name: OMNI_TX_TYPES[type] || null };
+  if (type === 0 && body.length >= 16) {
+    fields.property_id = body.readUInt32BE(4);
+    fields.amount = body.readBigUInt64BE(8).toString();
+  }
+  return fields;
+}
+
+// Runestone integers: unsigned LEB128, kept as strings (they are u128)
+function decodeLeb128(buffer) {
+  const integers = [];
+  let value = 0n;
+  let shift = 0n;
+  for (const byte of buffer) {
+    value |= BigInt(byte & 0x7f) << shift;
+    if (byte & 0x80) {
+      shift += 7n;
+      if (shift > 127n) return null;
+    } else {
+      integers.push(value.toString());
+      value = 0n;
+      shift = 0n;
+    }
+  }
+  return shift === 0n ? integers : null;
+}
+
+function detectProtocol(chunks, pushes) {
+  // Runes: OP_RETURN OP_13 <data pushes>
+  if (chunks.length && chunks[0].opcode === bitcoin.opcodes.OP_13) {
+    const payload = Buffer.concat(pushes);
+    return { name: 'runes', integers: decodeLeb128(payload) };
+  }
+  if (pushes.length === 0) return null;
+  const first = pushes[0];
+  const match = PROTOCOLS.find((p) => first.length >= p.prefix.length && first.subarray(0, p.prefix.length).equals(p.prefix));
+  if (match) return { name: match.name, ...(match.decode ? match.decode(first) : {}) };
+  // A bare digest: timestamping and anchoring services (OpenTimestamps-style)
+  if (pushes.length === 1 && HASH_SIZES[first.length]) {
+    return { name: 'hash_commitment', hash_type: HASH_SIZES[first.length] };
+  }
+  return null;
+}
+
+// Script after OP_RETURN as [{ data } | { opcode }], exactly as encoded
+// (bitcoin.script.decompile rewrites 1-byte pushes as OP_1..OP_16), or null
+// when a push runs past the end
+function parseChunks(body) {
+  const chunks = [];
+  let i = 0;
+  while (i < body.length) {
+    const op = body[i++];
+    let size;
+    if (op <= 0x4b) size = op;
+    else if (op === bitcoin.opcodes.OP_PUSHDATA1) size = body[i++];
+    else if (op === bitcoin.opcodes.OP_PUSHDATA2) (size = body.readUInt16LE(i)), (i += 2);
+    else if (op === bitcoin.opcodes.OP_PUSHDATA4) (size = body.readUInt32LE(i)), (i += 4);
+    else {
+      chunks.push({ opcode: op });
+      continue;
+    }
+    if (size === undefined || Number.isNaN(size) || i + size > body.length) return null;
+    chunks.push({ data: body.subarray(i, i + size) });
+    i += size;
+  }
+  return chunks;
+}
+
+// Decoded OP_RETURN script, or null when `script` isn't one
+function decodeOpReturn(script) {
+  if (!script.length || script[0] !== bitcoin.opcodes.OP_RETURN) return null;
+
+  let chunks;
+  try {
+    chunks = parseChunks(script.subarray(1));
+  } catch (e) {
+    chunks = null; // PUSHDATA length itself truncated
+  }
+  if (!chunks) {
+    // The bytes are still on-chain, just not parseable as pushes
+    return { malformed: true, pushes: [], opcodes: [], protocol: null, ...describePush(script.subarray(1)) };
+  }
+
+  const pushes = chunks.filter((c) => c.data).map((c) => c.data);
+  return {
+    malformed: false,
+    pushes: pushes.map(describePush),
+    opcodes: chunks.filter((c) => !c.data).map((c) => bitcoin.script.toASM([c.opcode])),
+    protocol: detectProtocol(chunks, pushes),
+    ...describePush(Buffer.concat(pushes)),
+  };
+}
+
+module.exports = {
+  PROTOCOLS,
+  decodeOpReturn,
+  decodeLeb128,
+};
@@ -0,0 +1,140 @@
+// lib/psbt.js
+// Watch-only PSBT helpers. Builders attach BIP32 derivation metadata so a
+// hardware wallet or air-gapped signer can find its keys; the signed copies
+// come back through combine -> finalize -> extract. No private keys here.
+
+const bitcoin = require('bitcoinjs-lib');
+const { NETWORKS } = require('./networks');
+const { getBackend } = require('./backends');
+const { paymentFor } = require('./signing');
+const { toXOnly } = require('./taproot');
+const { decodeTimelockScript, finalizeTimelockInput } = require('./timelock');
+
+// Accepts base64 or hex
+function decodePsbt(str, network = 'testnet') {
+  const net = NETWORKS[network];
+  if (typeof str !== 'string' || !str.trim()) throw new Error('PSBT required (base64 or hex)');
+  const trimmed = str.trim();
+  try {
+    return /^[0-9a-fA-F]+$/.test(trimmed)
+      ? bitcoin.Psbt.fromHex(trimmed, { network: net })
+      : bitcoin.Psbt.fromBase64(trimmed, { network: net });
+  } catch (e) {
+    throw new Error(`Invalid PSBT: ${e.message}`);
+  }
+}
+
+// { fingerprint, path, pubkey } -> bip174 entry. Taproot uses x-only keys.
+function derivationEntry({ fingerprint, path, pubkey }, scriptType) {
+  const entry = {
+    masterFingerprint: Buffer.from(fingerprint, 'hex'),
+    path: path.replace(/h/g, "'"),
+    pubkey: Buffer.from(pubkey),
+  };
+  if (scriptType === 'p2tr') return { ...entry, pubkey: toXOnly(entry.pubkey), leafHashes: [] };
+  return entry;
+}
+
+function derivationFields(derivations, scriptType) {
+  const entries = derivations.filter(Boolean).map((d) => derivationEntry(d, scriptType));
+  if (!entries.length) return {};
+  return scriptType === 'p2tr' ? { tapBip32Derivation: entries } : { bip32Derivation: entries };
+}
+
+// Derivation metadata plus the script data a single-key signer needs
+// (redeem script for p2sh-p2wpkh, internal key for p2tr).
+function annotateInput(psbt, index, scriptType, derivations, network = 'testnet') {
+  const input = psbt.data.inputs[index];
+  const update = derivationFields(derivations, scriptType);
+  const single = derivations.length === 1 && derivations[0];
+  if (single && scriptType === 'p2sh-p2wpkh' && !input.redeemScript) {
+    update.redeemScript = paymentFor(Buffer.from(single.pubkey), scriptType, network).redeem.output;
+  }
+  if (single && scriptType === 'p2tr' && !input.tapInternalKey) {
+    update.tapInternalKey = toXOnly(Buffer.from(single.pubkey));
+  }
+  if (Object.keys(update).length) psbt.updateInput(index, update);
+}
+
+// Lets signers recognise (and hide) our own change outputs
+function annotateOutput(psbt, index, scriptType, derivations, network = 'testnet') {
+  const update = derivationFields(derivations, scriptType);
+  const single = derivations.length === 1 && derivations[0];
+  if (single && scriptType === 'p2sh-p2wpkh') {
+    update.redeemScript = paymentFor(Buffer.from(single.pubkey), scriptType, network).redeem.output;
+  }
+  if (single && scriptType === 'p2tr') update.tapInternalKey = toXOnly(Buffer.from(single.pubkey));
+  if (Object.keys(update).length) psbt.updateOutput(index, update);
+}
+
+function isFinalized(input) {
+  return Boolean(input.finalScriptSig || input.finalScriptWitness);
+}
+
+function signatureCount(input) {
+  return (input.partialSig || []).length + (input.tapKeySig ? 1 : 0) + (input.tapScriptSig || []).length;
+}
+
+// Merge signatures from copies of the same unsigned transaction
+function combinePsbts(psbts, network = 'testnet') {
+  if (!Array.isArray(psbts) || psbts.length < 2) throw new Error('At least two PSBTs required');
+  const [first, ...rest] = psbts.map((p) => decodePsbt(p, network));
+  const txid = first.data.globalMap.unsignedTx.toBuffer().toString('hex');
+  rest.forEach((p, i) => {
+    if (p.data.globalMap.unsignedTx.toBuffer().toString('hex') !== txid) {
+      throw new Error(`PSBT ${i + 1} spends a different unsigned transaction`);
+    }
+  });
+  return first.combine(...rest);
+}
+
+// Finalizes every input it can; the rest report why. CLTV/CSV timelock
+// scripts (lib/timelock) aren't templates bitcoinjs knows, so they get
+// their own finalizer.
+function finalizePsbt(psbt) {
+  const inputs = psbt.data.inputs.map((input, index) => {
+    if (isFinalized(input)) return { index, finalized: true };
+    try {
+      const timelocked = input.witnessScript && decodeTimelockScript(input.witnessScript);
+      psbt.finalizeInput(index, timelocked ? finalizeTimelockInput : undefined);
+      return { index, finalized: true };
+    } catch (e) {
+      return { index, finalized: false, signatures: signatureCount(input), error: e.message };
+    }
+  });
+  return { complete: inputs.every((i) => i.finalized), inputs };
+}
+
+// Base64, hex and unsigned tx hex of a PSBT, as the builder routes return it
+function describePsbt(psbt) {
+  return {
+    psbt: psbt.toBase64(),
+    psbt_hex: psbt.toHex(),
+    unsigned_tx_hex: psbt.data.globalMap.unsignedTx.toBuffer().toString('hex'),
+  };
+}
+
+// Full previous transactions for segwit v0 inputs; some hardware wallets
+// refuse to sign without them (BIP143 fee attack). Taproot commits to all
+// input amounts, so p2tr inputs don't need them.
+async function attachPrevTxs(psbt, inputs, network) {
+  const backend = getBackend(network);
+  for (let i = 0; i < inputs.length; i++) {
+    if (inputs[i].script_type === 'p2tr') continue;
+    const hex = await backend.getTransactionHex(inputs[i].txid);
+    psbt.updateInput(i, { nonWitnessUtxo: Buffer.from(hex.trim(), 'hex') });
+  }
+}
+
+module.exports = {
+  decodePsbt,
+  describePsbt,
+  attachPrevTxs,
+  derivationEntry,
+  annotateInput,
+  annotateOutput,
+  isFinalized,
+  signatureCount,
+  combinePsbts,
+  finalizePsbt,
+};
@@ -0,0 +1,209 @@
+// lib/rbf.js
+// BIP125 fee bumping for our own unconfirmed transactions. The replacement
+// spends the same inputs, pays the same payees, and takes the extra fee out
+// of change, adding confirmed inputs when change isn't enough. It evicts the
+// original's unconfirmed descendants too, so it must pay for them as well.
+
+const bitcoin = require('bitcoinjs-lib');
+const { NETWORKS } = require('./networks');
+const { scriptTypeOf } = require('./signing');
+const { scriptAddress } = require('./backends/tx-format');
+const { annotateInput } = require('./psbt');
+const { INPUT_WEIGHT, TX_OVERHEAD_WEIGHT, outputWeight, dustThreshold, feeFor } = require('./coin-selection');
+const { RBF_SEQUENCE, inputExtras } = require('./tx-builder');
+
+const DEFAULT_INCREMENTAL_RELAY_FEE = 1; // sat/vB, Bitcoin Core -incrementalrelayfee
+const MAX_REPLACEMENTS = 100; // BIP125 rule 5: txs one replacement may evict
+
+function signalsRbf(tx) {
+  return tx.ins.some((input) => input.sequence <= RBF_SEQUENCE);
+}
+
+function outpointKey(txid, vout) {
+  return `${txid}:${vout}`;
+}
+
+function replacementError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// Unconfirmed transactions spending `txid`'s outputs, their spenders and so
+// on, as [{ txid, fee, vsize }] (`txid` itself not included; fee is null if
+// the backend doesn't know it). Stops once more than `limit` are found.
+async function unconfirmedDescendants(backend, txid, limit = MAX_REPLACEMENTS) {
+  const found = [];
+  const seen = new Set([txid]);
+  const queue = [txid];
+  while (queue.length && found.length <= limit) {
+    const id = queue.shift();
+    const tx = await backend.getTransaction(id);
+    if (id !== txid) {
+      found.push({ txid: id, fee: typeof tx.fee === 'number' ? tx.fee : null, vsize: tx.vsize || Math.ceil(tx.weight / 4) });
+    }
+    for (let vout = 0; vout < tx.vout.length; vout++) {
+      const outspend = await backend.getOutspend(id, vout);
+      if (!outspend.spent || !outspend.txid || (outspend.status && outspend.status.confirmed) || seen.has(outspend.txid)) continue;
+      seen.add(outspend.txid);
+      queue.push(outspend.txid);
+    }
+  }
+  return found;
+}
+
+// original: bitcoin.Transaction; prevouts: [{ value, script }] for its inputs
+// changeIndex: output to shrink (null if none); extraUtxos: normalized UTXOs
+// (lib/tx-builder normalizeUtxo) with `confirmations`, used only if needed.
+// An extraUtxos entry for one of the original's own inputs isn't added again;
+// its derivations and scripts annotate that input, as in buildSendPsbt.
+// changeScript: where to send change when the original had none.
+// descendants: unconfirmedDescendants() of the original, evicted with it.
+function buildReplacement({
+  original,
+  prevouts,
+  descendants = [],
+  changeIndex = null,
+  changeScript = null,
+  feeRate,
+  extraUtxos = [],
+  network = 'testnet',
+  incrementalRelayFee = DEFAULT_INCREMENTAL_RELAY_FEE,
+}) {
+  const net = NETWORKS[network];
+  const txid = original.getId();
+  const known = new Map(extraUtxos.map((u) => [outpointKey(u.txid, u.vout), u]));
+  const inputs = original.ins.map((input, i) => {
+    const prevout = prevouts[i];
+    if (!prevout) throw replacementError(`Prevout for input ${i} is unknown`, 'MISSING_PREVOUT');
+    const script_type = scriptTypeOf(prevout.script);
+    if (!script_type) throw replacementError(`Input ${i} is not a p2wpkh, p2sh-p2wpkh or p2tr spend`, 'UNSUPPORTED_INPUT');
+    const inputTxid = Buffer.from(input.hash).reverse().toString('hex');
+    const { derivations, redeem_script, tap_internal_key } = known.get(outpointKey(inputTxid, input.index)) || {};
+    return {
+      derivations,
+      redeem_script,
+      tap_internal_key,
+      txid: inputTxid,
+      vout: input.index,
+      value: prevout.value,
+      script: prevout.script,
+      script_type,
+    };
+  });
+
+  const originalIn = inputs.reduce((sum, i) => sum + i.value, 0);
+  const originalOut = original.outs.reduce((sum, o) => sum + o.value, 0);
+  const originalFee = originalIn - originalOut;
+  const originalVsize = original.virtualSize();
+  const originalRate = originalFee / originalVsize;
+  if (descendants.length + 1 > MAX_REPLACEMENTS) {
+    throw replacementError(`Replacing ${txid} would evict more than ${MAX_REPLACEMENTS} transactions`, 'TOO_MANY_REPLACEMENTS');
+  }
+  const unpriced = descendants.find((d) => d.fee === null);
+  if (unpriced) throw replacementError(`Fee of unconfirmed descendant ${unpriced.txid} is unknown`, 'MISSING_PREVOUT');
+  // Rule 3: at least the fees of everything evicted
+  const evictedFee = originalFee + descendants.reduce((sum, d) => sum + d.fee, 0);
+
+  const payees = original.outs.filter((o, i) => i !== changeIndex).map((o) => ({ script: o.script, value: o.value }));
+  const change = changeIndex !== null ? original.outs[changeIndex].script : changeScript;
+  const payeeWeight = TX_OVERHEAD_WEIGHT + payees.reduce((w, o) => w + outputWeight(o.script), 0);
+  const payeeTotal = payees.reduce((sum, o) => sum + o.value, 0);
+
+  // Fee the replacement must pay at a given weight (BIP125 rules 3, 4 and 6)
+  const requiredFee = (weight) => {
+    const vsize = Math.ceil(weight / 4);
+    return Math.max(feeFor(weight, feeRate), evictedFee + Math.ceil(incrementalRelayFee * vsize), Math.floor(originalRate * vsize) + 1);
+  };
+
+  // Spent outpoints can't be re-added; new inputs must be confirmed (rule 2)
+  const spent = new Set(inputs.map((i) => outpointKey(i.txid, i.vout)));
+  const usable = extraUtxos.filter((u) => !spent.has(outpointKey(u.txid, u.vout)) && u.txid !== txid && INPUT_WEIGHT[u.script_type]);
+  const unknown = usable.find((u) => !Number.isInteger(u.confirmations));
+  if (unknown) {
+    throw replacementError(
+      `UTXO ${unknown.txid}:${unknown.vout} needs a confirmations count; only confirmed inputs can be added`,
+      'MISSING_CONFIRMATIONS'
+    );
+  }
+  const candidates = usable.filter((u) => u.confirmations >= 1).sort((a, b) => b.value - a.value);
+
+  const selected = [...inputs];
+  const added = [];
+  let result = null;
+  for (;;) {
+    const totalIn = selected.reduce((sum, i) => sum + i.value, 0);
+    const baseWeight = payeeWeight + selected.reduce((w, i) => w + INPUT_WEIGHT[i.script_type], 0);
+    if (change) {
+      const withChange = baseWeight + outputWeight(change);
+      const changeValue = totalIn - payeeTotal - requiredFee(withChange);
+      if (changeValue >= dustThreshold(change)) {
+        result = { totalIn, weight: withChange, change: changeValue };
+        break;
+      }
+    }
+    if (totalIn - payeeTotal - requiredFee(baseWeight) >= 0) {
+      result = { totalIn, weight: baseWeight, change: 0 };
+      break;
+    }
+    const next = candidates.shift();
+    if (!next) {
+      throw replacementError(
+        `Not enough funds to bump ${txid} to ${feeRate} sat/vB; provide confirmed UTXOs to add`,
+        'INSUFFICIENT_FUNDS'
+      );
+    }
+    selected.push(next);
+    added.push(next);
+  }
+
+  const psbt = new bitcoin.Psbt({ network: net });
+  psbt.setVersion(original.version);
+  psbt.setLocktime(original.locktime);
+  selected.forEach((utxo, i) => {
+    psbt.addInput({
+      hash: utxo.txid,
+      index: utxo.vout,
+      sequence: RBF_SEQUENCE,
+      witnessUtxo: { script: utxo.script, value: utxo.value },
+      ...inputExtras(utxo),
+    });
+    if (utxo.derivations) annotateInput(psbt, i, utxo.script_type, utxo.derivations, network);
+  });
+  // Payees keep their order; change goes where it was (or last)
+  const outputs = original.outs
+    .map((o, i) => (i === changeIndex ? null : { script: o.script, value: o.value, is_change: false }))
+    .filter(Boolean);
+  if (result.change > 0) {
+    const at = changeIndex !== null ? changeIndex : outputs.length;
+    outputs.splice(at, 0, { script: change, value: result.change, is_change: true });
+  }
+  outputs.forEach((o) => psbt.addOutput({ script: o.script, value: o.value }));
+
+  const vsize = Math.ceil(result.weight / 4);
+  const fee = result.totalIn - payeeTotal - result.change;
+  return {
+    psbt,
+    original: { txid, fee: originalFee, vsize: originalVsize, fee_rate: Number(originalRate.toFixed(2)) },
+    evicts: descendants.map((d) => ({ txid: d.txid, fee: d.fee, vsize: d.vsize })),
+    evicted_fee: evictedFee,
+    fee,
+    vsize,
+    weight: result.weight,
+    fee_rate: Number((fee / vsize).toFixed(2)),
+    inputs: selected,
+    added_inputs: added,
+    outputs: outputs.map((o, index) => ({ index, address: scriptAddress(o.script, net), value: o.value, is_change: o.is_change })),
+    change_removed: changeIndex !== null && result.change === 0,
+    checks: {
+      signals_rbf: signalsRbf(original),
+      no_new_unconfirmed_inputs: added.every((u) => (u.confirmations || 0) >= 1),
+      pays_original_fee: fee >= originalFee,
+      pays_evicted_fees: fee >= evictedFee,
+      pays_incremental_relay_fee: fee - evictedFee >= Math.ceil(incrementalRelayFee * vsize),
+      higher_fee_rate: fee / vsize > originalRate,
+    },
+  };
+}
+
+module.exports = { DEFAULT_INCREMENTAL_RELAY_FEE, MAX_REPLACEMENTS, signalsRbf, unconfirmedDescendants, buildReplacement };
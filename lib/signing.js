@@ -0,0 +1,46 @@
+// lib/signing.js
+// Single-key PSBT inputs for the script types our builders can sign:
+// p2wpkh, p2sh-p2wpkh and BIP86 taproot key path (p2tr).
+
+const bitcoin = require('bitcoinjs-lib');
+const { NETWORKS } = require('./networks');
+const { toXOnly, taprootPayment, tweakSigner } = require('./taproot');
+
+const SIGNABLE_TYPES = ['p2wpkh', 'p2sh-p2wpkh', 'p2tr'];
+
+function paymentFor(pubkey, scriptType, network = 'testnet') {
+  const net = NETWORKS[network];
+  switch (scriptType) {
+    case 'p2wpkh':
+      return bitcoin.payments.p2wpkh({ pubkey, network: net });
+    case 'p2sh-p2wpkh':
+      return bitcoin.payments.p2sh({ redeem: bitcoin.payments.p2wpkh({ pubkey, network: net }), network: net });
+    case 'p2tr':
+      return taprootPayment(pubkey, network);
+    default:
+      throw new Error(`Unsupported input type: ${scriptType}`);
+  }
+}
+
+// Fields for psbt.addInput besides hash/index
+function inputFields(pubkey, scriptType, network, value) {
+  const payment = paymentFor(pubkey, scriptType, network);
+  const fields = { witnessUtxo: { script: payment.output, value } };
+  if (scriptType === 'p2sh-p2wpkh') fields.redeemScript = payment.redeem.output;
+  if (scriptType === 'p2tr') fields.tapInternalKey = toXOnly(pubkey);
+  return fields;
+}
+
+// Which of our types an output script is, or null
+function scriptTypeOf(script) {
+  if (script.length === 22 && script[0] === 0x00 && script[1] === 0x14) return 'p2wpkh';
+  if (script.length === 23 && script[0] === 0xa9 && script[1] === 0x14 && script[22] === 0x87) return 'p2sh-p2wpkh';
+  if (script.length === 34 && script[0] === bitcoin.opcodes.OP_1 && script[1] === 0x20) return 'p2tr';
+  return null;
+}
+
+function signInput(psbt, index, keyPair, scriptType) {
+  psbt.signInput(index, scriptType === 'p2tr' ? tweakSigner(keyPair) : keyPair);
+}
+
+module.exports = { SIGNABLE_TYPES, paymentFor, inputFields, scriptTypeOf, signInput };
@@ -0,0 +1,77 @@
+// lib/storage/file.js
+// FileStorage: key/value store persisted as one JSON file. Loaded synchronously
+// on construction; writes are batched into one atomic file replace (tmp +
+// rename) at most every `flushDelay` ms. close() writes what is pending.
+
+const fs = require('fs');
+const path = require('path');
+const MemoryStorage = require('./memory');
+
+const DEFAULT_FLUSH_DELAY = 1000;
+
+class FileStorage extends MemoryStorage {
+  constructor(filePath, { flushDelay = DEFAULT_FLUSH_DELAY } = {}) {
+    super();
+    this.type = 'file';
+    this.filePath = path.resolve(filePath);
+    this.flushDelay = flushDelay;
+    this.flushTimer = null;
+    this.load();
+  }
+
+  // A corrupt file is set aside (<file>.corrupt-<time>) rather than failing boot
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+    let raw;
+    try {
+      raw = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (e) {
+      const aside = `${this.filePath}.corrupt-${Date.now()}`;
+      fs.renameSync(this.filePath, aside);
+      console.error(`[FileStorage] ${this.filePath} is not valid JSON (${e.message}); moved to ${aside}`);
+      return;
+    }
+    Object.entries(raw).forEach(([key, value]) => super.set(key, value));
+  }
+
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    const out = {};
+    this.data.forEach((value, key) => {
+      out[key] = JSON.parse(value);
+    });
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmp = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(out));
+    fs.renameSync(tmp, this.filePath);
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      try {
+        this.flush();
+      } catch (e) {
+        console.error(`[FileStorage] writing ${this.filePath} failed: ${e.message}`);
+      }
+    }, this.flushDelay);
+    this.flushTimer.unref(); // close() or the shutdown handlers flush
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    this.scheduleFlush();
+  }
+
+  delete(key) {
+    super.delete(key);
+    this.scheduleFlush();
+  }
+
+  close() {
+    if (this.flushTimer) this.flush();
+  }
+}
+
+module.exports = FileStorage;
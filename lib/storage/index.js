@@ -0,0 +1,29 @@
+// lib/storage/index.js
+// Storage selection. Configure through the environment:
+//   STORAGE        file (default) | memory
+//   STORAGE_PATH   JSON file for the file adapter (default ./data/wallet-store.json)
+
+const MemoryStorage = require('./memory');
+const FileStorage = require('./file');
+
+const DEFAULT_PATH = './data/wallet-store.json';
+
+let defaultStorage = null;
+
+function createStorage(type = process.env.STORAGE || 'file', options = {}) {
+  if (type === 'memory') return new MemoryStorage();
+  if (type === 'file') return new FileStorage(options.path || process.env.STORAGE_PATH || DEFAULT_PATH);
+  throw new Error(`Unknown storage adapter: ${type}`);
+}
+
+// Shared store for the process (engine, wallet routes)
+function getStorage() {
+  if (!defaultStorage) defaultStorage = createStorage();
+  return defaultStorage;
+}
+
+function setStorage(storage) {
+  defaultStorage = storage;
+}
+
+module.exports = { MemoryStorage, FileStorage, createStorage, getStorage, setStorage };
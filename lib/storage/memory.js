@@ -0,0 +1,30 @@
+// lib/storage/memory.js
+// MemoryStorage: process-local key/value store (tests, throwaway runs).
+
+class MemoryStorage {
+  constructor() {
+    this.type = 'memory';
+    this.data = new Map();
+  }
+
+  // Values are deep-copied in and out so callers can't mutate stored state
+  get(key) {
+    return this.data.has(key) ? JSON.parse(this.data.get(key)) : null;
+  }
+
+  set(key, value) {
+    this.data.set(key, JSON.stringify(value));
+  }
+
+  delete(key) {
+    this.data.delete(key);
+  }
+
+  keys(prefix = '') {
+    return [...this.data.keys()].filter((key) => key.startsWith(prefix));
+  }
+
+  close() {}
+}
+
+module.exports = MemoryStorage;
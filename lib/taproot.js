@@ -0,0 +1,40 @@
+// lib/taproot.js
+// BIP86 key-path taproot: x-only keys, P2TR addresses with no script tree, and
+// the tweaked signer PSBTs need for `tapInternalKey` inputs.
+
+const bitcoin = require('bitcoinjs-lib');
+const { NETWORKS } = require('./networks');
+
+// 33-byte compressed (or already 32-byte) key -> 32-byte x-only key
+function toXOnly(pubkey) {
+  const key = Buffer.from(pubkey);
+  if (key.length === 32) return key;
+  if (key.length === 33) return key.subarray(1, 33);
+  throw new Error('Taproot keys must be 32 or 33 bytes');
+}
+
+function taprootPayment(pubkey, network = 'testnet') {
+  return bitcoin.payments.p2tr({ internalPubkey: toXOnly(pubkey), network: NETWORKS[network] });
+}
+
+// BIP86: tweak = H_TapTweak(P), no merkle root
+function tapTweak(pubkey) {
+  return bitcoin.crypto.taggedHash('TapTweak', toXOnly(pubkey));
+}
+
+// Signer for a key-path spend; ECPair.tweak negates odd-Y keys first
+function tweakSigner(keyPair) {
+  if (!keyPair.privateKey) throw new Error('Tweaking a signer needs the private key');
+  return keyPair.tweak(tapTweak(keyPair.publicKey));
+}
+
+function isTaprootAddress(address, network = 'testnet') {
+  try {
+    const script = bitcoin.address.toOutputScript(address, NETWORKS[network]);
+    return script.length === 34 && script[0] === bitcoin.opcodes.OP_1 && script[1] === 0x20;
+  } catch (e) {
+    return false;
+  }
+}
+
+module.exports = { toXOnly, taprootPayment, tapTweak, tweakSigner, isTaprootAddress };
@@ -0,0 +1,199 @@
+// lib/timelock.js
+// Timelocked single-key P2WSH outputs for vesting and escrow:
+//   cltv   <locktime> OP_CHECKLOCKTIMEVERIFY OP_DROP <pubkey> OP_CHECKSIG
+//   csv    <sequence> OP_CHECKSEQUENCEVERIFY OP_DROP <pubkey> OP_CHECKSIG
+// Locks are { type: 'cltv', height | time } (absolute, BIP65) or
+// { type: 'csv', blocks | seconds } (relative to confirmation, BIP68/112;
+// seconds round up to 512-second units).
+
+const bitcoin = require('bitcoinjs-lib');
+const { NETWORKS } = require('./networks');
+const { TX_OVERHEAD_WEIGHT, SIGNATURE_SIZE, outputWeight, dustThreshold, feeFor } = require('./coin-selection');
+
+const LOCKTIME_THRESHOLD = 500000000; // below: block height, at or above: unix time
+const SEQUENCE_TYPE_FLAG = 1 << 22; // BIP68: relative lock in 512-second units
+const SEQUENCE_GRANULARITY = 512;
+const MAX_RELATIVE_LOCK = 0xffff;
+const CLTV_SEQUENCE = 0xfffffffd; // non-final so nLockTime applies; also signals RBF
+const MTP_LAG = 3600; // median time past trails the wall clock by about an hour
+
+// Normalized lock: { type, value, unit } where value is the script number
+function parseLock(lock) {
+  if (!lock || typeof lock !== 'object') throw new Error('lock required: { type: "cltv" | "csv", ... }');
+  const int = (v, name, min, max) => {
+    const n = Number(v);
+    if (!Number.isInteger(n) || n < min || n > max) throw new Error(`${name} must be an integer between ${min} and ${max}`);
+    return n;
+  };
+  if (lock.type === 'cltv') {
+    if (lock.height !== undefined) return { type: 'cltv', value: int(lock.height, 'height', 1, LOCKTIME_THRESHOLD - 1), unit: 'height' };
+    if (lock.time !== undefined) return { type: 'cltv', value: int(lock.time, 'time', LOCKTIME_THRESHOLD, 0xffffffff), unit: 'time' };
+    throw new Error('cltv locks need a height or time');
+  }
+  if (lock.type === 'csv') {
+    if (lock.blocks !== undefined) return { type: 'csv', value: int(lock.blocks, 'blocks', 1, MAX_RELATIVE_LOCK), unit: 'blocks' };
+    if (lock.seconds !== undefined) {
+      const seconds = int(lock.seconds, 'seconds', 1, MAX_RELATIVE_LOCK * SEQUENCE_GRANULARITY);
+      return { type: 'csv', value: SEQUENCE_TYPE_FLAG | Math.ceil(seconds / SEQUENCE_GRANULARITY), unit: 'seconds' };
+    }
+    throw new Error('csv locks need blocks or seconds');
+  }
+  throw new Error('lock.type must be cltv or csv');
+}
+
+function describeLock({ type, value, unit }) {
+  if (type === 'cltv') return unit === 'height' ? { type, height: value } : { type, time: value };
+  return unit === 'blocks' ? { type, blocks: value } : { type, seconds: (value & MAX_RELATIVE_LOCK) * SEQUENCE_GRANULARITY };
+}
+
+function timelockScript(pubkey, lock) {
+  const { type, value } = parseLock(lock);
+  return bitcoin.script.compile([
+    bitcoin.script.number.encode(value),
+    type === 'cltv' ? bitcoin.opcodes.OP_CHECKLOCKTIMEVERIFY : bitcoin.opcodes.OP_CHECKSEQUENCEVERIFY,
+    bitcoin.opcodes.OP_DROP,
+    pubkey,
+    bitcoin.opcodes.OP_CHECKSIG,
+  ]);
+}
+
+// { lock, pubkey } from one of our witness scripts, or null
+function decodeTimelockScript(script) {
+  let chunks;
+  try {
+    chunks = bitcoin.script.decompile(script);
+  } catch (e) {
+    return null;
+  }
+  if (!chunks || chunks.length !== 5) return null;
+  const [number, op, drop, pubkey, checksig] = chunks;
+  const type = op === bitcoin.opcodes.OP_CHECKLOCKTIMEVERIFY ? 'cltv' : op === bitcoin.opcodes.OP_CHECKSEQUENCEVERIFY ? 'csv' : null;
+  if (!type || drop !== bitcoin.opcodes.OP_DROP || checksig !== bitcoin.opcodes.OP_CHECKSIG) return null;
+  if (!Buffer.isBuffer(pubkey) || pubkey.length !== 33) return null;
+  let value;
+  if (Buffer.isBuffer(number)) value = bitcoin.script.number.decode(number, 5);
+  else if (number >= bitcoin.opcodes.OP_1 && number <= bitcoin.opcodes.OP_16) value = number - bitcoin.opcodes.OP_1 + 1;
+  else return null;
+
+  let unit;
+  if (type === 'cltv') unit = value < LOCKTIME_THRESHOLD ? 'height' : 'time';
+  else unit = value & SEQUENCE_TYPE_FLAG ? 'seconds' : 'blocks';
+  return { lock: { type, value, unit }, pubkey };
+}
+
+function timelockAddress(pubkey, lock, network = 'testnet') {
+  const witnessScript = timelockScript(pubkey, lock);
+  const p2wsh = bitcoin.payments.p2wsh({ redeem: { output: witnessScript }, network: NETWORKS[network] });
+  return {
+    address: p2wsh.address,
+    script_pubkey: p2wsh.output.toString('hex'),
+    witness_script: witnessScript.toString('hex'),
+    lock: describeLock(parseLock(lock)),
+  };
+}
+
+// When a UTXO locked by `lock` can be spent. Heights are exact against the
+// tip; times use the wall clock minus MTP_LAG, so they are marked estimated.
+// utxo: { block_height, block_time } once confirmed (csv locks need it)
+function spendability(lock, { tipHeight, utxo = {}, now = Math.floor(Date.now() / 1000) }) {
+  const { type, value, unit } = lock;
+  const medianTime = now - MTP_LAG;
+  const confirmed = typeof utxo.block_height === 'number';
+
+  if (type === 'cltv' && unit === 'height') {
+    // Final once the next block's height exceeds the locktime
+    return {
+      spendable: tipHeight >= value,
+      spendable_at_height: value + 1,
+      blocks_remaining: Math.max(0, value - tipHeight),
+    };
+  }
+  if (type === 'cltv') {
+    return { spendable: medianTime > value, spendable_after_time: value, estimated: true };
+  }
+  if (!confirmed) {
+    return { spendable: false, pending_confirmation: true, ...(unit === 'blocks' ? { blocks_remaining: value } : {}) };
+  }
+  if (unit === 'blocks') {
+    // The spend's block must be at least `value` blocks after the UTXO's
+    const at = utxo.block_height + value;
+    return { spendable: tipHeight + 1 >= at, spendable_at_height: at, blocks_remaining: Math.max(0, at - tipHeight - 1) };
+  }
+  const after = (utxo.block_time || now) + (value & MAX_RELATIVE_LOCK) * SEQUENCE_GRANULARITY;
+  return { spendable: medianTime >= after, spendable_after_time: after, estimated: true };
+}
+
+// Weight of a spend: outpoint and sequence, empty scriptSig, and a witness
+// of signature plus witness script
+function timelockInputWeight(witnessScript) {
+  return 4 * (32 + 4 + 4 + 1) + 1 + 1 + SIGNATURE_SIZE + 1 + witnessScript.length;
+}
+
+// Unsigned PSBT sweeping `utxos` ([{ txid, vout, value }]) locked by
+// `witnessScript` to `toAddress`, with nLockTime (cltv) or input sequences
+// and version 2 (csv) set so the script's check passes
+function buildTimelockSpend({ utxos, witnessScript, toAddress, feeRate, network = 'testnet' }) {
+  const net = NETWORKS[network];
+  const decoded = decodeTimelockScript(witnessScript);
+  if (!decoded) throw new Error('witness_script is not a CLTV/CSV timelock script');
+  if (!Array.isArray(utxos) || utxos.length === 0) throw new Error('No UTXOs to spend');
+  const { lock } = decoded;
+  const script = bitcoin.payments.p2wsh({ redeem: { output: witnessScript }, network: net }).output;
+  const destination = bitcoin.address.toOutputScript(toAddress, net);
+
+  const psbt = new bitcoin.Psbt({ network: net });
+  psbt.setVersion(2);
+  psbt.setLocktime(lock.type === 'cltv' ? lock.value : 0);
+  utxos.forEach((utxo) => {
+    psbt.addInput({
+      hash: utxo.txid,
+      index: Number(utxo.vout),
+      sequence: lock.type === 'csv' ? lock.value : CLTV_SEQUENCE,
+      witnessUtxo: { script, value: Number(utxo.value) },
+      witnessScript,
+    });
+  });
+
+  const totalIn = utxos.reduce((sum, u) => sum + Number(u.value), 0);
+  const weight = TX_OVERHEAD_WEIGHT + utxos.length * timelockInputWeight(witnessScript) + outputWeight(destination);
+  const fee = feeFor(weight, feeRate);
+  const value = totalIn - fee;
+  if (value < dustThreshold(destination)) {
+    const err = new Error(`Locked funds (${totalIn} sat) don't cover the ${fee} sat fee`);
+    err.code = 'INSUFFICIENT_FUNDS';
+    throw err;
+  }
+  psbt.addOutput({ script: destination, value });
+
+  return { psbt, lock, pubkey: decoded.pubkey, fee, vsize: Math.ceil(weight / 4), value, total_in: totalIn };
+}
+
+// Witness for a signed timelock input: <signature> <witnessScript>
+function finalizeTimelockInput(inputIndex, input) {
+  const decoded = decodeTimelockScript(input.witnessScript);
+  const sig = (input.partialSig || []).find((s) => s.pubkey.equals(decoded.pubkey));
+  if (!sig) throw new Error(`Input ${inputIndex} has no signature from the timelock key`);
+  return {
+    finalScriptSig: undefined,
+    finalScriptWitness: Buffer.concat([
+      Buffer.from([2]),
+      Buffer.from([sig.signature.length]),
+      sig.signature,
+      Buffer.from([input.witnessScript.length]),
+      input.witnessScript,
+    ]),
+  };
+}
+
+module.exports = {
+  LOCKTIME_THRESHOLD,
+  SEQUENCE_TYPE_FLAG,
+  parseLock,
+  describeLock,
+  timelockScript,
+  decodeTimelockScript,
+  timelockAddress,
+  spendability,
+  buildTimelockSpend,
+  finalizeTimelockInput,
+};
@@ -0,0 +1,131 @@
+// lib/tx-builder.js
+// Unsigned send PSBTs: normalizes UTXOs from the engine or /api/utxos, runs
+// coin selection and lays out recipient and change outputs.
+
+const bitcoin = require('bitcoinjs-lib');
+const { NETWORKS } = require('./networks');
+const { scriptTypeOf } = require('./signing');
+const { selectCoins, dustThreshold } = require('./coin-selection');
+const { annotateInput, annotateOutput } = require('./psbt');
+const { multisigSpend } = require('./multisig');
+
+const RBF_SEQUENCE = 0xfffffffd;
+const FINAL_SEQUENCE = 0xffffffff;
+
+// Accepts engine UTXOs ({ value, address }), /api/utxos entries ({ value_sat })
+// or raw ones with `scriptpubkey`. Returns null for types we can't size/spend.
+// An optional `bip32_derivation: [{ master_fingerprint, path, pubkey }]`
+// is carried into the PSBT for external signers. Multisig (P2WSH or
+// P2SH-P2WSH) UTXOs need their `witness_script`.
+function normalizeUtxo(utxo, network, fallbackAddress) {
+  const net = NETWORKS[network];
+  const value = typeof utxo.value === 'number' ? utxo.value : Number(utxo.value_sat);
+  const address = utxo.address || fallbackAddress || null;
+  let script;
+  if (utxo.scriptpubkey) script = Buffer.from(utxo.scriptpubkey, 'hex');
+  else if (address) script = bitcoin.address.toOutputScript(address, net);
+  else throw new Error(`UTXO ${utxo.txid}:${utxo.vout} needs an address or scriptpubkey`);
+
+  const multisig = utxo.witness_script ? multisigSpend(script, Buffer.from(utxo.witness_script, 'hex'), network) : null;
+  const script_type = multisig ? multisig.script_type : scriptTypeOf(script);
+  if (!script_type || !Number.isInteger(value) || value <= 0) return null;
+  const derivations = Array.isArray(utxo.bip32_derivation)
+    ? utxo.bip32_derivation.map((d) => {
+        if (!/^[0-9a-fA-F]{8}$/.test(d.master_fingerprint || '') || !d.path || !d.pubkey) {
+          throw new Error(`UTXO ${utxo.txid}:${utxo.vout}: bip32_derivation needs master_fingerprint, path and pubkey`);
+        }
+        return { fingerprint: d.master_fingerprint, path: d.path, pubkey: Buffer.from(d.pubkey, 'hex') };
+      })
+    : utxo.derivations;
+  return {
+    ...utxo,
+    ...(multisig || {}),
+    derivations,
+    txid: utxo.txid,
+    vout: Number(utxo.vout),
+    value,
+    address: address || bitcoin.address.fromOutputScript(script, net),
+    script,
+    script_type,
+  };
+}
+
+function recipientOutput(recipient, network) {
+  const script = bitcoin.address.toOutputScript(recipient.address, NETWORKS[network]);
+  const value = Number(recipient.value);
+  if (!Number.isInteger(value) || value <= 0) {
+    throw new Error(`Invalid amount for ${recipient.address}`);
+  }
+  if (value < dustThreshold(script)) {
+    throw new Error(`Amount for ${recipient.address} is below the dust limit (${dustThreshold(script)} sat)`);
+  }
+  return { address: recipient.address, script, value };
+}
+
+// Extra PSBT input fields the caller may know (redeem script, taproot key)
+function inputExtras(utxo) {
+  const extras = {};
+  if (utxo.redeem_script) extras.redeemScript = Buffer.from(utxo.redeem_script, 'hex');
+  if (utxo.witness_script) extras.witnessScript = Buffer.from(utxo.witness_script, 'hex');
+  if (utxo.tap_internal_key) extras.tapInternalKey = Buffer.from(utxo.tap_internal_key, 'hex');
+  return extras;
+}
+
+// `changeDerivations` marks the change output as ours for hardware signers;
+// multisig change also needs `changeScripts` ({ witness_script, redeem_script })
+function buildSendPsbt({
+  utxos,
+  recipients,
+  feeRate,
+  changeAddress,
+  changeDerivations,
+  changeScripts,
+  network = 'testnet',
+  rbf = true,
+  locktime = 0,
+}) {
+  const net = NETWORKS[network];
+  const outputs = recipients.map((r) => recipientOutput(r, network));
+  const changeScript = bitcoin.address.toOutputScript(changeAddress, net);
+
+  const selection = selectCoins({ utxos, outputs, feeRate, changeScript });
+
+  const psbt = new bitcoin.Psbt({ network: net });
+  psbt.setLocktime(locktime);
+  selection.inputs.forEach((utxo) => {
+    psbt.addInput({
+      hash: utxo.txid,
+      index: utxo.vout,
+      sequence: rbf ? RBF_SEQUENCE : FINAL_SEQUENCE,
+      witnessUtxo: { script: utxo.script, value: utxo.value },
+      ...inputExtras(utxo),
+    });
+  });
+  selection.inputs.forEach((utxo, i) => {
+    if (utxo.derivations) annotateInput(psbt, i, utxo.script_type, utxo.derivations, network);
+  });
+  outputs.forEach((out) => psbt.addOutput({ script: out.script, value: out.value }));
+  if (selection.change > 0) {
+    psbt.addOutput({ script: changeScript, value: selection.change });
+    if (changeDerivations) {
+      annotateOutput(psbt, outputs.length, scriptTypeOf(changeScript), changeDerivations, network);
+    }
+    if (changeScripts) {
+      const update = {};
+      if (changeScripts.witness_script) update.witnessScript = Buffer.from(changeScripts.witness_script, 'hex');
+      if (changeScripts.redeem_script) update.redeemScript = Buffer.from(changeScripts.redeem_script, 'hex');
+      if (Object.keys(update).length) psbt.updateOutput(outputs.length, update);
+    }
+  }
+
+  return {
+    psbt,
+    selection,
+    outputs: [
+      ...outputs.map((out) => ({ address: out.address, value: out.value, is_change: false })),
+      ...(selection.change > 0 ? [{ address: changeAddress, value: selection.change, is_change: true }] : []),
+    ],
+  };
+}
+
+module.exports = { RBF_SEQUENCE, FINAL_SEQUENCE, normalizeUtxo, recipientOutput, inputExtras, buildSendPsbt };
@@ -0,0 +1,351 @@
+// lib/tx-inspect.js
+// Read-only analysis of raw transactions and PSBTs: script types, fees,
+// sequence/locktime semantics, signature state and standardness warnings.
+// Prevouts are { value, script } (or null when unknown).
+
+const bitcoin = require('bitcoinjs-lib');
+const { NETWORKS } = require('./networks');
+const { INPUT_WEIGHT, dustThreshold } = require('./coin-selection');
+const { LOCKTIME_THRESHOLD, SEQUENCE_TYPE_FLAG } = require('./timelock');
+const { classifyScript, scriptAddress } = require('./backends/tx-format');
+
+const ABSURD_FEE_RATE = 1000; // sat/vB
+const MIN_RELAY_FEE_RATE = 1; // sat/vB
+const SEQUENCE_FINAL = 0xffffffff;
+const SEQUENCE_DISABLE_FLAG = 0x80000000; // BIP68
+const SEQUENCE_MASK = 0x0000ffff;
+
+const SIGHASH_NAMES = {
+  0x00: 'DEFAULT',
+  0x01: 'ALL',
+  0x02: 'NONE',
+  0x03: 'SINGLE',
+  0x81: 'ALL|ANYONECANPAY',
+  0x82: 'NONE|ANYONECANPAY',
+  0x83: 'SINGLE|ANYONECANPAY',
+};
+
+const STANDARD_TYPES = ['p2pkh', 'p2sh', 'p2wpkh', 'p2wsh', 'p2tr', 'p2pk', 'multisig', 'op_return', 'anchor'];
+
+// ========== Scripts ==========
+function toAsm(script) {
+  try {
+    return bitcoin.script.toASM(script);
+  } catch (e) {
+    return null;
+  }
+}
+
+function describeScript(script, network = 'testnet') {
+  return {
+    type: classifyScript(script),
+    address: scriptAddress(script, NETWORKS[network]), // null: no address form (OP_RETURN, bare multisig...)
+    script_pubkey: script.toString('hex'),
+    asm: toAsm(script),
+  };
+}
+
+// ========== Sequence and locktime ==========
+function describeSequence(sequence, version) {
+  const relative =
+    version >= 2 && !(sequence & SEQUENCE_DISABLE_FLAG)
+      ? sequence & SEQUENCE_TYPE_FLAG
+        ? { type: 'seconds', value: (sequence & SEQUENCE_MASK) * 512 }
+        : { type: 'blocks', value: sequence & SEQUENCE_MASK }
+      : null;
+  return {
+    sequence,
+    sequence_hex: sequence.toString(16).padStart(8, '0'),
+    final: sequence === SEQUENCE_FINAL,
+    signals_rbf: sequence < SEQUENCE_FINAL - 1,
+    relative_locktime: relative,
+  };
+}
+
+function describeLocktime(locktime, sequences) {
+  // nLockTime only applies when some input is not final
+  const enforced = locktime > 0 && sequences.some((s) => s !== SEQUENCE_FINAL);
+  if (locktime === 0) return { locktime, type: 'none', enforced: false };
+  if (locktime < LOCKTIME_THRESHOLD) return { locktime, type: 'block_height', height: locktime, enforced };
+  return { locktime, type: 'timestamp', time: new Date(locktime * 1000).toISOString(), enforced };
+}
+
+// ========== Signatures ==========
+function isDerSignature(item) {
+  return item.length >= 9 && item.length <= 73 && item[0] === 0x30 && item[1] === item.length - 3;
+}
+
+function sighashName(type) {
+  return SIGHASH_NAMES[type] || `0x${type.toString(16)}`;
+}
+
+// Sighash types of the signatures found in a final scriptSig/witness
+function signatureSighashes(scriptSig, witness, prevoutType) {
+  if (prevoutType === 'p2tr' && witness.length >= 1 && (witness[0].length === 64 || witness[0].length === 65)) {
+    return [sighashName(witness[0].length === 64 ? 0 : witness[0][64])];
+  }
+  const chunks = (scriptSig.length && bitcoin.script.decompile(scriptSig)) || [];
+  const items = [...witness, ...chunks.filter(Buffer.isBuffer)];
+  return items.filter(isDerSignature).map((sig) => sighashName(sig[sig.length - 1]));
+}
+
+// ========== Size estimates ==========
+// Weight of a fully signed input, or null when the spend type is unknown
+function estimateInputWeight(type, { witnessScript } = {}) {
+  if (INPUT_WEIGHT[type]) return INPUT_WEIGHT[type];
+  if (type === 'p2wsh' || type === 'p2sh-p2wsh') {
+    if (!witnessScript) return null;
+    let m = 1;
+    try {
+      m = bitcoin.payments.p2ms({ output: witnessScript }).m;
+    } catch (e) {
+      // non-multisig witness script: assume one signature
+    }
+    const scriptSig = type === 'p2sh-p2wsh' ? 35 : 0;
+    const witness = 1 + 1 + m * 73 + 3 + witnessScript.length; // items, dummy, sigs, script
+    return 4 * (32 + 4 + 4 + 1 + scriptSig) + witness;
+  }
+  return null;
+}
+
+// ========== Analysis ==========
+function outputWarnings(outputs) {
+  const warnings = [];
+  outputs.forEach((out) => {
+    if (!STANDARD_TYPES.includes(out.type)) {
+      warnings.push({ type: 'nonstandard_script', output: out.index, message: `Output ${out.index} has a ${out.type} script` });
+    }
+    if (out.type !== 'op_return' && out.type !== 'anchor' && out.value < dustThreshold(Buffer.from(out.script_pubkey, 'hex'))) {
+      warnings.push({ type: 'dust_output', output: out.index, message: `Output ${out.index} (${out.value} sat) is below the dust limit` });
+    }
+  });
+  if (outputs.filter((o) => o.type === 'op_return').length > 1) {
+    warnings.push({ type: 'multiple_op_return', message: 'More than one OP_RETURN output' });
+  }
+  return warnings;
+}
+
+function feeWarnings(fee, feeRate, totalOut) {
+  const warnings = [];
+  if (fee === null) return warnings;
+  if (fee < 0) {
+    warnings.push({ type: 'negative_fee', message: 'Outputs exceed inputs' });
+  } else if (feeRate !== null && feeRate > ABSURD_FEE_RATE) {
+    warnings.push({ type: 'absurd_fee', message: `Fee rate ${feeRate.toFixed(1)} sat/vB is above ${ABSURD_FEE_RATE} sat/vB` });
+  } else if (fee > totalOut && totalOut > 0) {
+    warnings.push({ type: 'absurd_fee', message: 'Fee is larger than the amount sent' });
+  } else if (feeRate !== null && feeRate < MIN_RELAY_FEE_RATE) {
+    warnings.push({ type: 'below_min_relay_fee', message: `Fee rate ${feeRate.toFixed(2)} sat/vB is below the ${MIN_RELAY_FEE_RATE} sat/vB relay minimum` });
+  }
+  return warnings;
+}
+
+function feeSummary(inputs, outputs, vsize) {
+  const totalOut = outputs.reduce((sum, o) => sum + o.value, 0);
+  const known = inputs.every((i) => i.prevout);
+  const totalIn = known ? inputs.reduce((sum, i) => sum + i.prevout.value, 0) : null;
+  const fee = known ? totalIn - totalOut : null;
+  const feeRate = fee !== null && vsize ? fee / vsize : null;
+  return { total_in: totalIn, total_out: totalOut, fee, fee_rate: feeRate === null ? null : Number(feeRate.toFixed(2)) };
+}
+
+// Raw transaction; `prevouts[i]` is { value, script } for input i or null
+function analyzeTransaction(tx, prevouts = [], network = 'testnet') {
+  const coinbase = tx.isCoinbase();
+  const inputs = tx.ins.map((input, index) => {
+    const prevout = prevouts[index] || null;
+    const prevType = prevout ? classifyScript(prevout.script) : null;
+    const signed = input.script.length > 0 || input.witness.length > 0;
+    return {
+      index,
+      txid: Buffer.from(input.hash).reverse().toString('hex'),
+      vout: input.index,
+      ...describeSequence(input.sequence, tx.version),
+      prevout: prevout ? { value: prevout.value, ...describeScript(prevout.script, network) } : null,
+      script_sig: input.script.toString('hex'),
+      witness: input.witness.map((w) => w.toString('hex')),
+      signed,
+      sighash_types: signed ? signatureSighashes(input.script, input.witness, prevType) : [],
+    };
+  });
+  const outputs = tx.outs.map((out, index) => ({ index, value: out.value, ...describeScript(out.script, network) }));
+  const vsize = tx.virtualSize();
+  const fees = coinbase ? { total_in: null, total_out: outputs.reduce((s, o) => s + o.value, 0), fee: null, fee_rate: null } : feeSummary(inputs, outputs, vsize);
+
+  const warnings = [...outputWarnings(outputs), ...feeWarnings(fees.fee, fees.fee_rate, fees.total_out)];
+  inputs.forEach((input) => {
+    if (!coinbase && !input.prevout) {
+      warnings.push({ type: 'missing_prevout', input: input.index, message: `Prevout for input ${input.index} is unknown; fee cannot be computed` });
+    }
+    if (!input.signed) warnings.push({ type: 'unsigned_input', input: input.index, message: `Input ${input.index} has no signature` });
+  });
+
+  return {
+    txid: tx.getId(),
+    wtxid: tx.getHash(true).reverse().toString('hex'),
+    version: tx.version,
+    coinbase,
+    size: tx.byteLength(),
+    vsize,
+    weight: tx.weight(),
+    segwit: tx.hasWitnesses(),
+    locktime: describeLocktime(tx.locktime, tx.ins.map((i) => i.sequence)),
+    rbf_signaled: tx.ins.some((i) => i.sequence < SEQUENCE_FINAL - 1),
+    inputs,
+    outputs,
+    ...fees,
+    warnings,
+  };
+}
+
+// Spend type of a PSBT input from its prevout and scripts
+function psbtInputType(input, prevType) {
+  if (prevType === 'p2sh' && input.redeemScript) {
+    const inner = classifyScript(input.redeemScript);
+    if (inner === 'p2wpkh') return 'p2sh-p2wpkh';
+    if (inner === 'p2wsh') return 'p2sh-p2wsh';
+  }
+  return prevType;
+}
+
+function psbtPrevout(psbt, index) {
+  const input = psbt.data.inputs[index];
+  if (input.witnessUtxo) return { value: input.witnessUtxo.value, script: input.witnessUtxo.script };
+  if (input.nonWitnessUtxo) {
+    const prev = bitcoin.Transaction.fromBuffer(input.nonWitnessUtxo);
+    const out = prev.outs[psbt.txInputs[index].index];
+    return out ? { value: out.value, script: out.script } : null;
+  }
+  return null;
+}
+
+function analyzePsbt(psbt, network = 'testnet') {
+  const tx = psbt.data.globalMap.unsignedTx.tx || bitcoin.Transaction.fromBuffer(psbt.data.globalMap.unsignedTx.toBuffer());
+  const warnings = [];
+
+  const inputs = psbt.data.inputs.map((input, index) => {
+    const txIn = psbt.txInputs[index];
+    const txid = Buffer.from(txIn.hash).reverse().toString('hex');
+    const prevout = psbtPrevout(psbt, index);
+    const prevType = prevout ? classifyScript(prevout.script) : null;
+    const type = psbtInputType(input, prevType);
+    const finalized = Boolean(input.finalScriptSig || input.finalScriptWitness);
+
+    const missing = [];
+    if (!prevout) missing.push('utxo');
+    if (prevType === 'p2sh' && !input.redeemScript && !finalized) missing.push('redeem_script');
+    if ((type === 'p2wsh' || type === 'p2sh-p2wsh') && !input.witnessScript && !finalized) missing.push('witness_script');
+    if (input.nonWitnessUtxo && bitcoin.Transaction.fromBuffer(input.nonWitnessUtxo).getId() !== txid) {
+      warnings.push({ type: 'prev_tx_mismatch', input: index, message: `Input ${index} non_witness_utxo does not match its txid` });
+    }
+
+    let required = 1;
+    if (input.witnessScript || (input.redeemScript && type === 'p2sh')) {
+      try {
+        required = bitcoin.payments.p2ms({ output: input.witnessScript || input.redeemScript }).m;
+      } catch (e) {
+        // not a multisig script
+      }
+    }
+    const partial = input.partialSig || [];
+    const sighashes = [
+      ...partial.map((p) => p.signature[p.signature.length - 1]),
+      ...(input.tapKeySig ? [input.tapKeySig.length === 64 ? 0 : input.tapKeySig[64]] : []),
+      ...(input.tapScriptSig || []).map((s) => (s.signature.length === 64 ? 0 : s.signature[64])),
+    ].map(sighashName);
+    const signatures = partial.length + (input.tapKeySig ? 1 : 0) + (input.tapScriptSig || []).length;
+
+    return {
+      index,
+      txid,
+      vout: txIn.index,
+      ...describeSequence(txIn.sequence, tx.version),
+      prevout: prevout ? { value: prevout.value, ...describeScript(prevout.script, network) } : null,
+      script_type: type,
+      has_witness_utxo: Boolean(input.witnessUtxo),
+      has_non_witness_utxo: Boolean(input.nonWitnessUtxo),
+      sighash_type: input.sighashType === undefined ? null : sighashName(input.sighashType),
+      sighash_types: sighashes,
+      signatures,
+      signatures_required: required,
+      signed: finalized || signatures >= required,
+      finalized,
+      missing,
+      bip32_derivation: [...(input.bip32Derivation || []), ...(input.tapBip32Derivation || [])].map((d) => ({
+        master_fingerprint: d.masterFingerprint.toString('hex'),
+        path: d.path,
+        pubkey: d.pubkey.toString('hex'),
+      })),
+      estimated_weight: finalized ? null : estimateInputWeight(type, input),
+    };
+  });
+
+  const outputs = psbt.txOutputs.map((out, index) => ({
+    index,
+    value: out.value,
+    ...describeScript(out.script, network),
+    is_ours: Boolean((psbt.data.outputs[index].bip32Derivation || psbt.data.outputs[index].tapBip32Derivation || []).length),
+  }));
+
+  // Size: exact once every input is final, otherwise estimated
+  let vsize = null;
+  let weight = null;
+  let estimated = true;
+  if (inputs.every((i) => i.finalized)) {
+    const final = psbt.clone().extractTransaction(true);
+    vsize = final.virtualSize();
+    weight = final.weight();
+    estimated = false;
+  } else if (inputs.every((i) => i.finalized || i.estimated_weight)) {
+    const base = tx.clone();
+    base.ins.forEach((i) => {
+      i.script = Buffer.alloc(0);
+      i.witness = [];
+    });
+    // Non-witness size of the bare tx, plus each input's spend data
+    weight = base.byteLength(false) * 4 + 2 + inputs.reduce((w, i) => w + (i.estimated_weight || 0) - 41 * 4, 0);
+    vsize = Math.ceil(weight / 4);
+  }
+
+  const fees = feeSummary(inputs, outputs, vsize);
+  warnings.push(...outputWarnings(outputs), ...feeWarnings(fees.fee, fees.fee_rate, fees.total_out));
+  inputs.forEach((input) => {
+    if (input.missing.length) {
+      warnings.push({ type: 'missing_data', input: input.index, message: `Input ${input.index} is missing ${input.missing.join(', ')}` });
+    }
+  });
+
+  // Next BIP174 role, as in Bitcoin Core's analyzepsbt
+  let next = 'extractor';
+  if (inputs.some((i) => i.missing.length)) next = 'updater';
+  else if (inputs.some((i) => !i.signed)) next = 'signer';
+  else if (inputs.some((i) => !i.finalized)) next = 'finalizer';
+
+  return {
+    txid: tx.getId(),
+    version: tx.version,
+    locktime: describeLocktime(tx.locktime, tx.ins.map((i) => i.sequence)),
+    rbf_signaled: tx.ins.some((i) => i.sequence < SEQUENCE_FINAL - 1),
+    inputs,
+    outputs,
+    ...fees,
+    vsize,
+    weight,
+    size_estimated: estimated,
+    signed_inputs: inputs.filter((i) => i.signed).length,
+    finalized_inputs: inputs.filter((i) => i.finalized).length,
+    complete: inputs.every((i) => i.finalized),
+    next_role: next,
+    warnings,
+  };
+}
+
+module.exports = {
+  ABSURD_FEE_RATE,
+  toAsm,
+  describeScript,
+  describeSequence,
+  describeLocktime,
+  analyzeTransaction,
+  analyzePsbt,
+};
@@ -0,0 +1,369 @@
+// lib/webhooks.js
+// Outgoing webhooks for wallet engine activity. Subscriptions name a URL,
+// the addresses or HD wallet (xpub/descriptor key) to follow and the events:
+//   tx.detected    a transaction touching the address was first seen
+//   tx.confirmed   a received transaction reached the subscription's depth
+//   tx.replaced    an unconfirmed transaction left the mempool unconfirmed
+//   tx.reorged     a confirmed transaction was orphaned by a reorg
+//
+// Every POST carries
+//   Idempotency-Key       stable per (subscription, event); retries reuse it
+//   X-Webhook-Timestamp   unix seconds
+//   X-Webhook-Signature   t=<timestamp>,v1=<hex HMAC-SHA256(secret, "<timestamp>.<body>")>
+// Failed deliveries (network errors, 408, 429, 5xx) are retried with
+// exponential backoff; other 4xx responses and exhausted retries go to the
+// dead-letter log. Subscriptions, the outbox and the dead-letter log persist
+// through lib/storage.
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const axios = require('axios');
+const { getStorage } = require('./storage');
+
+const EVENT_TYPES = ['tx.detected', 'tx.confirmed', 'tx.replaced', 'tx.reorged'];
+const SIGNATURE_TOLERANCE = 300; // seconds a receiver should accept
+const MAX_DEAD_LETTERS = 1000;
+const MAX_SENT_KEYS = 10000;
+
+const KEYS = {
+  subscriptions: 'webhooks:subscriptions',
+  outbox: 'webhooks:outbox',
+  deadLetter: 'webhooks:dead-letter',
+  sent: 'webhooks:sent',
+};
+
+// ========== Signatures ==========
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function signatureHeader(secret, timestamp, body) {
+  return `t=${timestamp},v1=${signPayload(secret, timestamp, body)}`;
+}
+
+// For receivers: true when `header` signs `body` (the raw request text) with
+// `secret` and its timestamp is within `tolerance` seconds of `now`
+function verifySignature(secret, header, body, { tolerance = SIGNATURE_TOLERANCE, now = Math.floor(Date.now() / 1000) } = {}) {
+  const parts = Object.fromEntries(
+    String(header || '')
+      .split(',')
+      .map((part) => part.split('='))
+      .filter((kv) => kv.length === 2)
+  );
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !/^[0-9a-f]{64}$/.test(parts.v1 || '')) return false;
+  if (Math.abs(now - timestamp) > tolerance) return false;
+  const expected = Buffer.from(signPayload(secret, timestamp, body), 'hex');
+  return crypto.timingSafeEqual(expected, Buffer.from(parts.v1, 'hex'));
+}
+
+// Delay before attempt `attempt + 1` (attempt counts from 1)
+function retryDelay(attempt, { base = 2000, max = 3600000 } = {}) {
+  return Math.min(base * 2 ** (attempt - 1), max);
+}
+
+function isRetryable(status) {
+  return status === null || status === 408 || status === 429 || status >= 500;
+}
+
+// ========== Dispatcher ==========
+class WebhookDispatcher extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    // Pass `storage: null` to keep everything in memory only
+    this.storage = options.storage !== undefined ? options.storage : getStorage();
+    this.config = {
+      max_attempts: options.maxAttempts || 8,
+      retry_base: options.retryBase || 2000,
+      retry_max: options.retryMax || 3600000,
+      timeout: options.timeout || 10000,
+    };
+
+    this.subscriptions = [];
+    this.outbox = []; // [{ id, subscription_id, event, attempts, next_attempt_at, last_error }]
+    this.dead_letter = [];
+    this.sent = []; // recent idempotency keys, oldest first
+    this.timers = new Map(); // delivery id -> timeout
+    this.in_flight = new Set();
+
+    // Engine watch state: address -> { txid: { confirmed, block_hash } }
+    this.seen = {};
+    this.mempool_seen = {}; // address -> Set of unconfirmed txids
+
+    this.loadState();
+  }
+
+  // ========== Persistence ==========
+  loadState() {
+    if (!this.storage) return;
+    this.subscriptions = this.storage.get(KEYS.subscriptions) || [];
+    this.outbox = this.storage.get(KEYS.outbox) || [];
+    this.dead_letter = this.storage.get(KEYS.deadLetter) || [];
+    this.sent = this.storage.get(KEYS.sent) || [];
+    // Deliveries pending at shutdown resume on their schedule
+    this.outbox.forEach((delivery) => this.schedule(delivery));
+  }
+
+  persist(...keys) {
+    if (!this.storage) return;
+    const values = { subscriptions: this.subscriptions, outbox: this.outbox, deadLetter: this.dead_letter, sent: this.sent };
+    try {
+      keys.forEach((key) => this.storage.set(KEYS[key], values[key]));
+    } catch (error) {
+      this.emit('error', { type: 'persist', error: error.message });
+    }
+  }
+
+  // ========== Subscriptions ==========
+  // { url, addresses?, wallet?, events?, confirmations?, secret?, label? }
+  subscribe({ url, addresses = [], wallet = null, events = EVENT_TYPES, confirmations = 1, secret, label = null }) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      throw new Error('url must be an absolute http(s) URL');
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) throw new Error('url must be an absolute http(s) URL');
+    if (!Array.isArray(addresses) || (!addresses.length && !wallet)) throw new Error('addresses or wallet required');
+    if (!Array.isArray(events) || !events.length || events.some((e) => !EVENT_TYPES.includes(e))) {
+      throw new Error(`events must be a non-empty list of ${EVENT_TYPES.join(', ')}`);
+    }
+    const depth = Number(confirmations);
+    if (!Number.isInteger(depth) || depth < 1 || depth > 100) throw new Error('confirmations must be between 1 and 100');
+    if (secret !== undefined && String(secret).length < 16) throw new Error('secret must be at least 16 characters');
+
+    const subscription = {
+      id: crypto.randomBytes(8).toString('hex'),
+      url: parsed.toString(),
+      addresses: [...new Set(addresses.map(String))],
+      wallet: wallet ? String(wallet) : null,
+      events: [...new Set(events)],
+      confirmations: depth,
+      secret: secret !== undefined ? String(secret) : crypto.randomBytes(32).toString('hex'),
+      label,
+      created_at: new Date().toISOString(),
+    };
+    this.subscriptions.push(subscription);
+    this.persist('subscriptions');
+    this.emit('subscription:added', { id: subscription.id });
+    return subscription;
+  }
+
+  unsubscribe(id) {
+    const before = this.subscriptions.length;
+    this.subscriptions = this.subscriptions.filter((s) => s.id !== id);
+    if (this.subscriptions.length === before) return false;
+    this.outbox.filter((d) => d.subscription_id === id).forEach((d) => this.cancel(d.id));
+    this.persist('subscriptions', 'outbox');
+    this.emit('subscription:removed', { id });
+    return true;
+  }
+
+  getSubscription(id) {
+    return this.subscriptions.find((s) => s.id === id) || null;
+  }
+
+  // Subscriptions following `address`, directly or through its HD wallet
+  subscriptionsFor(address, engine) {
+    const owner = engine && engine.xpub_addresses ? engine.xpub_addresses[address] : null;
+    return this.subscriptions.filter((s) => s.addresses.includes(address) || (s.wallet && owner && owner.xpub === s.wallet));
+  }
+
+  // ========== Events ==========
+  // Queue `type` for every matching subscription. `key` identifies the
+  // occurrence, so the same event seen twice (or after a restart) is sent once.
+  notify(address, type, data, key, engine) {
+    this.subscriptionsFor(address, engine)
+      .filter((s) => s.events.includes(type))
+      .forEach((subscription) => this.enqueue(subscription, type, { address, ...data }, key));
+  }
+
+  enqueue(subscription, type, data, key) {
+    const id = crypto.createHash('sha256').update(`${subscription.id}:${type}:${key}`).digest('hex').slice(0, 32);
+    if (this.sent.includes(id) || this.outbox.some((d) => d.id === id)) return null;
+
+    const delivery = {
+      id,
+      subscription_id: subscription.id,
+      event: { id, type, created_at: new Date().toISOString(), data },
+      attempts: 0,
+      next_attempt_at: Date.now(),
+      last_error: null,
+    };
+    this.outbox.push(delivery);
+    this.persist('outbox');
+    this.schedule(delivery);
+    return delivery;
+  }
+
+  schedule(delivery) {
+    this.cancel(delivery.id, { keep: true });
+    const timer = setTimeout(() => this.deliver(delivery.id), Math.max(0, delivery.next_attempt_at - Date.now()));
+    if (timer.unref) timer.unref();
+    this.timers.set(delivery.id, timer);
+  }
+
+  cancel(id, { keep = false } = {}) {
+    clearTimeout(this.timers.get(id));
+    this.timers.delete(id);
+    if (!keep) this.outbox = this.outbox.filter((d) => d.id !== id);
+  }
+
+  async deliver(id) {
+    const delivery = this.outbox.find((d) => d.id === id);
+    const subscription = delivery && this.getSubscription(delivery.subscription_id);
+    this.timers.delete(id);
+    if (!delivery || !subscription || this.in_flight.has(id)) return;
+
+    this.in_flight.add(id);
+    delivery.attempts += 1;
+    const body = JSON.stringify(delivery.event);
+    const timestamp = Math.floor(Date.now() / 1000);
+    let status = null;
+    try {
+      const response = await axios.post(subscription.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'Idempotency-Key': delivery.id,
+          'X-Webhook-Id': subscription.id,
+          'X-Webhook-Event': delivery.event.type,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': signatureHeader(subscription.secret, timestamp, body),
+        },
+        timeout: this.config.timeout,
+        validateStatus: () => true,
+        maxRedirects: 0,
+      });
+      status = response.status;
+      delivery.last_error = status >= 200 && status < 300 ? null : `HTTP ${status}`;
+    } catch (error) {
+      delivery.last_error = error.message;
+    } finally {
+      this.in_flight.delete(id);
+    }
+
+    if (!this.outbox.includes(delivery)) return; // unsubscribed meanwhile
+    if (status !== null && status >= 200 && status < 300) {
+      this.outbox = this.outbox.filter((d) => d !== delivery);
+      this.sent = [...this.sent, delivery.id].slice(-MAX_SENT_KEYS);
+      this.persist('outbox', 'sent');
+      this.emit('delivery:succeeded', { id, subscription_id: subscription.id, type: delivery.event.type, attempts: delivery.attempts });
+      return;
+    }
+
+    if (isRetryable(status) && delivery.attempts < this.config.max_attempts) {
+      delivery.next_attempt_at = Date.now() + retryDelay(delivery.attempts, { base: this.config.retry_base, max: this.config.retry_max });
+      this.persist('outbox');
+      this.schedule(delivery);
+      this.emit('delivery:retrying', { id, subscription_id: subscription.id, attempts: delivery.attempts, error: delivery.last_error });
+      return;
+    }
+
+    this.outbox = this.outbox.filter((d) => d !== delivery);
+    this.dead_letter = [
+      ...this.dead_letter,
+      { ...delivery, url: subscription.url, status, failed_at: new Date().toISOString() },
+    ].slice(-MAX_DEAD_LETTERS);
+    this.persist('outbox', 'deadLetter');
+    this.emit('delivery:failed', { id, subscription_id: subscription.id, attempts: delivery.attempts, error: delivery.last_error });
+  }
+
+  // Move a dead letter back to the outbox for another full round of attempts
+  retryDeadLetter(id) {
+    const entry = this.dead_letter.find((d) => d.id === id);
+    if (!entry) return null;
+    if (!this.getSubscription(entry.subscription_id)) throw new Error('Subscription no longer exists');
+    this.dead_letter = this.dead_letter.filter((d) => d !== entry);
+    const delivery = { id: entry.id, subscription_id: entry.subscription_id, event: entry.event, attempts: 0, next_attempt_at: Date.now(), last_error: null };
+    this.outbox.push(delivery);
+    this.persist('outbox', 'deadLetter');
+    this.schedule(delivery);
+    return delivery;
+  }
+
+  // ========== Wallet engine ==========
+  // Translate engine events into webhook events for subscribed addresses
+  watch(engine) {
+    const observe = (address, txid, fields) => {
+      const known = (this.seen[address] = this.seen[address] || {});
+      if (!known[txid]) {
+        this.notify(address, 'tx.detected', { txid, network: engine.network, ...fields }, txid, engine);
+      }
+      known[txid] = { confirmed: fields.confirmations > 0, block_hash: fields.block_hash || null };
+      this.subscriptionsFor(address, engine)
+        .filter((s) => s.events.includes('tx.confirmed') && fields.confirmations >= s.confirmations)
+        .forEach((s) => {
+          const data = { address, txid, network: engine.network, ...fields, target_confirmations: s.confirmations };
+          this.enqueue(s, 'tx.confirmed', data, `${txid}:${fields.block_hash}`);
+        });
+    };
+
+    // Outputs to the address, one observation per transaction
+    const observeUtxos = (address, utxos) => {
+      const byTxid = {};
+      utxos.forEach((u) => {
+        byTxid[u.txid] = byTxid[u.txid] || { amount: 0, confirmations: u.confirmations, block_height: u.block_height, block_hash: u.block_hash };
+        byTxid[u.txid].amount += u.value;
+      });
+      Object.entries(byTxid).forEach(([txid, fields]) => observe(address, txid, fields));
+    };
+
+    engine.on('utxos:updated', ({ address, utxos }) => {
+      if (!this.subscriptionsFor(address, engine).length) return;
+      observeUtxos(address, utxos);
+    });
+    engine.on('confirmations:updated', ({ address }) => {
+      if (!this.subscriptionsFor(address, engine).length) return;
+      observeUtxos(address, engine.utxos[address] || []);
+    });
+
+    engine.on('mempool:updated', ({ address }) => {
+      if (!this.subscriptionsFor(address, engine).length) return;
+      const current = engine.mempool_txs[address] || {};
+      Object.values(current).forEach((tx) => {
+        observe(address, tx.txid, { amount: tx.amount, is_incoming: tx.is_incoming, confirmations: 0, fee: tx.fee });
+      });
+      const previous = this.mempool_seen[address] || new Set();
+      this.mempool_seen[address] = new Set(Object.keys(current));
+      const gone = [...previous].filter((txid) => !current[txid]);
+      if (gone.length) this.checkDropped(engine, address, gone);
+    });
+
+    engine.on('tx:unconfirmed', (event) => {
+      const known = this.seen[event.address] && this.seen[event.address][event.txid];
+      if (known) known.confirmed = false;
+      this.notify(event.address, 'tx.reorged', { network: engine.network, ...event }, `${event.txid}:${event.orphaned_block_hash}`, engine);
+    });
+  }
+
+  // Txs that left the address's mempool view: confirmed, or replaced/evicted
+  async checkDropped(engine, address, txids) {
+    for (const txid of txids) {
+      try {
+        const tx = await engine.backend.getTransaction(txid);
+        if (tx.status && tx.status.confirmed) continue;
+        if (tx.txid) continue; // still known unconfirmed: a transient gap in the mempool view
+      } catch (error) {
+        if (error.status !== 404) {
+          this.emit('error', { type: 'check_dropped', address, txid, error: error.message });
+          continue;
+        }
+      }
+      this.notify(address, 'tx.replaced', { txid, network: engine.network, reason: 'replaced_or_evicted' }, txid, engine);
+    }
+  }
+
+  stop() {
+    this.timers.forEach((timer) => clearTimeout(timer));
+    this.timers.clear();
+  }
+}
+
+module.exports = {
+  EVENT_TYPES,
+  WebhookDispatcher,
+  signPayload,
+  signatureHeader,
+  verifySignature,
+  retryDelay,
+};
@@ -0,0 +1,86 @@
+// lib/xpub.js
+// Extended public keys for watch-only wallets. Accepts xpub/ypub/zpub (mainnet)
+// and tpub/upub/vpub (testnet, signet, regtest), plus the Ypub/Zpub/Upub/Vpub
+// multisig cosigner keys; the SLIP-132 prefix picks the default script type.
+// Private extended keys are rejected.
+
+const bitcoin = require('bitcoinjs-lib');
+const bs58check = require('bs58check');
+const { bip32 } = require('./ecc');
+const { NETWORKS } = require('./networks');
+
+const SCRIPT_TYPES = ['p2pkh', 'p2sh-p2wpkh', 'p2wpkh', 'p2tr'];
+
+// SLIP-132 version bytes -> what they imply
+const PUBLIC_VERSIONS = {
+  0x0488b21e: { prefix: 'xpub', mainnet: true, scriptType: 'p2pkh' },
+  0x049d7cb2: { prefix: 'ypub', mainnet: true, scriptType: 'p2sh-p2wpkh' },
+  0x04b24746: { prefix: 'zpub', mainnet: true, scriptType: 'p2wpkh' },
+  0x043587cf: { prefix: 'tpub', mainnet: false, scriptType: 'p2pkh' },
+  0x044a5262: { prefix: 'upub', mainnet: false, scriptType: 'p2sh-p2wpkh' },
+  0x045f1cf6: { prefix: 'vpub', mainnet: false, scriptType: 'p2wpkh' },
+  // Multisig cosigner keys
+  0x0295b43f: { prefix: 'Ypub', mainnet: true, scriptType: 'p2sh-p2wsh' },
+  0x02aa7ed3: { prefix: 'Zpub', mainnet: true, scriptType: 'p2wsh' },
+  0x024289ef: { prefix: 'Upub', mainnet: false, scriptType: 'p2sh-p2wsh' },
+  0x02575483: { prefix: 'Vpub', mainnet: false, scriptType: 'p2wsh' },
+};
+
+const PRIVATE_VERSIONS = [
+  0x0488ade4, 0x049d7878, 0x04b2430c, 0x04358394, 0x044a4e28, 0x045f18bc,
+  0x0295b005, 0x02aa7a99, 0x024285b5, 0x02575048,
+];
+
+const CHAINS = { receive: 0, change: 1 };
+
+function parseXpub(xpub, network = 'testnet') {
+  const net = NETWORKS[network];
+  if (!net) throw new Error(`Unsupported network: ${network}`);
+
+  let payload;
+  try {
+    payload = Buffer.from(bs58check.decode(String(xpub).trim()));
+  } catch (e) {
+    throw new Error('Invalid extended key encoding');
+  }
+  if (payload.length !== 78) throw new Error('Invalid extended key length');
+
+  const version = payload.readUInt32BE(0);
+  if (PRIVATE_VERSIONS.includes(version)) {
+    throw new Error('Private extended keys are not accepted; pass the xpub');
+  }
+  const info = PUBLIC_VERSIONS[version];
+  if (!info) throw new Error('Unknown extended key version');
+  if (info.mainnet !== (network === 'mainnet')) {
+    throw new Error(`${info.prefix} keys do not belong to ${network}`);
+  }
+
+  // Re-encode with the plain xpub/tpub version so bip32 accepts it
+  payload.writeUInt32BE(net.bip32.public, 0);
+  const node = bip32.fromBase58(bs58check.encode(payload), net);
+  return { node, prefix: info.prefix, scriptType: info.scriptType, depth: node.depth };
+}
+
+function addressFromPubkey(pubkey, scriptType, network = 'testnet') {
+  const net = NETWORKS[network];
+  switch (scriptType) {
+    case 'p2pkh':
+      return bitcoin.payments.p2pkh({ pubkey, network: net }).address;
+    case 'p2sh-p2wpkh':
+      return bitcoin.payments.p2sh({ redeem: bitcoin.payments.p2wpkh({ pubkey, network: net }), network: net }).address;
+    case 'p2wpkh':
+      return bitcoin.payments.p2wpkh({ pubkey, network: net }).address;
+    case 'p2tr':
+      return bitcoin.payments.p2tr({ internalPubkey: pubkey.subarray(1, 33), network: net }).address;
+    default:
+      throw new Error(`Unsupported script type: ${scriptType}`);
+  }
+}
+
+// Address at <xpub>/<chain>/<index>
+function deriveAddress(node, chain, index, scriptType, network = 'testnet') {
+  const child = node.derive(chain).derive(index);
+  return addressFromPubkey(Buffer.from(child.publicKey), scriptType, network);
+}
+
+module.exports = { SCRIPT_TYPES, CHAINS, parseXpub, addressFromPubkey, deriveAddress };
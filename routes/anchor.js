@@ -0,0 +1,267 @@
+// routes/anchor.js
+// Timestamping service on lib/anchor.js: hash a batch of documents into a
+// Merkle root, commit the root in one OP_RETURN (through
+// /api/create-opreturn-tx or any wallet), record the txid, and verify
+// documents against their stored inclusion proofs and the confirmed tx.
+//
+// Storage keys: anchor:batch:<id> holds the batch with every document's
+// proof; anchor:doc:<sha256> lists the batches a document is in.
+
+const crypto = require('crypto');
+const express = require('express');
+const bitcoin = require('bitcoinjs-lib');
+const { NETWORKS } = require('../lib/networks');
+const { getBackend } = require('../lib/backends');
+const { getStorage } = require('../lib/storage');
+const { confirmationsFor } = require('../lib/confirmations');
+const { decodeOpReturn } = require('../lib/opreturn');
+const {
+  ANCHOR_VERSION,
+  MAX_BATCH_DOCUMENTS,
+  hashDocument,
+  buildMerkleTree,
+  rootFromProof,
+  anchorPayload,
+  parseAnchorPayload,
+} = require('../lib/anchor');
+const router = express.Router();
+
+const batchKey = (id) => `anchor:batch:${id}`;
+const documentKey = (hash) => `anchor:doc:${hash}`;
+
+// Index of the output committing to `root` in an Esplora-shaped tx, or -1
+function anchorOutput(tx, root) {
+  return tx.vout.findIndex((out) => {
+    const decoded = decodeOpReturn(Buffer.from(out.scriptpubkey, 'hex'));
+    const anchor = decoded && !decoded.malformed && parseAnchorPayload(Buffer.from(decoded.hex, 'hex'));
+    return Boolean(anchor && anchor.root === root);
+  });
+}
+
+// Where the batch's anchor tx stands on the chain
+async function anchorStatus(network, txid) {
+  if (!txid) return { status: 'pending', confirmed: false, confirmations: 0 };
+  const backend = getBackend(network);
+  const tx = await backend.getTransaction(txid);
+  const confirmed = Boolean(tx.status && tx.status.confirmed);
+  return {
+    status: confirmed ? 'confirmed' : 'unconfirmed',
+    confirmed,
+    confirmations: confirmationsFor(tx.status, confirmed ? await backend.getTipHeight() : null),
+    block_height: confirmed ? tx.status.block_height : null,
+    block_time: confirmed ? tx.status.block_time : null,
+  };
+}
+
+function receiptFor(batch, doc) {
+  return {
+    batch_id: batch.id,
+    document_id: doc.id,
+    document_hash: doc.hash,
+    leaf_index: doc.index,
+    proof: doc.proof,
+    root: batch.root,
+    network: batch.network,
+    txid: batch.txid,
+    vout: batch.vout,
+  };
+}
+
+// ========== Create Anchor Batch ==========
+// documents: [{ id, content | content_base64 | hash }] (or bare hex hashes)
+router.post('/anchor', (req, res) => {
+  try {
+    const { documents, network = 'testnet' } = req.body;
+
+    if (!NETWORKS[network]) {
+      return res.status(400).json({ error: 'Invalid network' });
+    }
+    if (!Array.isArray(documents) || documents.length === 0) {
+      return res.status(400).json({ error: 'documents must be a non-empty array' });
+    }
+    if (documents.length > MAX_BATCH_DOCUMENTS) {
+      return res.status(400).json({ error: `At most ${MAX_BATCH_DOCUMENTS} documents per batch` });
+    }
+
+    let hashed;
+    try {
+      hashed = documents.map(hashDocument);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    const { root, proofs } = buildMerkleTree(hashed.map((d) => d.hash));
+    const payload = anchorPayload(root);
+    const batch = {
+      id: crypto.randomBytes(8).toString('hex'),
+      network,
+      version: ANCHOR_VERSION,
+      root,
+      opreturn_hex: payload.toString('hex'),
+      created_at: new Date().toISOString(),
+      txid: null,
+      vout: null,
+      documents: hashed.map((d, index) => ({ ...d, index, proof: proofs[index] })),
+    };
+
+    const storage = getStorage();
+    storage.set(batchKey(batch.id), batch);
+    new Set(hashed.map((d) => d.hash)).forEach((hash) => {
+      storage.set(documentKey(hash), [...(storage.get(documentKey(hash)) || []), batch.id]);
+    });
+
+    res.json({
+      success: true,
+      batch_id: batch.id,
+      network,
+      root,
+      document_count: batch.documents.length,
+      opreturn_hex: batch.opreturn_hex,
+      script_pubkey: bitcoin.payments.embed({ data: [payload] }).output.toString('hex'),
+      receipts: batch.documents.map((doc) => receiptFor(batch, doc)),
+      note: `Commit opreturn_hex with /api/create-opreturn-tx, broadcast it, then POST the txid to /api/anchor/${batch.id}/commit`,
+    });
+  } catch (err) {
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// ========== Record the Anchor Transaction ==========
+router.post('/anchor/:id/commit', async (req, res) => {
+  try {
+    const { txid } = req.body;
+    const batch = getStorage().get(batchKey(req.params.id));
+
+    if (!batch) {
+      return res.status(404).json({ error: 'Anchor batch not found' });
+    }
+    if (!txid || !/^[0-9a-fA-F]{64}$/.test(txid)) {
+      return res.status(400).json({ error: 'Valid txid required' });
+    }
+
+    const tx = await getBackend(batch.network).getTransaction(txid.toLowerCase());
+    const vout = anchorOutput(tx, batch.root);
+    if (vout < 0) {
+      return res.status(400).json({ error: 'Transaction has no OP_RETURN committing to this batch root', code: 'ANCHOR_NOT_FOUND' });
+    }
+
+    batch.txid = txid.toLowerCase();
+    batch.vout = vout;
+    getStorage().set(batchKey(batch.id), batch);
+
+    res.json({ success: true, batch_id: batch.id, root: batch.root, txid: batch.txid, vout, ...(await anchorStatus(batch.network, batch.txid)) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: String(err.message || err) });
+  }
+});
+
+// ========== Stored Proofs for a Document ==========
+router.get('/anchor/proof/:hash', (req, res) => {
+  try {
+    const hash = String(req.params.hash).toLowerCase();
+    const storage = getStorage();
+    const receipts = (storage.get(documentKey(hash)) || [])
+      .map((id) => storage.get(batchKey(id)))
+      .filter(Boolean)
+      .flatMap((batch) => batch.documents.filter((d) => d.hash === hash).map((doc) => receiptFor(batch, doc)));
+
+    if (!receipts.length) {
+      return res.status(404).json({ error: 'No anchored proof for this document hash' });
+    }
+    res.json({ document_hash: hash, receipts });
+  } catch (err) {
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// ========== Anchor Batch Status ==========
+router.get('/anchor/:id', async (req, res) => {
+  try {
+    const batch = getStorage().get(batchKey(req.params.id));
+    if (!batch) {
+      return res.status(404).json({ error: 'Anchor batch not found' });
+    }
+    const { documents, ...summary } = batch;
+    res.json({ ...summary, document_count: documents.length, ...(await anchorStatus(batch.network, batch.txid)) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: String(err.message || err) });
+  }
+});
+
+// ========== Verify a Document ==========
+// document: { content | content_base64 | hash }. With no `proof` the stored
+// receipt for the document is used; `proof` + `txid` (and optionally `root`)
+// verify a receipt kept elsewhere, without this server's records.
+router.post('/anchor/verify', async (req, res) => {
+  try {
+    const { document, proof, root, txid, network: requested } = req.body;
+
+    let documentHash;
+    try {
+      documentHash = hashDocument(document).hash;
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    let receipt;
+    if (proof !== undefined) {
+      receipt = { document_hash: documentHash, proof, root: root || null, txid: txid || null, network: requested || 'testnet' };
+    } else {
+      const storage = getStorage();
+      const receipts = (storage.get(documentKey(documentHash)) || [])
+        .map((id) => storage.get(batchKey(id)))
+        .filter(Boolean)
+        .map((batch) => receiptFor(batch, batch.documents.find((d) => d.hash === documentHash)));
+      if (!receipts.length) {
+        return res.status(404).json({ error: 'No stored proof for this document; pass proof and txid' });
+      }
+      // Prefer a batch that has been committed on-chain
+      receipt = receipts.find((r) => r.txid) || receipts[0];
+    }
+    if (!NETWORKS[receipt.network]) {
+      return res.status(400).json({ error: 'Invalid network' });
+    }
+
+    let computedRoot;
+    try {
+      computedRoot = rootFromProof(documentHash, receipt.proof);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    const result = {
+      document_hash: documentHash,
+      root: computedRoot,
+      batch_id: receipt.batch_id || null,
+      network: receipt.network,
+      txid: receipt.txid,
+    };
+    if (receipt.root && receipt.root.toLowerCase() !== computedRoot) {
+      return res.json({ valid: false, ...result, reason: 'Proof does not lead to the stated root' });
+    }
+    if (!receipt.txid) {
+      return res.json({ valid: false, ...result, status: 'pending', reason: 'Batch has not been committed on-chain yet' });
+    }
+    if (!/^[0-9a-fA-F]{64}$/.test(receipt.txid)) {
+      return res.status(400).json({ error: 'Invalid txid' });
+    }
+
+    const tx = await getBackend(receipt.network).getTransaction(receipt.txid.toLowerCase());
+    const vout = anchorOutput(tx, computedRoot);
+    if (vout < 0) {
+      return res.json({ valid: false, ...result, reason: 'Transaction does not commit to this root' });
+    }
+    const status = await anchorStatus(receipt.network, receipt.txid.toLowerCase());
+    res.json({
+      valid: status.confirmed,
+      ...result,
+      vout,
+      ...status,
+      ...(status.confirmed ? {} : { reason: 'Anchor transaction is not confirmed yet' }),
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: String(err.message || err) });
+  }
+});
+
+module.exports = router;
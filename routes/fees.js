@@ -0,0 +1,47 @@
+// routes/fees.js
+// Fee estimates for builders and clients; see lib/fees.js for the sources.
+
+const express = require('express');
+const { NETWORKS } = require('../lib/networks');
+const { SOURCES, feeForTarget, getFeeEstimates } = require('../lib/fees');
+const router = express.Router();
+
+// Named targets, in blocks
+const PRESETS = { fastest: 1, half_hour: 3, hour: 6, economy: 144 };
+
+// ========== Fee Estimates ==========
+// GET /fees?network=testnet[&target=6][&source=bitcoind][&refresh=true]
+router.get('/fees', async (req, res) => {
+  try {
+    const { network = 'testnet', target, source, refresh } = req.query;
+
+    if (!NETWORKS[network]) {
+      return res.status(400).json({ error: 'Invalid network' });
+    }
+    const sources = source ? String(source).split(',') : undefined;
+    if (sources && sources.some((s) => !SOURCES[s])) {
+      return res.status(400).json({ error: `source must be one of ${Object.keys(SOURCES).join(', ')}` });
+    }
+    const blocks = target === undefined ? null : Number(target);
+    if (blocks !== null && !(Number.isInteger(blocks) && blocks >= 1 && blocks <= 1008)) {
+      return res.status(400).json({ error: 'target must be a block count between 1 and 1008' });
+    }
+
+    const result = await getFeeEstimates(network, { sources, refresh: refresh === 'true' });
+    const presets = {};
+    Object.entries(PRESETS).forEach(([name, t]) => {
+      presets[name] = feeForTarget(result.estimates, t);
+    });
+
+    res.json({
+      ...result,
+      ...presets,
+      ...(blocks !== null ? { target: blocks, fee_rate: feeForTarget(result.estimates, blocks) } : {}),
+      unit: 'sat/vB',
+    });
+  } catch (err) {
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,103 @@
+// routes/opreturn-index.js
+// Search over the OP_RETURN index (lib/opreturn-indexer.js). The indexer is
+// configured through the environment:
+//   OPRETURN_INDEX                true to index in the background
+//   OPRETURN_INDEX_NETWORK        network to walk (default testnet)
+//   OPRETURN_INDEX_START_HEIGHT   first block; unset starts at the current tip
+//   OPRETURN_INDEX_PREFIXES       comma list of hex prefixes to keep (default all)
+//   OPRETURN_INDEX_PATTERN        regex payloads must match (UTF-8 text or hex)
+//   OPRETURN_INDEX_INTERVAL       ms between polls, default 60000
+
+const express = require('express');
+const { NETWORKS } = require('../lib/networks');
+const { OpReturnIndexer } = require('../lib/opreturn-indexer');
+const router = express.Router();
+
+const MAX_PAGE_SIZE = 500;
+
+const startHeight = process.env.OPRETURN_INDEX_START_HEIGHT;
+const opreturnIndexer = new OpReturnIndexer(process.env.OPRETURN_INDEX_NETWORK || 'testnet', {
+  startHeight: startHeight !== undefined && startHeight !== '' ? Number(startHeight) : null,
+  prefixes: (process.env.OPRETURN_INDEX_PREFIXES || '').split(',').map((p) => p.trim()).filter(Boolean),
+  pattern: process.env.OPRETURN_INDEX_PATTERN || null,
+  pollingInterval: Number(process.env.OPRETURN_INDEX_INTERVAL) || undefined,
+});
+opreturnIndexer.on('error', (e) => console.error(`[OpReturnIndexer] ${e.type}:`, e.error));
+if (process.env.OPRETURN_INDEX === 'true' && process.env.NODE_ENV !== 'test') {
+  opreturnIndexer.startPolling();
+}
+
+// Optional non-negative integer query parameter
+function intParam(value, name) {
+  if (value === undefined || value === '') return undefined;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) throw new Error(`${name} must be a non-negative integer`);
+  return n;
+}
+
+// ========== Search Indexed OP_RETURNs ==========
+// GET /opreturn/search?prefix=<hex>&text_prefix=&protocol=&txid=
+//   &from_height=&to_height=&limit=50&offset=0   (newest first)
+// No regex filter: a crafted pattern could backtrack for seconds over the
+// whole index and block the event loop.
+router.get('/opreturn/search', (req, res) => {
+  try {
+    const { prefix, text_prefix, protocol, txid, network = opreturnIndexer.network } = req.query;
+
+    if (!NETWORKS[network]) {
+      return res.status(400).json({ error: 'Invalid network' });
+    }
+    if (network !== opreturnIndexer.network) {
+      return res.status(400).json({ error: `The OP_RETURN index follows ${opreturnIndexer.network} (OPRETURN_INDEX_NETWORK)` });
+    }
+    if (req.query.pattern !== undefined) {
+      return res.status(400).json({ error: 'pattern is not supported; filter with prefix or text_prefix' });
+    }
+
+    let page;
+    try {
+      const limit = intParam(req.query.limit, 'limit') ?? 50;
+      if (limit < 1 || limit > MAX_PAGE_SIZE) throw new Error(`limit must be between 1 and ${MAX_PAGE_SIZE}`);
+      page = opreturnIndexer.search(
+        {
+          prefix,
+          text_prefix,
+          protocol,
+          txid,
+          from_height: intParam(req.query.from_height, 'from_height'),
+          to_height: intParam(req.query.to_height, 'to_height'),
+        },
+        { limit, offset: intParam(req.query.offset, 'offset') ?? 0 }
+      );
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    res.json({ network, next_height: opreturnIndexer.next_height, ...page });
+  } catch (err) {
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// ========== Indexer Status ==========
+router.get('/opreturn/index/status', (req, res) => {
+  try {
+    res.json(opreturnIndexer.getStatus());
+  } catch (err) {
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// ========== Index Now ==========
+// One sync pass (up to blocks_per_sync blocks) without waiting for the poll
+router.post('/opreturn/index/sync', async (req, res) => {
+  try {
+    const result = await opreturnIndexer.sync();
+    res.json({ success: true, ...result, status: opreturnIndexer.getStatus() });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: String(err.message || err) });
+  }
+});
+
+module.exports = router;
+module.exports.opreturnIndexer = opreturnIndexer;
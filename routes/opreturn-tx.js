@@ -1,30 +1,58 @@
 const express = require('express');
 const bitcoin = require('bitcoinjs-lib');
+const { ECPair } = require('../lib/ecc');
+const { NETWORKS } = require('../lib/networks');
+const { SIGNABLE_TYPES, paymentFor, inputFields } = require('../lib/signing');
+const { annotateInput } = require('../lib/psbt');
+const { getBackend } = require('../lib/backends');
+const { decodeOpReturn } = require('../lib/opreturn');
+const { toAsm } = require('../lib/tx-inspect');
 const router = express.Router();
 
-const NETWORKS = {
-  testnet:  bitcoin.networks.testnet,
-  mainnet: bitcoin.networks.bitcoin,
-};
-
 // ========== Create OP_RETURN Transaction ==========
+// Watch-only: takes the sender's `pubkey` and returns an unsigned PSBT for an
+// external signer; `master_fingerprint` + `path` add the BIP32 derivation
+// hardware wallets need. Private keys are refused.
 router.post('/create-opreturn-tx', (req, res) => {
   try {
-    const { wif, utxo, to_address, opreturn_data, network = 'testnet', fee = 2000 } = req.body;
+    const {
+      pubkey,
+      master_fingerprint,
+      path,
+      utxo,
+      to_address,
+      opreturn_data,
+      opreturn_hex,
+      network = 'testnet',
+      fee = 2000,
+      address_type = 'p2wpkh',
+    } = req.body;
 
     // Validation
-    if (!wif || ! utxo || !opreturn_data) {
+    if (req.body.wif) {
+      return res.status(400).json({ error: 'Private keys are not accepted: sign the returned PSBT and use /api/psbt/finalize' });
+    }
+    if (!pubkey || ! utxo || (!opreturn_data && !opreturn_hex)) {
       return res.status(400).json({ 
-        error: 'Missing required fields:  wif, utxo, opreturn_data' 
+        error: 'Missing required fields:  pubkey, utxo, opreturn_data (or opreturn_hex)' 
       });
     }
+    if (opreturn_hex && !/^([0-9a-fA-F]{2})+$/.test(opreturn_hex)) {
+      return res.status(400).json({ error: 'opreturn_hex must be hex bytes' });
+    }
 
     if (!NETWORKS[network]) {
       return res.status(400).json({ error: 'Invalid network' });
     }
 
-    // Validate OP_RETURN data size (max 80 bytes)
-    const data_buffer = Buffer.from(opreturn_data, 'utf-8');
+    // Type of the UTXO being spent (the sender's own address type)
+    if (!SIGNABLE_TYPES.includes(address_type)) {
+      return res.status(400).json({ error: `address_type must be one of ${SIGNABLE_TYPES.join(', ')}` });
+    }
+
+    // Validate OP_RETURN data size (max 80 bytes); opreturn_hex carries binary
+    // payloads such as /api/anchor roots
+    const data_buffer = opreturn_hex ? Buffer.from(opreturn_hex, 'hex') : Buffer.from(opreturn_data, 'utf-8');
     if (data_buffer.length > 80) {
       return res.status(400).json({ 
         error: `OP_RETURN data too large: ${data_buffer.length} bytes (max 80)` 
@@ -33,12 +61,14 @@ router.post('/create-opreturn-tx', (req, res) => {
 
     const net = NETWORKS[network];
 
-    // Validate WIF
     let keyPair;
     try {
-      keyPair = bitcoin.ECPair.fromWIF(wif, net);
+      keyPair = ECPair.fromPublicKey(Buffer.from(pubkey, 'hex'), { network: net });
     } catch (e) {
-      return res.status(400).json({ error: 'Invalid WIF for network' });
+      return res.status(400).json({ error: 'Invalid pubkey' });
+    }
+    if ((master_fingerprint || path) && !(/^[0-9a-fA-F]{8}$/.test(master_fingerprint || '') && path)) {
+      return res.status(400).json({ error: 'master_fingerprint (8 hex chars) and path go together' });
     }
 
     // Validate address if provided
@@ -52,17 +82,11 @@ router.post('/create-opreturn-tx', (req, res) => {
 
     const psbt = new bitcoin. Psbt({ network:  net });
 
-    // Add input
+    // Add input: the UTXO locked to the sender's own key
     psbt.addInput({
       hash: utxo.txid,
       index: utxo.vout,
-      witnessUtxo: {
-        script: bitcoin.address.toOutputScript(
-          to_address || bitcoin.payments.p2wpkh({ pubkey: keyPair.publicKey, network: net }).address,
-          net
-        ),
-        value: utxo. value,
-      },
+      ...inputFields(keyPair.publicKey, address_type, network, utxo.value),
     });
 
     // Add output to recipient (if provided)
@@ -80,26 +104,27 @@ router.post('/create-opreturn-tx', (req, res) => {
     ]);
     psbt.addOutput({ script: dataScript, value: 0 });
 
-    // Sign
-    psbt.signInput(0, keyPair);
-    psbt.finalizeAllInputs();
-    const tx = psbt.extractTransaction();
+    const from_address = paymentFor(keyPair.publicKey, address_type, network).address;
 
+    if (master_fingerprint) {
+      annotateInput(psbt, 0, address_type, [{ fingerprint: master_fingerprint, path, pubkey: keyPair.publicKey }], network);
+    }
     res.json({
       success: true,
-      txid: tx.getId(),
-      hex: tx.toHex(),
-      size: tx.byteLength(),
-      vsize: tx.virtualSize(),
-      opreturn_data: opreturn_data,
+      signed: false,
+      psbt: psbt.toBase64(),
+      psbt_hex: psbt.toHex(),
+      opreturn_data,
       opreturn_hex: data_buffer.toString('hex'),
-      fee: fee,
+      fee,
       network,
+      from_address,
+      address_type,
       outputs: [
         to_address ? { type: 'payment', address: to_address, value: utxo.value - fee } : null,
         { type: 'OP_RETURN', value:  0, data: opreturn_data, hex: data_buffer.toString('hex') },
       ].filter(Boolean),
-      note: 'OP_RETURN outputs are permanently unspendable and appear on-chain forever',
+      note: 'Sign this PSBT externally, then POST it to /api/psbt/finalize or /api/psbt/extract. OP_RETURN outputs are permanently unspendable and appear on-chain forever',
     });
   } catch (err) {
     res.status(500).json({ error: String(err) });
@@ -142,46 +167,54 @@ router.post('/encode-opreturn', (req, res) => {
 });
 
 // ========== Decode OP_RETURN Transaction ==========
-router.post('/decode-opreturn', (req, res) => {
+// Every OP_RETURN output with its pushes, concatenated payload and any
+// recognised protocol. Pass `tx_hex`, or `txid` to fetch it from the backend.
+router.post('/decode-opreturn', async (req, res) => {
   try {
-    const { tx_hex, network = 'testnet' } = req.body;
+    const { tx_hex, txid, network = 'testnet' } = req.body;
 
-    if (! tx_hex) {
-      return res.status(400).json({ error: 'tx_hex required' });
+    if (!NETWORKS[network]) {
+      return res.status(400).json({ error: 'Invalid network' });
+    }
+    if (!tx_hex && !txid) {
+      return res.status(400).json({ error: 'tx_hex or txid required' });
+    }
+    if (txid && !/^[0-9a-fA-F]{64}$/.test(txid)) {
+      return res.status(400).json({ error: 'Invalid txid' });
     }
 
-    const net = NETWORKS[network];
-    const tx = bitcoin.Transaction.fromHex(tx_hex);
+    const hex = tx_hex || (await getBackend(network).getTransactionHex(txid.toLowerCase()));
+    let tx;
+    try {
+      tx = bitcoin.Transaction.fromHex(String(hex).trim());
+    } catch (e) {
+      return res.status(400).json({ error: 'Invalid TX hex or format' });
+    }
 
     const opreturn_outputs = [];
-
     tx.outs.forEach((out, idx) => {
-      try {
-        const script = out. script;
-        if (script. length > 0 && script[0] === bitcoin.opcodes.OP_RETURN) {
-          const data = script.slice(2); // Skip OP_RETURN and length byte
-          opreturn_outputs.push({
-            index: idx,
-            data: data.toString('utf-8'),
-            hex: data.toString('hex'),
-            bytes: data.length,
-          });
-        }
-      } catch (e) {
-        // Not OP_RETURN
+      const decoded = decodeOpReturn(out.script);
+      if (decoded) {
+        opreturn_outputs.push({
+          index: idx,
+          value: out.value,
+          data: decoded.utf8, // whole payload as text, null when not UTF-8
+          ...decoded,
+          asm: toAsm(out.script),
+        });
       }
     });
 
     res.json({
       txid: tx.getId(),
       network,
-      total_outputs: tx. outs.length,
+      total_outputs: tx.outs.length,
       opreturn_count: opreturn_outputs.length,
       opreturn_outputs,
       raw_tx_size: tx.byteLength(),
     });
   } catch (err) {
-    res.status(500).json({ error: 'Invalid TX hex or format' });
+    res.status(err.status || 500).json({ error: String(err.message || err) });
   }
 });
 
@@ -0,0 +1,207 @@
+// routes/stream.js
+// Live wallet engine events (lib/event-stream.js) for browsers, on one path:
+//   GET /api/stream          Server-Sent Events (EventSource)
+//   ws(s)://host/api/stream  WebSocket, attached to the HTTP server by attach()
+// Clients follow addresses and/or HD wallets (the `xpub` key returned by
+// add-xpub/add-descriptor) and only receive their events. Settings:
+//   STREAM_HEARTBEAT_MS   heartbeat interval, default 15000
+//   STREAM_BUFFER_SIZE    events kept for Last-Event-ID resume, default 1000
+//   STREAM_MAX_CLIENTS    concurrent SSE + WebSocket clients, default 1000
+
+const express = require('express');
+const WebSocket = require('ws');
+const { NETWORKS, validateAddress } = require('../lib/networks');
+const { EVENT_TYPES, EventStream } = require('../lib/event-stream');
+const { walletEngine } = require('../lib/engine');
+const router = express.Router();
+
+const STREAM_PATH = '/api/stream';
+const MAX_FOLLOWED = 100; // addresses + wallets per client
+
+const stream = new EventStream({
+  heartbeatInterval: Number(process.env.STREAM_HEARTBEAT_MS) || undefined,
+  bufferSize: Number(process.env.STREAM_BUFFER_SIZE) || undefined,
+  maxClients: Number(process.env.STREAM_MAX_CLIENTS) || undefined,
+});
+stream.watch(walletEngine);
+
+function list(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// Validate what a client wants to follow. Addresses may be comma-separated;
+// wallets may not (descriptors contain commas), so repeat the parameter.
+function parseFilter(addresses, wallets) {
+  const filter = {
+    addresses: [...new Set(list(addresses).flatMap((a) => String(a).split(',')).map((a) => a.trim()).filter(Boolean))],
+    wallets: [...new Set(list(wallets).map(String))],
+  };
+  if (filter.addresses.length + filter.wallets.length > MAX_FOLLOWED) {
+    throw new Error(`At most ${MAX_FOLLOWED} addresses and wallets per client`);
+  }
+  const invalid = filter.addresses.find((a) => !validateAddress(a, NETWORKS[walletEngine.network]));
+  if (invalid) throw new Error(`Invalid ${walletEngine.network} address: ${invalid}`);
+
+  // Events only flow for what the engine is watching
+  filter.unwatched = [
+    ...filter.addresses.filter((a) => !walletEngine.addresses.includes(a)),
+    ...filter.wallets.filter((w) => !walletEngine.xpubs[w]),
+  ];
+  return filter;
+}
+
+function follow(client, filter) {
+  filter.addresses.forEach((a) => client.addresses.add(a));
+  filter.wallets.forEach((w) => client.wallets.add(w));
+  return {
+    network: walletEngine.network,
+    addresses: [...client.addresses],
+    wallets: [...client.wallets],
+    unwatched: filter.unwatched,
+    events: EVENT_TYPES,
+    last_event_id: stream.seq,
+  };
+}
+
+// ========== Server-Sent Events ==========
+// GET /stream?addresses=a,b&wallet=<xpub>&last_event_id=   (or Last-Event-ID header)
+router.get('/stream', (req, res) => {
+  try {
+    let filter;
+    try {
+      filter = parseFilter(req.query.addresses, req.query.wallet);
+      if (!filter.addresses.length && !filter.wallets.length) throw new Error('addresses or wallet required');
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    const write = (chunk) => res.write(chunk);
+    const client = {
+      addresses: new Set(),
+      wallets: new Set(),
+      send: (event) => write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`),
+      heartbeat: () => write(`: heartbeat ${new Date().toISOString()}\n\n`),
+      close: () => res.end(),
+    };
+    if (!stream.addClient(client)) {
+      return res.status(503).json({ error: 'Too many stream clients' });
+    }
+    req.on('close', () => stream.removeClient(client));
+
+    // no-transform keeps compression() from buffering the stream
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    write('retry: 5000\n\n');
+    write(`event: stream.ready\ndata: ${JSON.stringify(follow(client, filter))}\n\n`);
+
+    const replay = stream.replay(client, req.get('Last-Event-ID') ?? req.query.last_event_id);
+    if (replay.resync) {
+      // Carries the current id so the browser resumes from here next time
+      write(`id: ${stream.seq}\nevent: stream.resync\ndata: ${JSON.stringify({ reason: replay.resync, last_event_id: stream.seq })}\n\n`);
+    } else {
+      replay.events.forEach(client.send);
+    }
+  } catch (err) {
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// ========== WebSocket ==========
+// ws://host/api/stream?addresses=a,b&wallet=<xpub>&last_event_id=
+// Messages in:  { action: 'subscribe' | 'unsubscribe', addresses, wallet, last_event_id }
+// Messages out: stream events, { type: 'subscribed' | 'unsubscribed' | 'stream.resync'
+//               | 'heartbeat' | 'error', ... }
+function connect(ws, params) {
+  const reply = (message) => {
+    if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(message));
+  };
+  const client = {
+    addresses: new Set(),
+    wallets: new Set(),
+    alive: true,
+    send: reply,
+    heartbeat: () => {
+      // No pong since the last heartbeat: the connection is dead
+      if (!client.alive) return ws.terminate();
+      client.alive = false;
+      ws.ping();
+      reply({ type: 'heartbeat', time: new Date().toISOString(), last_event_id: stream.seq });
+    },
+    close: () => ws.close(1001, 'Server shutting down'),
+  };
+  if (!stream.addClient(client)) {
+    ws.close(1013, 'Too many stream clients');
+    return;
+  }
+  ws.on('pong', () => (client.alive = true));
+  ws.on('close', () => stream.removeClient(client));
+  ws.on('error', () => stream.removeClient(client));
+
+  const subscribe = ({ addresses, wallet, last_event_id }) => {
+    let filter;
+    try {
+      filter = parseFilter(addresses, wallet);
+      if (client.addresses.size + client.wallets.size + filter.addresses.length + filter.wallets.length > MAX_FOLLOWED) {
+        throw new Error(`At most ${MAX_FOLLOWED} addresses and wallets per client`);
+      }
+    } catch (e) {
+      return reply({ type: 'error', error: e.message });
+    }
+    reply({ type: 'subscribed', ...follow(client, filter) });
+
+    const replay = stream.replay(client, last_event_id);
+    if (replay.resync) {
+      reply({ type: 'stream.resync', reason: replay.resync, last_event_id: stream.seq });
+    } else {
+      replay.events.forEach(client.send);
+    }
+  };
+
+  ws.on('message', (data) => {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch {
+      return reply({ type: 'error', error: 'Messages must be JSON' });
+    }
+    if (message && message.action === 'subscribe') {
+      subscribe(message);
+    } else if (message && message.action === 'unsubscribe') {
+      list(message.addresses).forEach((a) => client.addresses.delete(a));
+      list(message.wallet).forEach((w) => client.wallets.delete(w));
+      reply({ type: 'unsubscribed', addresses: [...client.addresses], wallets: [...client.wallets] });
+    } else {
+      reply({ type: 'error', error: "action must be 'subscribe' or 'unsubscribe'" });
+    }
+  });
+
+  const addresses = params.get('addresses');
+  const wallet = params.getAll('wallet');
+  if (addresses || wallet.length) {
+    subscribe({ addresses: addresses || undefined, wallet, last_event_id: params.get('last_event_id') });
+  }
+}
+
+// Serve WebSocket upgrades for STREAM_PATH on an http.Server
+function attach(server) {
+  const wss = new WebSocket.Server({ noServer: true, maxPayload: 64 * 1024 });
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== STREAM_PATH) {
+      socket.write('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+    wss.handleUpgrade(req, socket, head, (ws) => connect(ws, url.searchParams));
+  });
+  return wss;
+}
+
+module.exports = router;
+module.exports.stream = stream;
+module.exports.attach = attach;
@@ -0,0 +1,214 @@
+// routes/timelock.js
+// CLTV/CSV timelocked P2WSH outputs (lib/timelock.js): create the address,
+// check when its UTXOs unlock against the wallet engine's tip, and build
+// the spend. Spends come back as unsigned PSBTs: sign them on the client and
+// finish with /api/psbt/finalize. Private keys are never accepted.
+
+const express = require('express');
+const bitcoin = require('bitcoinjs-lib');
+const { ECPair } = require('../lib/ecc');
+const { NETWORKS } = require('../lib/networks');
+const { getBackend } = require('../lib/backends');
+const { annotateInput, describePsbt } = require('../lib/psbt');
+const { describeLock, decodeTimelockScript, timelockAddress, spendability, buildTimelockSpend } = require('../lib/timelock');
+const { resolveFeeRate } = require('../lib/fees');
+const { walletEngine } = require('../lib/engine');
+const router = express.Router();
+
+// The engine's tip when it follows this network, else the backend's
+async function tipHeightFor(network) {
+  if (walletEngine.network === network && typeof walletEngine.tip_height === 'number') {
+    return walletEngine.tip_height;
+  }
+  return getBackend(network).getTipHeight();
+}
+
+function parseWitnessScript(hex) {
+  const script = /^[0-9a-fA-F]+$/.test(hex || '') ? Buffer.from(hex, 'hex') : null;
+  const decoded = script && decodeTimelockScript(script);
+  if (!decoded) throw new Error('witness_script must be a CLTV/CSV timelock script (from /api/timelock/address)');
+  return { script, ...decoded };
+}
+
+// UTXOs at `address` with their lock status: the engine's view when it
+// watches the address, the backend's otherwise
+async function lockedUtxos(address, lock, network) {
+  const tipHeight = await tipHeightFor(network);
+  const watched = walletEngine.network === network && walletEngine.addresses.includes(address);
+  const raw = watched
+    ? walletEngine.utxos[address] || []
+    : (await getBackend(network).getAddressUtxos(address)).map((u) => ({
+        txid: u.txid,
+        vout: u.vout,
+        value: u.value,
+        block_height: u.status && u.status.confirmed ? u.status.block_height : null,
+        block_time: u.status && u.status.confirmed ? u.status.block_time : null,
+      }));
+  const utxos = raw.map((u) => ({
+    txid: u.txid,
+    vout: u.vout,
+    value: u.value,
+    block_height: typeof u.block_height === 'number' ? u.block_height : null,
+    ...spendability(lock, { tipHeight, utxo: u }),
+  }));
+  return { tipHeight, watched, utxos };
+}
+
+// ========== Timelocked Address ==========
+router.post('/timelock/address', (req, res) => {
+  try {
+    const { pubkey, lock, network = 'testnet', watch = false, label } = req.body;
+
+    if (!NETWORKS[network]) {
+      return res.status(400).json({ error: 'Invalid network' });
+    }
+    let key;
+    try {
+      key = ECPair.fromPublicKey(Buffer.from(String(pubkey || ''), 'hex')).publicKey;
+    } catch (e) {
+      return res.status(400).json({ error: 'Valid compressed pubkey required' });
+    }
+
+    let result;
+    try {
+      result = timelockAddress(key, lock, network);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    if (watch) {
+      if (network !== walletEngine.network) walletEngine.setNetwork(network);
+      walletEngine.addAddress(result.address, label || `timelock ${lock.type}`);
+    }
+
+    res.json({ success: true, network, pubkey: key.toString('hex'), ...result, watched: Boolean(watch) });
+  } catch (err) {
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// ========== Timelock Status ==========
+// GET /timelock/status?witness_script=<hex>&network=testnet
+router.get('/timelock/status', async (req, res) => {
+  try {
+    const { witness_script, network = 'testnet' } = req.query;
+
+    if (!NETWORKS[network]) {
+      return res.status(400).json({ error: 'Invalid network' });
+    }
+    let parsed;
+    try {
+      parsed = parseWitnessScript(witness_script);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    const address = bitcoin.payments.p2wsh({ redeem: { output: parsed.script }, network: NETWORKS[network] }).address;
+    const { tipHeight, watched, utxos } = await lockedUtxos(address, parsed.lock, network);
+
+    res.json({
+      network,
+      address,
+      lock: describeLock(parsed.lock),
+      tip_height: tipHeight,
+      watched,
+      utxos,
+      spendable_balance: utxos.filter((u) => u.spendable).reduce((sum, u) => sum + u.value, 0),
+      locked_balance: utxos.filter((u) => !u.spendable).reduce((sum, u) => sum + u.value, 0),
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: String(err.message || err) });
+  }
+});
+
+// ========== Spend a Timelocked Output ==========
+// Sweeps the address's spendable UTXOs (or the given `utxos`) to
+// `to_address` as an unsigned PSBT. Locks that haven't expired are refused
+// unless `allow_early` (e.g. to pre-sign an escrow release).
+router.post('/timelock/spend', async (req, res) => {
+  try {
+    const {
+      witness_script,
+      to_address,
+      utxos,
+      master_fingerprint,
+      path,
+      network = 'testnet',
+      allow_early = false,
+    } = req.body;
+
+    if (!NETWORKS[network]) {
+      return res.status(400).json({ error: 'Invalid network' });
+    }
+    let parsed;
+    try {
+      parsed = parseWitnessScript(witness_script);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    try {
+      bitcoin.address.toOutputScript(to_address, NETWORKS[network]);
+    } catch (e) {
+      return res.status(400).json({ error: 'Invalid to_address' });
+    }
+    if (req.body.wif) {
+      return res.status(400).json({ error: 'Private keys are not accepted: sign the returned PSBT and use /api/psbt/finalize' });
+    }
+    if ((master_fingerprint || path) && !(/^[0-9a-fA-F]{8}$/.test(master_fingerprint || '') && path)) {
+      return res.status(400).json({ error: 'master_fingerprint (8 hex chars) and path go together' });
+    }
+    let feeRate;
+    try {
+      feeRate = await resolveFeeRate(req.body, network);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    const address = bitcoin.payments.p2wsh({ redeem: { output: parsed.script }, network: NETWORKS[network] }).address;
+    let spending;
+    if (Array.isArray(utxos)) {
+      const tipHeight = await tipHeightFor(network);
+      spending = utxos.map((u) => ({ ...u, ...spendability(parsed.lock, { tipHeight, utxo: u }) }));
+    } else {
+      spending = (await lockedUtxos(address, parsed.lock, network)).utxos;
+      // Sweep what has unlocked; the rest waits for a later spend
+      if (!allow_early && spending.some((u) => u.spendable)) spending = spending.filter((u) => u.spendable);
+    }
+    const early = spending.filter((u) => !u.spendable);
+    if (early.length && !allow_early) {
+      return res.status(400).json({ error: 'Timelock has not expired', code: 'TIMELOCK_ACTIVE', utxos: early });
+    }
+
+    let built;
+    try {
+      built = buildTimelockSpend({ utxos: spending, witnessScript: parsed.script, toAddress: to_address, feeRate, network });
+    } catch (e) {
+      return res.status(400).json({ error: e.message, code: e.code });
+    }
+    const { psbt } = built;
+    const summary = {
+      network,
+      from_address: address,
+      to_address,
+      lock: describeLock(built.lock),
+      locktime: psbt.locktime,
+      sequences: psbt.txInputs.map((i) => i.sequence),
+      inputs: spending.map((u) => ({ txid: u.txid, vout: Number(u.vout), value: Number(u.value), spendable: u.spendable })),
+      value: built.value,
+      fee: built.fee,
+      fee_rate: feeRate,
+      estimated_vsize: built.vsize,
+    };
+
+    if (master_fingerprint) {
+      psbt.data.inputs.forEach((input, i) => {
+        annotateInput(psbt, i, 'p2wsh', [{ fingerprint: master_fingerprint, path, pubkey: parsed.pubkey }], network);
+      });
+    }
+    res.json({ success: true, signed: false, ...describePsbt(psbt), ...summary });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: String(err.message || err) });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,754 @@
+// routes/tx.js
+// Transaction building: coin-selected send PSBTs. Everything here returns
+// unsigned PSBTs; signing happens wherever the keys live (hardware wallet,
+// air-gapped signer) and the signed copies come back through
+// /psbt/combine, /psbt/finalize and /psbt/extract.
+
+const express = require('express');
+const bitcoin = require('bitcoinjs-lib');
+const { getBackend } = require('../lib/backends');
+const { NETWORKS } = require('../lib/networks');
+const { confirmationsFor } = require('../lib/confirmations');
+const { normalizeUtxo, buildSendPsbt } = require('../lib/tx-builder');
+const { decodePsbt, describePsbt, attachPrevTxs, combinePsbts, finalizePsbt, isFinalized, signatureCount } = require('../lib/psbt');
+const { analyzeTransaction, analyzePsbt } = require('../lib/tx-inspect');
+const { resolveFeeRate, minRelayFee } = require('../lib/fees');
+const { envFor } = require('../lib/backends');
+const { DEFAULT_INCREMENTAL_RELAY_FEE, signalsRbf, unconfirmedDescendants, buildReplacement } = require('../lib/rbf');
+const { scriptAddress } = require('../lib/backends/tx-format');
+const { unconfirmedAncestors, ancestorDescendants, buildCpfpChild } = require('../lib/cpfp');
+const { DEFAULT_MAX_OUTPUTS, parseBatchCsv, prepareBatch, individualFees } = require('../lib/batch');
+const { signingProgress } = require('../lib/multisig');
+const router = express.Router();
+
+// UTXOs for `addresses` straight from the chain backend
+async function fetchAddressUtxos(addresses, network, minConfirmations) {
+  const backend = getBackend(network);
+  const tipHeight = await backend.getTipHeight();
+  const utxos = [];
+  for (const address of addresses) {
+    const raw = await backend.getAddressUtxos(address);
+    raw.forEach((u) => {
+      const confirmations = confirmationsFor(u.status, tipHeight);
+      if (confirmations >= minConfirmations) {
+        utxos.push({ txid: u.txid, vout: u.vout, value: u.value, address, confirmations });
+      }
+    });
+  }
+  return utxos;
+}
+
+// { value, script } for each input from the backend; null where the
+// previous transaction can't be found
+async function fetchPrevouts(tx, network) {
+  const backend = getBackend(network);
+  const prevTxs = {};
+  const prevouts = [];
+  for (const input of tx.ins) {
+    const txid = Buffer.from(input.hash).reverse().toString('hex');
+    if (!(txid in prevTxs)) {
+      try {
+        prevTxs[txid] = bitcoin.Transaction.fromHex((await backend.getTransactionHex(txid)).trim());
+      } catch (e) {
+        if (e.status && e.status !== 404) throw e;
+        prevTxs[txid] = null;
+      }
+    }
+    const out = prevTxs[txid] && prevTxs[txid].outs[input.index];
+    prevouts.push(out ? { value: out.value, script: out.script } : null);
+  }
+  return prevouts;
+}
+
+function inputStatus(psbt) {
+  return psbt.data.inputs.map((input, index) => ({
+    index,
+    finalized: isFinalized(input),
+    signatures: signatureCount(input),
+  }));
+}
+
+// ========== Build Send PSBT ==========
+router.post('/tx/build', async (req, res) => {
+  try {
+    const {
+      network = 'testnet',
+      utxos,
+      from_addresses,
+      recipients,
+      change_address,
+      rbf = true,
+      locktime = 0,
+      min_confirmations = 0,
+      include_prev_txs = false,
+    } = req.body;
+
+    if (!NETWORKS[network]) {
+      return res.status(400).json({ error: 'Invalid network' });
+    }
+    if (!Array.isArray(recipients) || recipients.length === 0) {
+      return res.status(400).json({ error: 'recipients required: [{ address, value }]' });
+    }
+    let feeRate;
+    try {
+      feeRate = await resolveFeeRate(req.body, network);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    if (!Array.isArray(utxos) && !Array.isArray(from_addresses)) {
+      return res.status(400).json({ error: 'utxos or from_addresses required' });
+    }
+
+    let candidates;
+    let skipped = [];
+    try {
+      const raw = Array.isArray(utxos)
+        ? utxos
+        : await fetchAddressUtxos(from_addresses, network, Number(min_confirmations) || 0);
+      const normalized = raw.map((u) => ({ utxo: u, normalized: normalizeUtxo(u, network, req.body.from_address) }));
+      candidates = normalized.filter((n) => n.normalized).map((n) => n.normalized);
+      skipped = normalized.filter((n) => !n.normalized).map((n) => `${n.utxo.txid}:${n.utxo.vout}`);
+    } catch (e) {
+      if (e.status) throw e; // backend errors
+      return res.status(400).json({ error: e.message });
+    }
+
+    const changeAddress =
+      change_address ||
+      (Array.isArray(from_addresses) && from_addresses[0]) ||
+      (candidates[0] && candidates[0].address);
+    if (!changeAddress) {
+      return res.status(400).json({ error: 'change_address required' });
+    }
+
+    let built;
+    try {
+      built = buildSendPsbt({
+        utxos: candidates,
+        recipients,
+        feeRate,
+        changeAddress,
+        network,
+        rbf: rbf !== false,
+        locktime: Number(locktime) || 0,
+      });
+    } catch (e) {
+      return res.status(400).json({ error: e.message, code: e.code });
+    }
+
+    const { psbt, selection, outputs } = built;
+    if (include_prev_txs) await attachPrevTxs(psbt, selection.inputs, network);
+
+    res.json({
+      network,
+      ...describePsbt(psbt),
+      algorithm: selection.algorithm,
+      inputs: selection.inputs.map((u) => ({
+        txid: u.txid,
+        vout: u.vout,
+        value: u.value,
+        address: u.address,
+        script_type: u.script_type,
+      })),
+      outputs,
+      change_index: outputs.findIndex((o) => o.is_change),
+      total_in: selection.total_in,
+      total_out: selection.amount + selection.change,
+      change: selection.change,
+      change_dropped_to_fee: selection.change_dropped_to_fee,
+      fee: selection.fee,
+      fee_rate: feeRate,
+      effective_fee_rate: Number(selection.fee_rate.toFixed(2)),
+      estimated_vsize: selection.vsize,
+      estimated_weight: selection.weight,
+      rbf: rbf !== false,
+      skipped_utxos: skipped,
+      signed: false,
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: String(err.message || err) });
+  }
+});
+
+// ========== Batched Payouts ==========
+// One PSBT paying many recipients with a single change output. Send JSON
+// { payouts: [{ address, value, id? }] } or { csv: "address,value,id" },
+// or the CSV itself as text/csv with the other parameters in the query
+// string. `dry_run` validates and prices the batch without returning a PSBT.
+router.post('/tx/batch', express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }), async (req, res) => {
+  try {
+    const csvBody = typeof req.body === 'string';
+    const params = csvBody ? req.query : req.body;
+    const {
+      network = 'testnet',
+      payouts,
+      csv,
+      utxos,
+      change_address,
+      max_outputs,
+      min_confirmations = 0,
+    } = params;
+    const list = (value) => (Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : undefined);
+    const flag = (value, fallback) => (value === undefined ? fallback : value === true || value === 'true');
+    const from_addresses = list(params.from_addresses);
+    const dryRun = flag(params.dry_run, false);
+    const rbf = flag(params.rbf, true);
+    const includePrevTxs = flag(params.include_prev_txs, false);
+
+    if (!NETWORKS[network]) {
+      return res.status(400).json({ error: 'Invalid network' });
+    }
+    let rows;
+    if (csvBody || typeof csv === 'string') rows = parseBatchCsv(csvBody ? req.body : csv);
+    else if (Array.isArray(payouts)) rows = payouts;
+    if (!rows || rows.length === 0) {
+      return res.status(400).json({ error: 'payouts required: [{ address, value }] or CSV "address,value" lines' });
+    }
+
+    const cap = Number(envFor('BATCH_MAX_OUTPUTS', network)) || DEFAULT_MAX_OUTPUTS;
+    const maxOutputs = max_outputs === undefined ? cap : Number(max_outputs);
+    if (!Number.isInteger(maxOutputs) || maxOutputs < 1 || maxOutputs > cap) {
+      return res.status(400).json({ error: `max_outputs must be between 1 and ${cap}` });
+    }
+    let feeRate;
+    try {
+      feeRate = await resolveFeeRate(params, network);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    if (!Array.isArray(utxos) && !from_addresses) {
+      return res.status(400).json({ error: 'utxos or from_addresses required' });
+    }
+
+    const { recipients, results } = prepareBatch(rows, { network, maxOutputs });
+    const summary = {};
+    results.forEach((r) => {
+      summary[r.status] = (summary[r.status] || 0) + 1;
+    });
+    if (recipients.length === 0) {
+      return res.status(400).json({ error: 'No valid recipients', summary, results });
+    }
+
+    let candidates;
+    try {
+      const raw = Array.isArray(utxos) ? utxos : await fetchAddressUtxos(from_addresses, network, Number(min_confirmations) || 0);
+      candidates = raw.map((u) => normalizeUtxo(u, network)).filter(Boolean);
+    } catch (e) {
+      if (e.status) throw e;
+      return res.status(400).json({ error: e.message });
+    }
+
+    const changeAddress = change_address || (from_addresses && from_addresses[0]) || (candidates[0] && candidates[0].address);
+    if (!changeAddress) {
+      return res.status(400).json({ error: 'change_address required' });
+    }
+
+    let built;
+    try {
+      built = buildSendPsbt({
+        utxos: candidates,
+        recipients: recipients.map((r) => ({ address: r.address, value: r.value })),
+        feeRate,
+        changeAddress,
+        network,
+        rbf,
+      });
+    } catch (e) {
+      return res.status(400).json({ error: e.message, code: e.code, summary, results });
+    }
+
+    const { psbt, selection, outputs } = built;
+    recipients.forEach((r, outputIndex) => {
+      r.rows.forEach((row) => {
+        results[row].output_index = outputIndex;
+      });
+    });
+    const separately = individualFees(recipients, {
+      inputs: selection.inputs,
+      changeScript: bitcoin.address.toOutputScript(changeAddress, NETWORKS[network]),
+      feeRate,
+    });
+    if (includePrevTxs && !dryRun) await attachPrevTxs(psbt, selection.inputs, network);
+
+    res.json({
+      network,
+      dry_run: dryRun,
+      ...(dryRun ? {} : describePsbt(psbt)),
+      inputs: selection.inputs.map((u) => ({ txid: u.txid, vout: u.vout, value: u.value, address: u.address })),
+      outputs,
+      change_index: outputs.findIndex((o) => o.is_change),
+      total_paid: recipients.reduce((sum, r) => sum + r.value, 0),
+      change: selection.change,
+      fee: selection.fee,
+      fee_rate: feeRate,
+      effective_fee_rate: Number(selection.fee_rate.toFixed(2)),
+      estimated_vsize: selection.vsize,
+      savings: {
+        individual_fees: separately,
+        batch_fee: selection.fee,
+        saved: separately - selection.fee,
+        saved_percent: separately ? Number((((separately - selection.fee) / separately) * 100).toFixed(1)) : 0,
+      },
+      summary,
+      results,
+      rbf,
+      signed: false,
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: String(err.message || err) });
+  }
+});
+
+// ========== RBF Fee Bump ==========
+// Replaces one of our unconfirmed transactions (BIP125). Change is found from
+// `change_index`, `change_address`, or an output paying back to an input
+// address. Extra inputs come from `utxos` (each with `confirmations`), or
+// confirmed UTXOs of `from_addresses` (default: the original input addresses).
+// `utxos` entries for the original's own inputs carry their
+// `bip32_derivation`/`tap_internal_key` into the PSBT, as in /tx/build.
+// Unconfirmed descendants of the original are listed in `evicts`, and their
+// fees are added to what the replacement must pay.
+router.post('/tx/bump-fee', async (req, res) => {
+  try {
+    const {
+      txid,
+      tx_hex,
+      network = 'testnet',
+      change_index,
+      change_address,
+      utxos,
+      from_addresses,
+      full_rbf = false,
+      include_prev_txs = false,
+    } = req.body;
+
+    if (!NETWORKS[network]) {
+      return res.status(400).json({ error: 'Invalid network' });
+    }
+    if (!tx_hex && !txid) {
+      return res.status(400).json({ error: 'txid or tx_hex required' });
+    }
+    if (txid && !/^[0-9a-fA-F]{64}$/.test(txid)) {
+      return res.status(400).json({ error: 'Invalid txid' });
+    }
+    let feeRate;
+    try {
+      feeRate = await resolveFeeRate(req.body, network);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    const net = NETWORKS[network];
+    const backend = getBackend(network);
+    let original;
+    try {
+      original = bitcoin.Transaction.fromHex(String(tx_hex || (await backend.getTransactionHex(txid.toLowerCase()))).trim());
+    } catch (e) {
+      if (e.status && e.status !== 404) throw e;
+      return res.status(e.status === 404 ? 404 : 400).json({ error: e.status === 404 ? 'Transaction not found' : 'Invalid transaction hex' });
+    }
+
+    const warnings = [];
+    let broadcast = true;
+    try {
+      const known = await backend.getTransaction(original.getId());
+      if (known.status && known.status.confirmed) {
+        return res.status(400).json({ error: 'Transaction is already confirmed', code: 'ALREADY_CONFIRMED' });
+      }
+    } catch (e) {
+      if (e.status !== 404) throw e;
+      broadcast = false;
+      warnings.push('Original transaction is not known to the backend; it may not have been broadcast');
+    }
+    if (!signalsRbf(original) && !full_rbf) {
+      return res.status(400).json({
+        error: 'Transaction does not signal BIP125 replaceability (pass full_rbf: true for full-RBF nodes)',
+        code: 'NOT_REPLACEABLE',
+      });
+    }
+
+    // Children of the original are evicted with it and their fees paid again
+    let descendants = [];
+    if (broadcast && backend.supports('getOutspend')) {
+      try {
+        descendants = await unconfirmedDescendants(backend, original.getId());
+      } catch (e) {
+        if (!e.code) throw e;
+        return res.status(400).json({ error: e.message, code: e.code });
+      }
+    } else if (broadcast) {
+      warnings.push(`The ${backend.type} backend can't list spenders; fees of descendants this would evict are not counted`);
+    }
+
+    const prevouts = await fetchPrevouts(original, network);
+    const inputAddresses = [...new Set(prevouts.filter(Boolean).map((p) => scriptAddress(p.script, net)).filter(Boolean))];
+
+    let changeIndex = null;
+    if (change_index !== undefined) {
+      changeIndex = Number(change_index);
+      if (!Number.isInteger(changeIndex) || !original.outs[changeIndex]) {
+        return res.status(400).json({ error: 'change_index out of range' });
+      }
+    } else {
+      const ours = change_address ? [change_address] : inputAddresses;
+      const matches = original.outs.map((o, i) => (ours.includes(scriptAddress(o.script, net)) ? i : -1)).filter((i) => i >= 0);
+      if (matches.length === 1) changeIndex = matches[0];
+    }
+    let changeScript = null;
+    try {
+      if (change_address) changeScript = bitcoin.address.toOutputScript(change_address, net);
+    } catch (e) {
+      return res.status(400).json({ error: 'Invalid change_address' });
+    }
+    if (!changeScript && prevouts[0]) changeScript = prevouts[0].script;
+
+    let extra;
+    try {
+      const raw = Array.isArray(utxos)
+        ? utxos
+        : await fetchAddressUtxos(Array.isArray(from_addresses) ? from_addresses : inputAddresses, network, 1);
+      extra = raw.map((u) => normalizeUtxo(u, network)).filter(Boolean);
+    } catch (e) {
+      if (e.status) throw e;
+      return res.status(400).json({ error: e.message });
+    }
+
+    let bumped;
+    try {
+      bumped = buildReplacement({
+        original,
+        prevouts,
+        descendants,
+        changeIndex,
+        changeScript,
+        feeRate,
+        extraUtxos: extra,
+        network,
+        incrementalRelayFee: Number(envFor('INCREMENTAL_RELAY_FEE', network)) || DEFAULT_INCREMENTAL_RELAY_FEE,
+      });
+    } catch (e) {
+      return res.status(400).json({ error: e.message, code: e.code });
+    }
+
+    const { psbt } = bumped;
+    if (include_prev_txs) await attachPrevTxs(psbt, bumped.inputs, network);
+
+    res.json({
+      network,
+      replaces: bumped.original.txid,
+      ...describePsbt(psbt),
+      original: bumped.original,
+      fee: bumped.fee,
+      fee_rate: bumped.fee_rate,
+      target_fee_rate: feeRate,
+      estimated_vsize: bumped.vsize,
+      fee_increase: bumped.fee - bumped.original.fee,
+      evicts: bumped.evicts,
+      evicted_fee: bumped.evicted_fee,
+      outputs: bumped.outputs,
+      change_removed: bumped.change_removed,
+      added_inputs: bumped.added_inputs.map((u) => ({ txid: u.txid, vout: u.vout, value: u.value, address: u.address })),
+      checks: bumped.checks,
+      warnings,
+      signed: false,
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: String(err.message || err) });
+  }
+});
+
+// ========== CPFP ==========
+// Child spending our output of an unconfirmed parent (`vout`, or the output
+// paying `address`), paying enough for the parent's package to reach the
+// target rate. The child sweeps to `destination_address` (default: the
+// spent output's address); `utxos` are extra confirmed inputs (each with
+// `confirmations`) used only if the output alone can't pay the child's fee.
+// Mempool ancestor and descendant limits are checked before building.
+router.post('/tx/cpfp', async (req, res) => {
+  try {
+    const {
+      txid,
+      network = 'testnet',
+      vout,
+      address,
+      destination_address,
+      bip32_derivation,
+      utxos = [],
+      include_prev_txs = false,
+    } = req.body;
+
+    if (!NETWORKS[network]) {
+      return res.status(400).json({ error: 'Invalid network' });
+    }
+    if (!txid || !/^[0-9a-fA-F]{64}$/.test(txid)) {
+      return res.status(400).json({ error: 'Valid parent txid required' });
+    }
+    if (vout === undefined && !address) {
+      return res.status(400).json({ error: 'vout or address of our output required' });
+    }
+    let feeRate;
+    try {
+      feeRate = await resolveFeeRate(req.body, network);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    const net = NETWORKS[network];
+    const parentId = txid.toLowerCase();
+    let parent;
+    try {
+      parent = bitcoin.Transaction.fromHex((await getBackend(network).getTransactionHex(parentId)).trim());
+    } catch (e) {
+      if (e.status === 404) return res.status(404).json({ error: 'Parent transaction not found' });
+      throw e;
+    }
+
+    const index = vout !== undefined ? Number(vout) : parent.outs.findIndex((o) => scriptAddress(o.script, net) === address);
+    if (!Number.isInteger(index) || !parent.outs[index]) {
+      return res.status(400).json({ error: vout !== undefined ? 'vout out of range' : 'Parent has no output to that address' });
+    }
+
+    let parentOutput;
+    let destinationScript;
+    let extra;
+    try {
+      const out = parent.outs[index];
+      parentOutput = normalizeUtxo(
+        { txid: parentId, vout: index, value: out.value, scriptpubkey: out.script.toString('hex'), bip32_derivation, confirmations: 0 },
+        network
+      );
+      if (!parentOutput) throw new Error('Parent output is not a p2wpkh, p2sh-p2wpkh or p2tr output');
+      destinationScript = destination_address ? bitcoin.address.toOutputScript(destination_address, net) : out.script;
+      extra = (Array.isArray(utxos) ? utxos : []).map((u) => normalizeUtxo(u, network)).filter(Boolean);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    const backend = getBackend(network);
+    const warnings = [];
+    let child;
+    try {
+      const ancestors = await unconfirmedAncestors(backend, parentId);
+      let descendants = {};
+      if (backend.supports('getOutspend')) {
+        descendants = await ancestorDescendants(backend, ancestors);
+      } else {
+        warnings.push(`The ${backend.type} backend can't list spenders; mempool descendant limits are not checked`);
+      }
+      child = buildCpfpChild({
+        parentOutput,
+        ancestors,
+        descendants,
+        feeRate,
+        destinationScript,
+        extraUtxos: extra,
+        network,
+        minRelayFee: minRelayFee(network),
+      });
+    } catch (e) {
+      if (!e.code) throw e;
+      return res.status(400).json({ error: e.message, code: e.code });
+    }
+
+    const { psbt } = child;
+    if (include_prev_txs) await attachPrevTxs(psbt, child.inputs, network);
+
+    res.json({
+      network,
+      parent: { txid: parentId, vout: index, value: parentOutput.value, signals_rbf: signalsRbf(parent) },
+      ...describePsbt(psbt),
+      fee: child.fee,
+      fee_rate: child.fee_rate,
+      target_fee_rate: feeRate,
+      estimated_vsize: child.vsize,
+      output: child.output,
+      added_inputs: child.added_inputs.map((u) => ({ txid: u.txid, vout: u.vout, value: u.value, address: u.address })),
+      package: child.package,
+      warnings,
+      signed: false,
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: String(err.message || err) });
+  }
+});
+
+// ========== Decode Raw Transaction ==========
+// Prevouts are looked up on the chain backend so fees can be computed
+router.post('/tx/decode', async (req, res) => {
+  try {
+    const { tx_hex, txid, network = 'testnet', fetch_prevouts = true } = req.body;
+
+    if (!NETWORKS[network]) {
+      return res.status(400).json({ error: 'Invalid network' });
+    }
+    if (!tx_hex && !txid) {
+      return res.status(400).json({ error: 'tx_hex or txid required' });
+    }
+    if (txid && !/^[0-9a-fA-F]{64}$/.test(txid)) {
+      return res.status(400).json({ error: 'Invalid txid' });
+    }
+
+    const hex = tx_hex || (await getBackend(network).getTransactionHex(txid.toLowerCase()));
+    let tx;
+    try {
+      tx = bitcoin.Transaction.fromHex(String(hex).trim());
+    } catch (e) {
+      return res.status(400).json({ error: `Invalid transaction hex: ${e.message}` });
+    }
+
+    const prevouts = fetch_prevouts && !tx.isCoinbase() ? await fetchPrevouts(tx, network) : [];
+    res.json({ network, ...analyzeTransaction(tx, prevouts, network) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: String(err.message || err) });
+  }
+});
+
+// ========== Analyze PSBT ==========
+router.post('/psbt/analyze', (req, res) => {
+  try {
+    const { psbt: encoded, network = 'testnet' } = req.body;
+
+    if (!NETWORKS[network]) {
+      return res.status(400).json({ error: 'Invalid network' });
+    }
+
+    let psbt;
+    try {
+      psbt = decodePsbt(encoded, network);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    res.json({ network, ...analyzePsbt(psbt, network) });
+  } catch (err) {
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// ========== Combine Signed PSBTs ==========
+// Each cosigner/device returns its own copy; merge their signatures
+router.post('/psbt/combine', (req, res) => {
+  try {
+    const { psbts, network = 'testnet' } = req.body;
+
+    if (!NETWORKS[network]) {
+      return res.status(400).json({ error: 'Invalid network' });
+    }
+
+    let psbt;
+    try {
+      psbt = combinePsbts(psbts, network);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    res.json({
+      network,
+      ...describePsbt(psbt),
+      combined: psbts.length,
+      inputs: inputStatus(psbt),
+      signing: signingProgress(psbt),
+    });
+  } catch (err) {
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// ========== Signing Progress ==========
+// Per input: threshold, who has signed (by master fingerprint) and who
+// still can, for PSBTs passed between multisig cosigners
+router.post('/psbt/signing-status', (req, res) => {
+  try {
+    const { psbt: encoded, network = 'testnet' } = req.body;
+
+    if (!NETWORKS[network]) {
+      return res.status(400).json({ error: 'Invalid network' });
+    }
+
+    let psbt;
+    try {
+      psbt = decodePsbt(encoded, network);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    res.json({ network, ...signingProgress(psbt) });
+  } catch (err) {
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// ========== Finalize PSBT ==========
+router.post('/psbt/finalize', (req, res) => {
+  try {
+    const { psbt: encoded, network = 'testnet' } = req.body;
+
+    if (!NETWORKS[network]) {
+      return res.status(400).json({ error: 'Invalid network' });
+    }
+
+    let psbt;
+    try {
+      psbt = decodePsbt(encoded, network);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    const { complete, inputs } = finalizePsbt(psbt);
+    res.json({ network, complete, ...describePsbt(psbt), inputs });
+  } catch (err) {
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// ========== Extract (and optionally broadcast) ==========
+router.post('/psbt/extract', async (req, res) => {
+  try {
+    const { psbt: encoded, network = 'testnet', broadcast = false } = req.body;
+
+    if (!NETWORKS[network]) {
+      return res.status(400).json({ error: 'Invalid network' });
+    }
+
+    let psbt;
+    try {
+      psbt = decodePsbt(encoded, network);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    const { complete, inputs } = finalizePsbt(psbt);
+    if (!complete) {
+      return res.status(400).json({ error: 'PSBT is not fully signed', inputs });
+    }
+
+    let tx;
+    try {
+      tx = psbt.extractTransaction();
+    } catch (e) {
+      // e.g. the fee rate sanity check on absurd fees
+      return res.status(400).json({ error: e.message });
+    }
+
+    const result = {
+      network,
+      txid: tx.getId(),
+      hex: tx.toHex(),
+      size: tx.byteLength(),
+      vsize: tx.virtualSize(),
+      fee: psbt.getFee(),
+      fee_rate: psbt.getFeeRate(),
+      broadcast: false,
+    };
+    if (broadcast) {
+      await getBackend(network).broadcast(result.hex);
+      result.broadcast = true;
+    }
+    res.json(result);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: String(err.message || err) });
+  }
+});
+
+module.exports = router;
+module.exports.fetchAddressUtxos = fetchAddressUtxos;
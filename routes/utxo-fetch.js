@@ -1,12 +1,10 @@
 const express = require('express');
 const axios = require('axios');
+const { getBackend } = require('../lib/backends');
+const { NETWORKS } = require('../lib/networks');
+const { confirmationsFor } = require('../lib/confirmations');
 const router = express.Router();
 
-const MEMPOOL_APIS = {
-  testnet: 'https://mempool.space/testnet/api',
-  mainnet: 'https://mempool.space/api',
-};
-
 // Cache to reduce API calls
 const utxo_cache = {};
 const CACHE_TTL = 30 * 1000; // 30 seconds
@@ -30,9 +28,11 @@ const fetchLiveUsdRate = async () => {
   }
 };
 
-// Auto-refresh every 5 minutes
-setInterval(fetchLiveUsdRate, 5 * 60 * 1000);
-fetchLiveUsdRate(); // Fetch once on startup
+// Auto-refresh every 5 minutes (USD_RATE_AUTO_FETCH=false for offline runs)
+if (process.env.USD_RATE_AUTO_FETCH !== 'false') {
+  setInterval(fetchLiveUsdRate, 5 * 60 * 1000).unref();
+  fetchLiveUsdRate(); // Fetch once on startup
+}
 
 // Helper to compute aggregates for a utxo array
 function computeAggregates(utxos) {
@@ -68,7 +68,7 @@ router.get('/utxos', async (req, res) => {
       return res.status(400).json({ error: 'address required' });
     }
 
-    if (!MEMPOOL_APIS[network]) {
+    if (!NETWORKS[network]) {
       return res.status(400).json({ error: 'Invalid network' });
     }
 
@@ -98,13 +98,12 @@ router.get('/utxos', async (req, res) => {
       });
     }
 
-    const api = MEMPOOL_APIS[network];
-    const response = await axios.get(`${api}/address/${address}/utxo`, {
-      timeout: 10000,
-    });
+    const backend = getBackend(network);
+    const rawUtxos = await backend.getAddressUtxos(address);
+    const tipHeight = await backend.getTipHeight();
 
-    // Transform mempool API response
-    let utxos = response.data.map((utxo) => {
+    // Transform backend (Esplora-shaped) response
+    let utxos = rawUtxos.map((utxo) => {
       const isConfirmed = Boolean(utxo.status && utxo.status.confirmed);
       const valueSat = typeof utxo.value === 'number' ? utxo.value : Number(utxo.value || 0);
 
@@ -116,7 +115,7 @@ router.get('/utxos', async (req, res) => {
 
         // status info
         status: utxo.status || {},
-        confirmations: isConfirmed ? 1 : 0,
+        confirmations: confirmationsFor(utxo.status, tipHeight),
         block_height: utxo.status && utxo.status.block_height ? utxo.status.block_height : null,
         block_time: utxo.status && utxo.status.block_time ? utxo.status.block_time : null,
 
@@ -163,11 +162,12 @@ router.get('/utxos', async (req, res) => {
       confirmed_count: aggr.confirmed_count,
       pending_count: aggr.pending_count,
       utxos,
+      tip_height: tipHeight,
       cached: false,
       fetched_at: new Date().toISOString(),
     });
   } catch (err) {
-    if (err.response?.status === 404) {
+    if (err.status === 404) {
       return res.json({
         address: req.query.address,
         network: req.query.network || 'testnet',
@@ -230,16 +230,12 @@ router.get('/utxo/:txid/:vout', async (req, res) => {
     const { txid, vout } = req.params;
     const { network = 'testnet' } = req.query;
 
-    if (!MEMPOOL_APIS[network]) {
+    if (!NETWORKS[network]) {
       return res.status(400).json({ error: 'Invalid network' });
     }
 
-    const api = MEMPOOL_APIS[network];
-    const response = await axios.get(`${api}/tx/${txid}`, {
-      timeout: 10000,
-    });
-
-    const tx = response.data;
+    const backend = getBackend(network);
+    const tx = await backend.getTransaction(txid);
     const idx = parseInt(vout, 10);
     const output = tx.vout[idx];
 
@@ -261,6 +257,7 @@ router.get('/utxo/:txid/:vout', async (req, res) => {
       is_confirmed: Boolean(tx.status && tx.status.confirmed),
       block_height: tx.status && tx.status.block_height ? tx.status.block_height : null,
       block_time: tx.status && tx.status.block_time ? tx.status.block_time : null,
+      confirmations: confirmationsFor(tx.status, tx.status && tx.status.confirmed ? await backend.getTipHeight() : null),
       is_coinbase: tx.is_coinbase || false,
       fee: tx.fee || null,
       vsize: tx.vsize || null,
@@ -282,16 +279,11 @@ router.get('/address-balance', async (req, res) => {
       return res.status(400).json({ error: 'address required' });
     }
 
-    if (!MEMPOOL_APIS[network]) {
+    if (!NETWORKS[network]) {
       return res.status(400).json({ error: 'Invalid network' });
     }
 
-    const api = MEMPOOL_APIS[network];
-    const response = await axios.get(`${api}/address/${address}`, {
-      timeout: 10000,
-    });
-
-    const data = response.data;
+    const data = await getBackend(network).getAddressStats(address);
 
     const confirmed =
       (data.chain_stats?.funded_txo_sum || 0) - (data.chain_stats?.spent_txo_sum || 0);
@@ -324,7 +316,7 @@ router.get('/address-balance', async (req, res) => {
       fetched_at: new Date().toISOString(),
     });
   } catch (err) {
-    if (err.response?.status === 404) {
+    if (err.status === 404) {
       return res.json({
         address: req.query.address,
         balance: { confirmed: 0, unconfirmed: 0, total: 0 },
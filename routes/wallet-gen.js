@@ -1,15 +1,40 @@
 const express = require('express');
 const bitcoin = require('bitcoinjs-lib');
-const ecc = require('tiny-secp256k1');
-const { BIP32Factory } = require('bip32');
+const { ECPair, bip32 } = require('../lib/ecc');
+const { NETWORKS, NETWORK_NAMES, COIN_TYPES } = require('../lib/networks');
+const { keyExpression, buildDescriptor, parseDescriptor, deriveRange } = require('../lib/descriptors');
+const { addressFromPubkey } = require('../lib/xpub');
+const { toXOnly, taprootPayment } = require('../lib/taproot');
+const { createMultisig } = require('../lib/multisig');
+const { log } = require('../lib/log');
+const {
+  WORD_COUNTS,
+  PURPOSES,
+  generateMnemonic,
+  validateMnemonic,
+  mnemonicToSeed,
+  accountPath,
+  scriptTypeForPath,
+  deriveAccount,
+} = require('../lib/mnemonic');
 const router = express.Router();
 
-const NETWORKS = {
-  testnet: bitcoin.networks.testnet,
-  mainnet: bitcoin.networks.bitcoin,
+// Keys of `addresses` in /generate-wallet (p2sh = P2SH-P2WPKH)
+const ADDRESS_TYPES = ['p2wpkh', 'p2sh', 'p2pkh', 'p2tr'];
+
+const NETWORK_LABELS = {
+  testnet: 'TESTNET (safe for testing)',
+  signet: 'SIGNET (safe for testing)',
+  regtest: 'REGTEST (local only)',
+  mainnet: 'MAINNET (real money!)',
 };
 
-const bip32 = BIP32Factory(ecc);
+const TAPROOT_LABELS = {
+  mainnet: 'Taproot',
+  testnet: 'Testnet Taproot',
+  signet: 'Signet Taproot',
+  regtest: 'Regtest Taproot',
+};
 
 // ========== Generate Random Wallet ==========
 router.post('/generate-wallet', (req, res) => {
@@ -19,16 +44,23 @@ router.post('/generate-wallet', (req, res) => {
     // Validate network
     if (! NETWORKS[network]) {
       return res.status(400).json({ 
-        error: 'Invalid network. Use "testnet" or "mainnet"' 
+        error: `Invalid network. Use one of: ${NETWORK_NAMES.join(', ')}` 
       });
     }
 
+    if (!ADDRESS_TYPES.includes(address_type)) {
+      return res.status(400).json({ error: `address_type must be one of ${ADDRESS_TYPES.join(', ')}` });
+    }
+
     const net = NETWORKS[network];
 
     // Generate random keypair
-    const keyPair = bitcoin.ECPair.makeRandom({ network: net });
+    const keyPair = ECPair.makeRandom({ network: net });
     const pubkey = keyPair.publicKey;
 
+    // A standalone key has no BIP32 origin, so its descriptors use the bare key (BIP380)
+    const key = pubkey.toString('hex');
+
     // Generate addresses based on type
     const addresses = {};
 
@@ -37,7 +69,7 @@ router.post('/generate-wallet', (req, res) => {
     addresses.p2wpkh = {
       address: p2wpkh.address,
       type: 'Native SegWit (Recommended)',
-      descriptor: `wpkh([... ])`,
+      descriptor: buildDescriptor('p2wpkh', key),
     };
 
     // P2SH-P2WPKH (Wrapped SegWit - 3...)
@@ -48,7 +80,7 @@ router.post('/generate-wallet', (req, res) => {
     addresses.p2sh = {
       address: p2sh. address,
       type: 'Wrapped SegWit (Compatible)',
-      descriptor: `sh(wpkh([...]))`,
+      descriptor: buildDescriptor('p2sh-p2wpkh', key),
     };
 
     // Legacy P2PKH (1...  or m/n...)
@@ -56,7 +88,15 @@ router.post('/generate-wallet', (req, res) => {
     addresses.p2pkh = {
       address:  p2pkh.address,
       type: 'Legacy P2PKH (Old)',
-      descriptor: `pkh([...])`,
+      descriptor: buildDescriptor('p2pkh', key),
+    };
+
+    // Taproot key path (BIP86 tweak, no script tree - bc1p/tb1p/bcrt1p)
+    const p2tr = taprootPayment(pubkey, network);
+    addresses.p2tr = {
+      address: p2tr.address,
+      type: 'Taproot (P2TR)',
+      descriptor: buildDescriptor('p2tr', key),
     };
 
     const wallet = {
@@ -64,32 +104,92 @@ router.post('/generate-wallet', (req, res) => {
       network,
       wif: keyPair.toWIF(),
       publicKey: pubkey. toString('hex'),
+      x_only_pubkey: toXOnly(pubkey).toString('hex'),
       privateKey: keyPair.privateKey.toString('hex'),
       addresses,
-      recommended_address: addresses.p2wpkh. address,
+      address_type,
+      recommended_address: addresses[address_type].address,
       created_at: new Date().toISOString(),
       security_notes: [
         '🔐 SAVE YOUR WIF IN A SECURE PLACE',
         '🔐 Do NOT share WIF with anyone - it\'s your private key',
         '🔐 Anyone with your WIF can drain all funds',
-        `🔐 Network: ${network === 'testnet' ? 'TESTNET (safe for testing)' : 'MAINNET (real money!)'}`,
-        '🔐 Use P2WPKH addresses (bc1q.. .) for lower fees',
+        `🔐 Network: ${NETWORK_LABELS[network]}`,
+        '🔐 Use P2WPKH (bc1q...) or Taproot (bc1p...) addresses for lower fees',
         '🔐 Keep backups of WIF in multiple secure locations',
       ],
     };
 
     // Don't expose sensitive data in logs
-    console.log(`✓ Wallet generated for ${network}`);
+    log(`✓ Wallet generated for ${network}`);
     res.json(wallet);
   } catch (err) {
     res.status(500).json({ error: String(err) });
   }
 });
 
+// ========== Generate BIP39 Mnemonic ==========
+router.post('/generate-mnemonic', (req, res) => {
+  try {
+    const { words = 12, network = 'testnet', purpose = 84, account = 0, passphrase = '' } = req.body;
+
+    if (!WORD_COUNTS.includes(Number(words))) {
+      return res.status(400).json({ error: `words must be one of ${WORD_COUNTS.join(', ')}` });
+    }
+    if (!NETWORKS[network]) {
+      return res.status(400).json({ error: 'Invalid network' });
+    }
+    if (!PURPOSES[purpose]) {
+      return res.status(400).json({ error: `purpose must be one of ${Object.keys(PURPOSES).join(', ')}` });
+    }
+    if (!Number.isInteger(Number(account)) || Number(account) < 0) {
+      return res.status(400).json({ error: 'account must be a non-negative integer' });
+    }
+
+    const mnemonic = generateMnemonic(Number(words));
+    const seed = mnemonicToSeed(mnemonic, passphrase);
+
+    res.json({
+      success: true,
+      network,
+      mnemonic,
+      word_count: Number(words),
+      passphrase_used: passphrase !== '',
+      account: deriveAccount(seed, { purpose: Number(purpose), network, account: Number(account) }),
+      created_at: new Date().toISOString(),
+      security_notes: [
+        '🔐 WRITE DOWN THE MNEMONIC OFFLINE - it controls every address below',
+        '🔐 A passphrase creates a different wallet; losing it loses the funds',
+        `🔐 Network: ${NETWORK_LABELS[network]}`,
+        '🔐 Share only the xpub/descriptors with watch-only wallets',
+      ],
+    });
+  } catch (err) {
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// ========== Validate BIP39 Mnemonic ==========
+router.post('/validate-mnemonic', (req, res) => {
+  try {
+    const { mnemonic } = req.body;
+
+    if (!mnemonic || typeof mnemonic !== 'string') {
+      return res.status(400).json({ error: 'mnemonic required' });
+    }
+
+    res.json(validateMnemonic(mnemonic));
+  } catch (err) {
+    res.status(500).json({ error: String(err) });
+  }
+});
+
 // ========== Generate Wallet from Seed Phrase ==========
+// Defaults to the first receive address of the BIP84 account for the network
+// (m/84'/0'/0'/0/0 on mainnet, m/84'/1'/0'/0/0 elsewhere).
 router.post('/generate-from-seed', (req, res) => {
   try {
-    const { seed_phrase, network = 'testnet', derivation_path = "m/84'/1'/0'/0/0" } = req.body;
+    const { seed_phrase, passphrase = '', network = 'testnet', purpose = 84, account = 0, derivation_path } = req.body;
 
     if (!seed_phrase || typeof seed_phrase !== 'string') {
       return res.status(400).json({ error: 'seed_phrase required (BIP39 mnemonic)' });
@@ -99,34 +199,136 @@ router.post('/generate-from-seed', (req, res) => {
       return res.status(400).json({ error: 'Invalid network' });
     }
 
+    const check = validateMnemonic(seed_phrase);
+    if (!check.valid) {
+      return res.status(400).json({ error: check.error, invalid_words: check.invalid_words });
+    }
+
     const net = NETWORKS[network];
 
+    let path;
+    let child;
+    let root;
+    let seed;
     try {
-      // Parse seed phrase into root key
-      // Note: This is simplified - real implementation needs BIP39 library
-      const seed_buffer = Buffer.from(seed_phrase, 'utf-8');
-      const root = bip32.fromSeed(seed_buffer, net);
+      path = derivation_path || `${accountPath(Number(purpose), network, Number(account))}/0/0`;
+      seed = mnemonicToSeed(seed_phrase, passphrase);
+      root = bip32.fromSeed(seed, net);
+      child = root.derivePath(path);
+    } catch (e) {
+      return res.status(400).json({ error: `Failed to derive from seed: ${e.message}` });
+    }
 
-      // Derive child key from path
-      const child = root.derivePath(derivation_path);
-      const keyPair = bitcoin. ECPair.fromPrivateKey(child.privateKey, { network: net });
+    const keyPair = ECPair.fromPrivateKey(Buffer.from(child.privateKey), { network: net });
+    const scriptType = scriptTypeForPath(path);
 
-      const p2wpkh = bitcoin.payments.p2wpkh({ pubkey: keyPair.publicKey, network: net });
+    // Standard account paths also get the account xpub and descriptors
+    const accountMatch = /^m\/(44|49|84|86)'\/(\d+)'\/(\d+)'/.exec(path);
+    const accountInfo = accountMatch && Number(accountMatch[2]) === COIN_TYPES[network]
+      ? deriveAccount(seed, { purpose: Number(accountMatch[1]), network, account: Number(accountMatch[3]) })
+      : null;
 
-      res.json({
-        success: true,
-        network,
-        derivation_path,
-        wif: keyPair.toWIF(),
-        address: p2wpkh.address,
-        publicKey: keyPair.publicKey.toString('hex'),
-        warning: 'Seed phrase handling should use BIP39 library in production',
-      });
-    } catch (seedErr) {
-      return res.status(400).json({ 
-        error: 'Failed to derive from seed - check seed phrase format' 
-      });
+    res.json({
+      success: true,
+      network,
+      derivation_path: path,
+      address_type: scriptType,
+      wif: keyPair.toWIF(),
+      address: addressFromPubkey(keyPair.publicKey, scriptType, network),
+      descriptor: buildDescriptor(
+        scriptType,
+        keyExpression({ fingerprint: root.fingerprint, originPath: path, key: keyPair.publicKey.toString('hex') })
+      ),
+      publicKey: keyPair.publicKey.toString('hex'),
+      master_fingerprint: Buffer.from(root.fingerprint).toString('hex'),
+      passphrase_used: passphrase !== '',
+      account: accountInfo,
+    });
+  } catch (err) {
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// ========== Derive Addresses from a Descriptor ==========
+router.post('/descriptor/derive', (req, res) => {
+  try {
+    const { descriptor, network = 'testnet', start = 0, end, change = false } = req.body;
+
+    if (!descriptor || typeof descriptor !== 'string') {
+      return res.status(400).json({ error: 'descriptor required' });
+    }
+    if (!NETWORKS[network]) {
+      return res.status(400).json({ error: 'Invalid network' });
+    }
+
+    const from = Number(start);
+    const to = end === undefined ? from + 9 : Number(end);
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < 0 || to < from) {
+      return res.status(400).json({ error: 'start/end must be integers with 0 <= start <= end' });
+    }
+    if (to - from >= 1000) {
+      return res.status(400).json({ error: 'At most 1000 addresses per request' });
+    }
+
+    let parsed;
+    try {
+      parsed = parseDescriptor(descriptor, network);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    if (change && parsed.multipath < 2) {
+      return res.status(400).json({ error: 'change=true needs a <0;1> multipath descriptor' });
     }
+
+    res.json({
+      network,
+      descriptor: parsed.descriptor,
+      checksum: parsed.checksum,
+      type: parsed.type,
+      ranged: parsed.ranged,
+      multipath: parsed.multipath > 0,
+      range: parsed.ranged ? [from, to] : null,
+      addresses: deriveRange(parsed, network, from, to, { pathIndex: change ? 1 : 0 }),
+    });
+  } catch (err) {
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// ========== Multisig Wallet from Cosigner xpubs ==========
+// cosigners: ["[fingerprint/48'/1'/0'/2']tpub...", ...] or
+// [{ xpub, master_fingerprint, path }]. Returns sortedmulti descriptors to
+// watch with /api/wallet/add-descriptor and the first addresses.
+router.post('/generate-multisig', (req, res) => {
+  try {
+    const { threshold, cosigners, script_type = 'p2wsh', network = 'testnet', count = 5 } = req.body;
+
+    if (!NETWORKS[network]) {
+      return res.status(400).json({ error: 'Invalid network' });
+    }
+    const n = Number(count);
+    if (!Number.isInteger(n) || n < 1 || n > 100) {
+      return res.status(400).json({ error: 'count must be between 1 and 100' });
+    }
+
+    let wallet;
+    try {
+      wallet = createMultisig({ threshold, cosigners, scriptType: script_type, network });
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    const parsed = parseDescriptor(wallet.descriptor, network);
+    res.json({
+      success: true,
+      network,
+      ...wallet,
+      receive_addresses: deriveRange(parsed, network, 0, n - 1, { pathIndex: 0 }),
+      change_addresses: deriveRange(parsed, network, 0, n - 1, { pathIndex: 1 }),
+      warnings: wallet.cosigners
+        .map((c, i) => (c.master_fingerprint ? null : `Cosigner ${i} has no key origin; hardware signers may not recognise its inputs`))
+        .filter(Boolean),
+    });
   } catch (err) {
     res.status(500).json({ error: String(err) });
   }
@@ -148,12 +350,15 @@ router.post('/validate-address', (req, res) => {
     const net = NETWORKS[network];
 
     try {
-      bitcoin.address.toOutputScript(address, net);
-      
+      const script = bitcoin.address.toOutputScript(address, net);
+      const isTaproot = script[0] === bitcoin.opcodes.OP_1 && script.length === 34;
+
       // Determine address type
       let addressType = 'unknown';
-      if (address.startsWith('bc1')) addressType = 'Native SegWit (P2WPKH)';
-      else if (address.startsWith('tb1')) addressType = 'Testnet Native SegWit';
+      if (isTaproot) addressType = `${TAPROOT_LABELS[network]} (P2TR)`;
+      else if (address.startsWith('bcrt1')) addressType = 'Regtest Native SegWit';
+      else if (address.startsWith('bc1')) addressType = 'Native SegWit (P2WPKH)';
+      else if (address.startsWith('tb1')) addressType = network === 'signet' ? 'Signet Native SegWit' : 'Testnet Native SegWit';
       else if (address.startsWith('3')) addressType = 'Wrapped SegWit (P2SH)';
       else if (address.startsWith('2')) addressType = 'Testnet P2SH';
       else if (address.startsWith('1')) addressType = 'Legacy P2PKH';
@@ -164,6 +369,8 @@ router.post('/validate-address', (req, res) => {
         address,
         network,
         type: addressType,
+        is_taproot: isTaproot,
+        witness_version: script[0] === 0 ? 0 : isTaproot ? 1 : null,
         length: address.length,
       });
     } catch (e) {
@@ -195,7 +402,7 @@ router. post('/validate-wif', (req, res) => {
     const net = NETWORKS[network];
 
     try {
-      const keyPair = bitcoin.ECPair. fromWIF(wif, net);
+      const keyPair = ECPair.fromWIF(wif, net);
       const p2wpkh = bitcoin.payments.p2wpkh({ pubkey: keyPair.publicKey, network: net });
 
       res.json({
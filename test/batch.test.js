@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const bitcoin = require('bitcoinjs-lib');
+const { startApp, testAddress } = require('./helpers');
+const { parseBatchCsv, prepareBatch, individualFees } = require('../lib/batch');
+
+test('batch payout parsing', async (t) => {
+  await t.test('parses CSV with a header, comments and quoted fields', () => {
+    const rows = parseBatchCsv(`address,value,id\n# weekly\n"${testAddress(1)}",15000,w-1\n\n${testAddress(2)};20000\n`);
+    assert.deepStrictEqual(rows, [
+      { line: 3, address: testAddress(1), value: '15000', id: 'w-1' },
+      { line: 5, address: testAddress(2), value: '20000' },
+    ]);
+  });
+
+  await t.test('validates, dedupes, merges and caps recipients', () => {
+    const { recipients, results } = prepareBatch(
+      [
+        { address: testAddress(1), value: 10000, id: 'a' },
+        { address: testAddress(1), value: 10000, id: 'a' },
+        { address: testAddress(2), value: 5000 },
+        { address: testAddress(2), value: 5000 },
+        { address: testAddress(1), value: 2500, id: 'b' },
+        { address: 'not-an-address', value: 1000 },
+        { address: testAddress(3), value: 'ten' },
+        { address: testAddress(4), value: 100 },
+        { address: testAddress(5), value: 7000 },
+      ],
+      { maxOutputs: 2 }
+    );
+    assert.deepStrictEqual(
+      results.map((r) => r.status),
+      ['included', 'duplicate', 'included', 'duplicate', 'merged', 'invalid_address', 'invalid_amount', 'dust', 'deferred']
+    );
+    assert.strictEqual(results[4].merged_into, 0);
+    assert.deepStrictEqual(recipients.map((r) => r.value), [12500, 5000]);
+  });
+
+  await t.test('prices multisig inputs by their own input_weight', () => {
+    const { recipients } = prepareBatch([{ address: testAddress(1), value: 10000 }]);
+    const changeScript = bitcoin.address.toOutputScript(testAddress(2), bitcoin.networks.testnet);
+    const multisig = { script_type: 'p2wsh', input_weight: 420, value: 50000 };
+    const fee = individualFees(recipients, { inputs: [multisig], changeScript, feeRate: 2 });
+    assert.ok(Number.isInteger(fee) && fee > individualFees(recipients, { inputs: [], changeScript, feeRate: 2 }));
+  });
+});
+
+test('POST /api/tx/batch', async (t) => {
+  const { api, close } = await startApp();
+  t.after(close);
+
+  const utxos = [
+    { txid: 'aa'.repeat(32), vout: 0, value: 200000, address: testAddress(10) },
+    { txid: 'bb'.repeat(32), vout: 1, value: 50000, address: testAddress(10) },
+  ];
+  const payouts = [1, 2, 3, 4, 5].map((seed) => ({ address: testAddress(seed), value: 20000, id: `p${seed}` }));
+
+  await t.test('builds one PSBT with one change output and reports savings', async () => {
+    const { status, data } = await api.post('/api/tx/batch', { network: 'testnet', payouts, utxos, fee_rate: 10 });
+    assert.strictEqual(status, 200);
+    const psbt = bitcoin.Psbt.fromBase64(data.psbt);
+    assert.strictEqual(psbt.txOutputs.length, 6);
+    assert.strictEqual(data.outputs.filter((o) => o.is_change).length, 1);
+    assert.strictEqual(data.change_index, 5);
+    assert.strictEqual(data.total_paid, 100000);
+    assert.deepStrictEqual(data.results.map((r) => r.output_index), [0, 1, 2, 3, 4]);
+    assert.strictEqual(data.summary.included, 5);
+    assert.strictEqual(data.savings.batch_fee, data.fee);
+    assert.ok(data.savings.saved > 0 && data.savings.saved_percent > 50);
+  });
+
+  await t.test('accepts text/csv with query parameters and dry runs', async () => {
+    const csv = payouts.map((p) => `${p.address},${p.value}`).join('\n') + `\n${testAddress(1)},20000\n`;
+    const { status, data } = await api.post(
+      `/api/tx/batch?network=testnet&fee_rate=5&dry_run=true&max_outputs=3&from_addresses=${testAddress(10)}`,
+      csv,
+      { headers: { 'Content-Type': 'text/csv' } }
+    );
+    assert.strictEqual(status, 400); // from_addresses needs the backend; no funds there
+    assert.strictEqual(data.code, 'INSUFFICIENT_FUNDS');
+    assert.deepStrictEqual(data.summary, { included: 3, deferred: 2, duplicate: 1 });
+
+    const dry = await api.post('/api/tx/batch', { network: 'testnet', csv, utxos, fee_rate: 5, dry_run: true });
+    assert.strictEqual(dry.status, 200);
+    assert.strictEqual(dry.data.psbt, undefined);
+    assert.strictEqual(dry.data.results[5].status, 'duplicate');
+  });
+
+  await t.test('rejects empty batches and caps above the limit', async () => {
+    const invalid = await api.post('/api/tx/batch', { payouts: [{ address: 'x', value: 1 }], utxos, fee_rate: 5 });
+    assert.strictEqual(invalid.status, 400);
+    assert.strictEqual(invalid.data.results[0].status, 'invalid_address');
+    assert.strictEqual((await api.post('/api/tx/batch', { payouts, utxos, fee_rate: 5, max_outputs: 1000 })).status, 400);
+    assert.strictEqual((await api.post('/api/tx/batch', { payouts: [], utxos, fee_rate: 5 })).status, 400);
+  });
+});
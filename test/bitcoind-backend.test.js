@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const bitcoin = require('bitcoinjs-lib');
+const { createBackend } = require('../lib/backends');
+const { testAddress } = require('./helpers');
+
+// Unsigned tx spending `prev:0` to { address: value }
+function rawTx(prev, outputs) {
+  const tx = new bitcoin.Transaction();
+  tx.addInput(Buffer.from(prev, 'hex').reverse(), 0);
+  Object.entries(outputs).forEach(([address, value]) => {
+    tx.addOutput(bitcoin.address.toOutputScript(address, bitcoin.networks.testnet), value);
+  });
+  return tx;
+}
+
+const scriptHex = (address) => bitcoin.address.toOutputScript(address, bitcoin.networks.testnet).toString('hex');
+
+// bitcoind backend whose RPC answers from `handlers`, counting calls by method
+function stubbedBackend(handlers) {
+  const backend = createBackend('testnet', { type: 'bitcoind', url: 'http://127.0.0.1:1', mempoolTtl: 60000 });
+  const calls = {};
+  backend.rpc = async (method, params) => {
+    calls[method] = (calls[method] || 0) + 1;
+    if (handlers[method]) return handlers[method](params);
+    throw Object.assign(new Error('No such mempool or blockchain transaction'), { status: 404 });
+  };
+  backend.rpcBatch = async (list) => {
+    calls.batches = (calls.batches || 0) + 1;
+    return Promise.all(list.map(([method, params]) => backend.rpc(method, params).catch((e) => e)));
+  };
+  return { backend, calls };
+}
+
+test('bitcoind backend shares one mempool snapshot across addresses', async () => {
+  const alice = testAddress(61);
+  const bob = testAddress(62);
+  const funding = rawTx('11'.repeat(32), { [alice]: 50000 });
+  const spend = rawTx(funding.getId(), { [bob]: 20000, [alice]: 29000 });
+  const txs = { [funding.getId()]: funding, [spend.getId()]: spend };
+  let mempool = [funding.getId()];
+  const { backend, calls } = stubbedBackend({
+    getrawmempool: () => mempool,
+    getrawtransaction: ([txid]) => {
+      if (!txs[txid]) throw Object.assign(new Error('No such mempool transaction'), { status: 404 });
+      return txs[txid].toHex();
+    },
+    getmempoolentry: () => ({ fees: { base: 0.00000321 } }),
+  });
+
+  const [funded] = await backend.getAddressMempoolTxs(alice);
+  assert.strictEqual(funded.txid, funding.getId());
+  assert.strictEqual(funded.fee, 321); // parent unknown: fee from getmempoolentry
+  assert.deepStrictEqual(await backend.getAddressMempoolTxs(bob), []);
+  assert.strictEqual(calls.getrawmempool, 1);
+
+  // Past the TTL only the new tx is fetched; its prevout comes from the mempool
+  mempool = [funding.getId(), spend.getId()];
+  backend.mempool.fetched_at = 0;
+  calls.getrawtransaction = 0;
+  calls.getmempoolentry = 0;
+  const [aliceTxs, bobTxs] = await Promise.all([backend.getAddressMempoolTxs(alice), backend.getAddressMempoolTxs(bob)]);
+  assert.strictEqual(calls.getrawmempool, 2); // concurrent callers share one refresh
+  assert.strictEqual(calls.getrawtransaction, 1);
+  assert.strictEqual(calls.getmempoolentry, 0);
+  assert.deepStrictEqual(aliceTxs.map((tx) => tx.txid).sort(), [funding.getId(), spend.getId()].sort());
+  assert.deepStrictEqual(bobTxs.map((tx) => tx.txid), [spend.getId()]);
+  assert.strictEqual(bobTxs[0].fee, 1000);
+
+  // Mined or evicted txs drop out of the index
+  mempool = [spend.getId()];
+  backend.mempool.fetched_at = 0;
+  assert.deepStrictEqual((await backend.getAddressMempoolTxs(alice)).map((tx) => tx.txid), [spend.getId()]);
+  assert.strictEqual(backend.mempool.txs.size, 1);
+});
+
+test('bitcoind backend runs concurrent address lookups as one scan', async () => {
+  const alice = testAddress(63);
+  const bob = testAddress(64);
+  const carol = testAddress(65);
+  const coin = rawTx('44'.repeat(32), { [alice]: 40000 });
+  const spend = rawTx(coin.getId(), { [carol]: 39000 });
+  let inProgress = false;
+  const scanned = [];
+  const { backend, calls } = stubbedBackend({
+    getrawmempool: () => [spend.getId()],
+    getrawtransaction: () => spend.toHex(),
+    scantxoutset: async ([, descriptors]) => {
+      if (inProgress) throw new Error('Scan already in progress');
+      inProgress = true;
+      await new Promise((resolve) => setImmediate(resolve));
+      inProgress = false;
+      scanned.push(descriptors);
+      return {
+        unspents: [
+          { txid: coin.getId(), vout: 0, scriptPubKey: scriptHex(alice), amount: 0.0004, height: 100 },
+          { txid: '55'.repeat(32), vout: 1, scriptPubKey: scriptHex(bob), amount: 0.001, height: 100 },
+        ],
+      };
+    },
+    getblockhash: () => '66'.repeat(32),
+    getblockheader: () => ({ height: 100, time: 1700000000 }),
+  });
+
+  const [first, ...rest] = await Promise.all([alice, bob, carol, bob].map((address) => backend.getAddressStats(address)));
+  assert.deepStrictEqual(scanned, [[`addr(${alice})`], [`addr(${bob})`, `addr(${carol})`]]);
+  assert.strictEqual(calls.scantxoutset, 2);
+
+  // alice's coin is spent in the mempool by a tx we only know as paying carol
+  assert.strictEqual(first.chain_stats.funded_txo_sum, 0);
+  assert.deepStrictEqual(first.mempool_stats, { funded_txo_sum: 0, spent_txo_sum: 40000, tx_count: 1 });
+  assert.strictEqual(rest[0].chain_stats.funded_txo_sum, 100000);
+  assert.strictEqual(rest[1].mempool_stats.funded_txo_sum, 39000);
+  await assert.rejects(backend.getAddressUtxos('not-an-address'), { status: 400 });
+});
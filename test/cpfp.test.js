@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const bitcoin = require('bitcoinjs-lib');
+const { startApp, testAddress } = require('./helpers');
+const { ECPair } = require('../lib/ecc');
+const { NETWORKS } = require('../lib/networks');
+const { normalizeUtxo } = require('../lib/tx-builder');
+const { buildCpfpChild } = require('../lib/cpfp');
+
+const net = NETWORKS.testnet;
+
+test('POST /api/tx/cpfp', async (t) => {
+  const { api, mock, close } = await startApp();
+  t.after(close);
+
+  const keyPair = ECPair.makeRandom({ network: net });
+  const ours = bitcoin.payments.p2wpkh({ pubkey: keyPair.publicKey, network: net }).address;
+
+  await t.test('lifts a low-fee parent to the target package rate', async () => {
+    const parent = mock.fund(ours, 50000, { fee: 150, rbf: false });
+    const { status, data } = await api.post('/api/tx/cpfp', { txid: parent, address: ours, network: 'testnet', fee_rate: 10 });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(data.parent.vout, 0);
+    assert.strictEqual(data.parent.signals_rbf, false);
+    assert.strictEqual(data.package.count, 2);
+    assert.ok(data.package.fee_rate_before < 2);
+    assert.ok(data.package.fee_rate >= 10);
+    assert.strictEqual(data.output.address, ours);
+    assert.strictEqual(data.output.value, 50000 - data.fee);
+
+    const psbt = bitcoin.Psbt.fromBase64(data.psbt, { network: net });
+    psbt.signAllInputs(keyPair);
+    psbt.finalizeAllInputs();
+    const child = psbt.extractTransaction();
+    assert.ok(child.virtualSize() <= data.estimated_vsize);
+    assert.ok((mock.txs.get(parent).tx.virtualSize() + child.virtualSize()) * 10 <= 150 + data.fee);
+  });
+
+  await t.test('counts unconfirmed ancestors of the parent', async () => {
+    const grandparent = mock.fund(testAddress(4), 30000, { fee: 200 });
+    const parent = mock.addTransaction({ inputs: [{ txid: grandparent, vout: 0 }], outputs: [{ address: ours, value: 29800 }] });
+    const { data } = await api.post('/api/tx/cpfp', { txid: parent, vout: 0, network: 'testnet', fee_rate: 8 });
+    assert.strictEqual(data.package.count, 3);
+    assert.deepStrictEqual(data.package.ancestors, [parent, grandparent]);
+    assert.ok(data.package.fee_rate >= 8);
+  });
+
+  await t.test('adds confirmed inputs for a dust-sized output', async () => {
+    const parent = mock.fund(ours, 1000, { fee: 100 });
+    const extra = mock.fund(testAddress(5), 20000);
+    mock.mineBlock([extra]);
+    const utxos = [{ txid: extra, vout: 0, value: 20000, address: testAddress(5), confirmations: 1 }];
+
+    const poor = await api.post('/api/tx/cpfp', { txid: parent, vout: 0, network: 'testnet', fee_rate: 20 });
+    assert.strictEqual(poor.data.code, 'INSUFFICIENT_FUNDS');
+    const { confirmations, ...unknown } = utxos[0];
+    const unconfirmed = await api.post('/api/tx/cpfp', { txid: parent, vout: 0, network: 'testnet', fee_rate: 20, utxos: [unknown] });
+    assert.strictEqual(unconfirmed.status, 400);
+    assert.strictEqual(unconfirmed.data.code, 'MISSING_CONFIRMATIONS');
+
+    const { status, data } = await api.post('/api/tx/cpfp', { txid: parent, vout: 0, network: 'testnet', fee_rate: 20, utxos });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(data.added_inputs.length, 1);
+    assert.strictEqual(data.output.value, 21000 - data.fee);
+  });
+
+  await t.test('checks the mempool descendant limits of each ancestor', async () => {
+    const parent = mock.addTransaction({ outputs: Array.from({ length: 25 }, () => ({ address: ours, value: 2000 })), fee: 300 });
+    const children = [];
+    for (let vout = 1; vout <= 24; vout++) {
+      children.push(mock.addTransaction({ inputs: [{ txid: parent, vout }], outputs: [{ address: testAddress(6), value: 1800 }] }));
+    }
+    const crowded = await api.post('/api/tx/cpfp', { txid: parent, vout: 0, network: 'testnet', fee_rate: 2 });
+    assert.strictEqual(crowded.status, 400);
+    assert.strictEqual(crowded.data.code, 'TOO_MANY_DESCENDANTS');
+
+    mock.evict(children.pop());
+    const { status, data } = await api.post('/api/tx/cpfp', { txid: parent, vout: 0, network: 'testnet', fee_rate: 2 });
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(data.warnings, []);
+  });
+
+  await t.test('rejects confirmed parents, cheap targets and long chains', async () => {
+    const paid = mock.fund(ours, 40000, { fee: 5000 });
+    const met = await api.post('/api/tx/cpfp', { txid: paid, vout: 0, network: 'testnet', fee_rate: 5 });
+    assert.strictEqual(met.data.code, 'ALREADY_AT_TARGET');
+
+    mock.mineBlock([paid]);
+    const confirmed = await api.post('/api/tx/cpfp', { txid: paid, vout: 0, network: 'testnet', fee_rate: 50 });
+    assert.strictEqual(confirmed.data.code, 'ALREADY_CONFIRMED');
+
+    let tip = mock.fund(ours, 100000, { fee: 100 });
+    for (let i = 1; i < 25; i++) {
+      tip = mock.addTransaction({ inputs: [{ txid: tip, vout: 0 }], outputs: [{ address: ours, value: 100000 - 100 * i }] });
+    }
+    const chain = await api.post('/api/tx/cpfp', { txid: tip, vout: 0, network: 'testnet', fee_rate: 50 });
+    assert.strictEqual(chain.status, 400);
+    assert.strictEqual(chain.data.code, 'TOO_MANY_ANCESTORS');
+
+    assert.strictEqual((await api.post('/api/tx/cpfp', { txid: tip, network: 'testnet', fee_rate: 5 })).status, 400);
+    assert.strictEqual((await api.post('/api/tx/cpfp', { txid: tip, vout: 3, network: 'testnet', fee_rate: 5 })).status, 400);
+  });
+});
+
+test('buildCpfpChild rejects descendant packages over the size limit', () => {
+  const script = bitcoin.address.toOutputScript(testAddress(7), net);
+  const parentOutput = normalizeUtxo({ txid: 'cd'.repeat(32), vout: 0, value: 50000, scriptpubkey: script.toString('hex'), confirmations: 0 }, 'testnet');
+  const ancestors = [{ txid: parentOutput.txid, fee: 200, vsize: 200 }];
+  const descendants = { [parentOutput.txid]: [{ txid: 'ef'.repeat(32), fee: 100000, vsize: 100850 }] };
+  assert.throws(
+    () => buildCpfpChild({ parentOutput, ancestors, descendants, feeRate: 2, destinationScript: script }),
+    (e) => e.code === 'DESCENDANTS_TOO_LARGE'
+  );
+});
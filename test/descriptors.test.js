@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const BitcoinWalletEngine = require('../wallet-engine');
+const { startMock, startApp } = require('./helpers');
+const { setBackend } = require('../lib/backends');
+const walletGen = require('../routes/wallet-gen');
+const { bip32 } = require('../lib/ecc');
+const { NETWORKS } = require('../lib/networks');
+const {
+  descriptorChecksum,
+  addChecksum,
+  buildDescriptor,
+  keyExpression,
+  parseDescriptor,
+  deriveDescriptor,
+  deriveRange,
+} = require('../lib/descriptors');
+
+// BIP84 account 0 of "abandon abandon ... about"
+const BIP84_DESC =
+  "wpkh([73c5da0a/84'/0'/0']xpub6CatWdiZiodmUeTDp8LT5or8nmbKNcuyvz7WyksVFkKB4RHwCD3XyuvPEbvqAQY3rAPshWcMLoP2fMFMKHPJ4ZeZXYVUhLv1VMrjPC7PW6V/0/*)";
+
+function account(seed, path = "m/84'/1'/0'") {
+  const root = bip32.fromSeed(Buffer.alloc(32, seed), NETWORKS.testnet);
+  return keyExpression({
+    fingerprint: root.fingerprint,
+    originPath: path,
+    key: root.derivePath(path).neutered().toBase58(),
+  });
+}
+
+test('descriptor checksums and derivation', async (t) => {
+  await t.test('computes BIP380 checksums', () => {
+    assert.strictEqual(descriptorChecksum('raw(deadbeef)'), '89f8spxm');
+    assert.strictEqual(addChecksum(BIP84_DESC), `${BIP84_DESC}#wc3n3van`);
+    assert.throws(() => parseDescriptor(`${BIP84_DESC}#wc3n3vaa`, 'mainnet'), /checksum/);
+  });
+
+  await t.test('derives the BIP84 receive chain', () => {
+    const addresses = deriveRange(BIP84_DESC, 'mainnet', 0, 1).map((a) => a.address);
+    assert.deepStrictEqual(addresses, [
+      'bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu',
+      'bc1qnjg0jd8228aq7egyzacy8cys3knf9xvrerkf9g',
+    ]);
+  });
+
+  await t.test('sortedmulti is independent of key order', () => {
+    const keys = [account(1, "m/48'/1'/0'/2'"), account(2, "m/48'/1'/0'/2'"), account(3, "m/48'/1'/0'/2'")].map(
+      (k) => `${k}/0/*`
+    );
+    const a = deriveDescriptor(buildDescriptor('p2wsh', keys, { threshold: 2 }), 5);
+    const b = deriveDescriptor(buildDescriptor('p2wsh', [...keys].reverse(), { threshold: 2 }), 5);
+    assert.strictEqual(a.address, b.address);
+    assert.ok(a.witness_script.endsWith('53ae')); // OP_3 OP_CHECKMULTISIG
+    const nested = deriveDescriptor(buildDescriptor('p2sh-p2wsh', keys, { threshold: 2 }), 5);
+    assert.ok(nested.redeem_script && nested.witness_script === a.witness_script);
+  });
+
+  await t.test('maps <0;1> multipath to receive and change', () => {
+    const parsed = parseDescriptor(`tr(${account(4, "m/86'/1'/0'")}/<0;1>/*)`, 'testnet');
+    assert.strictEqual(parsed.multipath, 2);
+    const receive = deriveDescriptor(parsed, 0, { pathIndex: 0 }).address;
+    const change = deriveDescriptor(parsed, 0, { pathIndex: 1 }).address;
+    assert.match(receive, /^tb1p/);
+    assert.notStrictEqual(receive, change);
+  });
+
+  await t.test('rejects private keys and unsupported forms', () => {
+    const tprv = bip32.fromSeed(Buffer.alloc(32, 1), NETWORKS.testnet).toBase58();
+    assert.throws(() => parseDescriptor(`wpkh(${tprv}/0/*)`, 'testnet'), /Private extended keys/);
+    assert.throws(() => parseDescriptor('wpkh(cVt4o7BGAig1UXywgGSmARhxMdzP5qvQsxKkSsc1XEkw3tDTQFpy)'), /Private keys/);
+    assert.throws(() => parseDescriptor(`wpkh(${account(1)}/0/*')`, 'testnet'), /Hardened wildcards/);
+    assert.throws(() => parseDescriptor('combo(02aa)', 'testnet'), /Unsupported descriptor/);
+  });
+});
+
+test('descriptor routes', async (t) => {
+  const { api, close } = await startApp();
+  t.after(close);
+
+  await t.test('wallet-gen generate-wallet returns importable descriptors', () => {
+    // server.js answers /api/generate-wallet itself, so call the router's handler
+    const layer = walletGen.stack.find((l) => l.route && l.route.path === '/generate-wallet');
+    let data;
+    layer.route.stack[0].handle({ body: { network: 'testnet' } }, { json: (body) => (data = body) });
+    Object.values(data.addresses).forEach(({ address, descriptor }) => {
+      assert.match(descriptor, /^[a-z(]+[0-9a-f]{66}\)+#[a-z0-9]{8}$/);
+      assert.strictEqual(deriveDescriptor(descriptor, 0, { network: 'testnet' }).address, address);
+    });
+  });
+
+  await t.test('POST /api/descriptor/derive', async () => {
+    const descriptor = `wpkh(${account(5)}/<0;1>/*)`;
+    const res = await api.post('/api/descriptor/derive', { descriptor, start: 2, end: 4, change: true });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.data.descriptor, addChecksum(descriptor));
+    assert.deepStrictEqual(res.data.addresses.map((a) => a.index), [2, 3, 4]);
+    assert.strictEqual(
+      res.data.addresses[0].address,
+      deriveDescriptor(descriptor, 2, { network: 'testnet', pathIndex: 1 }).address
+    );
+
+    const bad = await api.post('/api/descriptor/derive', { descriptor: `${descriptor}#qqqqqqqq` });
+    assert.strictEqual(bad.status, 400);
+  });
+});
+
+test('BitcoinWalletEngine descriptor watching', async (t) => {
+  const mock = await startMock();
+  t.after(async () => {
+    await mock.stop();
+    setBackend('testnet', null);
+  });
+
+  const descriptor = `sh(wpkh(${account(6, "m/49'/1'/0'")}/<0;1>/*))`;
+  const at = (i, pathIndex) => deriveDescriptor(descriptor, i, { network: 'testnet', pathIndex }).address;
+  mock.fund(at(2, 0), 15000);
+  mock.fund(at(0, 1), 4000);
+  mock.mineBlock();
+
+  const engine = new BitcoinWalletEngine('testnet', { storage: null });
+  const summary = await engine.addDescriptor(descriptor, { gapLimit: 3 });
+  assert.strictEqual(summary.descriptor, addChecksum(descriptor));
+  assert.strictEqual(summary.script_type, 'p2sh-p2wpkh');
+  assert.strictEqual(summary.receive_used, 3);
+  assert.strictEqual(summary.change_used, 1);
+  assert.strictEqual(summary.spendable_balance, 19000);
+
+  const single = deriveDescriptor(descriptor, 9, { network: 'testnet' }).address;
+  const watched = await engine.addDescriptor(`addr(${single})`);
+  assert.strictEqual(watched.address_count, 1);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const bitcoin = require('bitcoinjs-lib');
+const { createBackend } = require('../lib/backends');
+const { addressToScripthash } = require('../lib/backends/tx-format');
+const { testAddress } = require('./helpers');
+
+// Unsigned tx spending `prev:vout` to { address: value }
+function rawTx(prev, vout, outputs) {
+  const tx = new bitcoin.Transaction();
+  tx.addInput(Buffer.from(prev, 'hex').reverse(), vout);
+  Object.entries(outputs).forEach(([address, value]) => {
+    tx.addOutput(bitcoin.address.toOutputScript(address, bitcoin.networks.testnet), value);
+  });
+  return tx;
+}
+
+test('electrum backend finds spenders through the output script history', async () => {
+  const alice = testAddress(71);
+  const funding = rawTx('22'.repeat(32), 0, { [alice]: 50000, [testAddress(72)]: 10000 });
+  const other = rawTx('33'.repeat(32), 0, { [alice]: 7000 });
+  const spend = rawTx(funding.getId(), 0, { [testAddress(73)]: 49000 });
+  const txs = Object.fromEntries([funding, other, spend].map((tx) => [tx.getId(), tx]));
+  const history = {
+    [addressToScripthash(alice, bitcoin.networks.testnet)]: [
+      { tx_hash: funding.getId(), height: 100 },
+      { tx_hash: other.getId(), height: 101 },
+      { tx_hash: spend.getId(), height: 0 },
+    ],
+  };
+
+  const backend = createBackend('testnet', { type: 'electrum', host: '127.0.0.1', port: 1 });
+  backend.request = async (method, params) => {
+    if (method === 'blockchain.transaction.get') return txs[params[0]].toHex();
+    if (method === 'blockchain.scripthash.get_history') return history[params[0]] || [];
+    throw new Error(`unexpected ${method}`);
+  };
+
+  assert.deepStrictEqual(await backend.getOutspend(funding.getId(), 0), {
+    spent: true,
+    txid: spend.getId(),
+    vin: 0,
+    status: { confirmed: false },
+  });
+  assert.deepStrictEqual(await backend.getOutspend(funding.getId(), 1), { spent: false });
+  await assert.rejects(backend.getOutspend(funding.getId(), 2), { status: 404 });
+});
+
+test('electrum backend only caches headers buried below reorg depth', async () => {
+  const backend = createBackend('testnet', { type: 'electrum', host: '127.0.0.1', port: 1 });
+  let headers = 0;
+  backend.request = async (method) => {
+    if (method === 'blockchain.headers.subscribe') return { height: 110 };
+    if (method === 'blockchain.block.header') {
+      headers++;
+      return Buffer.alloc(80, headers).toString('hex');
+    }
+    throw new Error(`unexpected ${method}`);
+  };
+
+  await backend.getTipHeight();
+  const tipStatus = await backend.blockStatus(110);
+  assert.notStrictEqual((await backend.blockStatus(110)).block_hash, tipStatus.block_hash); // refetched
+  await backend.blockStatus(100);
+  await backend.blockStatus(100);
+  assert.strictEqual(headers, 3);
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startApp, startMock, testAddress } = require('./helpers');
+const { createBackend, setBackend } = require('../lib/backends');
+const { MemoryStorage } = require('../lib/storage');
+const BitcoinWalletEngine = require('../wallet-engine');
+const {
+  LocalFeeEstimator,
+  normalizeEstimates,
+  getLocalEstimator,
+  watchEngine,
+  getFeeEstimates,
+  clearFeeCache,
+} = require('../lib/fees');
+
+test('fee estimate helpers', async (t) => {
+  await t.test('floors at min relay and keeps longer targets cheaper', () => {
+    assert.deepStrictEqual(normalizeEstimates({ 1: 20, 3: 25, 6: 0.4, 144: 0.2, x: 5 }, 1), { 1: 20, 3: 20, 6: 1, 144: 1 });
+  });
+
+  await t.test('local estimator learns from observed confirmations', () => {
+    const local = new LocalFeeEstimator();
+    [
+      ['a', 30, 1],
+      ['b', 25, 1],
+      ['c', 20, 1],
+      ['d', 10, 3],
+      ['e', 5, 6],
+      ['f', 3, 10],
+    ].forEach(([txid, rate, waited]) => {
+      local.observeMempoolTx(txid, rate, 100);
+      local.observeConfirmation(txid, 100 + waited);
+    });
+    local.observeConfirmation('unknown', 101);
+    const estimates = local.estimates();
+    assert.strictEqual(estimates[1], 20);
+    assert.strictEqual(estimates[3], 10);
+    assert.strictEqual(estimates[12], 3);
+    assert.strictEqual(local.samples.length, 6);
+  });
+});
+
+test('fee sources, caching and fallbacks', async (t) => {
+  const mock = await startMock({}, 'regtest');
+  t.after(async () => {
+    await mock.stop();
+    setBackend('regtest', null);
+  });
+
+  await t.test('caches backend estimates until refreshed', async () => {
+    mock.setFeeEstimates({ 1: 12.5, 6: 4, 144: 0.5 });
+    const first = await getFeeEstimates('regtest');
+    assert.strictEqual(first.source, 'backend');
+    assert.deepStrictEqual(first.estimates, { 1: 12.5, 6: 4, 144: 1 });
+
+    mock.setFeeEstimates({ 1: 40, 6: 10 });
+    assert.strictEqual((await getFeeEstimates('regtest')).cached, true);
+    assert.strictEqual((await getFeeEstimates('regtest', { refresh: true })).estimates[1], 40);
+  });
+
+  await t.test('falls back to stale results, then the min relay floor', async () => {
+    setBackend('regtest', createBackend('regtest', { type: 'esplora', url: 'http://127.0.0.1:9' }));
+    const stale = await getFeeEstimates('regtest', { refresh: true });
+    assert.strictEqual(stale.stale, true);
+    assert.strictEqual(stale.estimates[1], 40);
+    assert.strictEqual(stale.errors[0].source, 'backend');
+
+    clearFeeCache('regtest');
+    const floor = await getFeeEstimates('regtest');
+    assert.strictEqual(floor.source, 'min_relay_fee');
+    assert.ok(Object.values(floor.estimates).every((rate) => rate === 1));
+  });
+
+  await t.test('feeds the local estimator from the wallet engine', async () => {
+    setBackend('regtest', createBackend('regtest', { type: 'esplora', url: mock.url }));
+    const engine = new BitcoinWalletEngine('regtest', { storage: new MemoryStorage() });
+    engine.on('error', () => {});
+    watchEngine(engine);
+    const address = testAddress(1, 'regtest');
+    engine.addAddress(address);
+    await engine.updateTipHeight();
+
+    [3000, 2000, 1500].forEach((fee) => mock.fund(address, 10000, { fee }));
+    await engine.fetchMempoolTxs(address);
+    mock.mineBlock();
+    await engine.updateTipHeight();
+    await engine.fetchUtxos(address);
+
+    const local = getLocalEstimator('regtest');
+    assert.strictEqual(local.samples.length, 3);
+    const result = await getFeeEstimates('regtest', { sources: ['local'] });
+    assert.strictEqual(result.source, 'local');
+    assert.ok(result.estimates[1] > 1);
+  });
+});
+
+test('GET /api/fees and conf_target builders', async (t) => {
+  const { api, mock, close } = await startApp();
+  t.after(close);
+  mock.setFeeEstimates({ 1: 21, 3: 14, 6: 8, 144: 2 });
+
+  await t.test('returns estimates, presets and a requested target', async () => {
+    const { status, data } = await api.get('/api/fees?network=testnet&target=4');
+    assert.strictEqual(status, 200);
+    assert.strictEqual(data.fastest, 21);
+    assert.strictEqual(data.economy, 2);
+    assert.strictEqual(data.fee_rate, 14);
+    assert.strictEqual(data.min_relay_fee, 1);
+    assert.strictEqual((await api.get('/api/fees?target=0')).status, 400);
+    assert.strictEqual((await api.get('/api/fees?source=oracle')).status, 400);
+  });
+
+  await t.test('builds a PSBT at the rate for conf_target', async () => {
+    const { data } = await api.post('/api/tx/build', {
+      network: 'testnet',
+      utxos: [{ txid: 'aa'.repeat(32), vout: 0, value: 100000, address: testAddress(2) }],
+      recipients: [{ address: testAddress(3), value: 40000 }],
+      conf_target: 6,
+    });
+    assert.strictEqual(data.fee_rate, 8);
+    assert.ok(data.effective_fee_rate >= 8);
+  });
+});
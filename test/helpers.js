@@ -0,0 +1,54 @@
+// test/helpers.js
+// Shared fixtures: a MockEsplora chain wired in as the testnet backend and
+// the full Express app listening on an ephemeral port.
+
+process.env.NODE_ENV = 'test';
+process.env.RATE_LIMIT_MAX = '100000';
+process.env.USD_RATE_AUTO_FETCH = 'false';
+process.env.STORAGE = 'memory';
+
+const axios = require('axios');
+const bitcoin = require('bitcoinjs-lib');
+const MockEsplora = require('../lib/mock-esplora');
+const { createBackend, setBackend } = require('../lib/backends');
+const { NETWORKS } = require('../lib/networks');
+
+// Deterministic P2WPKH address from a one-byte seed
+function testAddress(seed, network = 'testnet') {
+  return bitcoin.payments.p2wpkh({ hash: Buffer.alloc(20, seed), network: NETWORKS[network] }).address;
+}
+
+async function startMock(options = {}, network = 'testnet') {
+  const mock = new MockEsplora({ network: NETWORKS[network], ...options });
+  const { url, wsUrl } = await mock.start();
+  setBackend(network, createBackend(network, { type: 'esplora', url, wsUrl }));
+  return mock;
+}
+
+async function startApp() {
+  const mock = await startMock();
+  const app = require('../server');
+  const { walletEngine } = require('../lib/engine');
+  const streamRoutes = require('../routes/stream');
+
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  streamRoutes.attach(server);
+  const api = axios.create({
+    baseURL: `http://127.0.0.1:${server.address().port}`,
+    validateStatus: () => true,
+  });
+
+  async function close() {
+    walletEngine.addresses.forEach((a) => walletEngine.stopWebSocketMonitor(a));
+    streamRoutes.stream.close();
+    await new Promise((resolve) => server.close(resolve));
+    await mock.stop();
+    setBackend('testnet', null);
+  }
+
+  return { mock, api, app, close };
+}
+
+module.exports = { testAddress, startMock, startApp };
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const bip39 = require('bip39');
+const { startApp } = require('./helpers');
+const { bip32 } = require('../lib/ecc');
+const {
+  generateMnemonic,
+  validateMnemonic,
+  mnemonicToSeed,
+  accountPath,
+  deriveAccount,
+} = require('../lib/mnemonic');
+
+const ABANDON = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+
+// Official BIP39 vectors (trezor/python-mnemonic vectors.json, passphrase "TREZOR")
+const VECTORS = [
+  [
+    '00000000000000000000000000000000',
+    ABANDON,
+    'c55257c360c07c72029aebc1b53c05ed0362ada38ead3e3e9efa3708e53495531f09a6987599d18264c1e1c92f2cf141630c7a3c4ab7c81b2f001698e7463b04',
+    'xprv9s21ZrQH143K3h3fDYiay8mocZ3afhfULfb5GX8kCBdno77K4HiA15Tg23wpbeF1pLfs1c5SPmYHrEpTuuRhxMwvKDwqdKiGJS9XFKzUsAF',
+  ],
+  [
+    '7f7f7f7f7f7f7f7f7f7f7f7f7f7f7f7f',
+    'legal winner thank year wave sausage worth useful legal winner thank yellow',
+    '2e8905819b8723fe2c1d161860e5ee1830318dbf49a83bd451cfb8440c28bd6fa457fe1296106559a3c80937a1c1069be3a3a5bd381ee6260e8d9739fce1f607',
+    'xprv9s21ZrQH143K2gA81bYFHqU68xz1cX2APaSq5tt6MFSLeXnCKV1RVUJt9FWNTbrrryem4ZckN8k4Ls1H6nwdvDTvnV7zEXs2HgPezuVccsq',
+  ],
+  [
+    '9e885d952ad362caeb4efe34a8e91bd2',
+    'ozone drill grab fiber curtain grace pudding thank cruise elder eight picnic',
+    '274ddc525802f7c828d8ef7ddbcdc5304e87ac3535913611fbbfa986d0c9e5476c91689f9c8a54fd55bd38606aa6a8595ad213d4c9c9f9aca3fb217069a41028',
+    'xprv9s21ZrQH143K2oZ9stBYpoaZ2ktHj7jLz7iMqpgg1En8kKFTXJHsjxry1JbKH19YrDTicVwKPehFKTbmaxgVEc5TpHdS1aYhB2s9aFJBeJH',
+  ],
+  [
+    'ffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff',
+    'zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo vote',
+    'dd48c104698c30cfe2b6142103248622fb7bb0ff692eebb00089b32d22484e1613912f0a5b694407be899ffd31ed3992c456cdf60f5d4564b8ba3f05a69890ad',
+    'xprv9s21ZrQH143K2WFF16X85T2QCpndrGwx6GueB72Zf3AHwHJaknRXNF37ZmDrtHrrLSHvbuRejXcnYxoZKvRquTPyp2JiNG3XcjQyzSEgqCB',
+  ],
+];
+
+// First receive address of account 0 for "abandon ... about" (BIP44/49/84/86 vectors)
+const ACCOUNT_VECTORS = {
+  44: '1LqBGSKuX5yYUonjxT5qGfpUsXKYYWeabA',
+  49: '37VucYSaXLCAsxYyAPfbSi9eh4iEcbShgf',
+  84: 'bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu',
+  86: 'bc1p5cyxnuxmeuwuvkwfem96lqzszd02n6xdcjrs20cac6yqjjwudpxqkedrcr',
+};
+
+test('BIP39', async (t) => {
+  await t.test('matches the official vectors', () => {
+    VECTORS.forEach(([entropy, mnemonic, seed, xprv]) => {
+      assert.strictEqual(bip39.entropyToMnemonic(entropy), mnemonic);
+      const derived = mnemonicToSeed(mnemonic, 'TREZOR');
+      assert.strictEqual(derived.toString('hex'), seed);
+      assert.strictEqual(bip32.fromSeed(derived).toBase58(), xprv);
+    });
+  });
+
+  await t.test('generates 12 to 24 valid words', () => {
+    [12, 15, 18, 21, 24].forEach((count) => {
+      const mnemonic = generateMnemonic(count);
+      assert.strictEqual(mnemonic.split(' ').length, count);
+      assert.strictEqual(validateMnemonic(mnemonic).valid, true);
+    });
+    assert.throws(() => generateMnemonic(13), /word count/);
+  });
+
+  await t.test('reports checksum, wordlist and length errors', () => {
+    assert.match(validateMnemonic(ABANDON.replace(/about$/, 'abandon')).error, /checksum/);
+    assert.deepStrictEqual(validateMnemonic(ABANDON.replace(/^abandon/, 'abandonn')).invalid_words, ['abandonn']);
+    assert.match(validateMnemonic('abandon about').error, /words/);
+    assert.strictEqual(validateMnemonic(`  ${ABANDON.toUpperCase()} `).valid, true);
+  });
+
+  await t.test('derives BIP44/49/84/86 accounts with per-network coin types', () => {
+    const seed = mnemonicToSeed(ABANDON);
+    Object.entries(ACCOUNT_VECTORS).forEach(([purpose, address]) => {
+      const account = deriveAccount(seed, { purpose: Number(purpose), network: 'mainnet', count: 1 });
+      assert.strictEqual(account.addresses[0].address, address);
+      assert.strictEqual(account.master_fingerprint, '73c5da0a');
+    });
+    assert.strictEqual(accountPath(84, 'testnet', 2), "m/84'/1'/2'");
+    assert.strictEqual(accountPath(86, 'mainnet'), "m/86'/0'/0'");
+  });
+});
+
+test('mnemonic routes', async (t) => {
+  const { api, close } = await startApp();
+  t.after(close);
+
+  await t.test('POST /api/generate-from-seed follows BIP39 + BIP84', async () => {
+    const { status, data } = await api.post('/api/generate-from-seed', { seed_phrase: ABANDON, network: 'mainnet' });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(data.derivation_path, "m/84'/0'/0'/0/0");
+    assert.strictEqual(data.address, ACCOUNT_VECTORS[84]);
+    assert.match(data.account.receive_descriptor, /^wpkh\(\[73c5da0a\/84'\/0'\/0'\]xpub6CatWd.*\/0\/\*\)#wc3n3van$/);
+
+    const taproot = await api.post('/api/generate-from-seed', {
+      seed_phrase: ABANDON,
+      network: 'mainnet',
+      derivation_path: "m/86'/0'/0'/0/0",
+    });
+    assert.strictEqual(taproot.data.address, ACCOUNT_VECTORS[86]);
+
+    const testnet = await api.post('/api/generate-from-seed', { seed_phrase: ABANDON, passphrase: 'x' });
+    assert.strictEqual(testnet.data.derivation_path, "m/84'/1'/0'/0/0");
+    assert.match(testnet.data.address, /^tb1q/);
+  });
+
+  await t.test('rejects invalid mnemonics', async () => {
+    const res = await api.post('/api/generate-from-seed', { seed_phrase: 'correct horse battery staple' });
+    assert.strictEqual(res.status, 400);
+    const check = await api.post('/api/validate-mnemonic', { mnemonic: ABANDON.replace(/about$/, 'zoo') });
+    assert.strictEqual(check.data.valid, false);
+  });
+
+  await t.test('POST /api/generate-mnemonic', async () => {
+    const { data } = await api.post('/api/generate-mnemonic', { words: 24, purpose: 86, network: 'signet' });
+    assert.strictEqual(data.mnemonic.split(' ').length, 24);
+    assert.strictEqual(data.account.path, "m/86'/1'/0'");
+    assert.match(data.account.addresses[0].address, /^tb1p/);
+    assert.strictEqual((await api.post('/api/generate-mnemonic', { words: 11 })).status, 400);
+  });
+});
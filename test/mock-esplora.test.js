@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const WebSocket = require('ws');
+const MockEsplora = require('../lib/mock-esplora');
+const { testAddress } = require('./helpers');
+
+test('MockEsplora', async (t) => {
+  const mock = new MockEsplora();
+  const { url, wsUrl } = await mock.start();
+  const get = async (path) => (await axios.get(`${url}${path}`)).data;
+  t.after(() => mock.stop());
+
+  const alice = testAddress(1);
+  const bob = testAddress(2);
+
+  await t.test('funds an address in the mempool and confirms it', async () => {
+    const txid = mock.fund(alice, 50000);
+    let utxos = await get(`/address/${alice}/utxo`);
+    assert.deepStrictEqual(utxos, [{ txid, vout: 0, value: 50000, status: { confirmed: false } }]);
+
+    const block = mock.mineBlock();
+    utxos = await get(`/address/${alice}/utxo`);
+    assert.strictEqual(utxos[0].status.confirmed, true);
+    assert.strictEqual(utxos[0].status.block_hash, block.hash);
+    assert.strictEqual(await get('/blocks/tip/height'), block.height);
+    assert.strictEqual(await get(`/block-height/${block.height}`), block.hash);
+  });
+
+  await t.test('tracks spends, stats and fees', async () => {
+    const [utxo] = await get(`/address/${alice}/utxo`);
+    const txid = mock.addTransaction({
+      inputs: [{ txid: utxo.txid, vout: utxo.vout }],
+      outputs: [{ address: bob, value: 30000 }, { address: alice, value: 19000 }],
+    });
+
+    const tx = await get(`/tx/${txid}`);
+    assert.strictEqual(tx.fee, 1000);
+    assert.strictEqual(tx.vin[0].prevout.scriptpubkey_address, alice);
+
+    const stats = await get(`/address/${alice}`);
+    assert.strictEqual(stats.chain_stats.funded_txo_sum, 50000);
+    assert.strictEqual(stats.mempool_stats.spent_txo_sum, 50000);
+    assert.strictEqual(stats.mempool_stats.funded_txo_sum, 19000);
+
+    const outspends = await get(`/tx/${utxo.txid}/outspends`);
+    assert.strictEqual(outspends[0].txid, txid);
+    assert.deepStrictEqual((await get(`/address/${bob}/txs/mempool`)).map((t) => t.txid), [txid]);
+  });
+
+  await t.test('replaces a mempool tx', async () => {
+    const [pending] = await get(`/address/${bob}/txs/mempool`);
+    const replacement = mock.replaceTransaction(pending.txid, { outputs: [{ address: alice, value: 48000 }] });
+    assert.deepStrictEqual(await get(`/address/${bob}/utxo`), []);
+    assert.deepStrictEqual((await get('/mempool/txids')), [replacement]);
+    await assert.rejects(axios.get(`${url}/tx/${pending.txid}`), (err) => err.response.status === 404);
+  });
+
+  await t.test('reorgs blocks back into the mempool', async () => {
+    const block = mock.mineBlock();
+    const { orphaned, mined } = mock.reorg(1);
+    assert.strictEqual(orphaned[0].hash, block.hash);
+    assert.strictEqual(mined.length, 2);
+    assert.strictEqual((await get(`/block/${block.hash}/status`)).in_best_chain, false);
+    assert.deepStrictEqual(await get('/mempool/txids'), block.txids);
+  });
+
+  await t.test('accepts broadcasts and rejects garbage', async () => {
+    const hex = await get(`/tx/${mock.fund(bob, 1234)}/hex`);
+    mock.mempool.clear();
+    const { data } = await axios.post(`${url}/tx`, hex);
+    assert.strictEqual(mock.mempool.size, 1);
+    assert.ok(mock.mempool.has(data));
+    await assert.rejects(axios.post(`${url}/tx`, 'zz'), (err) => err.response.status === 400);
+  });
+
+  await t.test('pushes tracked address txs and blocks over WebSocket', async () => {
+    const ws = new WebSocket(wsUrl);
+    await new Promise((resolve) => ws.on('open', resolve));
+    ws.send(JSON.stringify({ track: alice }));
+    ws.send(JSON.stringify({ action: 'want', data: ['blocks'] }));
+
+    const messages = [];
+    ws.on('message', (data) => messages.push(JSON.parse(data)));
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    const txid = mock.fund(alice, 777);
+    mock.mineBlock();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    ws.close();
+
+    assert.strictEqual(messages[0]['address-transactions'][0].txid, txid);
+    assert.strictEqual(messages[1].block.height, mock.tipHeight);
+    assert.ok(messages[2]['block-transactions'].some((tx) => tx.txid === txid));
+  });
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const bitcoin = require('bitcoinjs-lib');
+const bs58check = require('bs58check');
+const { startApp, testAddress } = require('./helpers');
+const { bip32 } = require('../lib/ecc');
+const { NETWORKS } = require('../lib/networks');
+const { multisigInputWeight, createMultisig } = require('../lib/multisig');
+
+const net = NETWORKS.testnet;
+const roots = [1, 2, 3].map((seed) => bip32.fromSeed(Buffer.alloc(32, seed), net));
+const fingerprints = roots.map((root) => Buffer.from(root.fingerprint).toString('hex'));
+const cosigners = roots.map(
+  (root, i) => `[${fingerprints[i]}/48'/1'/0'/2']${root.derivePath("m/48'/1'/0'/2'").neutered().toBase58()}`
+);
+
+// Same key with SLIP-132 Vpub version bytes
+function toVpub(tpub) {
+  const payload = Buffer.from(bs58check.decode(tpub));
+  payload.writeUInt32BE(0x02575483, 0);
+  return bs58check.encode(payload);
+}
+
+test('multisig wallets', async (t) => {
+  await t.test('sizes multisig spends', () => {
+    assert.strictEqual(multisigInputWeight(2, 3, 'p2wsh'), 420);
+    assert.strictEqual(multisigInputWeight(2, 3, 'p2sh-p2wsh'), 560);
+  });
+
+  await t.test('builds sortedmulti descriptors from cosigner keys', () => {
+    const wallet = createMultisig({ threshold: 2, cosigners, network: 'testnet' });
+    assert.strictEqual(wallet.policy, '2-of-3');
+    assert.match(wallet.descriptor, /^wsh\(sortedmulti\(2,\[[0-9a-f]{8}\/48'\/1'\/0'\/2'\]tpub.*\/<0;1>\/\*,/);
+    assert.match(wallet.change_descriptor, /\/1\/\*\)\)#[a-z0-9]{8}$/);
+
+    const bare = cosigners[0].replace(/^\[[^\]]+\]/, '');
+    const vpub = createMultisig({
+      threshold: 2,
+      cosigners: [{ xpub: toVpub(bare), master_fingerprint: fingerprints[0], path: "m/48'/1'/0'/2'" }, cosigners[1], cosigners[2]],
+      scriptType: 'p2sh-p2wsh',
+    });
+    assert.strictEqual(vpub.cosigners[0].xpub, bare);
+    assert.match(vpub.descriptor, /^sh\(wsh\(sortedmulti\(2,/);
+
+    assert.throws(() => createMultisig({ threshold: 4, cosigners }), /threshold/);
+    assert.throws(() => createMultisig({ threshold: 2, cosigners: [cosigners[0], cosigners[0]] }), /distinct/);
+    assert.throws(() => createMultisig({ threshold: 1, cosigners, scriptType: 'p2tr' }), /script_type/);
+  });
+});
+
+test('2-of-3 cosigner PSBT workflow', async (t) => {
+  const { api, mock, close } = await startApp();
+  t.after(close);
+
+  const created = await api.post('/api/generate-multisig', { threshold: 2, cosigners, network: 'testnet', count: 3 });
+  assert.strictEqual(created.status, 200);
+  assert.strictEqual(created.data.receive_addresses.length, 3);
+  assert.deepStrictEqual(created.data.warnings, []);
+  const [first, second] = created.data.receive_addresses;
+  assert.ok(first.address.startsWith('tb1q') && first.address.length === 62);
+
+  mock.fund(first.address, 60000);
+  mock.fund(second.address, 50000);
+  mock.mineBlock();
+
+  const added = await api.post('/api/wallet/add-descriptor', { descriptor: created.data.descriptor, network: 'testnet', gap_limit: 3 });
+  assert.strictEqual(added.status, 200);
+  assert.strictEqual(added.data.total_balance, 110000);
+
+  const built = await api.post('/api/wallet/xpub/psbt', {
+    xpub: added.data.xpub,
+    recipients: [{ address: testAddress(7), value: 80000 }],
+    fee_rate: 4,
+  });
+  assert.strictEqual(built.status, 200);
+  assert.strictEqual(built.data.inputs.length, 2);
+  assert.ok(built.data.inputs.every((i) => i.derivations.length === 3));
+
+  // Each cosigner signs its own copy
+  const signedBy = (i) => {
+    const psbt = bitcoin.Psbt.fromBase64(built.data.psbt, { network: net });
+    psbt.signAllInputsHD(roots[i]);
+    return psbt.toBase64();
+  };
+
+  await t.test('reports per-input signing progress', async () => {
+    const { data } = await api.post('/api/psbt/signing-status', { psbt: signedBy(0) });
+    assert.strictEqual(data.complete, false);
+    assert.deepStrictEqual(data.inputs[0].signed_by, [fingerprints[0]]);
+    assert.strictEqual(data.inputs[0].missing_signatures, 1);
+    assert.deepStrictEqual(data.inputs[0].can_sign.sort(), [fingerprints[1], fingerprints[2]].sort());
+    const first = data.cosigners.find((c) => c.cosigner === fingerprints[0]);
+    assert.deepStrictEqual(first, { cosigner: fingerprints[0], signed_inputs: 2, pending_inputs: 0 });
+  });
+
+  await t.test('combines partial signatures and broadcasts', async () => {
+    const combined = await api.post('/api/psbt/combine', { psbts: [signedBy(0), signedBy(2)] });
+    assert.strictEqual(combined.status, 200);
+    assert.strictEqual(combined.data.signing.complete, true);
+
+    const extracted = await api.post('/api/psbt/extract', { psbt: combined.data.psbt, broadcast: true });
+    assert.strictEqual(extracted.status, 200);
+    assert.ok(extracted.data.vsize <= built.data.estimated_vsize);
+    assert.ok(mock.isKnown(extracted.data.txid));
+
+    const change = bitcoin.Psbt.fromBase64(built.data.psbt, { network: net }).data.outputs.find((o) => o.witnessScript);
+    assert.strictEqual(change.bip32Derivation.length, 3);
+  });
+});
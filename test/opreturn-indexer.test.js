@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const bitcoin = require('bitcoinjs-lib');
+const { startApp, startMock, testAddress } = require('./helpers');
+const { OpReturnIndexer, compileFilter } = require('../lib/opreturn-indexer');
+const { createBackend } = require('../lib/backends');
+
+const opReturn = (text) => bitcoin.payments.embed({ data: [Buffer.from(text)] }).output.toString('hex');
+
+test('OpReturnIndexer', async (t) => {
+  const mock = await startMock();
+  t.after(() => mock.stop());
+
+  await t.test('walks blocks from the start height and filters by prefix', async () => {
+    const start = mock.tip.height + 1;
+    const ours = mock.addTransaction({ outputs: [{ script: opReturn('ACME:1'), value: 0 }, { address: testAddress(1), value: 5000 }] });
+    mock.addTransaction({ outputs: [{ script: opReturn('other'), value: 0 }] });
+    mock.mineBlock();
+    mock.addTransaction({ outputs: [{ script: opReturn('ACME:2'), value: 0 }] });
+    mock.mineBlock();
+
+    const indexer = new OpReturnIndexer('testnet', { storage: null, startHeight: start, prefixes: [Buffer.from('ACME').toString('hex')] });
+    const found = [];
+    indexer.on('opreturn:found', (r) => found.push(r.utf8));
+    const result = await indexer.sync();
+    assert.deepStrictEqual({ from: result.from, to: result.to, found: result.found }, { from: start, to: start + 1, found: 2 });
+    assert.deepStrictEqual(found, ['ACME:1', 'ACME:2']);
+    const first = indexer.records[0];
+    assert.strictEqual(first.txid, ours);
+    assert.strictEqual(first.vout, 0);
+    assert.strictEqual(first.height, start);
+
+    assert.strictEqual((await indexer.sync()).found, 0); // caught up
+  });
+
+  await t.test('drops records from orphaned blocks', async () => {
+    const indexer = new OpReturnIndexer('testnet', { storage: null, prefixes: [Buffer.from('reorged').toString('hex')] });
+    await indexer.sync(); // starts at the tip
+    mock.addTransaction({ outputs: [{ script: opReturn('reorged'), value: 0 }] });
+    const { hash } = mock.mineBlock();
+    await indexer.sync();
+    assert.deepStrictEqual(indexer.records.map((r) => r.block_hash), [hash]);
+
+    const reorgs = [];
+    indexer.on('reorg:detected', (e) => reorgs.push(e));
+    const { mined } = mock.reorg(1, { replacement: 2 }); // the tx goes back to the mempool
+    mock.mineBlock();
+    await indexer.sync();
+    assert.strictEqual(reorgs[0].removed, 1);
+    assert.strictEqual(reorgs[0].fork_height, mined[0].height - 1);
+    assert.strictEqual(indexer.records.length, 1);
+    assert.strictEqual(indexer.records[0].height, mock.tip.height);
+    assert.strictEqual(indexer.next_height, mock.tip.height + 1);
+  });
+});
+
+test('GET /api/opreturn/search', async (t) => {
+  const { api, mock, close } = await startApp();
+  t.after(close);
+
+  assert.strictEqual((await api.post('/api/opreturn/index/sync')).status, 200);
+  for (let i = 0; i < 5; i++) {
+    mock.addTransaction({ outputs: [{ script: opReturn(`ACME:order:${i}`), value: 0 }] });
+  }
+  mock.addTransaction({ outputs: [{ script: opReturn('hello world'), value: 0 }] });
+  mock.mineBlock();
+  const synced = await api.post('/api/opreturn/index/sync');
+  assert.strictEqual(synced.data.found, 6);
+  assert.strictEqual(synced.data.status.behind, 0);
+
+  await t.test('filters by prefix and text prefix', async () => {
+    const hex = await api.get(`/api/opreturn/search?prefix=${Buffer.from('ACME').toString('hex')}`);
+    assert.strictEqual(hex.data.total, 5);
+    const text = await api.get('/api/opreturn/search?text_prefix=hello');
+    assert.strictEqual(text.data.results[0].utf8, 'hello world');
+    const regex = await api.get(`/api/opreturn/search?pattern=${encodeURIComponent('(a+)+$')}`);
+    assert.strictEqual(regex.status, 400); // no user-supplied regexes
+  });
+
+  await t.test('paginates', async () => {
+    const page = await api.get('/api/opreturn/search?text_prefix=ACME&limit=2&offset=4');
+    assert.strictEqual(page.data.total, 5);
+    assert.strictEqual(page.data.results.length, 1);
+    assert.strictEqual((await api.get('/api/opreturn/search?limit=0')).status, 400);
+    assert.strictEqual((await api.get('/api/opreturn/search?network=mainnet')).status, 400);
+  });
+});
+
+test('OpReturnIndexer refuses backends without raw blocks', async () => {
+  const backend = createBackend('testnet', { type: 'electrum', host: '127.0.0.1', port: 1 });
+  const indexer = new OpReturnIndexer('testnet', { storage: null, backend });
+  indexer.on('error', () => {});
+  await assert.rejects(indexer.sync(), { status: 501, message: /needs raw blocks/ });
+  indexer.startPolling();
+  assert.strictEqual(indexer.getStatus().polling, false);
+  assert.match(indexer.getStatus().last_error, /electrum/);
+});
+
+test('compileFilter applies the operator pattern to text or hex', () => {
+  const matches = compileFilter({ pattern: '^order:[0-9]+$|^deadbeef' });
+  assert.strictEqual(matches({ utf8: 'order:42', hex: '6f72646572' }), true);
+  assert.strictEqual(matches({ utf8: null, hex: 'deadbeef00' }), true);
+  assert.strictEqual(matches({ utf8: 'hello', hex: '68656c6c6f' }), false);
+  assert.throws(() => compileFilter({ pattern: '(' }), /Invalid pattern/);
+});
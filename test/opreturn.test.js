@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startApp, testAddress } = require('./helpers');
+const { decodeOpReturn } = require('../lib/opreturn');
+
+const decode = (hex) => decodeOpReturn(Buffer.from(hex, 'hex'));
+
+test('OP_RETURN parsing', async (t) => {
+  await t.test('splits pushes of every size', () => {
+    assert.deepStrictEqual(decode('6a').pushes, []);
+    assert.strictEqual(decode('6a').bytes, 0);
+
+    const two = decode('6a0568656c6c6f03ff0102');
+    assert.deepStrictEqual(two.pushes.map((p) => p.utf8), ['hello', null]);
+    assert.strictEqual(two.pushes[1].base64, '/wEC');
+    assert.strictEqual(two.hex, '68656c6c6fff0102');
+
+    const long = decode('6a4c50' + '61'.repeat(80));
+    assert.strictEqual(long.bytes, 80);
+    assert.strictEqual(long.utf8, 'a'.repeat(80));
+    assert.strictEqual(decode('6a4d0001' + '00'.repeat(256)).bytes, 256);
+
+    // 1-byte pushes stay data, not OP_1..OP_16
+    assert.strictEqual(decode('6a0151').hex, '51');
+    assert.strictEqual(decode('6a0a0102').malformed, true);
+    assert.strictEqual(decode('0014' + '00'.repeat(20)), null);
+  });
+
+  await t.test('detects known protocols', () => {
+    const omni = decode('6a146f6d6e69000000000000001f000000000bebc200').protocol;
+    assert.deepStrictEqual(omni, {
+      name: 'omni',
+      version: 0,
+      tx_type: 0,
+      tx_type_name: 'simple_send',
+      property_id: 31,
+      amount: '200000000',
+    });
+
+    const runes = decode('6a5d0414011400');
+    assert.deepStrictEqual(runes.opcodes, ['OP_13']);
+    assert.deepStrictEqual(runes.protocol, { name: 'runes', integers: ['20', '1', '20', '0'] });
+    assert.strictEqual(decode('6a5d02ac02').protocol.integers[0], '300');
+
+    assert.strictEqual(decode('6a0c444f4350524f4f4661626364').protocol.name, 'proof_of_existence');
+    assert.deepStrictEqual(decode('6a20' + 'ab'.repeat(32)).protocol, { name: 'hash_commitment', hash_type: 'sha256' });
+    assert.strictEqual(decode('6a0568656c6c6f').protocol, null);
+  });
+});
+
+test('POST /api/decode-opreturn', async (t) => {
+  const { api, mock, close } = await startApp();
+  t.after(close);
+
+  const txid = mock.addTransaction({
+    outputs: [
+      { address: testAddress(1), value: 10000 },
+      { script: '6a4c50' + '62'.repeat(80), value: 0 },
+      { script: '6a0361626303ff0102', value: 0 },
+    ],
+  });
+
+  await t.test('fetches the transaction by txid', async () => {
+    const { status, data } = await api.post('/api/decode-opreturn', { txid, network: 'testnet' });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(data.txid, txid);
+    assert.strictEqual(data.opreturn_count, 2);
+    const [long, multi] = data.opreturn_outputs;
+    assert.strictEqual(long.index, 1);
+    assert.strictEqual(long.data, 'b'.repeat(80));
+    assert.strictEqual(multi.pushes.length, 2);
+    assert.strictEqual(multi.pushes[0].utf8, 'abc');
+    assert.strictEqual(multi.data, null);
+  });
+
+  await t.test('still takes raw hex', async () => {
+    const { data } = await api.post('/api/decode-opreturn', { tx_hex: mock.txs.get(txid).hex });
+    assert.strictEqual(data.opreturn_outputs[1].hex, '616263ff0102');
+    assert.strictEqual((await api.post('/api/decode-opreturn', { tx_hex: 'zz' })).status, 400);
+    assert.strictEqual((await api.post('/api/decode-opreturn', { txid: 'nope' })).status, 400);
+  });
+});
@@ -0,0 +1,153 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const bitcoin = require('bitcoinjs-lib');
+const { startApp, testAddress } = require('./helpers');
+const { ECPair, bip32 } = require('../lib/ecc');
+const { NETWORKS } = require('../lib/networks');
+const { mnemonicToSeed } = require('../lib/mnemonic');
+const { parseOrigin, parseDescriptor, keyDerivation } = require('../lib/descriptors');
+const { annotateInput, combinePsbts, finalizePsbt } = require('../lib/psbt');
+
+const ABANDON = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+const net = NETWORKS.testnet;
+const root = bip32.fromSeed(mnemonicToSeed(ABANDON), net);
+const fingerprint = Buffer.from(root.fingerprint).toString('hex');
+const account = root.derivePath("m/84'/1'/0'");
+const tpub = account.neutered().toBase58();
+
+function receiveAddress(index) {
+  return bitcoin.payments.p2wpkh({ pubkey: Buffer.from(account.derive(0).derive(index).publicKey), network: net }).address;
+}
+
+test('PSBT derivation helpers', async (t) => {
+  await t.test('parses key origins', () => {
+    assert.deepStrictEqual(parseOrigin("[73C5DA0A/84h/1'/0h]"), { fingerprint: '73c5da0a', path: "m/84'/1'/0'" });
+    assert.throws(() => parseOrigin('xyz/84h'), /fingerprint/);
+  });
+
+  await t.test('derives full paths from descriptor keys', () => {
+    const parsed = parseDescriptor(`wpkh([${fingerprint}/84'/1'/0']${tpub}/<0;1>/*)`, 'testnet');
+    const d = keyDerivation(parsed.keys[0], 7, 1);
+    assert.strictEqual(d.fingerprint, fingerprint);
+    assert.strictEqual(d.path, "m/84'/1'/0'/1/7");
+    assert.deepStrictEqual(d.pubkey, Buffer.from(root.derivePath(d.path).publicKey));
+  });
+
+  await t.test('annotated inputs sign with the master key, then combine and finalize', () => {
+    const psbts = [0, 1].map(() => new bitcoin.Psbt({ network: net }));
+    psbts.forEach((psbt) => {
+      [0, 1].forEach((index) => {
+        const pubkey = Buffer.from(account.derive(0).derive(index).publicKey);
+        psbt.addInput({
+          hash: String(index).repeat(64),
+          index: 0,
+          witnessUtxo: { script: bitcoin.address.toOutputScript(receiveAddress(index), net), value: 20000 },
+        });
+        annotateInput(psbt, index, 'p2wpkh', [{ fingerprint, path: `m/84'/1'/0'/0/${index}`, pubkey }]);
+      });
+      psbt.addOutput({ address: testAddress(1), value: 39000 });
+    });
+
+    // Two devices each sign one input
+    psbts[0].signInputHD(0, root);
+    psbts[1].signInputHD(1, root);
+    assert.strictEqual(finalizePsbt(bitcoin.Psbt.fromBase64(psbts[0].toBase64())).complete, false);
+
+    const combined = combinePsbts(psbts.map((p) => p.toBase64()), 'testnet');
+    const { complete, inputs } = finalizePsbt(combined);
+    assert.strictEqual(complete, true);
+    assert.ok(inputs.every((i) => i.finalized));
+    assert.strictEqual(combined.extractTransaction().ins.length, 2);
+  });
+
+  await t.test('refuses to combine different transactions', () => {
+    const make = (value) => {
+      const psbt = new bitcoin.Psbt({ network: net });
+      psbt.addInput({ hash: 'ab'.repeat(32), index: 0 });
+      psbt.addOutput({ address: testAddress(1), value });
+      return psbt.toBase64();
+    };
+    assert.throws(() => combinePsbts([make(1000), make(2000)]), /different unsigned transaction/);
+  });
+});
+
+test('watch-only signing flow', async (t) => {
+  const { api, mock, close } = await startApp();
+  t.after(close);
+
+  await t.test('builds an xpub PSBT a hardware signer can sign', async () => {
+    mock.fund(receiveAddress(0), 30000);
+    mock.fund(receiveAddress(1), 30000);
+    mock.mineBlock();
+
+    const added = await api.post('/api/wallet/add-xpub', {
+      xpub: tpub,
+      network: 'testnet',
+      script_type: 'p2wpkh',
+      gap_limit: 3,
+      origin: `[${fingerprint}/84'/1'/0']`,
+    });
+    assert.strictEqual(added.status, 200);
+    assert.strictEqual(added.data.origin, `[${fingerprint}/84'/1'/0']`);
+
+    const { status, data } = await api.post('/api/wallet/xpub/psbt', {
+      xpub: tpub,
+      recipients: [{ address: testAddress(2), value: 45000 }],
+      fee_rate: 2,
+      include_prev_txs: true,
+    });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(data.signed, false);
+    assert.strictEqual(data.inputs.length, 2);
+    assert.deepStrictEqual(data.inputs.map((i) => i.derivations[0].path).sort(), ["m/84'/1'/0'/0/0", "m/84'/1'/0'/0/1"]);
+
+    const psbt = bitcoin.Psbt.fromBase64(data.psbt, { network: net });
+    assert.ok(psbt.data.inputs.every((i) => i.nonWitnessUtxo && i.bip32Derivation.length === 1));
+    const changeIndex = data.outputs.findIndex((o) => o.is_change);
+    assert.strictEqual(psbt.data.outputs[changeIndex].bip32Derivation[0].path, "m/84'/1'/0'/1/0");
+
+    // Off-server signing with the seed
+    psbt.signAllInputsHD(root);
+
+    const finalized = await api.post('/api/psbt/finalize', { psbt: psbt.toBase64(), network: 'testnet' });
+    assert.strictEqual(finalized.data.complete, true);
+
+    const extracted = await api.post('/api/psbt/extract', { psbt: finalized.data.psbt, network: 'testnet', broadcast: true });
+    assert.strictEqual(extracted.status, 200);
+    assert.strictEqual(extracted.data.broadcast, true);
+    assert.ok(mock.isKnown(extracted.data.txid));
+  });
+
+  await t.test('reports unsigned inputs instead of extracting', async () => {
+    const built = await api.post('/api/tx/build', {
+      network: 'testnet',
+      utxos: [{ txid: 'cd'.repeat(32), vout: 0, value: 50000, address: receiveAddress(5) }],
+      recipients: [{ address: testAddress(3), value: 20000 }],
+      fee_rate: 1,
+    });
+    const { status, data } = await api.post('/api/psbt/extract', { psbt: built.data.psbt_hex, network: 'testnet' });
+    assert.strictEqual(status, 400);
+    assert.strictEqual(data.inputs[0].finalized, false);
+    assert.strictEqual((await api.post('/api/psbt/finalize', { psbt: 'not a psbt' })).status, 400);
+  });
+
+  await t.test('returns an unsigned OP_RETURN PSBT for a pubkey', async () => {
+    const keyPair = ECPair.makeRandom({ network: net });
+    const { status, data } = await api.post('/api/create-opreturn-tx', {
+      pubkey: keyPair.publicKey.toString('hex'),
+      master_fingerprint: 'deadbeef',
+      path: "m/84'/1'/0'/0/3",
+      utxo: { txid: 'ef'.repeat(32), vout: 0, value: 10000 },
+      opreturn_data: 'watch-only',
+      network: 'testnet',
+      address_type: 'p2sh-p2wpkh',
+    });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(data.signed, false);
+    const psbt = bitcoin.Psbt.fromBase64(data.psbt, { network: net });
+    assert.strictEqual(psbt.data.inputs[0].bip32Derivation[0].path, "m/84'/1'/0'/0/3");
+    psbt.signInput(0, keyPair);
+    psbt.finalizeAllInputs();
+    assert.strictEqual(psbt.extractTransaction().outs.length, 1);
+  });
+});
@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const bitcoin = require('bitcoinjs-lib');
+const { startApp, testAddress } = require('./helpers');
+const { ECPair } = require('../lib/ecc');
+const { NETWORKS } = require('../lib/networks');
+const { getBackend } = require('../lib/backends');
+const { buildReplacement } = require('../lib/rbf');
+
+const net = NETWORKS.testnet;
+
+function voutOf(mock, txid, value) {
+  return mock.txs.get(txid).tx.outs.findIndex((o) => o.value === value);
+}
+
+// Signed tx spending `utxo` to a payee plus change back to the sender
+function spend(keyPair, utxo, { payee, change, sequence = 0xfffffffd }) {
+  const from = bitcoin.payments.p2wpkh({ pubkey: keyPair.publicKey, network: net });
+  const psbt = new bitcoin.Psbt({ network: net });
+  psbt.addInput({ hash: utxo.txid, index: utxo.vout, sequence, witnessUtxo: { script: from.output, value: utxo.value } });
+  psbt.addOutput({ address: testAddress(9), value: payee });
+  psbt.addOutput({ address: from.address, value: change });
+  psbt.signInput(0, keyPair);
+  psbt.finalizeAllInputs();
+  return psbt.extractTransaction();
+}
+
+test('buildReplacement drops change that would become dust', () => {
+  const script = bitcoin.address.toOutputScript(testAddress(1), net);
+  const tx = new bitcoin.Transaction();
+  tx.version = 2;
+  tx.addInput(Buffer.alloc(32, 1), 0, 0xfffffffd);
+  tx.addOutput(bitcoin.address.toOutputScript(testAddress(2), net), 50000);
+  tx.addOutput(script, 1500);
+
+  const bumped = buildReplacement({ original: tx, prevouts: [{ value: 52500, script }], changeIndex: 1, feeRate: 16 });
+  assert.strictEqual(bumped.change_removed, true);
+  assert.strictEqual(bumped.fee, 2500);
+  assert.strictEqual(bumped.outputs.length, 1);
+  assert.ok(Object.values(bumped.checks).every(Boolean));
+});
+
+test('POST /api/tx/bump-fee', async (t) => {
+  const { api, mock, close } = await startApp();
+  t.after(close);
+
+  const keyPair = ECPair.makeRandom({ network: net });
+  const from = bitcoin.payments.p2wpkh({ pubkey: keyPair.publicKey, network: net }).address;
+  const fundTxid = mock.fund(from, 100000);
+  mock.mineBlock();
+  const original = spend(keyPair, { txid: fundTxid, vout: voutOf(mock, fundTxid, 100000), value: 100000 }, { payee: 60000, change: 39000 });
+  await getBackend('testnet').broadcast(original.toHex());
+
+  await t.test('reduces change to pay the target rate', async () => {
+    const { status, data } = await api.post('/api/tx/bump-fee', { txid: original.getId(), network: 'testnet', fee_rate: 20 });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(data.replaces, original.getId());
+    assert.strictEqual(data.original.fee, 1000);
+    assert.ok(data.fee_rate >= 20);
+    assert.deepStrictEqual(data.added_inputs, []);
+    assert.strictEqual(data.outputs[0].value, 60000);
+    assert.strictEqual(data.outputs[1].value, 40000 - data.fee);
+    assert.ok(Object.values(data.checks).every(Boolean));
+
+    const psbt = bitcoin.Psbt.fromBase64(data.psbt, { network: net });
+    assert.ok(psbt.txInputs.every((i) => i.sequence === 0xfffffffd));
+    psbt.signAllInputs(keyPair);
+    psbt.finalizeAllInputs();
+    assert.ok(psbt.extractTransaction().virtualSize() <= data.estimated_vsize);
+  });
+
+  await t.test('adds confirmed inputs when change is not enough', async () => {
+    const extraTxid = mock.fund(from, 80000);
+    mock.fund(from, 500000); // unconfirmed: never added
+    mock.mineBlock([extraTxid]);
+
+    const { status, data } = await api.post('/api/tx/bump-fee', { txid: original.getId(), network: 'testnet', fee_rate: 400 });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(data.added_inputs.length, 1);
+    assert.strictEqual(data.added_inputs[0].txid, extraTxid);
+    assert.strictEqual(data.checks.no_new_unconfirmed_inputs, true);
+    assert.ok(data.fee_rate >= 400);
+  });
+
+  await t.test('annotates original inputs and requires confirmations on extra utxos', async () => {
+    const fundVout = voutOf(mock, fundTxid, 100000);
+    const derivation = { master_fingerprint: 'deadbeef', path: "m/84'/1'/0'/0/0", pubkey: keyPair.publicKey.toString('hex') };
+    const { status, data } = await api.post('/api/tx/bump-fee', {
+      txid: original.getId(),
+      network: 'testnet',
+      fee_rate: 20,
+      utxos: [{ txid: fundTxid, vout: fundVout, value: 100000, address: from, bip32_derivation: [derivation] }],
+    });
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(data.added_inputs, []);
+    const [input] = bitcoin.Psbt.fromBase64(data.psbt, { network: net }).data.inputs;
+    assert.strictEqual(input.bip32Derivation[0].masterFingerprint.toString('hex'), 'deadbeef');
+    assert.strictEqual(input.bip32Derivation[0].path, "m/84'/1'/0'/0/0");
+
+    const unknown = await api.post('/api/tx/bump-fee', {
+      txid: original.getId(),
+      network: 'testnet',
+      fee_rate: 400,
+      utxos: [{ txid: 'ab'.repeat(32), vout: 0, value: 80000, address: from }],
+    });
+    assert.strictEqual(unknown.status, 400);
+    assert.strictEqual(unknown.data.code, 'MISSING_CONFIRMATIONS');
+  });
+
+  await t.test('pays for the descendants it evicts', async () => {
+    const before = await api.post('/api/tx/bump-fee', { txid: original.getId(), network: 'testnet', fee_rate: 2 });
+    assert.deepStrictEqual(before.data.evicts, []);
+
+    // The payee spends its output with a high-fee child
+    const childTxid = mock.addTransaction({
+      inputs: [{ txid: original.getId(), vout: 0 }],
+      outputs: [{ address: testAddress(8), value: 50000 }],
+    });
+    const { status, data } = await api.post('/api/tx/bump-fee', { txid: original.getId(), network: 'testnet', fee_rate: 2 });
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(data.evicts.map((d) => [d.txid, d.fee]), [[childTxid, 10000]]);
+    assert.strictEqual(data.evicted_fee, 11000);
+    assert.ok(data.fee >= 11000 + data.estimated_vsize);
+    assert.strictEqual(data.checks.pays_evicted_fees, true);
+    mock.evict(childTxid);
+  });
+
+  await t.test('rejects non-signalling and confirmed transactions', async () => {
+    const other = mock.fund(from, 30000);
+    mock.mineBlock([other]);
+    const final = spend(keyPair, { txid: other, vout: voutOf(mock, other, 30000), value: 30000 }, { payee: 20000, change: 9000, sequence: 0xffffffff });
+    await getBackend('testnet').broadcast(final.toHex());
+
+    const notRbf = await api.post('/api/tx/bump-fee', { tx_hex: final.toHex(), network: 'testnet', fee_rate: 10 });
+    assert.strictEqual(notRbf.status, 400);
+    assert.strictEqual(notRbf.data.code, 'NOT_REPLACEABLE');
+
+    const confirmed = await api.post('/api/tx/bump-fee', { txid: fundTxid, network: 'testnet', fee_rate: 10 });
+    assert.strictEqual(confirmed.data.code, 'ALREADY_CONFIRMED');
+
+    const tooPoor = await api.post('/api/tx/bump-fee', { txid: original.getId(), network: 'testnet', fee_rate: 4000, utxos: [] });
+    assert.strictEqual(tooPoor.data.code, 'INSUFFICIENT_FUNDS');
+  });
+});
@@ -0,0 +1,180 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startApp, startMock, testAddress } = require('./helpers');
+const { ECPair } = require('../lib/ecc');
+const { NETWORKS } = require('../lib/networks');
+
+test('Express app against MockEsplora', async (t) => {
+  const { mock, api, close } = await startApp();
+  t.after(close);
+
+  const address = testAddress(10);
+  const empty = testAddress(11);
+  const confirmedTxid = mock.fund(address, 100000);
+  mock.mineBlock();
+  const pendingTxid = mock.fund(address, 25000);
+
+  await t.test('GET /api/utxos', async () => {
+    const { status, data } = await api.get('/api/utxos', { params: { address, network: 'testnet' } });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(data.cached, false);
+    assert.strictEqual(data.utxo_count, 2);
+    assert.strictEqual(data.confirmed_value, 100000);
+    assert.strictEqual(data.pending_value, 25000);
+    assert.strictEqual(data.spendable_value, 100000);
+    assert.strictEqual(data.tip_height, mock.tipHeight);
+    assert.deepStrictEqual(data.utxos.map((u) => u.confirmations).sort(), [0, 1]);
+
+    const cached = await api.get('/api/utxos', { params: { address, onlySpendable: 'true' } });
+    assert.strictEqual(cached.data.cached, true);
+    assert.deepStrictEqual(cached.data.utxos.map((u) => u.txid), [confirmedTxid]);
+  });
+
+  await t.test('GET /api/utxos validates input', async () => {
+    assert.strictEqual((await api.get('/api/utxos')).status, 400);
+    assert.strictEqual((await api.get('/api/utxos', { params: { address, network: 'nope' } })).status, 400);
+  });
+
+  await t.test('GET /api/address-balance', async () => {
+    const { data } = await api.get('/api/address-balance', { params: { address } });
+    assert.strictEqual(data.balance.confirmed_sat, 100000);
+    assert.strictEqual(data.balance.unconfirmed_sat, 25000);
+    assert.deepStrictEqual(data.transaction_count, { confirmed: 1, unconfirmed: 1 });
+    assert.strictEqual(data.is_active, true);
+
+    const unused = await api.get('/api/address-balance', { params: { address: empty } });
+    assert.strictEqual(unused.data.is_active, false);
+  });
+
+  await t.test('GET /api/utxo/:txid/:vout', async () => {
+    const { data } = await api.get(`/api/utxo/${pendingTxid}/0`);
+    assert.strictEqual(data.address, address);
+    assert.strictEqual(data.value_sat, 25000);
+    assert.strictEqual(data.is_confirmed, false);
+
+    assert.strictEqual((await api.get(`/api/utxo/${pendingTxid}/5`)).status, 404);
+  });
+
+  await t.test('GET /api/wallet/balance', async () => {
+    const { data } = await api.get('/api/wallet/balance', { params: { address } });
+    assert.strictEqual(data.balance_confirmed_sat, 100000);
+    assert.strictEqual(data.balance_unconfirmed_sat, 25000);
+    assert.strictEqual(data.mempool_txs, 1);
+  });
+
+  await t.test('GET /api/wallet/utxos and /api/wallet/mempool', async () => {
+    mock.mineBlock([]);
+    const utxos = await api.get('/api/wallet/utxos', { params: { address } });
+    assert.strictEqual(utxos.data.total_value_sat, 125000);
+    assert.strictEqual(utxos.data.utxos.find((u) => u.txid === confirmedTxid).confirmations, 2);
+
+    const mempool = await api.get('/api/wallet/mempool', { params: { address } });
+    assert.strictEqual(mempool.data.mempool_txs.funded_txo_sum, 25000);
+  });
+
+  await t.test('engine-backed wallet status and tx routes', async () => {
+    await api.post('/api/wallet/start-monitoring', { address });
+    const tx = await api.get(`/api/wallet/tx/${confirmedTxid}`);
+    assert.strictEqual(tx.data.status, 'confirmed');
+    assert.strictEqual((await api.get(`/api/wallet/tx/${'0'.repeat(64)}`)).status, 404);
+
+    const status = await api.get('/api/wallet/status');
+    assert.strictEqual(status.data.addresses_monitored, 1);
+
+    const added = await api.post('/api/wallet/add-address', { address, label: 'shop' });
+    assert.strictEqual(added.data.monitored_count, 1);
+    const { walletEngine } = require('../lib/engine');
+    assert.ok(walletEngine.websockets[address]);
+    const monitored = await api.get('/api/wallet/monitored');
+    assert.deepStrictEqual(monitored.data.addresses, [{ address, network: 'testnet', label: 'shop' }]);
+  });
+
+  await t.test('incoming payment guard routes', async () => {
+    const { walletEngine } = require('../lib/engine');
+    await walletEngine.fetchMempoolTxs(address);
+    const { data } = await api.get('/api/wallet/payments', { params: { address } });
+    assert.deepStrictEqual(data.payments.map((p) => [p.txid, p.status]), [[pendingTxid, 'pending']]);
+
+    const pending = await api.post(`/api/wallet/payments/${pendingTxid}/check`);
+    assert.strictEqual(pending.data.status, 'pending');
+    assert.strictEqual(pending.data.safe_to_fulfil, false); // 0-conf is never safe
+    assert.strictEqual((await api.post(`/api/wallet/payments/${pendingTxid}/check`, { confirmations: 0 })).status, 400);
+
+    mock.evict(pendingTxid);
+    const checked = await api.post(`/api/wallet/payments/${pendingTxid}/check`);
+    assert.strictEqual(checked.data.status, 'evicted');
+    assert.strictEqual(checked.data.safe_to_fulfil, false);
+    assert.strictEqual((await api.post(`/api/wallet/payments/${'0'.repeat(64)}/check`)).status, 404);
+    assert.strictEqual((await api.post('/api/wallet/payments/xyz/check')).status, 400);
+
+    const paid = mock.fund(address, 12000);
+    await walletEngine.fetchMempoolTxs(address);
+    mock.mineBlock();
+    const shallow = await api.post(`/api/wallet/payments/${paid}/check`, { confirmations: 2 });
+    assert.deepStrictEqual([shallow.data.status, shallow.data.confirmations, shallow.data.safe_to_fulfil], ['confirmed', 1, false]);
+    mock.mineBlock();
+    assert.strictEqual((await api.post(`/api/wallet/payments/${paid}/check`, { confirmations: 2 })).data.safe_to_fulfil, true);
+  });
+
+  await t.test('retired signing attack routes refuse private keys', async () => {
+    const body = { wif: 'cVt4o7BGAig1UXywgGSmARhxMdzP5qvQsxKkSsc1XEkw3tDTQFpy', utxo: {}, victim_address: address, attacker_address: address };
+    for (const path of ['/api/final-sequence-attack', '/api/identical-inputs-exploit', '/api/execute-full-attack']) {
+      assert.strictEqual((await api.post(path, body)).status, 400);
+      assert.strictEqual((await api.post(path, {})).status, 410);
+    }
+  });
+
+  await t.test('POST /api/smart-fee-booster uses the cached fee estimates', async () => {
+    const { data } = await api.post('/api/smart-fee-booster', { target_fee_rate: 1 });
+    assert.deepStrictEqual(data.current_network_fees, { fastest: 20, half_hour: 12, hour: 8 });
+    assert.strictEqual((await api.post('/api/smart-fee-booster', { network: 'nope' })).status, 400);
+  });
+});
+
+test('regtest end to end', async (t) => {
+  const { api, close } = await startApp();
+  const regtest = await startMock({}, 'regtest');
+  t.after(async () => {
+    await regtest.stop();
+    await close();
+  });
+
+  await t.test('generates and validates bcrt1 wallets', async () => {
+    const { data } = await api.post('/api/generate-wallet', { network: 'regtest' });
+    assert.match(data.recommended_address, /^bcrt1q/);
+
+    const valid = await api.post('/api/validate-address', { address: data.recommended_address, network: 'regtest' });
+    assert.strictEqual(valid.data.valid, true);
+    assert.strictEqual(valid.data.type, 'Regtest Native SegWit');
+
+    const wrongNet = await api.post('/api/validate-address', { address: data.recommended_address, network: 'testnet' });
+    assert.strictEqual(wrongNet.data.valid, false);
+  });
+
+  await t.test('routes regtest queries to the regtest backend', async () => {
+    const address = testAddress(30, 'regtest');
+    regtest.fund(address, 60000);
+    regtest.mineBlock();
+
+    const { data } = await api.get('/api/utxos', { params: { address, network: 'regtest' } });
+    assert.strictEqual(data.confirmed_value, 60000);
+  });
+
+  await t.test('builds regtest OP_RETURN transactions', async () => {
+    const keyPair = ECPair.makeRandom({ network: NETWORKS.regtest });
+    const request = {
+      pubkey: keyPair.publicKey.toString('hex'),
+      utxo: { txid: 'ab'.repeat(32), vout: 0, value: 10000 },
+      opreturn_data: 'regtest',
+      network: 'regtest',
+    };
+    const { status, data } = await api.post('/api/create-opreturn-tx', request);
+    assert.strictEqual(status, 200);
+    assert.strictEqual(data.network, 'regtest');
+    assert.strictEqual(data.signed, false);
+
+    const signing = await api.post('/api/create-opreturn-tx', { ...request, wif: keyPair.toWIF() });
+    assert.strictEqual(signing.status, 400);
+    assert.match(signing.data.error, /Private keys are not accepted/);
+  });
+});
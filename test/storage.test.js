@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BitcoinWalletEngine = require('../wallet-engine');
+const { startMock, testAddress } = require('./helpers');
+const { setBackend } = require('../lib/backends');
+const { MemoryStorage, FileStorage } = require('../lib/storage');
+
+test('storage adapters', async (t) => {
+  await t.test('MemoryStorage copies values and lists keys by prefix', () => {
+    const store = new MemoryStorage();
+    const value = { list: [1] };
+    store.set('engine:testnet', value);
+    store.set('other', 1);
+    value.list.push(2);
+    assert.deepStrictEqual(store.get('engine:testnet'), { list: [1] });
+    assert.deepStrictEqual(store.keys('engine:'), ['engine:testnet']);
+    store.delete('other');
+    assert.strictEqual(store.get('other'), null);
+  });
+
+  await t.test('FileStorage survives a reopen', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'beast-store-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'nested', 'store.json');
+
+    const store = new FileStorage(file);
+    store.set('a', { b: 1 });
+    store.set('c', 2);
+    assert.strictEqual(fs.existsSync(file), false); // writes are batched
+    store.close();
+    assert.deepStrictEqual(new FileStorage(file).get('a'), { b: 1 });
+    assert.deepStrictEqual(fs.readdirSync(path.dirname(file)), ['store.json']);
+  });
+
+  await t.test('FileStorage sets a corrupt file aside instead of throwing', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'beast-store-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'store.json');
+    fs.writeFileSync(file, '{"a": ');
+
+    t.mock.method(console, 'error', () => {});
+    const store = new FileStorage(file);
+    assert.strictEqual(store.get('a'), null);
+    assert.match(fs.readdirSync(dir)[0], /^store\.json\.corrupt-\d+$/);
+  });
+});
+
+test('BitcoinWalletEngine persistence', async (t) => {
+  const mock = await startMock();
+  t.after(async () => {
+    await mock.stop();
+    setBackend('testnet', null);
+  });
+
+  const storage = new MemoryStorage();
+  const address = testAddress(60);
+  const txid = mock.fund(address, 25000);
+  mock.mineBlock();
+  mock.fund(address, 5000);
+
+  const engine = new BitcoinWalletEngine('testnet', { storage });
+  engine.addAddress(address, 'donations');
+  await engine.fetchUtxos(address);
+  await engine.fetchMempoolTxs(address);
+
+  await t.test('restores addresses, labels, utxos and history', () => {
+    const restored = new BitcoinWalletEngine('testnet', { storage });
+    assert.deepStrictEqual(restored.addresses, [address]);
+    assert.strictEqual(restored.labels[address], 'donations');
+    assert.strictEqual(restored.utxos[address].length, 2);
+    assert.strictEqual(restored.calculateBalances(address).spendable_balance, 25000);
+
+    const history = restored.transactions[address];
+    assert.strictEqual(history.length, 2);
+    const confirmed = history.find((tx) => tx.txid === txid);
+    assert.strictEqual(confirmed.status, 'confirmed');
+    assert.strictEqual(confirmed.amount, 25000);
+    assert.strictEqual(restored.getFullStatus()[address].label, 'donations');
+  });
+
+  await t.test('switching networks swaps in that network\'s state', () => {
+    const switching = new BitcoinWalletEngine('testnet', { storage });
+    switching.setNetwork('signet');
+    assert.deepStrictEqual(switching.addresses, []);
+    switching.addAddress(testAddress(61), 'signet only');
+    switching.setNetwork('testnet');
+    assert.deepStrictEqual(switching.addresses, [address]);
+    assert.strictEqual(switching.labels[address], 'donations');
+    assert.deepStrictEqual(new BitcoinWalletEngine('signet', { storage }).addresses, [testAddress(61)]);
+    storage.delete('engine:signet');
+  });
+
+  await t.test('keeps state per network and forgets removed addresses', () => {
+    assert.deepStrictEqual(new BitcoinWalletEngine('signet', { storage }).addresses, []);
+    engine.removeAddress(address);
+    assert.deepStrictEqual(new BitcoinWalletEngine('testnet', { storage }).addresses, []);
+  });
+});
@@ -0,0 +1,160 @@
+process.env.STREAM_HEARTBEAT_MS = '50';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const WebSocket = require('ws');
+const { startApp, testAddress } = require('./helpers');
+
+// Minimal EventSource: collects { id, event, data } messages
+function openSse(base, path, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.get(`${base}${path}`, { headers }, (res) => {
+      const sse = { status: res.statusCode, headers: res.headers, messages: [], comments: 0, close: () => req.destroy() };
+      let buffer = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+          const block = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          const message = {};
+          block.split('\n').forEach((line) => {
+            if (line.startsWith(':')) sse.comments += 1;
+            const match = line.match(/^(id|event|data): (.*)$/);
+            if (match) message[match[1]] = match[1] === 'data' ? JSON.parse(match[2]) : match[2];
+          });
+          if (message.event) sse.messages.push(message);
+        }
+      });
+      resolve(sse);
+    });
+    req.on('error', reject);
+  });
+}
+
+function openWs(base, path) {
+  const ws = new WebSocket(`${base.replace('http', 'ws')}${path}`);
+  ws.messages = [];
+  ws.on('message', (data) => ws.messages.push(JSON.parse(data)));
+  return new Promise((resolve, reject) => {
+    ws.on('open', () => resolve(ws));
+    ws.on('error', reject);
+  });
+}
+
+async function waitFor(predicate, timeout = 3000) {
+  const start = Date.now();
+  while (!predicate()) {
+    if (Date.now() - start > timeout) throw new Error('timed out waiting for stream');
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+test('GET /api/stream (SSE)', async (t) => {
+  const { api, mock, close } = await startApp();
+  t.after(close);
+  const { walletEngine } = require('../lib/engine');
+  const base = api.defaults.baseURL;
+
+  const address = testAddress(51);
+  const other = testAddress(52);
+  walletEngine.addAddress(address);
+  walletEngine.addAddress(other);
+
+  assert.strictEqual((await api.get('/api/stream')).status, 400);
+  assert.strictEqual((await api.get('/api/stream?addresses=nope')).status, 400);
+
+  const sse = await openSse(base, `/api/stream?addresses=${address}`);
+  t.after(sse.close);
+  assert.strictEqual(sse.status, 200);
+  assert.strictEqual(sse.headers['content-type'], 'text/event-stream');
+  const types = () => sse.messages.map((m) => m.event);
+  let lastId;
+
+  await t.test('pushes tx, balance and confirmation events for followed addresses', async () => {
+    await waitFor(() => types().includes('stream.ready'));
+    assert.deepStrictEqual(sse.messages[0].data.addresses, [address]);
+
+    const txid = mock.fund(address, 15000);
+    mock.fund(other, 8000);
+    await walletEngine.fetchUtxos(address);
+    await walletEngine.fetchUtxos(other);
+    await waitFor(() => types().includes('balance.changed'));
+    const detected = sse.messages.find((m) => m.event === 'tx.detected');
+    assert.strictEqual(detected.data.data.txid, txid);
+    assert.strictEqual(detected.data.data.amount, 15000);
+    assert.strictEqual(sse.messages.find((m) => m.event === 'balance.changed').data.data.current.pending_balance, 15000);
+
+    mock.mineBlock();
+    await walletEngine.updateTipHeight();
+    await walletEngine.fetchUtxos(address);
+    mock.mineBlock();
+    await walletEngine.updateTipHeight();
+    await waitFor(() => types().includes('confirmations.changed'));
+    const depth = sse.messages.find((m) => m.event === 'confirmations.changed').data.data;
+    assert.strictEqual(depth.utxos[0].confirmations, 2);
+
+    // Nothing about the other watched address
+    assert.ok(sse.messages.every((m) => m.event === 'stream.ready' || m.data.address === address));
+    await waitFor(() => sse.comments > 0); // heartbeat
+    lastId = Number(sse.messages[sse.messages.length - 1].id);
+  });
+
+  await t.test('resumes from Last-Event-ID', async () => {
+    sse.close();
+    const txid = mock.fund(address, 4000);
+    await walletEngine.fetchMempoolTxs(address);
+
+    const resumed = await openSse(base, `/api/stream?addresses=${address}`, { 'Last-Event-ID': String(lastId) });
+    t.after(resumed.close);
+    await waitFor(() => resumed.messages.some((m) => m.event === 'tx.detected'));
+    assert.strictEqual(resumed.messages.find((m) => m.event === 'tx.detected').data.data.txid, txid);
+    assert.ok(resumed.messages.filter((m) => m.id).every((m) => Number(m.id) > lastId));
+
+    const stale = await openSse(base, `/api/stream?addresses=${address}&last_event_id=999999`);
+    t.after(stale.close);
+    await waitFor(() => stale.messages.some((m) => m.event === 'stream.resync'));
+    assert.strictEqual(stale.messages[1].data.reason, 'unknown_event_id');
+  });
+});
+
+test('WebSocket /api/stream', async (t) => {
+  const { api, mock, close } = await startApp();
+  t.after(close);
+  const { walletEngine } = require('../lib/engine');
+  const base = api.defaults.baseURL;
+
+  const address = testAddress(53);
+  walletEngine.addAddress(address);
+
+  const ws = await openWs(base, '/api/stream');
+  t.after(() => ws.close());
+  ws.send('not json');
+  ws.send(JSON.stringify({ action: 'subscribe', addresses: [address, testAddress(54)] }));
+  await waitFor(() => ws.messages.some((m) => m.type === 'subscribed'));
+  assert.strictEqual(ws.messages[0].type, 'error');
+  assert.deepStrictEqual(ws.messages[1].unwatched, [testAddress(54)]);
+
+  const txid = mock.fund(address, 6000);
+  await walletEngine.fetchMempoolTxs(address);
+  await waitFor(() => ws.messages.some((m) => m.type === 'tx.detected'));
+  const detected = ws.messages.find((m) => m.type === 'tx.detected');
+  assert.strictEqual(detected.data.txid, txid);
+  assert.strictEqual(detected.data.source, 'mempool');
+
+  await waitFor(() => ws.messages.some((m) => m.type === 'heartbeat'));
+
+  // Resume through the query string
+  const resumed = await openWs(base, `/api/stream?addresses=${address}&last_event_id=${detected.id - 1}`);
+  t.after(() => resumed.close());
+  await waitFor(() => resumed.messages.some((m) => m.type === 'tx.detected'));
+  assert.strictEqual(resumed.messages.find((m) => m.type === 'tx.detected').id, detected.id);
+
+  // Engine lost its upstream socket
+  walletEngine.emit('ws:disconnected', address);
+  await waitFor(() => ws.messages.some((m) => m.type === 'ws.disconnected'));
+
+  await assert.rejects(openWs(base, '/api/other'));
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const bitcoin = require('bitcoinjs-lib');
+const { startApp } = require('./helpers');
+const { ecc, ECPair, bip32 } = require('../lib/ecc');
+const { NETWORKS } = require('../lib/networks');
+const { mnemonicToSeed } = require('../lib/mnemonic');
+const { toXOnly, taprootPayment, tweakSigner, isTaprootAddress } = require('../lib/taproot');
+const { inputFields, signInput } = require('../lib/signing');
+
+const ABANDON = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+
+test('BIP86 key-path taproot', async (t) => {
+  await t.test('matches the BIP86 vectors', () => {
+    const child = bip32.fromSeed(mnemonicToSeed(ABANDON)).derivePath("m/86'/0'/0'/0/0");
+    assert.strictEqual(
+      toXOnly(child.publicKey).toString('hex'),
+      'cc8a4bc64d897bddc5fbc2f670f7a8ba0b386779106cf1223c6fc5d7cd6fc115'
+    );
+    const payment = taprootPayment(Buffer.from(child.publicKey), 'mainnet');
+    assert.strictEqual(payment.address, 'bc1p5cyxnuxmeuwuvkwfem96lqzszd02n6xdcjrs20cac6yqjjwudpxqkedrcr');
+    assert.strictEqual(
+      payment.output.toString('hex'),
+      '5120a60869f0dbcf1dc659c9cecbaf8050135ea9e8cdc487053f1dc6880949dc684c'
+    );
+  });
+
+  await t.test('signs tapInternalKey inputs with the tweaked key', () => {
+    const keyPair = ECPair.makeRandom({ network: NETWORKS.regtest });
+    const fields = inputFields(keyPair.publicKey, 'p2tr', 'regtest', 50000);
+    const psbt = new bitcoin.Psbt({ network: NETWORKS.regtest });
+    psbt.addInput({ hash: 'cd'.repeat(32), index: 1, ...fields });
+    psbt.addOutput({ address: taprootPayment(keyPair.publicKey, 'regtest').address, value: 49000 });
+
+    assert.throws(() => psbt.signInput(0, keyPair)); // untweaked key does not match the output key
+    signInput(psbt, 0, keyPair, 'p2tr');
+    psbt.finalizeAllInputs();
+    const tx = psbt.extractTransaction();
+
+    const [sig] = tx.ins[0].witness;
+    assert.strictEqual(sig.length, 64); // SIGHASH_DEFAULT schnorr signature
+    const sighash = tx.hashForWitnessV1(0, [fields.witnessUtxo.script], [50000], bitcoin.Transaction.SIGHASH_DEFAULT);
+    assert.ok(ecc.verifySchnorr(sighash, fields.witnessUtxo.script.subarray(2), sig));
+    assert.deepStrictEqual(toXOnly(tweakSigner(keyPair).publicKey), fields.witnessUtxo.script.subarray(2));
+  });
+
+  await t.test('recognises taproot addresses per network', () => {
+    const key = ECPair.makeRandom().publicKey;
+    assert.ok(isTaprootAddress(taprootPayment(key, 'regtest').address, 'regtest'));
+    assert.ok(!isTaprootAddress(bitcoin.payments.p2wpkh({ pubkey: key, network: NETWORKS.testnet }).address));
+  });
+});
+
+test('taproot routes', async (t) => {
+  const { api, close } = await startApp();
+  t.after(close);
+
+  await t.test('generates and validates taproot wallets', async () => {
+    const { data } = await api.post('/api/generate-wallet', { network: 'testnet', address_type: 'p2tr' });
+    assert.strictEqual(data.address_type, 'p2tr');
+    assert.match(data.recommended_address, /^tb1p/);
+    assert.strictEqual((await api.get('/api/generate-wallet?address_type=p2sh')).status, 400);
+
+    for (const network of ['mainnet', 'testnet', 'signet', 'regtest']) {
+      const address = taprootPayment(ECPair.makeRandom().publicKey, network).address;
+      const res = await api.post('/api/validate-address', { address, network });
+      assert.strictEqual(res.data.valid, true);
+      assert.strictEqual(res.data.is_taproot, true);
+      assert.strictEqual(res.data.witness_version, 1);
+      assert.match(res.data.type, /Taproot \(P2TR\)$/);
+    }
+  });
+
+  await t.test('builds OP_RETURN transactions from taproot UTXOs', async () => {
+    const keyPair = ECPair.makeRandom({ network: NETWORKS.regtest });
+    const { status, data } = await api.post('/api/create-opreturn-tx', {
+      pubkey: keyPair.publicKey.toString('hex'),
+      utxo: { txid: 'ef'.repeat(32), vout: 0, value: 10000 },
+      opreturn_data: 'taproot',
+      network: 'regtest',
+      address_type: 'p2tr',
+    });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(data.from_address, taprootPayment(keyPair.publicKey, 'regtest').address);
+    const psbt = bitcoin.Psbt.fromBase64(data.psbt, { network: NETWORKS.regtest });
+    signInput(psbt, 0, keyPair, 'p2tr');
+    psbt.finalizeAllInputs();
+    const tx = psbt.extractTransaction();
+    assert.strictEqual(tx.ins[0].witness.length, 1);
+    assert.strictEqual(tx.ins[0].witness[0].length, 64);
+  });
+});
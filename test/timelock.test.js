@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const bitcoin = require('bitcoinjs-lib');
+const { startApp, testAddress } = require('./helpers');
+const { ECPair } = require('../lib/ecc');
+const { NETWORKS } = require('../lib/networks');
+const { parseLock, timelockScript, decodeTimelockScript, spendability } = require('../lib/timelock');
+
+const net = NETWORKS.testnet;
+const key = ECPair.fromPrivateKey(Buffer.alloc(32, 7), { network: net });
+
+test('timelock scripts', async (t) => {
+  await t.test('encodes and decodes CLTV and CSV locks', () => {
+    const cltv = timelockScript(key.publicKey, { type: 'cltv', height: 800000 });
+    assert.strictEqual(bitcoin.script.toASM(cltv), `00350c OP_CHECKLOCKTIMEVERIFY OP_DROP ${key.publicKey.toString('hex')} OP_CHECKSIG`);
+    assert.deepStrictEqual(decodeTimelockScript(cltv).lock, { type: 'cltv', value: 800000, unit: 'height' });
+
+    const csv = timelockScript(key.publicKey, { type: 'csv', blocks: 10 });
+    assert.strictEqual(csv[0], bitcoin.opcodes.OP_10);
+    assert.deepStrictEqual(decodeTimelockScript(csv).lock, { type: 'csv', value: 10, unit: 'blocks' });
+
+    assert.deepStrictEqual(parseLock({ type: 'csv', seconds: 1000 }), { type: 'csv', value: (1 << 22) | 2, unit: 'seconds' });
+    assert.strictEqual(parseLock({ type: 'cltv', time: 1700000000 }).unit, 'time');
+    assert.throws(() => parseLock({ type: 'csv', blocks: 70000 }), /blocks/);
+    assert.throws(() => parseLock({ type: 'cltv', height: 600000000 }), /height/);
+    assert.strictEqual(decodeTimelockScript(Buffer.from('0014' + '00'.repeat(20), 'hex')), null);
+  });
+
+  await t.test('computes when outputs unlock', () => {
+    const cltv = parseLock({ type: 'cltv', height: 110 });
+    assert.deepStrictEqual(spendability(cltv, { tipHeight: 105 }), { spendable: false, spendable_at_height: 111, blocks_remaining: 5 });
+    assert.strictEqual(spendability(cltv, { tipHeight: 110 }).spendable, true);
+
+    const csv = parseLock({ type: 'csv', blocks: 6 });
+    assert.strictEqual(spendability(csv, { tipHeight: 105, utxo: {} }).pending_confirmation, true);
+    assert.deepStrictEqual(spendability(csv, { tipHeight: 105, utxo: { block_height: 100 } }), {
+      spendable: true,
+      spendable_at_height: 106,
+      blocks_remaining: 0,
+    });
+    assert.strictEqual(spendability(csv, { tipHeight: 104, utxo: { block_height: 100 } }).spendable, false);
+  });
+});
+
+test('timelock routes', async (t) => {
+  const { api, mock, close } = await startApp();
+  t.after(close);
+  const { walletEngine } = require('../lib/engine');
+  const pubkey = key.publicKey.toString('hex');
+
+  async function mine(blocks, address) {
+    for (let i = 0; i < blocks; i++) mock.mineBlock();
+    await walletEngine.updateTipHeight();
+    if (address) await walletEngine.fetchUtxos(address);
+  }
+
+  await t.test('CLTV: locked until the height, then spendable', async () => {
+    await mine(0);
+    const height = walletEngine.tip_height + 3;
+    const created = await api.post('/api/timelock/address', { pubkey, lock: { type: 'cltv', height }, watch: true });
+    assert.strictEqual(created.status, 200);
+    assert.deepStrictEqual(created.data.lock, { type: 'cltv', height });
+    const { address, witness_script } = created.data;
+    assert.ok(walletEngine.addresses.includes(address));
+
+    mock.fund(address, 50000);
+    await mine(1, address);
+    const locked = await api.get(`/api/timelock/status?witness_script=${witness_script}`);
+    assert.strictEqual(locked.data.watched, true);
+    assert.strictEqual(locked.data.locked_balance, 50000);
+    assert.strictEqual(locked.data.utxos[0].blocks_remaining, 2);
+
+    const early = await api.post('/api/timelock/spend', { witness_script, to_address: testAddress(3), fee_rate: 2 });
+    assert.strictEqual(early.status, 400);
+    assert.strictEqual(early.data.code, 'TIMELOCK_ACTIVE');
+    const presigned = await api.post('/api/timelock/spend', { witness_script, to_address: testAddress(3), fee_rate: 2, allow_early: true });
+    assert.strictEqual(presigned.status, 200);
+    assert.strictEqual(presigned.data.locktime, height);
+    assert.strictEqual(presigned.data.inputs[0].spendable, false);
+
+    await mine(2, address);
+    const refused = await api.post('/api/timelock/spend', { witness_script, to_address: testAddress(3), fee_rate: 2, wif: key.toWIF() });
+    assert.strictEqual(refused.status, 400);
+
+    const { status, data } = await api.post('/api/timelock/spend', { witness_script, to_address: testAddress(3), fee_rate: 2 });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(data.signed, false);
+    const psbt = bitcoin.Psbt.fromBase64(data.psbt, { network: net });
+    psbt.signInput(0, key);
+    const finalized = await api.post('/api/psbt/finalize', { psbt: psbt.toBase64() });
+    const extracted = await api.post('/api/psbt/extract', { psbt: finalized.data.psbt });
+    const tx = bitcoin.Transaction.fromHex(extracted.data.hex);
+    assert.strictEqual(tx.locktime, height);
+    assert.strictEqual(tx.ins[0].sequence, 0xfffffffd);
+    assert.strictEqual(tx.ins[0].witness.length, 2);
+    assert.ok(tx.virtualSize() <= data.estimated_vsize);
+    assert.strictEqual(data.value, 50000 - data.fee);
+  });
+
+  await t.test('CSV: counts from confirmation; watch-only PSBT finalizes', async () => {
+    const created = await api.post('/api/timelock/address', { pubkey, lock: { type: 'csv', blocks: 3 } });
+    const { address, witness_script } = created.data;
+    const funding = mock.fund(address, 30000);
+
+    const pending = await api.get(`/api/timelock/status?witness_script=${witness_script}`);
+    assert.strictEqual(pending.data.watched, false);
+    assert.strictEqual(pending.data.utxos[0].pending_confirmation, true);
+
+    await mine(1);
+    const waiting = await api.get(`/api/timelock/status?witness_script=${witness_script}`);
+    assert.strictEqual(waiting.data.utxos[0].blocks_remaining, 2);
+
+    await mine(2);
+    const { status, data } = await api.post('/api/timelock/spend', {
+      witness_script,
+      to_address: testAddress(4),
+      fee_rate: 3,
+      master_fingerprint: 'd34db33f',
+      path: "m/84'/1'/0'/0/7",
+    });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(data.signed, false);
+    assert.deepStrictEqual(data.sequences, [3]);
+
+    const psbt = bitcoin.Psbt.fromBase64(data.psbt, { network: net });
+    assert.strictEqual(psbt.version, 2);
+    assert.strictEqual(psbt.data.inputs[0].bip32Derivation[0].path, "m/84'/1'/0'/0/7");
+    psbt.signInput(0, key);
+    const finalized = await api.post('/api/psbt/finalize', { psbt: psbt.toBase64() });
+    assert.strictEqual(finalized.data.complete, true);
+    const extracted = await api.post('/api/psbt/extract', { psbt: finalized.data.psbt });
+    const tx = bitcoin.Transaction.fromHex(extracted.data.hex);
+    assert.strictEqual(Buffer.from(tx.ins[0].hash).reverse().toString('hex'), funding);
+  });
+});
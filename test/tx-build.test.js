@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const bitcoin = require('bitcoinjs-lib');
+const { startApp, testAddress } = require('./helpers');
+const { NETWORKS } = require('../lib/networks');
+const { INPUT_WEIGHT, feeFor, dustThreshold, branchAndBound, selectCoins } = require('../lib/coin-selection');
+const { RBF_SEQUENCE } = require('../lib/tx-builder');
+
+const net = NETWORKS.testnet;
+const script = (seed) => bitcoin.address.toOutputScript(testAddress(seed), net);
+
+function utxo(n, value) {
+  return { txid: n.toString(16).padStart(64, '0'), vout: 0, value, script_type: 'p2wpkh' };
+}
+
+test('coin selection', async (t) => {
+  const outputs = [{ script: script(1), value: 50000 }];
+  const changeScript = script(2);
+
+  await t.test('branch-and-bound finds a changeless exact match', () => {
+    const fixedFee = feeFor(42 + 4 * 31, 1);
+    const exact = 50000 + fixedFee + feeFor(INPUT_WEIGHT.p2wpkh, 1);
+    const sel = selectCoins({ utxos: [utxo(1, 200000), utxo(2, exact), utxo(3, 30000)], outputs, feeRate: 1, changeScript });
+    assert.strictEqual(sel.algorithm, 'bnb');
+    assert.deepStrictEqual(sel.inputs.map((u) => u.value), [exact]);
+    assert.strictEqual(sel.change, 0);
+    assert.strictEqual(sel.total_in, sel.amount + sel.fee);
+  });
+
+  await t.test('branch-and-bound skips over equal-valued inputs', () => {
+    const pool = [50000, 50000, 30000].map((effective_value) => ({ effective_value }));
+    assert.deepStrictEqual(branchAndBound(pool, 30000, 100).map((u) => u.effective_value), [30000]);
+    assert.deepStrictEqual(branchAndBound(pool, 80000, 100).map((u) => u.effective_value), [50000, 30000]);
+    assert.strictEqual(branchAndBound(pool, 100050, 10), null);
+  });
+
+  await t.test('falls back to a selection with change', () => {
+    const sel = selectCoins({ utxos: [utxo(1, 200000), utxo(2, 30000), utxo(3, 40000)], outputs, feeRate: 5, changeScript });
+    assert.notStrictEqual(sel.algorithm, 'bnb');
+    assert.ok(sel.change >= dustThreshold(changeScript));
+    assert.strictEqual(sel.total_in, sel.amount + sel.change + sel.fee);
+    assert.ok(sel.fee >= feeFor(sel.weight, 5));
+  });
+
+  await t.test('drops dust change into the fee', () => {
+    const sel = selectCoins({ utxos: [utxo(1, 50000 + 300)], outputs, feeRate: 1, changeScript });
+    assert.strictEqual(sel.change, 0);
+    assert.ok(sel.change_dropped_to_fee > 0);
+    assert.strictEqual(sel.fee, 300);
+  });
+
+  await t.test('reports insufficient funds', () => {
+    assert.throws(
+      () => selectCoins({ utxos: [utxo(1, 20000), utxo(2, 20000)], outputs, feeRate: 1, changeScript }),
+      (err) => err.code === 'INSUFFICIENT_FUNDS'
+    );
+  });
+});
+
+test('POST /api/tx/build', async (t) => {
+  const { api, mock, close } = await startApp();
+  t.after(close);
+
+  await t.test('builds an unsigned RBF PSBT from supplied UTXOs', async () => {
+    const from = testAddress(3);
+    const { status, data } = await api.post('/api/tx/build', {
+      network: 'testnet',
+      utxos: [
+        { txid: 'aa'.repeat(32), vout: 0, value: 80000, address: from },
+        { txid: 'bb'.repeat(32), vout: 1, value: 60000, address: from },
+      ],
+      recipients: [{ address: testAddress(4), value: 100000 }],
+      fee_rate: 2,
+    });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(data.signed, false);
+    assert.strictEqual(data.inputs.length, 2);
+    assert.strictEqual(data.total_in, data.total_out + data.fee);
+
+    const psbt = bitcoin.Psbt.fromBase64(data.psbt, { network: net });
+    assert.strictEqual(psbt.txInputs.length, 2);
+    assert.ok(psbt.txInputs.every((i) => i.sequence === RBF_SEQUENCE));
+    assert.strictEqual(psbt.txOutputs[0].address, testAddress(4));
+    const change = data.outputs[data.change_index];
+    assert.strictEqual(change.address, from);
+    assert.ok(data.effective_fee_rate >= 2);
+  });
+
+  await t.test('pulls UTXOs for from_addresses from the backend', async () => {
+    const from = testAddress(5);
+    mock.fund(from, 40000);
+    mock.fund(from, 25000);
+    const { status, data } = await api.post('/api/tx/build', {
+      network: 'testnet',
+      from_addresses: [from],
+      recipients: [{ address: testAddress(6), value: 50000 }],
+      fee_rate: 1,
+      rbf: false,
+    });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(data.inputs.length, 2);
+    assert.strictEqual(data.rbf, false);
+    assert.strictEqual(data.outputs[data.change_index].address, from);
+  });
+
+  await t.test('rejects bad requests', async () => {
+    const base = { network: 'testnet', utxos: [{ txid: 'cc'.repeat(32), vout: 0, value: 1000, address: testAddress(7) }] };
+    const dust = await api.post('/api/tx/build', { ...base, recipients: [{ address: testAddress(8), value: 100 }], fee_rate: 1 });
+    assert.strictEqual(dust.status, 400);
+    assert.match(dust.data.error, /dust/);
+
+    const poor = await api.post('/api/tx/build', { ...base, recipients: [{ address: testAddress(8), value: 5000 }], fee_rate: 1 });
+    assert.strictEqual(poor.status, 400);
+    assert.strictEqual(poor.data.code, 'INSUFFICIENT_FUNDS');
+
+    const noFee = await api.post('/api/tx/build', { ...base, recipients: [{ address: testAddress(8), value: 600 }] });
+    assert.strictEqual(noFee.status, 400);
+  });
+});
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const bitcoin = require('bitcoinjs-lib');
+const { startApp, testAddress } = require('./helpers');
+const { ECPair } = require('../lib/ecc');
+const { NETWORKS } = require('../lib/networks');
+const { describeSequence, describeLocktime } = require('../lib/tx-inspect');
+const { classifyScript } = require('../lib/backends/tx-format');
+
+const net = NETWORKS.testnet;
+
+test('script, sequence and locktime semantics', async (t) => {
+  await t.test('classifies output scripts', () => {
+    const key = ECPair.makeRandom().publicKey;
+    const cases = {
+      p2pkh: bitcoin.payments.p2pkh({ pubkey: key }).output,
+      p2sh: bitcoin.payments.p2sh({ redeem: bitcoin.payments.p2wpkh({ pubkey: key }) }).output,
+      p2wpkh: bitcoin.payments.p2wpkh({ pubkey: key }).output,
+      p2wsh: bitcoin.payments.p2wsh({ redeem: bitcoin.payments.p2pk({ pubkey: key }) }).output,
+      p2tr: Buffer.concat([Buffer.from([0x51, 0x20]), key.subarray(1)]),
+      p2pk: bitcoin.payments.p2pk({ pubkey: key }).output,
+      multisig: bitcoin.payments.p2ms({ m: 1, pubkeys: [key] }).output,
+      op_return: bitcoin.payments.embed({ data: [Buffer.from('hi')] }).output,
+      anchor: Buffer.from('51024e73', 'hex'),
+      nonstandard: Buffer.from('51', 'hex'),
+    };
+    Object.entries(cases).forEach(([type, script]) => assert.strictEqual(classifyScript(script), type));
+  });
+
+  await t.test('decodes BIP68/BIP125 sequences', () => {
+    assert.strictEqual(describeSequence(0xfffffffd, 2).signals_rbf, true);
+    assert.strictEqual(describeSequence(0xfffffffe, 2).signals_rbf, false);
+    assert.deepStrictEqual(describeSequence(144, 2).relative_locktime, { type: 'blocks', value: 144 });
+    assert.deepStrictEqual(describeSequence(0x00400002, 2).relative_locktime, { type: 'seconds', value: 1024 });
+    assert.strictEqual(describeSequence(144, 1).relative_locktime, null);
+  });
+
+  await t.test('decodes nLockTime', () => {
+    assert.deepStrictEqual(describeLocktime(0, [0xffffffff]), { locktime: 0, type: 'none', enforced: false });
+    assert.strictEqual(describeLocktime(800000, [0xfffffffe]).type, 'block_height');
+    assert.strictEqual(describeLocktime(800000, [0xffffffff]).enforced, false);
+    assert.strictEqual(describeLocktime(1700000000, [0]).time, '2023-11-14T22:13:20.000Z');
+  });
+});
+
+test('inspection routes', async (t) => {
+  const { api, mock, close } = await startApp();
+  t.after(close);
+
+  const keyPair = ECPair.makeRandom({ network: net });
+  const from = bitcoin.payments.p2wpkh({ pubkey: keyPair.publicKey, network: net }).address;
+  const fundTxid = mock.fund(from, 100000);
+  const vout = bitcoin.Transaction.fromHex(mock.txs.get(fundTxid).hex).outs.findIndex((o) => o.value === 100000);
+
+  await t.test('analyzes a PSBT through each role', async () => {
+    const built = await api.post('/api/tx/build', {
+      network: 'testnet',
+      utxos: [{ txid: fundTxid, vout, value: 100000, address: from }],
+      recipients: [{ address: testAddress(1), value: 60000 }],
+      fee_rate: 3,
+    });
+    let { data } = await api.post('/api/psbt/analyze', { psbt: built.data.psbt });
+    assert.strictEqual(data.next_role, 'signer');
+    assert.strictEqual(data.size_estimated, true);
+    assert.strictEqual(data.rbf_signaled, true);
+    assert.strictEqual(data.fee, built.data.fee);
+    assert.strictEqual(data.inputs[0].prevout.address, from);
+
+    const psbt = bitcoin.Psbt.fromBase64(built.data.psbt, { network: net });
+    psbt.signInput(0, keyPair);
+    ({ data } = await api.post('/api/psbt/analyze', { psbt: psbt.toBase64() }));
+    assert.strictEqual(data.next_role, 'finalizer');
+    assert.deepStrictEqual(data.inputs[0].sighash_types, ['ALL']);
+
+    psbt.finalizeAllInputs();
+    const estimated = data.vsize;
+    ({ data } = await api.post('/api/psbt/analyze', { psbt: psbt.toBase64() }));
+    assert.strictEqual(data.next_role, 'extractor');
+    assert.strictEqual(data.complete, true);
+    assert.ok(Math.abs(data.vsize - estimated) <= 1);
+    assert.deepStrictEqual(data.warnings, []);
+  });
+
+  await t.test('flags missing data', async () => {
+    const psbt = new bitcoin.Psbt({ network: net });
+    psbt.addInput({ hash: 'ab'.repeat(32), index: 0 });
+    psbt.addOutput({ address: testAddress(2), value: 5000 });
+    const { data } = await api.post('/api/psbt/analyze', { psbt: psbt.toHex() });
+    assert.strictEqual(data.next_role, 'updater');
+    assert.deepStrictEqual(data.inputs[0].missing, ['utxo']);
+    assert.strictEqual(data.fee, null);
+  });
+
+  await t.test('decodes raw transactions with prevouts and warnings', async () => {
+    const psbt = new bitcoin.Psbt({ network: net });
+    psbt.addInput({
+      hash: fundTxid,
+      index: vout,
+      sequence: 0xfffffffe,
+      witnessUtxo: { script: bitcoin.address.toOutputScript(from, net), value: 100000 },
+    });
+    psbt.addOutput({ address: testAddress(3), value: 100 }); // dust
+    psbt.addOutput({ address: testAddress(4), value: 9000 }); // ~90k sat fee
+    psbt.setLocktime(150);
+    psbt.signInput(0, keyPair);
+    psbt.finalizeAllInputs();
+    const hex = psbt.extractTransaction(true).toHex();
+
+    const { status, data } = await api.post('/api/tx/decode', { tx_hex: hex, network: 'testnet' });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(data.fee, 100000 - 9100);
+    assert.strictEqual(data.rbf_signaled, false);
+    assert.strictEqual(data.locktime.type, 'block_height');
+    assert.strictEqual(data.locktime.enforced, true);
+    assert.strictEqual(data.outputs[1].address, testAddress(4));
+    assert.strictEqual(data.outputs[1].type, 'p2wpkh');
+    assert.deepStrictEqual(data.inputs[0].sighash_types, ['ALL']);
+    const types = data.warnings.map((w) => w.type);
+    assert.ok(types.includes('dust_output'));
+    assert.ok(types.includes('absurd_fee'));
+
+    const byTxid = await api.post('/api/tx/decode', { txid: fundTxid, network: 'testnet', fetch_prevouts: false });
+    assert.strictEqual(byTxid.data.txid, fundTxid);
+    assert.strictEqual((await api.post('/api/tx/decode', { tx_hex: 'zz' })).status, 400);
+  });
+});
@@ -0,0 +1,269 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const BitcoinWalletEngine = require('../wallet-engine');
+const { startMock, testAddress } = require('./helpers');
+const { setBackend } = require('../lib/backends');
+
+test('BitcoinWalletEngine against MockEsplora', async (t) => {
+  const mock = await startMock();
+  const engine = new BitcoinWalletEngine('testnet', { storage: null });
+  t.after(async () => {
+    engine.addresses.forEach((a) => engine.stopWebSocketMonitor(a));
+    await mock.stop();
+    setBackend('testnet', null);
+  });
+
+  const address = testAddress(20);
+  engine.addAddress(address);
+
+  await t.test('fetchUtxos and fetchMempoolTxs', async () => {
+    mock.fund(address, 40000);
+    mock.mineBlock();
+    const pending = mock.fund(address, 5000, { rbf: false });
+
+    const utxos = await engine.fetchUtxos(address);
+    assert.strictEqual(utxos.length, 2);
+    assert.strictEqual(utxos.filter((u) => u.is_pending).length, 1);
+
+    const mempool = await engine.fetchMempoolTxs(address);
+    assert.deepStrictEqual(Object.keys(mempool), [pending]);
+    assert.strictEqual(mempool[pending].amount, 5000);
+    assert.strictEqual(mempool[pending].rbf, false);
+    assert.strictEqual(mempool[pending].fee, 1000);
+
+    const balance = engine.calculateBalances(address);
+    assert.strictEqual(balance.spendable_balance, 40000);
+  });
+
+  await t.test('emits tx:detected from the WebSocket feed', async () => {
+    const detected = new Promise((resolve) => engine.once('tx:detected', resolve));
+    await new Promise((resolve) => {
+      engine.once('ws:connected', resolve);
+      engine.startWebSocketMonitor(address);
+    });
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    const txid = mock.fund(address, 1234);
+    assert.strictEqual((await detected).txid, txid);
+  });
+
+  await t.test('reports backend errors as error events', async () => {
+    const errors = [];
+    engine.on('error', (e) => errors.push(e));
+    assert.strictEqual(await engine.getTransactionDetails('f'.repeat(64)), null);
+    assert.strictEqual(errors[0].type, 'fetch_tx_details');
+  });
+});
+
+test('BitcoinWalletEngine confirmation depth', async (t) => {
+  const mock = await startMock();
+  const engine = new BitcoinWalletEngine('testnet', { storage: null });
+  engine.on('error', () => {});
+  t.after(async () => {
+    await mock.stop();
+    setBackend('testnet', null);
+  });
+
+  const address = testAddress(21);
+  engine.addAddress(address);
+  mock.fund(address, 10000);
+  mock.mineBlock();
+
+  await t.test('derives confirmations from the tip height', async () => {
+    const [utxo] = await engine.fetchUtxos(address);
+    assert.strictEqual(engine.tip_height, mock.tipHeight);
+    assert.strictEqual(utxo.confirmations, 1);
+  });
+
+  await t.test('bumps depth as blocks arrive and honours balance tiers', async () => {
+    const updates = [];
+    engine.on('confirmations:updated', (e) => updates.push(e));
+    for (let i = 0; i < 4; i++) mock.mineBlock();
+    await engine.updateTipHeight();
+    assert.strictEqual(engine.utxos[address][0].confirmations, 5);
+    assert.strictEqual(updates.length, 1);
+
+    let balance = engine.calculateBalances(address);
+    assert.strictEqual(balance.spendable_balance, 10000);
+    assert.strictEqual(balance.safe_balance, 0);
+    assert.strictEqual(balance.unsafe_balance, 10000);
+
+    engine.setTipHeight(engine.tip_height + 1);
+    balance = engine.calculateBalances(address);
+    assert.strictEqual(balance.safe_balance, 10000);
+
+    engine.config.min_confirmations_spendable = 10;
+    balance = engine.calculateBalances(address);
+    assert.strictEqual(balance.spendable_balance, 0);
+    assert.strictEqual(balance.unspendable_balance, 10000);
+  });
+});
+
+test('BitcoinWalletEngine reorg detection', async (t) => {
+  const mock = await startMock();
+  const engine = new BitcoinWalletEngine('testnet', { storage: null });
+  engine.on('error', () => {});
+  t.after(async () => {
+    await mock.stop();
+    setBackend('testnet', null);
+  });
+
+  const address = testAddress(22);
+  engine.addAddress(address);
+  const txid = mock.fund(address, 30000);
+  const block = mock.mineBlock();
+  await engine.fetchUtxos(address);
+
+  await t.test('keeps a rolling window of block hashes', async () => {
+    const last = engine.block_window[engine.block_window.length - 1];
+    assert.deepStrictEqual(last, { height: block.height, hash: block.hash });
+    assert.ok(engine.block_window.length <= engine.config.reorg_window);
+  });
+
+  await t.test('ignores ordinary new blocks', async () => {
+    const reorgs = [];
+    engine.on('reorg:detected', (e) => reorgs.push(e));
+    mock.mineBlock();
+    await engine.updateTipHeight();
+    assert.strictEqual(reorgs.length, 0);
+    engine.removeAllListeners('reorg:detected');
+  });
+
+  await t.test('rolls back a payment whose block was orphaned', async () => {
+    const events = {};
+    ['reorg:detected', 'tx:unconfirmed', 'balance:changed'].forEach((name) => {
+      engine.once(name, (e) => (events[name] = e));
+    });
+    assert.strictEqual(engine.calculateBalances(address).spendable_balance, 30000);
+
+    mock.reorg(2, { replacement: 3 });
+    await engine.updateTipHeight();
+
+    assert.strictEqual(events['reorg:detected'].orphaned_blocks.length, 2);
+    assert.strictEqual(events['reorg:detected'].fork_height, block.height - 1);
+    assert.deepStrictEqual(events['reorg:detected'].affected_txids, [txid]);
+    assert.strictEqual(events['tx:unconfirmed'].txid, txid);
+    assert.strictEqual(events['tx:unconfirmed'].in_mempool, true);
+    assert.strictEqual(events['balance:changed'].previous.spendable_balance, 30000);
+    assert.strictEqual(events['balance:changed'].current.spendable_balance, 0);
+    assert.strictEqual(engine.calculateBalances(address).pending_balance, 30000);
+  });
+
+  await t.test('reports txs re-mined in the new chain', async () => {
+    mock.mineBlock();
+    await engine.fetchUtxos(address);
+    const reconfirmed = new Promise((resolve) => engine.once('tx:reconfirmed', resolve));
+    mock.reorg(1, { include: [txid] });
+    await engine.updateTipHeight();
+    assert.strictEqual((await reconfirmed).txid, txid);
+  });
+});
+
+test('BitcoinWalletEngine incoming payment guard', async (t) => {
+  const mock = await startMock();
+  const engine = new BitcoinWalletEngine('testnet', { storage: null });
+  engine.on('error', () => {});
+  t.after(async () => {
+    await mock.stop();
+    setBackend('testnet', null);
+  });
+
+  const address = testAddress(24);
+  const customer = testAddress(25);
+  engine.addAddress(address);
+  const events = [];
+  engine.on('payment:conflict', (e) => events.push(['conflict', e]));
+  engine.on('payment:dropped', (e) => events.push(['dropped', e]));
+
+  // A confirmed coin of the customer's, paid to us with change
+  const pay = (value) => {
+    const coin = mock.fund(customer, 100000);
+    mock.mineBlock([coin]);
+    const txid = mock.addTransaction({
+      inputs: [{ txid: coin, vout: 0 }],
+      outputs: [{ address, value }, { address: customer, value: 99000 - value }],
+      fee: 1000,
+    });
+    return { coin, txid };
+  };
+
+  await t.test('remembers the outpoints of incoming payments', async () => {
+    const { coin, txid } = pay(40000);
+    await engine.fetchMempoolTxs(address);
+    const payment = engine.payments[txid];
+    assert.strictEqual(payment.status, 'pending');
+    assert.strictEqual(payment.amount, 40000);
+    assert.deepStrictEqual(payment.outpoints, [{ txid: coin, vout: 0 }]);
+
+    mock.mineBlock([txid]);
+    await engine.fetchMempoolTxs(address);
+    assert.strictEqual(payment.status, 'confirmed');
+    assert.strictEqual(events.length, 0);
+  });
+
+  await t.test('settles as confirmed only at payment_confirmations', async () => {
+    engine.config.payment_confirmations = 2;
+    const { txid } = pay(30000);
+    await engine.fetchMempoolTxs(address);
+    mock.mineBlock([txid]);
+    await engine.updateTipHeight();
+    await engine.fetchMempoolTxs(address);
+    assert.strictEqual(engine.payments[txid].status, 'confirming');
+    assert.strictEqual(engine.paymentDepth(engine.payments[txid]), 1);
+
+    mock.mineBlock([]);
+    await engine.updateTipHeight();
+    await engine.fetchMempoolTxs(address);
+    assert.strictEqual(engine.payments[txid].status, 'confirmed');
+    assert.strictEqual(engine.paymentDepth(engine.payments[txid]), 2);
+    engine.config.payment_confirmations = 1;
+  });
+
+  await t.test('raises payment:conflict when the inputs are double-spent', async () => {
+    const { coin, txid } = pay(50000);
+    await engine.fetchMempoolTxs(address);
+    const replacement = mock.replaceTransaction(txid, { outputs: [{ address: customer, value: 95000 }], fee: 5000 });
+    await engine.fetchMempoolTxs(address);
+
+    const [[kind, conflict], [, dropped]] = events;
+    assert.strictEqual(kind, 'conflict');
+    assert.strictEqual(conflict.txid, txid);
+    assert.strictEqual(conflict.conflicting_txid, replacement);
+    assert.deepStrictEqual(conflict.outpoints, [`${coin}:0`]);
+    assert.ok(conflict.conflicting_fee_rate > conflict.fee_rate);
+    assert.strictEqual(conflict.conflicting_confirmed, false);
+    assert.deepStrictEqual(
+      { reason: dropped.reason, conflicting_txids: dropped.conflicting_txids },
+      { reason: 'replaced', conflicting_txids: [replacement] }
+    );
+    assert.strictEqual(engine.payments[txid].status, 'replaced');
+    events.length = 0;
+  });
+
+  await t.test('reports a double-spend that was mined first', async () => {
+    const { txid } = pay(20000);
+    await engine.fetchMempoolTxs(address);
+    const replacement = mock.replaceTransaction(txid, { outputs: [{ address: customer, value: 98000 }] });
+    mock.mineBlock([replacement]);
+    await engine.fetchMempoolTxs(address);
+    assert.strictEqual(events[0][1].conflicting_confirmed, true);
+    assert.strictEqual(engine.getPayments({ status: 'replaced' }).length, 2);
+    events.length = 0;
+  });
+
+  await t.test('flags payments that vanish without a visible conflict', async () => {
+    const txid = mock.fund(address, 7000);
+    await engine.fetchMempoolTxs(address);
+    mock.evict(txid);
+    await engine.fetchMempoolTxs(address);
+    assert.deepStrictEqual(events.map(([kind, e]) => [kind, e.txid, e.reason]), [['dropped', txid, 'evicted']]);
+    assert.strictEqual(engine.payments[txid].status, 'evicted');
+  });
+});
+
+test('BitcoinWalletEngine leaves fee_rate null when the backend has no fee', async () => {
+  const txid = 'ab'.repeat(32);
+  const backend = { getAddressMempoolTxs: async () => [{ txid, vsize: 140, vin: [], vout: [] }] };
+  const engine = new BitcoinWalletEngine('testnet', { storage: null, backend });
+  const mempool = await engine.fetchMempoolTxs(testAddress(26));
+  assert.strictEqual(mempool[txid].fee_rate, null);
+});
@@ -0,0 +1,141 @@
+process.env.WEBHOOK_RETRY_BASE_MS = '20';
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { startApp, testAddress } = require('./helpers');
+const { signatureHeader, verifySignature, retryDelay } = require('../lib/webhooks');
+
+// Records every POST; `respond` picks the status for each one
+async function startReceiver(respond = () => 200) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      received.push({ headers: req.headers, body, event: JSON.parse(body) });
+      res.writeHead(respond(received.length));
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { received, url: `http://127.0.0.1:${server.address().port}/hook`, close: () => new Promise((r) => server.close(r)) };
+}
+
+async function waitFor(predicate, timeout = 3000) {
+  const start = Date.now();
+  while (!predicate()) {
+    if (Date.now() - start > timeout) throw new Error('timed out waiting for webhook');
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+test('webhook signatures', () => {
+  const body = JSON.stringify({ id: 'abc', type: 'tx.detected' });
+  const header = signatureHeader('s3cret-s3cret-s3cret', 1700000000, body);
+  assert.ok(verifySignature('s3cret-s3cret-s3cret', header, body, { now: 1700000100 }));
+  assert.ok(!verifySignature('s3cret-s3cret-s3cret', header, body + ' ', { now: 1700000100 }));
+  assert.ok(!verifySignature('other-secret-value', header, body, { now: 1700000100 }));
+  assert.ok(!verifySignature('s3cret-s3cret-s3cret', header, body, { now: 1700001000 })); // stale
+  assert.deepStrictEqual([1, 2, 3, 30].map((n) => retryDelay(n, { base: 1000, max: 60000 })), [1000, 2000, 4000, 60000]);
+});
+
+test('webhook subscriptions', async (t) => {
+  const { api, mock, close } = await startApp();
+  t.after(close);
+  const { walletEngine } = require('../lib/engine');
+  const receiver = await startReceiver();
+  t.after(receiver.close);
+
+  const address = testAddress(41);
+  walletEngine.addAddress(address);
+  const created = await api.post('/api/webhooks', { url: receiver.url, addresses: [address], confirmations: 2 });
+  assert.strictEqual(created.status, 200);
+  assert.deepStrictEqual(created.data.warnings, []);
+  const { id, secret } = created.data;
+  const events = () => receiver.received.map((r) => r.event);
+
+  await t.test('signs detected and confirmed events', async () => {
+    const txid = mock.fund(address, 25000);
+    await walletEngine.fetchUtxos(address);
+    await walletEngine.fetchMempoolTxs(address);
+    await waitFor(() => receiver.received.length === 1);
+
+    const [delivery] = receiver.received;
+    assert.strictEqual(delivery.event.type, 'tx.detected');
+    assert.strictEqual(delivery.event.data.txid, txid);
+    assert.strictEqual(delivery.event.data.amount, 25000);
+    assert.strictEqual(delivery.headers['idempotency-key'], delivery.event.id);
+    assert.ok(verifySignature(secret, delivery.headers['x-webhook-signature'], delivery.body));
+
+    mock.mineBlock();
+    await walletEngine.updateTipHeight();
+    await walletEngine.fetchUtxos(address);
+    mock.mineBlock();
+    await walletEngine.updateTipHeight();
+    await walletEngine.fetchUtxos(address);
+    await waitFor(() => events().some((e) => e.type === 'tx.confirmed'));
+    const confirmed = events().filter((e) => e.type === 'tx.confirmed');
+    assert.strictEqual(confirmed.length, 1); // once, at the requested depth
+    assert.strictEqual(confirmed[0].data.confirmations, 2);
+    assert.strictEqual(events().filter((e) => e.type === 'tx.detected').length, 1);
+  });
+
+  await t.test('reports replaced transactions', async () => {
+    const txid = mock.fund(address, 7000);
+    await walletEngine.fetchMempoolTxs(address);
+    mock.replaceTransaction(txid, { outputs: [{ address: testAddress(42), value: 6000 }] });
+    await walletEngine.fetchMempoolTxs(address);
+    await waitFor(() => events().some((e) => e.type === 'tx.replaced'));
+    assert.strictEqual(events().find((e) => e.type === 'tx.replaced').data.txid, txid);
+  });
+
+  await t.test('lists and deletes subscriptions without the secret', async () => {
+    const { data } = await api.get('/api/webhooks');
+    assert.strictEqual(data.subscriptions[0].id, id);
+    assert.strictEqual(data.subscriptions[0].secret, undefined);
+    assert.strictEqual((await api.post('/api/webhooks', { url: 'ftp://x', addresses: [address] })).status, 400);
+    assert.strictEqual((await api.post('/api/webhooks', { url: receiver.url, addresses: [address], events: ['tx.nope'] })).status, 400);
+    assert.strictEqual((await api.delete(`/api/webhooks/${id}`)).status, 200);
+    assert.strictEqual((await api.get(`/api/webhooks/${id}`)).status, 404);
+  });
+});
+
+test('webhook retries and dead letters', async (t) => {
+  const { api, mock, close } = await startApp();
+  t.after(close);
+  const { walletEngine } = require('../lib/engine');
+  const { webhooks } = require('../routes/webhooks');
+  let failing = true;
+  const receiver = await startReceiver((n) => (n === 1 ? 503 : failing ? 500 : 200));
+  t.after(receiver.close);
+
+  const address = testAddress(43);
+  walletEngine.addAddress(address);
+  await api.post('/api/webhooks', { url: receiver.url, addresses: [address], events: ['tx.detected'] });
+  mock.fund(address, 9000);
+  await walletEngine.fetchMempoolTxs(address);
+
+  await waitFor(() => webhooks.dead_letter.length === 1);
+  assert.strictEqual(receiver.received.length, 3);
+  const keys = new Set(receiver.received.map((r) => r.headers['idempotency-key']));
+  assert.strictEqual(keys.size, 1); // every retry carries the same key
+
+  const { data } = await api.get('/api/webhooks/dead-letter');
+  assert.strictEqual(data.count, 1);
+  assert.strictEqual(data.entries[0].attempts, 3);
+  assert.strictEqual(data.entries[0].last_error, 'HTTP 500');
+
+  failing = false;
+  const retried = await api.post(`/api/webhooks/dead-letter/${data.entries[0].id}/retry`);
+  assert.strictEqual(retried.status, 200);
+  await waitFor(() => receiver.received.length === 4 && webhooks.outbox.length === 0);
+  assert.strictEqual(webhooks.dead_letter.length, 0);
+
+  // Seen again (e.g. after a restart): already delivered, so not resent
+  webhooks.seen = {};
+  await walletEngine.fetchMempoolTxs(address);
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.strictEqual(receiver.received.length, 4);
+});
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const bs58check = require('bs58check');
+const BitcoinWalletEngine = require('../wallet-engine');
+const { startMock, startApp } = require('./helpers');
+const { setBackend } = require('../lib/backends');
+const { bip32 } = require('../lib/ecc');
+const { NETWORKS } = require('../lib/networks');
+const { parseXpub, deriveAddress } = require('../lib/xpub');
+
+// BIP84 test vector: "abandon abandon ... about", m/84'/0'/0'
+const BIP84_ZPUB =
+  'zpub6rFR7y4Q2AijBEqTUquhVz398htDFrtymD9xYYfG1m4wAcvPhXNfE3EfH1r1ADqtfSdVCToUG868RvUUkgDKf31mGDtKsAYz2oz2AGutZYs';
+
+const tpub = bip32
+  .fromSeed(Buffer.alloc(32, 7), NETWORKS.testnet)
+  .derivePath("m/84'/1'/0'")
+  .neutered()
+  .toBase58();
+
+test('parseXpub and deriveAddress', async (t) => {
+  await t.test('matches the BIP84 vectors', () => {
+    const { node, scriptType } = parseXpub(BIP84_ZPUB, 'mainnet');
+    assert.strictEqual(scriptType, 'p2wpkh');
+    assert.strictEqual(deriveAddress(node, 0, 0, scriptType, 'mainnet'), 'bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu');
+    assert.strictEqual(deriveAddress(node, 1, 0, scriptType, 'mainnet'), 'bc1q8c6fshw2dlwun7ekn9qwf37cu2rn755upcp6el');
+  });
+
+  await t.test('rejects private keys and foreign networks', () => {
+    const tprv = bip32.fromSeed(Buffer.alloc(32, 7), NETWORKS.testnet).toBase58();
+    assert.throws(() => parseXpub(tprv, 'testnet'), /Private extended keys/);
+    assert.throws(() => parseXpub(BIP84_ZPUB, 'testnet'), /do not belong to testnet/);
+    assert.throws(() => parseXpub('tpubnotakey', 'testnet'), /Invalid extended key/);
+  });
+
+  await t.test('derives taproot and regtest addresses', () => {
+    const { node } = parseXpub(tpub, 'regtest');
+    assert.match(deriveAddress(node, 0, 0, 'p2tr', 'regtest'), /^bcrt1p/);
+    assert.match(deriveAddress(node, 0, 0, 'p2sh-p2wpkh', 'regtest'), /^2/);
+  });
+});
+
+test('BitcoinWalletEngine xpub watching', async (t) => {
+  const mock = await startMock();
+  t.after(async () => {
+    await mock.stop();
+    setBackend('testnet', null);
+  });
+
+  const { node } = parseXpub(tpub, 'testnet');
+  const receive = (i) => deriveAddress(node, 0, i, 'p2wpkh', 'testnet');
+  const change = (i) => deriveAddress(node, 1, i, 'p2wpkh', 'testnet');
+
+  mock.fund(receive(0), 10000);
+  mock.fund(receive(3), 20000);
+  mock.fund(change(1), 5000);
+  mock.mineBlock();
+
+  const engine = new BitcoinWalletEngine('testnet', { storage: null });
+
+  await t.test('discovers used addresses within the gap limit', async () => {
+    const summary = await engine.addXpub(tpub, { scriptType: 'p2wpkh', gapLimit: 3 });
+    assert.strictEqual(summary.receive_used, 4);
+    assert.strictEqual(summary.change_used, 2);
+    assert.strictEqual(summary.address_count, 7 + 5);
+    assert.strictEqual(summary.spendable_balance, 35000);
+    assert.strictEqual(summary.next_receive_address, receive(4));
+    assert.strictEqual(engine.getXpubUtxos(tpub).find((u) => u.value === 5000).chain, 'change');
+  });
+
+  await t.test('stops at the gap', async () => {
+    mock.fund(receive(8), 1000);
+    mock.mineBlock();
+    const fresh = new BitcoinWalletEngine('testnet', { storage: null });
+    const summary = await fresh.addXpub(tpub, { scriptType: 'p2wpkh', gapLimit: 3 });
+    assert.strictEqual(summary.receive_used, 4);
+    assert.ok(!fresh.addresses.includes(receive(8)));
+  });
+
+  await t.test('extends the chain as watched addresses get used', async () => {
+    const derived = [];
+    engine.on('xpub:address-derived', (e) => derived.push(e.index));
+    mock.fund(receive(6), 7000);
+    await engine.fetchMempoolTxs(receive(6));
+    assert.deepStrictEqual(derived, [7, 8, 9]);
+
+    await engine.fetchUtxos(receive(8));
+    const balance = engine.getXpubBalance(tpub);
+    assert.strictEqual(balance.receive_used, 9);
+    assert.strictEqual(balance.spendable_balance, 36000);
+    assert.strictEqual(balance.pending_balance, 7000);
+  });
+
+  await t.test('removeXpub drops every derived address', () => {
+    engine.removeXpub(tpub);
+    assert.deepStrictEqual(engine.addresses, []);
+    assert.strictEqual(engine.getXpubBalance(tpub), null);
+  });
+});
+
+test('xpub routes', async (t) => {
+  const { api, mock, close } = await startApp();
+  t.after(close);
+
+  const { node } = parseXpub(tpub, 'testnet');
+  mock.fund(deriveAddress(node, 0, 1, 'p2wpkh', 'testnet'), 12000);
+  mock.mineBlock();
+
+  const bad = await api.post('/api/wallet/add-xpub', { xpub: BIP84_ZPUB, network: 'testnet' });
+  assert.strictEqual(bad.status, 400);
+
+  // Same key as a Vpub (SLIP-132 P2WSH multisig cosigner)
+  const payload = Buffer.from(bs58check.decode(tpub));
+  payload.writeUInt32BE(0x02575483, 0);
+  const cosigner = await api.post('/api/wallet/add-xpub', { xpub: bs58check.encode(payload), network: 'testnet' });
+  assert.strictEqual(cosigner.status, 400);
+  assert.match(cosigner.data.error, /Vpub is a multisig cosigner key.*add-descriptor/);
+
+  const added = await api.post('/api/wallet/add-xpub', { xpub: tpub, script_type: 'p2wpkh', gap_limit: 2 });
+  assert.strictEqual(added.status, 200);
+  assert.strictEqual(added.data.spendable_balance, 12000);
+
+  const status = await api.get('/api/wallet/xpub', { params: { xpub: tpub } });
+  assert.strictEqual(status.data.utxos.length, 1);
+  assert.strictEqual(status.data.addresses.length, 4 + 2);
+
+  const removed = await api.post('/api/wallet/remove-xpub', { xpub: tpub });
+  assert.strictEqual(removed.status, 200);
+  assert.strictEqual((await api.get('/api/wallet/xpub', { params: { xpub: tpub } })).status, 404);
+});
@@ -1,101 +1,620 @@
 // wallet-engine.js
-// BitcoinWalletEngine:  Unified wallet/mempool/UTXO/status/monitor engine for testnet/mainnet. 
+// BitcoinWalletEngine:  Unified wallet/mempool/UTXO/status/monitor engine for testnet/mainnet/regtest/signet.
 // Attach this to your Express app or use as a backend singleton.
 
-const axios = require('axios');
-const bitcoin = require('bitcoinjs-lib');
 const EventEmitter = require('events');
 const WebSocket = require('ws');
-
-const NETWORKS = {
-  testnet: bitcoin.networks.testnet,
-  mainnet: bitcoin.networks.bitcoin,
-};
+const { getBackend } = require('./lib/backends');
+const { isSupportedNetwork } = require('./lib/networks');
+const { confirmationsFor } = require('./lib/confirmations');
+const { getStorage } = require('./lib/storage');
+const { SCRIPT_TYPES, CHAINS, parseXpub, deriveAddress } = require('./lib/xpub');
+const { parseOrigin, parseDescriptor, deriveDescriptor, keyDerivation } = require('./lib/descriptors');
 
 class BitcoinWalletEngine extends EventEmitter {
-  constructor(network = 'testnet') {
+  constructor(network = 'testnet', options = {}) {
     super();
     this.network = network;
-    this.addresses = [];
-    this.utxos = {};
-    this.transactions = {};
-    this.mempool_txs = {};
-
-    this.apis = {
-      testnet: {
-        mempool: 'https://mempool.space/testnet/api',
-        ws: 'wss://mempool.space/testnet/v1/ws',
-        blockchair: 'https://api.blockchair.com/bitcoin/testnet',
-      },
-      mainnet: {
-        mempool: 'https://mempool.space/api',
-        ws: 'wss://mempool.space/v1/ws',
-        blockchair: 'https://api.blockchair.com/bitcoin',
-      },
-    };
+    this.backendOverride = options.backend || null;
+    // Pass `storage: null` to keep state in memory only
+    this.storage = options.storage !== undefined ? options.storage : getStorage();
+    this.clearState();
 
     this.config = {
       min_confirmations_spendable: 1,
       min_confirmations_safe: 6,
+      // Depth at which an incoming payment settles as confirmed
+      payment_confirmations: options.paymentConfirmations || 1,
       mempool_timeout: 60 * 60 * 1000, // 1 hour
       polling_interval: 30000, // 30 seconds
+      reorg_window: 12, // blocks of history checked for reorgs
+      payment_retention: 24 * 60 * 60 * 1000, // keep settled payment records 1 day
     };
 
     this.websockets = {}; // address:  ws
     this.polling_interval = null;
+
+    this.loadState();
+  }
+
+  // Watched wallets and chain view of the current network
+  clearState() {
+    this.addresses = [];
+    this.labels = {}; // address: label
+    this.utxos = {};
+    this.transactions = {}; // address: [observed tx history]
+    this.mempool_txs = {};
+    // HD wallets keyed by xpub or output descriptor:
+    // { script_type, gap_limit, label, origin?, descriptor?, chains: { receive, change? } }
+    this.xpubs = {};
+    this.xpub_addresses = {}; // address: { xpub, chain, index }
+    this.xpub_nodes = {}; // xpub: parsed bip32 node or descriptor (not persisted)
+    // Incoming unconfirmed payments and the outpoints they spend, by txid
+    this.payments = {};
+    this.tip_height = null;
+    this.block_window = []; // [{ height, hash }] of recent best-chain blocks, ascending
+    this.block_sync = null;
+  }
+
+  // ========== Persistence ==========
+  get storageKey() {
+    return `engine:${this.network}`;
+  }
+
+  // Restore watched addresses, labels, last-known UTXOs and history
+  loadState() {
+    if (!this.storage) return;
+    const state = this.storage.get(this.storageKey);
+    if (!state) return;
+    this.addresses = state.addresses || [];
+    this.labels = state.labels || {};
+    this.utxos = state.utxos || {};
+    this.transactions = state.transactions || {};
+    this.mempool_txs = state.mempool_txs || {};
+    this.xpubs = state.xpubs || {};
+    this.xpub_addresses = state.xpub_addresses || {};
+    this.payments = state.payments || {};
+    this.addresses.forEach((address) => {
+      this.utxos[address] = this.utxos[address] || [];
+      this.transactions[address] = this.transactions[address] || [];
+      this.mempool_txs[address] = this.mempool_txs[address] || {};
+    });
+    this.emit('state:loaded', { network: this.network, addresses: this.addresses.length });
+  }
+
+  persist() {
+    if (!this.storage) return;
+    try {
+      this.storage.set(this.storageKey, {
+        addresses: this.addresses,
+        labels: this.labels,
+        utxos: this.utxos,
+        transactions: this.transactions,
+        mempool_txs: this.mempool_txs,
+        xpubs: this.xpubs,
+        xpub_addresses: this.xpub_addresses,
+        payments: this.payments,
+        saved_at: new Date().toISOString(),
+      });
+    } catch (error) {
+      this.emit('error', { type: 'persist', error: error.message });
+    }
+  }
+
+  // Merge observed txs into the address history, keyed by txid
+  recordTransactions(address, entries) {
+    const history = this.transactions[address] || [];
+    const byTxid = new Map(history.map((tx) => [tx.txid, tx]));
+    const now = Date.now();
+    entries.forEach((entry) => {
+      const existing = byTxid.get(entry.txid);
+      byTxid.set(entry.txid, {
+        ...existing,
+        ...entry,
+        first_seen: existing ? existing.first_seen : now,
+        last_seen: now,
+      });
+    });
+    this.transactions[address] = [...byTxid.values()];
+    if (this.xpub_addresses[address] && this.transactions[address].length > 0) {
+      this.markXpubAddressUsed(address);
+    }
+  }
+
+  // Chain data source for the current network (see lib/backends)
+  get backend() {
+    return this.backendOverride || getBackend(this.network);
   }
 
+  // State is kept per network (storageKey): save this network's, close its
+  // sockets and load the other's, so neither is watched on the wrong chain
   setNetwork(network) {
-    if (network !== this.network && (network === 'mainnet' || network === 'testnet')) {
+    if (network !== this.network && isSupportedNetwork(network)) {
+      this.persist();
+      Object.keys(this.websockets).forEach((address) => this.stopWebSocketMonitor(address));
       this.network = network;
+      this.clearState();
+      this.loadState();
       this.emit('network: changed', network);
     }
   }
 
   // ========== Add address ==========
-  addAddress(address) {
+  addAddress(address, label) {
     if (!this.addresses.includes(address)) {
       this.addresses. push(address);
       this.utxos[address] = [];
       this.transactions[address] = [];
       this.mempool_txs[address] = {};
+      if (label) this.labels[address] = label;
+      this.persist();
       this.emit('address:added', address);
+    } else if (label) {
+      this.setLabel(address, label);
     }
   }
 
+  setLabel(address, label) {
+    if (label) this.labels[address] = label;
+    else delete this.labels[address];
+    this.persist();
+  }
+
   // ========== Remove address ==========
   removeAddress(address) {
     this.addresses = this.addresses.filter(a => a !== address);
     delete this.utxos[address];
     delete this.transactions[address];
     delete this.mempool_txs[address];
+    delete this.labels[address];
+    Object.values(this.payments)
+      .filter((p) => p.address === address)
+      .forEach((p) => delete this.payments[p.txid]);
     if (this.websockets[address]) {
       this.websockets[address].close();
       delete this.websockets[address];
     }
+    this.persist();
     this.emit('address:removed', address);
   }
 
+  // ========== Extended public keys (watch-only) ==========
+  // Derives receive (0) and change (1) chains and keeps `gapLimit` unused
+  // addresses watched past the last used one on each chain. `origin`
+  // ("[fingerprint/84'/1'/0']") is the key's place under its master seed,
+  // which hardware signers need to recognise PSBT inputs as theirs.
+  async addXpub(xpub, { scriptType, gapLimit = 20, label, origin } = {}) {
+    const parsed = parseXpub(xpub, this.network);
+    const keyOrigin = origin ? parseOrigin(origin) : null;
+    const script_type = scriptType || parsed.scriptType;
+    if (!SCRIPT_TYPES.includes(script_type)) {
+      throw new Error(`Unsupported script type: ${script_type}`);
+    }
+    const gap_limit = Number(gapLimit);
+    if (!Number.isInteger(gap_limit) || gap_limit < 1) {
+      throw new Error('gapLimit must be a positive integer');
+    }
+
+    this.xpub_nodes[xpub] = parsed.node;
+    if (!this.xpubs[xpub]) {
+      this.xpubs[xpub] = {
+        xpub,
+        script_type,
+        gap_limit,
+        label: label || null,
+        origin: keyOrigin,
+        chains: {
+          receive: { next_index: 0, last_used: -1 },
+          change: { next_index: 0, last_used: -1 },
+        },
+      };
+      this.emit('xpub:added', { xpub, script_type, gap_limit });
+    } else {
+      if (label) this.xpubs[xpub].label = label;
+      if (keyOrigin) this.xpubs[xpub].origin = keyOrigin;
+    }
+
+    await this.scanXpub(xpub);
+    this.persist();
+    return this.getXpubBalance(xpub);
+  }
+
+  // Watch the scripts described by an output descriptor. Ranged descriptors
+  // get gap-limit discovery; `<0;1>` multipath maps to receive/change.
+  async addDescriptor(descriptor, { gapLimit = 20, label } = {}) {
+    const parsed = parseDescriptor(descriptor, this.network);
+    const gap_limit = Number(gapLimit);
+    if (!Number.isInteger(gap_limit) || gap_limit < 1) {
+      throw new Error('gapLimit must be a positive integer');
+    }
+    const key = parsed.descriptor;
+
+    this.xpub_nodes[key] = parsed;
+    if (!this.xpubs[key]) {
+      const chains = { receive: { next_index: 0, last_used: -1 } };
+      if (parsed.multipath >= 2) chains.change = { next_index: 0, last_used: -1 };
+      this.xpubs[key] = {
+        xpub: key,
+        descriptor: key,
+        ranged: parsed.ranged,
+        script_type: parsed.type,
+        gap_limit: parsed.ranged ? gap_limit : 1,
+        label: label || null,
+        chains,
+      };
+      this.emit('descriptor:added', { descriptor: key, script_type: parsed.type, ranged: parsed.ranged });
+    } else if (label) {
+      this.xpubs[key].label = label;
+    }
+
+    await this.scanXpub(key);
+    this.persist();
+    return this.getXpubBalance(key);
+  }
+
+  removeXpub(xpub) {
+    this.getXpubAddresses(xpub).forEach(({ address }) => {
+      delete this.xpub_addresses[address];
+      this.removeAddress(address);
+    });
+    delete this.xpubs[xpub];
+    delete this.xpub_nodes[xpub];
+    this.persist();
+    this.emit('xpub:removed', xpub);
+  }
+
+  xpubNode(xpub) {
+    if (!this.xpub_nodes[xpub]) {
+      this.xpub_nodes[xpub] = this.xpubs[xpub].descriptor
+        ? parseDescriptor(xpub, this.network)
+        : parseXpub(xpub, this.network).node;
+    }
+    return this.xpub_nodes[xpub];
+  }
+
+  // Derive and start watching the next address on a chain
+  deriveXpubAddress(xpub, chain) {
+    const entry = this.xpubs[xpub];
+    const state = entry.chains[chain];
+    const index = state.next_index;
+    const address = entry.descriptor
+      ? deriveDescriptor(this.xpubNode(xpub), index, { pathIndex: CHAINS[chain] }).address
+      : deriveAddress(this.xpubNode(xpub), CHAINS[chain], index, entry.script_type, this.network);
+    state.next_index += 1;
+    this.xpub_addresses[address] = { xpub, chain, index };
+    const label = entry.label ? `${entry.label} ${chain}/${index}` : undefined;
+    this.addAddress(address, label);
+    this.emit('xpub:address-derived', { xpub, address, chain, index });
+    return address;
+  }
+
+  // Top up a chain so gap_limit unused addresses follow the last used one
+  extendXpubChain(xpub, chain) {
+    const entry = this.xpubs[xpub];
+    const state = entry.chains[chain];
+    // A non-ranged descriptor describes exactly one script
+    const limit = entry.descriptor && !entry.ranged ? 0 : state.last_used + entry.gap_limit;
+    while (state.next_index <= limit) {
+      this.deriveXpubAddress(xpub, chain);
+    }
+  }
+
+  markXpubAddressUsed(address) {
+    const owner = this.xpub_addresses[address];
+    const entry = owner && this.xpubs[owner.xpub];
+    if (!entry) return;
+    const state = entry.chains[owner.chain];
+    if (owner.index <= state.last_used) return;
+    state.last_used = owner.index;
+    this.extendXpubChain(owner.xpub, owner.chain);
+    this.emit('xpub:address-used', { ...owner, address });
+  }
+
+  async isAddressUsed(address) {
+    if ((this.transactions[address] || []).length > 0) return true;
+    const stats = await this.backend.getAddressStats(address);
+    const chainTxs = (stats.chain_stats && stats.chain_stats.tx_count) || 0;
+    const mempoolTxs = (stats.mempool_stats && stats.mempool_stats.tx_count) || 0;
+    return chainTxs + mempoolTxs > 0;
+  }
+
+  // Gap-limit discovery: walk each chain until gap_limit consecutive unused addresses
+  async scanXpub(xpub) {
+    const entry = this.xpubs[xpub];
+    for (const chain of Object.keys(entry.chains)) {
+      const state = entry.chains[chain];
+      let index = state.last_used + 1;
+      const single = entry.descriptor && !entry.ranged;
+      while (index <= (single ? 0 : state.last_used + entry.gap_limit)) {
+        if (index >= state.next_index) this.deriveXpubAddress(xpub, chain);
+        const address = this.getXpubAddresses(xpub).find((a) => a.chain === chain && a.index === index).address;
+        if (await this.isAddressUsed(address)) state.last_used = index;
+        index += 1;
+      }
+      this.extendXpubChain(xpub, chain);
+    }
+
+    for (const { address, chain, index } of this.getXpubAddresses(xpub)) {
+      if (index <= entry.chains[chain].last_used) {
+        await this.fetchUtxos(address);
+        await this.fetchMempoolTxs(address);
+      }
+    }
+    this.emit('xpub:scanned', {
+      xpub,
+      receive_used: entry.chains.receive.last_used + 1,
+      change_used: entry.chains.change ? entry.chains.change.last_used + 1 : 0,
+    });
+  }
+
+  getXpubAddresses(xpub) {
+    return Object.entries(this.xpub_addresses)
+      .filter(([, owner]) => owner.xpub === xpub)
+      .map(([address, owner]) => ({ address, chain: owner.chain, index: owner.index }))
+      .sort((a, b) => (a.chain === b.chain ? a.index - b.index : a.chain === 'receive' ? -1 : 1));
+  }
+
+  // First receive address past the last used one (fresh invoice address)
+  getNextReceiveAddress(xpub) {
+    const entry = this.xpubs[xpub];
+    if (!entry) return null;
+    const index = entry.chains.receive.last_used + 1;
+    const match = this.getXpubAddresses(xpub).find((a) => a.chain === 'receive' && a.index === index);
+    return match ? match.address : null;
+  }
+
+  // Change goes to the first unused change address; descriptors without a
+  // change branch fall back to the next receive address
+  getNextChangeAddress(xpub) {
+    const entry = this.xpubs[xpub];
+    if (!entry) return null;
+    if (!entry.chains.change) return this.getNextReceiveAddress(xpub);
+    const index = entry.chains.change.last_used + 1;
+    const match = this.getXpubAddresses(xpub).find((a) => a.chain === 'change' && a.index === index);
+    return match ? match.address : null;
+  }
+
+  // BIP32 derivations ({ fingerprint, path, pubkey }) behind a watched HD
+  // address, one per key; null for addresses not derived from an xpub
+  getAddressDerivations(address) {
+    const owner = this.xpub_addresses[address];
+    const entry = owner && this.xpubs[owner.xpub];
+    if (!entry) return null;
+    const chain = CHAINS[owner.chain];
+    if (entry.descriptor) {
+      return this.xpubNode(owner.xpub).keys.map((key) => keyDerivation(key, owner.index, chain)).filter(Boolean);
+    }
+    const node = this.xpubNode(owner.xpub);
+    const origin = entry.origin || { fingerprint: Buffer.from(node.fingerprint).toString('hex'), path: 'm' };
+    return [
+      {
+        fingerprint: origin.fingerprint,
+        path: `${origin.path}/${chain}/${owner.index}`,
+        pubkey: Buffer.from(node.derive(chain).derive(owner.index).publicKey),
+      },
+    ];
+  }
+
+  // Witness/redeem scripts behind a watched descriptor address (multisig
+  // spends and change need them in the PSBT); null when there are none
+  getAddressScripts(address) {
+    const owner = this.xpub_addresses[address];
+    const entry = owner && this.xpubs[owner.xpub];
+    if (!entry || !entry.descriptor) return null;
+    const derived = deriveDescriptor(this.xpubNode(owner.xpub), owner.index, { pathIndex: CHAINS[owner.chain] });
+    if (!derived.witness_script && !derived.redeem_script) return null;
+    return { witness_script: derived.witness_script || null, redeem_script: derived.redeem_script || null };
+  }
+
+  getXpubUtxos(xpub) {
+    return this.getXpubAddresses(xpub).flatMap(({ address, chain, index }) =>
+      (this.utxos[address] || []).map((utxo) => ({ ...utxo, address, chain, index }))
+    );
+  }
+
+  getXpubBalance(xpub) {
+    const entry = this.xpubs[xpub];
+    if (!entry) return null;
+    const totals = {
+      total_balance: 0,
+      spendable_balance: 0,
+      safe_balance: 0,
+      unsafe_balance: 0,
+      pending_balance: 0,
+      unspendable_balance: 0,
+      utxo_count: 0,
+      mempool_tx_count: 0,
+    };
+    const addresses = this.getXpubAddresses(xpub);
+    addresses.forEach(({ address }) => {
+      const balance = this.calculateBalances(address);
+      Object.keys(totals).forEach((key) => {
+        totals[key] += balance[key];
+      });
+    });
+
+    return {
+      xpub,
+      descriptor: entry.descriptor || null,
+      script_type: entry.script_type,
+      gap_limit: entry.gap_limit,
+      label: entry.label,
+      origin: entry.origin ? `[${entry.origin.fingerprint}${entry.origin.path.slice(1)}]` : null,
+      ...totals,
+      address_count: addresses.length,
+      receive_used: entry.chains.receive.last_used + 1,
+      change_used: entry.chains.change ? entry.chains.change.last_used + 1 : 0,
+      next_receive_address: this.getNextReceiveAddress(xpub),
+      tip_height: this.tip_height,
+      last_updated: new Date().toISOString(),
+    };
+  }
+
+  // ========== Chain tip ==========
+  async updateTipHeight() {
+    try {
+      this.setTipHeight(await this.backend.getTipHeight());
+      await this.syncBlockWindow();
+    } catch (error) {
+      this.emit('error', { type: 'fetch_tip', error: error.message });
+    }
+    return this.tip_height;
+  }
+
+  // Called from polling and from new-block WebSocket messages
+  setTipHeight(height) {
+    if (typeof height !== 'number' || height === this.tip_height) return;
+    const previous = this.tip_height;
+    this.tip_height = height;
+    this.emit('block:new', { height, previous });
+    this.refreshConfirmations();
+  }
+
+  // Re-derive confirmation depth of every known UTXO from the current tip
+  refreshConfirmations() {
+    this.addresses.forEach((address) => {
+      const changed = [];
+      (this.utxos[address] || []).forEach((utxo) => {
+        const confirmations = confirmationsFor(
+          { confirmed: utxo.is_confirmed, block_height: utxo.block_height },
+          this.tip_height
+        );
+        if (confirmations !== utxo.confirmations) {
+          utxo.confirmations = confirmations;
+          changed.push(utxo);
+        }
+      });
+      if (changed.length) {
+        this.emit('confirmations:updated', { address, tip_height: this.tip_height, utxos: changed });
+      }
+    });
+  }
+
+  // ========== Reorg detection ==========
+  // Compare the remembered block hashes against the backend's best chain.
+  // Entries that no longer match were orphaned.
+  syncBlockWindow() {
+    if (!this.block_sync) {
+      this.block_sync = this._syncBlockWindow().finally(() => {
+        this.block_sync = null;
+      });
+    }
+    return this.block_sync;
+  }
+
+  async _syncBlockWindow() {
+    const tip = this.tip_height;
+    if (tip === null) return [];
+
+    const orphaned = [];
+    while (this.block_window.length) {
+      const entry = this.block_window[this.block_window.length - 1];
+      const hash = entry.height <= tip ? await this.backend.getBlockHash(entry.height) : null;
+      if (hash === entry.hash) break;
+      orphaned.push(this.block_window.pop());
+    }
+
+    const known = this.block_window.length ? this.block_window[this.block_window.length - 1].height : null;
+    const from = Math.max(known !== null ? known + 1 : tip - this.config.reorg_window + 1, 0);
+    for (let height = from; height <= tip; height++) {
+      this.block_window.push({ height, hash: await this.backend.getBlockHash(height) });
+    }
+    this.block_window = this.block_window.slice(-this.config.reorg_window);
+
+    // UTXOs can reference a block mined and orphaned between two syncs
+    const best = new Map(this.block_window.map((b) => [b.height, b.hash]));
+    this.addresses.forEach((address) => {
+      (this.utxos[address] || []).forEach((u) => {
+        const hash = best.get(u.block_height);
+        if (u.is_confirmed && hash && u.block_hash && hash !== u.block_hash && !orphaned.some((o) => o.hash === u.block_hash)) {
+          orphaned.push({ height: u.block_height, hash: u.block_hash });
+        }
+      });
+    });
+    orphaned.sort((a, b) => b.height - a.height);
+
+    if (orphaned.length) {
+      await this.handleReorg(orphaned.reverse());
+    }
+    return orphaned;
+  }
+
+  async handleReorg(orphaned) {
+    const orphanedHashes = new Set(orphaned.map((b) => b.hash));
+    const affected = {}; // address -> [utxo snapshot]
+    this.addresses.forEach((address) => {
+      const hits = (this.utxos[address] || []).filter((u) => u.is_confirmed && orphanedHashes.has(u.block_hash));
+      if (hits.length) affected[address] = hits.map((u) => ({ ...u }));
+    });
+
+    this.emit('reorg:detected', {
+      fork_height: orphaned[0].height - 1,
+      orphaned_blocks: orphaned,
+      tip_height: this.tip_height,
+      affected_txids: [...new Set(Object.values(affected).flat().map((u) => u.txid))],
+    });
+
+    for (const [address, before] of Object.entries(affected)) {
+      const previous = this.calculateBalances(address);
+      const utxos = await this.fetchUtxos(address);
+      const now = new Map(utxos.map((u) => [`${u.txid}:${u.vout}`, u]));
+
+      before.forEach((old) => {
+        const current = now.get(`${old.txid}:${old.vout}`);
+        if (current && current.is_confirmed) {
+          this.emit('tx:reconfirmed', { address, txid: old.txid, vout: old.vout, block_hash: current.block_hash, block_height: current.block_height });
+        } else {
+          this.emit('tx:unconfirmed', {
+            address,
+            txid: old.txid,
+            vout: old.vout,
+            orphaned_block_hash: old.block_hash,
+            previous_confirmations: old.confirmations,
+            in_mempool: Boolean(current),
+          });
+        }
+      });
+
+      this.emit('balance:changed', { address, reason: 'reorg', previous, current: this.calculateBalances(address) });
+    }
+  }
+
   // ========== Fetch UTXOs ==========
   async fetchUtxos(address) {
+    const network = this.network;
     try {
-      const apiUrl = this.apis[this. network].mempool;
-      const response = await axios.get(`${apiUrl}/address/${address}/utxo`, {
-        timeout: 10000,
-      });
+      if (this.tip_height === null) await this.updateTipHeight();
+      const rawUtxos = await this.backend.getAddressUtxos(address);
+      if (network !== this.network) return []; // switched networks meanwhile
 
-      const utxos = response.data. map((utxo) => ({
+      const utxos = rawUtxos.map((utxo) => ({
         txid: utxo.txid,
         vout: utxo.vout,
         value: utxo.value,
-        confirmations: utxo.status. confirmed ? (utxo.status.block_height ?  1 : 0) : 0,
+        confirmations: confirmationsFor(utxo.status, this.tip_height),
         block_height: utxo.status.block_height || null,
+        block_hash: utxo.status.block_hash || null,
         block_time: utxo.status.block_time || null,
         is_confirmed: utxo.status.confirmed,
         is_pending: ! utxo.status.confirmed,
       }));
 
       this.utxos[address] = utxos;
+      if (this.addresses.includes(address)) {
+        const received = {};
+        utxos.forEach((u) => {
+          received[u.txid] = received[u.txid] || {
+            txid: u.txid,
+            status: u.is_confirmed ? 'confirmed' : 'pending',
+            block_height: u.block_height,
+            block_hash: u.block_hash,
+            amount: 0,
+          };
+          received[u.txid].amount += u.value;
+        });
+        this.recordTransactions(address, Object.values(received));
+        this.persist();
+      }
       this.emit('utxos:updated', { address, utxos });
       return utxos;
     } catch (error) {
@@ -106,17 +625,16 @@ class BitcoinWalletEngine extends EventEmitter {
 
   // ========== Fetch mempool transactions ==========
   async fetchMempoolTxs(address) {
+    const network = this.network;
     try {
-      const apiUrl = this.apis[this.network]. mempool;
-      const response = await axios.get(`${apiUrl}/address/${address}/txs/mempool`, {
-        timeout: 10000,
-      });
+      const txs = await this.backend.getAddressMempoolTxs(address);
+      if (network !== this.network) return {}; // switched networks meanwhile
 
       const now = Date.now();
       const mempool_txs = {};
 
-      response.data.forEach((tx) => {
-        // Mempool API provides vout array for all outputs of the TX. 
+      txs.forEach((tx) => {
+        // Backends provide the vout array for all outputs of the TX.
         let rx_amt = 0;
         if (Array.isArray(tx.vout)) {
           rx_amt = tx.vout
@@ -127,7 +645,7 @@ class BitcoinWalletEngine extends EventEmitter {
           txid: tx.txid,
           confirmations: 0,
           fee: tx.fee,
-          fee_rate: tx.fee / tx.vsize,
+          fee_rate: typeof tx.fee === 'number' && tx.vsize ? tx.fee / tx.vsize : null,
           vsize: tx.vsize,
           rbf: typeof tx.rbf !== 'undefined' ? tx.rbf : false,
           timestamp: now,
@@ -138,6 +656,21 @@ class BitcoinWalletEngine extends EventEmitter {
       });
 
       this.mempool_txs[address] = mempool_txs;
+      if (this.addresses.includes(address)) {
+        this.trackPayments(address, txs);
+        await this.checkPayments(address);
+        this.recordTransactions(
+          address,
+          Object.values(mempool_txs).map((tx) => ({
+            txid: tx.txid,
+            status: 'mempool',
+            amount: tx.amount,
+            fee: tx.fee,
+            is_incoming: tx.is_incoming,
+          }))
+        );
+        this.persist();
+      }
       this.emit('mempool:updated', { address, count: Object.keys(mempool_txs).length });
       return mempool_txs;
     } catch (error) {
@@ -152,12 +685,16 @@ class BitcoinWalletEngine extends EventEmitter {
     const mempool_txs = this.mempool_txs[address] || {};
 
     let confirmed_balance = 0;
+    let safe_balance = 0;
     let pending_balance = 0;
     let unspendable_balance = 0;
 
     utxos.forEach((utxo) => {
       if (utxo.is_confirmed && utxo.confirmations >= this.config.min_confirmations_spendable) {
         confirmed_balance += utxo.value;
+        if (utxo.confirmations >= this.config.min_confirmations_safe) {
+          safe_balance += utxo.value;
+        }
       } else if (utxo.is_pending) {
         pending_balance += utxo.value;
       }
@@ -179,25 +716,198 @@ class BitcoinWalletEngine extends EventEmitter {
       address,
       total_balance: confirmed_balance + pending_balance,
       spendable_balance: confirmed_balance,
+      // Spendable and at least min_confirmations_safe deep
+      safe_balance,
+      // Spendable but still shallow enough to be reorged out
+      unsafe_balance: confirmed_balance - safe_balance,
       pending_balance,
       unspendable_balance,
+      tip_height: this.tip_height,
+      min_confirmations_spendable: this.config.min_confirmations_spendable,
+      min_confirmations_safe: this.config.min_confirmations_safe,
       utxo_count: utxos.length,
       mempool_tx_count: Object.keys(mempool_txs).length,
       last_updated: new Date().toISOString(),
     };
   }
 
+  // ========== Incoming payment guard ==========
+  // A 0-conf payment is only as good as its inputs. Remember the outpoints
+  // each incoming mempool payment spends; when it leaves our mempool view
+  // unconfirmed, look up who spends them now. Another spender raises
+  // payment:conflict, and payment:dropped tells checkout to stop fulfilment.
+  // Conflicts show up once the backend's mempool (or a block) holds the
+  // other transaction; a double-spend it rejected stays invisible.
+  trackPayments(address, txs) {
+    txs.forEach((tx) => {
+      const amount = (tx.vout || [])
+        .filter((out) => out.scriptpubkey_address === address)
+        .reduce((sum, out) => sum + out.value, 0);
+      if (!amount || this.payments[tx.txid]) return;
+      this.payments[tx.txid] = {
+        txid: tx.txid,
+        address,
+        amount,
+        fee_rate: typeof tx.fee === 'number' ? tx.fee / tx.vsize : null,
+        rbf: Boolean(tx.rbf),
+        outpoints: (tx.vin || []).map((input) => ({ txid: input.txid, vout: input.vout })),
+        status: 'pending',
+        first_seen: Date.now(),
+        settled_at: null,
+        conflicts: [],
+      };
+    });
+  }
+
+  // Check open payments that left the address's mempool view
+  async checkPayments(address) {
+    const now = Date.now();
+    const mempool_txs = this.mempool_txs[address] || {};
+    for (const payment of Object.values(this.payments)) {
+      if (payment.address !== address) continue;
+      if (!payment.settled_at && !mempool_txs[payment.txid]) {
+        await this.checkPayment(payment.txid);
+      } else if (payment.settled_at && now - payment.settled_at > this.config.payment_retention) {
+        delete this.payments[payment.txid];
+      }
+    }
+  }
+
+  // Re-evaluate one payment against the backend; returns the updated record
+  async checkPayment(txid) {
+    const payment = this.payments[txid];
+    if (!payment) return null;
+    try {
+      let tx = null;
+      try {
+        tx = await this.backend.getTransaction(txid);
+      } catch (error) {
+        if (error.status !== 404) throw error;
+      }
+      if (tx && tx.status.confirmed) {
+        if (this.tip_height === null) await this.updateTipHeight();
+        payment.block_height = tx.status.block_height || null;
+        if (confirmationsFor(tx.status, this.tip_height) >= this.config.payment_confirmations) {
+          return this.settlePayment(payment, 'confirmed');
+        }
+        payment.status = 'confirming'; // rechecked until deep enough
+        this.persist();
+        return payment;
+      }
+      payment.block_height = null;
+
+      const conflicts = await this.findConflicts(payment);
+      conflicts.forEach((conflict) => {
+        if (payment.conflicts.some((c) => c.txid === conflict.txid)) return;
+        payment.conflicts.push(conflict);
+        this.emit('payment:conflict', {
+          address: payment.address,
+          txid: payment.txid,
+          amount: payment.amount,
+          fee_rate: payment.fee_rate,
+          rbf: payment.rbf,
+          conflicting_txid: conflict.txid,
+          conflicting_fee_rate: conflict.fee_rate,
+          conflicting_confirmed: conflict.confirmed,
+          outpoints: conflict.outpoints,
+          payment_in_mempool: Boolean(tx),
+        });
+      });
+
+      if (tx) {
+        // Still unconfirmed in the backend's mempool
+        payment.status = payment.conflicts.length ? 'conflicted' : 'pending';
+        payment.settled_at = null; // a confirmation may have been reorged out
+        this.persist();
+        return payment;
+      }
+      return this.settlePayment(payment, payment.conflicts.length ? 'replaced' : 'evicted');
+    } catch (error) {
+      this.emit('error', { type: 'check_payment', txid, error: error.message });
+      return payment;
+    }
+  }
+
+  // Confirmations of a payment at the current tip (0 while unconfirmed)
+  paymentDepth(payment) {
+    const confirmed = payment.status === 'confirmed' || payment.status === 'confirming';
+    return confirmationsFor({ confirmed, block_height: payment.block_height }, this.tip_height);
+  }
+
+  // Other transactions now spending the payment's outpoints
+  async findConflicts(payment) {
+    const bySpender = {};
+    for (const outpoint of payment.outpoints) {
+      let outspend;
+      try {
+        outspend = await this.backend.getOutspend(outpoint.txid, outpoint.vout);
+      } catch (error) {
+        if (error.status === 404 || error.status === 501) continue; // unknown parent / no outspend lookup
+        throw error;
+      }
+      if (!outspend || !outspend.spent || outspend.txid === payment.txid) continue;
+      const key = outspend.txid || 'unknown';
+      bySpender[key] = bySpender[key] || {
+        txid: outspend.txid || null,
+        confirmed: Boolean(outspend.status && outspend.status.confirmed),
+        fee_rate: null,
+        outpoints: [],
+      };
+      bySpender[key].outpoints.push(`${outpoint.txid}:${outpoint.vout}`);
+    }
+
+    const conflicts = Object.values(bySpender);
+    for (const conflict of conflicts) {
+      if (!conflict.txid) continue;
+      try {
+        const tx = await this.backend.getTransaction(conflict.txid);
+        conflict.fee_rate = typeof tx.fee === 'number' ? tx.fee / tx.vsize : null;
+        conflict.confirmed = tx.status.confirmed;
+      } catch (error) {
+        if (error.status !== 404) throw error;
+      }
+    }
+    return conflicts;
+  }
+
+  settlePayment(payment, status, fields = {}) {
+    Object.assign(payment, fields, { status, settled_at: Date.now() });
+    this.persist();
+    if (status !== 'confirmed') {
+      this.emit('payment:dropped', {
+        address: payment.address,
+        txid: payment.txid,
+        amount: payment.amount,
+        reason: status,
+        conflicting_txids: payment.conflicts.map((c) => c.txid).filter(Boolean),
+      });
+    }
+    return payment;
+  }
+
+  getPayments({ address, status } = {}) {
+    return Object.values(this.payments)
+      .filter((p) => (!address || p.address === address) && (!status || p.status === status))
+      .sort((a, b) => b.first_seen - a.first_seen);
+  }
+
   // ========== WebSocket address monitor ==========
   startWebSocketMonitor(address) {
     if (this.websockets[address]) {
       return; // Already monitoring
     }
-    const wsUrl = this.apis[this. network].ws;
+    const wsUrl = this.backend.getWebSocketUrl();
+    if (!wsUrl) {
+      // Backend has no push socket; polling keeps the address fresh.
+      this.emit('ws:unavailable', address);
+      return null;
+    }
     const ws = new WebSocket(wsUrl);
 
     ws.on('open', () => {
-      // v1 API:  subscribe address
+      // v1 API:  subscribe address + new blocks (for tip height)
       ws.send(JSON. stringify({ track: address }));
+      ws.send(JSON.stringify({ action: 'want', data: ['blocks'] }));
       this.emit('ws:connected', address);
     });
 
@@ -205,6 +915,12 @@ class BitcoinWalletEngine extends EventEmitter {
       // Mempool WS v1: address-tx, new-block, etc
       try {
         const msg = JSON.parse(data);
+        if (msg.block && typeof msg.block.height === 'number') {
+          this.setTipHeight(msg.block.height);
+          await this.syncBlockWindow();
+          // Pending UTXOs of this address may have just confirmed
+          await this.fetchUtxos(address);
+        }
         if (msg['address-transactions']) {
           for (const tx of msg['address-transactions']) {
             this.emit('tx:detected', {
@@ -225,7 +941,11 @@ class BitcoinWalletEngine extends EventEmitter {
 
     ws.on('close', () => {
       this.emit('ws:disconnected', address);
-      setTimeout(() => this.startWebSocketMonitor(address), 5000); // Retry
+      // Retry unless stopWebSocketMonitor/removeAddress let go of this socket
+      if (this.websockets[address] === ws) {
+        delete this.websockets[address];
+        setTimeout(() => this.startWebSocketMonitor(address), 5000);
+      }
     });
 
     this.websockets[address] = ws;
@@ -243,6 +963,7 @@ class BitcoinWalletEngine extends EventEmitter {
   startPolling() {
     if (this.polling_interval) return;
     this.polling_interval = setInterval(async () => {
+      await this.updateTipHeight();
       for (const address of this.addresses) {
         try {
           await this.fetchUtxos(address);
@@ -270,6 +991,7 @@ class BitcoinWalletEngine extends EventEmitter {
     this.addresses.forEach((address) => {
       status[address] = {
         ... this.calculateBalances(address),
+        label: this.labels[address] || null,
         utxos: this.utxos[address] || [],
         mempool_txs: this.mempool_txs[address] || {},
       };
@@ -280,23 +1002,21 @@ class BitcoinWalletEngine extends EventEmitter {
   // ========== Get transaction details ==========
   async getTransactionDetails(txid) {
     try {
-      const apiUrl = this.apis[this.network].mempool;
-      const response = await axios.get(`${apiUrl}/tx/${txid}`, {
-        timeout: 10000,
-      });
+      const tx = await this.backend.getTransaction(txid);
+      if (tx.status.confirmed) await this.updateTipHeight();
 
       return {
-        txid:  response.data.txid,
-        inputs: response.data. vin,
-        outputs: response.data. vout,
-        fee: response.data.fee,
-        vsize: response.data.vsize,
-        confirmations: response.data.status.confirmed ? 1 : 0,
-        block_height: response.data.status.block_height || null,
-        block_time:  response.data.status.block_time || null,
-        timestamp: response.data.status.block_time || Math.floor(Date.now() / 1000),
-        is_rbf: response.data.rbf,
-        status: response.data.status.confirmed ? 'confirmed' : 'pending',
+        txid:  tx.txid,
+        inputs: tx.vin,
+        outputs: tx.vout,
+        fee: tx.fee,
+        vsize: tx.vsize,
+        confirmations: confirmationsFor(tx.status, this.tip_height),
+        block_height: tx.status.block_height || null,
+        block_time:  tx.status.block_time || null,
+        timestamp: tx.status.block_time || Math.floor(Date.now() / 1000),
+        is_rbf: tx.rbf,
+        status: tx.status.confirmed ? 'confirmed' : 'pending',
       };
     } catch (error) {
       this.emit('error', { type: 'fetch_tx_details', txid, error: error.message });